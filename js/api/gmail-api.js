@@ -8,6 +8,7 @@ class GmailAPI {
     this.isInitialized = false;
     this.requestQueue = [];
     this.rateLimitDelay = APP_CONFIG.API_RATE_LIMIT_DELAY;
+    this.batchSize = APP_CONFIG.BATCH_REQUEST_SIZE;
   }
 
   /**
@@ -28,8 +29,9 @@ class GmailAPI {
 
   /**
    * Get all email messages with pagination
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options ({ query, pageSize, maxPages, onProgress, signal })
    * @returns {Promise<Array>} Array of email messages
+   * @throws {DOMException} AbortError when options.signal is aborted
    */
   async getAllMessages(options = {}) {
     if (!this._checkAuth()) return [];
@@ -44,14 +46,14 @@ class GmailAPI {
 
       do {
         // eslint-disable-next-line no-await-in-loop
-        const response = await this._makeAPICall('gmail.users.messages.list', {
-          userId: 'me',
-          maxResults: APP_CONFIG.MAX_RESULTS_PER_BATCH,
+        const response = await this.listMessagesPage({
+          query: options.query,
+          pageSize: options.pageSize,
           pageToken: nextPageToken,
-          q: options.query || '',
+          signal: options.signal,
         });
 
-        if (response.messages) {
+        if (response.messages.length > 0) {
           allMessages.push(...response.messages);
           console.log(
             `📦 Fetched ${response.messages.length} messages (Total: ${allMessages.length})`
@@ -73,93 +75,110 @@ class GmailAPI {
         // Add delay to respect rate limits
         if (nextPageToken) {
           // eslint-disable-next-line no-await-in-loop
-          await this._delay(this.rateLimitDelay);
+          await this._delay(this.rateLimitDelay, options.signal);
         }
       } while (nextPageToken && pageCount < maxPages);
 
       console.log(`✅ Finished fetching ${allMessages.length} messages`);
       return allMessages;
     } catch (error) {
+      if (this._isAbortError(error)) throw error;
       console.error('❌ Failed to fetch messages:', error);
       this._handleAPIError(error);
       return [];
     }
   }
 
+  /**
+   * Fetch a single page of message IDs
+   * Unlike getAllMessages(), errors are thrown so callers can resume
+   * @param {Object} options - Page options ({ query, pageSize, pageToken, signal })
+   * @returns {Promise<Object>} Page with messages, nextPageToken and resultSizeEstimate
+   */
+  async listMessagesPage(options = {}) {
+    if (!this._checkAuth()) {
+      throw new Error(APP_CONFIG.ERROR_MESSAGES.AUTH_FAILED);
+    }
+    options.signal?.throwIfAborted();
+
+    const response = await this._makeAPICall('gmail.users.messages.list', {
+      userId: 'me',
+      maxResults: options.pageSize || APP_CONFIG.MAX_RESULTS_PER_BATCH,
+      pageToken: options.pageToken || null,
+      q: options.query || '',
+    });
+
+    return {
+      messages: response.messages || [],
+      nextPageToken: response.nextPageToken || null,
+      resultSizeEstimate: response.resultSizeEstimate || 0,
+    };
+  }
+
   /**
    * Get detailed information for multiple messages
    * @param {Array} messageIds - Array of message IDs
    * @param {Function} onProgress - Progress callback
-   * @returns {Promise<Array>} Array of detailed messages
+   * @param {Object} options - Request options ({ format: 'metadata' | 'minimal' | 'parts', signal })
+   *   'parts' returns headers and the MIME part tree without any body data
+   * @returns {Promise<Object>} { messages, failedIds }; messages that could not
+   *   be fetched are listed in failedIds so callers can report or retry them
+   * @throws {DOMException} AbortError when options.signal is aborted
    */
-  async getMessageDetails(messageIds, onProgress = null) {
-    if (!this._checkAuth() || !messageIds.length) return [];
+  async getMessageDetails(messageIds, onProgress = null, options = {}) {
+    if (!messageIds.length) return { messages: [], failedIds: [] };
+    if (!this._checkAuth()) return { messages: [], failedIds: [...messageIds] };
 
     try {
       console.log(`📧 Fetching details for ${messageIds.length} messages...`);
-      const detailedMessages = [];
-      const batchSize = APP_CONFIG.MAX_CONCURRENT_REQUESTS;
-
-      // Process messages in batches
-      for (let i = 0; i < messageIds.length; i += batchSize) {
-        const batch = messageIds.slice(i, i + batchSize);
+      const format = options.format || 'metadata';
+      let requestParams = { format };
+      if (format === 'metadata') {
+        requestParams = {
+          format,
+          metadataHeaders: [
+            'From',
+            'To',
+            'Subject',
+            'Date',
+            'List-Unsubscribe',
+            'List-Unsubscribe-Post',
+          ],
+        };
+      } else if (format === 'parts') {
+        requestParams = { format: 'full', fields: this._getPartsFields() };
+      }
 
-        // Create promises for batch requests
-        const batchPromises = batch.map(async (messageId) => {
-          try {
-            const response = await this._makeAPICall(
-              'gmail.users.messages.get',
-              {
-                userId: 'me',
-                id: messageId,
-                format: 'metadata',
-                metadataHeaders: ['From', 'To', 'Subject', 'Date'],
-              }
+      // Prefer HTTP batch requests; fall back to one call per message
+      const result =
+        typeof gapi.client.newBatch === 'function'
+          ? await this._getMessageDetailsBatched(
+              messageIds,
+              requestParams,
+              onProgress,
+              options.signal
+            )
+          : await this._getMessageDetailsIndividually(
+              messageIds,
+              requestParams,
+              onProgress,
+              options.signal
             );
-            return response;
-          } catch (error) {
-            console.warn(`⚠️ Failed to fetch message ${messageId}:`, error);
-            return null;
-          }
-        });
-
-        // Wait for batch to complete
-        // eslint-disable-next-line no-await-in-loop
-        const batchResults = await Promise.all(batchPromises);
-        const validResults = batchResults.filter((result) => result !== null);
-        detailedMessages.push(...validResults);
-
-        // Update progress
-        if (onProgress) {
-          onProgress({
-            processed: Math.min(i + batchSize, messageIds.length),
-            total: messageIds.length,
-            percentage: Math.round(
-              (Math.min(i + batchSize, messageIds.length) / messageIds.length) *
-                100
-            ),
-          });
-        }
-
-        console.log(
-          `📦 Processed batch ${Math.ceil((i + batchSize) / batchSize)} - ${detailedMessages.length} total messages`
-        );
-
-        // Add delay between batches to respect rate limits
-        if (i + batchSize < messageIds.length) {
-          // eslint-disable-next-line no-await-in-loop
-          await this._delay(this.rateLimitDelay * 2);
-        }
-      }
 
       console.log(
-        `✅ Successfully fetched details for ${detailedMessages.length} messages`
+        `✅ Successfully fetched details for ${result.messages.length} messages`
       );
-      return detailedMessages;
+      if (result.failedIds.length > 0) {
+        console.warn(
+          `⚠️ Could not fetch details for ${result.failedIds.length} messages`
+        );
+      }
+      return result;
     } catch (error) {
+      if (this._isAbortError(error)) throw error;
       console.error('❌ Failed to fetch message details:', error);
       this._handleAPIError(error);
-      return [];
+      return { messages: [], failedIds: [...messageIds] };
     }
   }
 
@@ -188,6 +207,50 @@ class GmailAPI {
     }
   }
 
+  /**
+   * List every mailbox change since a history ID
+   * Errors are thrown; a 404 status means the history ID has expired
+   * @param {string} startHistoryId - History ID of the last sync
+   * @returns {Promise<Object>} History records and the latest history ID
+   */
+  async listHistory(startHistoryId) {
+    if (!this._checkAuth()) {
+      throw new Error(APP_CONFIG.ERROR_MESSAGES.AUTH_FAILED);
+    }
+
+    const history = [];
+    let historyId = startHistoryId;
+    let pageToken = null;
+
+    do {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await this._makeAPICall('gmail.users.history.list', {
+        userId: 'me',
+        startHistoryId,
+        pageToken,
+        maxResults: APP_CONFIG.MAX_LIST_PAGE_SIZE,
+        historyTypes: [
+          'messageAdded',
+          'messageDeleted',
+          'labelAdded',
+          'labelRemoved',
+        ],
+      });
+
+      history.push(...(response.history || []));
+      historyId = response.historyId || historyId;
+      pageToken = response.nextPageToken || null;
+
+      if (pageToken) {
+        // eslint-disable-next-line no-await-in-loop
+        await this._delay(this.rateLimitDelay);
+      }
+    } while (pageToken);
+
+    console.log(`🔄 Found ${history.length} history records`);
+    return { history, historyId };
+  }
+
   /**
    * Get Gmail labels
    * @returns {Promise<Array>} Array of labels
@@ -208,6 +271,192 @@ class GmailAPI {
     }
   }
 
+  /**
+   * Create a user label
+   * Requires cleanup mode (gmail.modify scope)
+   * @param {string} name - Label name ('Parent/Child' nests it)
+   * @returns {Promise<Object|null>} Created label or null on failure
+   */
+  async createLabel(name) {
+    if (!this._checkAuth() || !this._checkModifyAccess()) return null;
+
+    try {
+      const label = await this._makeAPICall('gmail.users.labels.create', {
+        userId: 'me',
+        resource: {
+          name,
+          labelListVisibility: 'labelShow',
+          messageListVisibility: 'show',
+        },
+      });
+
+      console.log(`🏷️ Created label "${name}"`);
+      return label;
+    } catch (error) {
+      console.error('❌ Failed to create label:', error);
+      this._handleAPIError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a Gmail filter using users.settings.filters.create
+   * Requires the gmail.settings.basic scope. Gmail only applies filters to
+   * new mail; existing messages have to be modified separately.
+   * @param {Object} criteria - Filter criteria ({ from, subject, query, ... })
+   * @param {Object} action - Filter action ({ addLabelIds, removeLabelIds })
+   * @returns {Promise<Object|null>} Created filter or null on failure
+   */
+  async createFilter(criteria, action) {
+    if (!this._checkAuth() || !this._checkFilterAccess()) return null;
+
+    try {
+      const filter = await this._makeAPICall(
+        'gmail.users.settings.filters.create',
+        {
+          userId: 'me',
+          resource: { criteria, action },
+        }
+      );
+
+      console.log('🔀 Created Gmail filter:', criteria);
+      return filter;
+    } catch (error) {
+      console.error('❌ Failed to create filter:', error);
+      this._handleAPIError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Move messages to the trash
+   * @param {Array} messageIds - Array of message IDs
+   * @param {Object} options - Options (see batchModifyMessages)
+   * @returns {Promise<Object>} Modification result
+   */
+  async trashMessages(messageIds, options = {}) {
+    return this.batchModifyMessages(
+      messageIds,
+      { addLabelIds: ['TRASH'] },
+      { operation: 'trash', ...options }
+    );
+  }
+
+  /**
+   * Restore messages from the trash
+   * @param {Array} messageIds - Array of message IDs
+   * @param {Object} options - Options (see batchModifyMessages)
+   * @returns {Promise<Object>} Modification result
+   */
+  async untrashMessages(messageIds, options = {}) {
+    return this.batchModifyMessages(
+      messageIds,
+      { removeLabelIds: ['TRASH'] },
+      { operation: 'untrash', ...options }
+    );
+  }
+
+  /**
+   * Archive messages (remove them from the inbox)
+   * @param {Array} messageIds - Array of message IDs
+   * @param {Object} options - Options (see batchModifyMessages)
+   * @returns {Promise<Object>} Modification result
+   */
+  async archiveMessages(messageIds, options = {}) {
+    return this.batchModifyMessages(
+      messageIds,
+      { removeLabelIds: ['INBOX'] },
+      { operation: 'archive', ...options }
+    );
+  }
+
+  /**
+   * Add and remove labels on many messages using users.messages.batchModify
+   * Requires cleanup mode (gmail.modify scope). Successful changes are
+   * recorded in the undo journal unless options.journal is false.
+   * @param {Array} messageIds - Array of message IDs
+   * @param {Object} changes - Label changes ({ addLabelIds, removeLabelIds })
+   * @param {Object} options - Options
+   * @param {Function} options.onProgress - Progress callback
+   * @param {string} options.operation - Operation name for the journal
+   * @param {string} options.description - Journal description
+   * @param {Object} options.labelsBefore - Map of message ID to current label IDs
+   * @param {boolean} options.journal - Set to false to skip journaling
+   * @returns {Promise<Object>} Result with modified count and failed IDs
+   */
+  async batchModifyMessages(messageIds, changes = {}, options = {}) {
+    const result = { modified: 0, failed: [] };
+    if (!this._checkAuth() || !messageIds || !messageIds.length) {
+      return result;
+    }
+
+    if (!this._checkModifyAccess()) {
+      result.failed = [...messageIds];
+      return result;
+    }
+
+    const journaling = options.journal !== false;
+    const labelsBefore =
+      journaling && !options.labelsBefore
+        ? await this._getLabelSnapshot(messageIds)
+        : options.labelsBefore || {};
+
+    const chunkSize = APP_CONFIG.BATCH_MODIFY_LIMIT;
+    console.log(`✏️ Modifying ${messageIds.length} messages...`);
+
+    for (let i = 0; i < messageIds.length; i += chunkSize) {
+      const chunk = messageIds.slice(i, i + chunkSize);
+
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await this._makeAPICall('gmail.users.messages.batchModify', {
+          userId: 'me',
+          resource: {
+            ids: chunk,
+            addLabelIds: changes.addLabelIds || [],
+            removeLabelIds: changes.removeLabelIds || [],
+          },
+        });
+        result.modified += chunk.length;
+      } catch (error) {
+        console.error('❌ Failed to modify message batch:', error);
+        result.failed.push(...chunk);
+        this._handleAPIError(error);
+      }
+
+      const processed = Math.min(i + chunkSize, messageIds.length);
+      if (options.onProgress) {
+        options.onProgress({
+          processed,
+          total: messageIds.length,
+          percentage: Math.round((processed / messageIds.length) * 100),
+        });
+      }
+
+      if (processed < messageIds.length) {
+        // eslint-disable-next-line no-await-in-loop
+        await this._delay(this.rateLimitDelay);
+      }
+    }
+
+    console.log(
+      `✅ Modified ${result.modified} messages (${result.failed.length} failed)`
+    );
+
+    if (journaling && result.modified > 0) {
+      const failedIds = new Set(result.failed);
+      await UndoJournal.record({
+        operation: options.operation || 'modify',
+        description: options.description || '',
+        messageIds: messageIds.filter((id) => !failedIds.has(id)),
+        changes,
+        labelsBefore,
+      });
+    }
+
+    return result;
+  }
+
   // Private methods
 
   /**
@@ -270,6 +519,270 @@ class GmailAPI {
     }
   }
 
+  /**
+   * Fetch message details with one messages.get call per message
+   * @private
+   * @param {Array} messageIds - Array of message IDs
+   * @param {Object} requestParams - messages.get parameters
+   * @param {Function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Stops fetching between batches
+   * @returns {Promise<Object>} { messages, failedIds }
+   */
+  async _getMessageDetailsIndividually(
+    messageIds,
+    requestParams,
+    onProgress,
+    signal
+  ) {
+    const detailedMessages = [];
+    const failedIds = [];
+    const batchSize = APP_CONFIG.MAX_CONCURRENT_REQUESTS;
+
+    // Process messages in batches
+    for (let i = 0; i < messageIds.length; i += batchSize) {
+      signal?.throwIfAborted();
+      const batch = messageIds.slice(i, i + batchSize);
+
+      // Create promises for batch requests
+      const batchPromises = batch.map(async (messageId) => {
+        try {
+          const response = await this._makeAPICall('gmail.users.messages.get', {
+            userId: 'me',
+            id: messageId,
+            ...requestParams,
+          });
+          return response;
+        } catch (error) {
+          console.warn(`⚠️ Failed to fetch message ${messageId}:`, error);
+          return null;
+        }
+      });
+
+      // Wait for batch to complete
+      // eslint-disable-next-line no-await-in-loop
+      const batchResults = await Promise.all(batchPromises);
+      batchResults.forEach((result, index) => {
+        if (result === null) {
+          failedIds.push(batch[index]);
+        } else {
+          detailedMessages.push(result);
+        }
+      });
+
+      // Update progress
+      if (onProgress) {
+        onProgress({
+          processed: Math.min(i + batchSize, messageIds.length),
+          total: messageIds.length,
+          percentage: Math.round(
+            (Math.min(i + batchSize, messageIds.length) / messageIds.length) *
+              100
+          ),
+        });
+      }
+
+      console.log(
+        `📦 Processed batch ${Math.ceil((i + batchSize) / batchSize)} - ${detailedMessages.length} total messages`
+      );
+
+      // Add delay between batches to respect rate limits
+      if (i + batchSize < messageIds.length) {
+        // eslint-disable-next-line no-await-in-loop
+        await this._delay(this.rateLimitDelay * 2, signal);
+      }
+    }
+
+    return { messages: detailedMessages, failedIds };
+  }
+
+  /**
+   * Fetch message details by packing messages.get calls into HTTP batches
+   * Rate-limited and server-failed parts are retried; the batch size
+   * shrinks on quota errors and grows back while requests succeed. A batch
+   * rejected for any other reason stops fetching; the messages fetched so far
+   * are kept and the rest are reported as failed
+   * @private
+   * @param {Array} messageIds - Array of message IDs
+   * @param {Object} requestParams - messages.get parameters
+   * @param {Function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Stops fetching between batches
+   * @returns {Promise<Object>} { messages, failedIds }
+   */
+  async _getMessageDetailsBatched(
+    messageIds,
+    requestParams,
+    onProgress,
+    signal
+  ) {
+    const detailedMessages = [];
+    const failedIds = [];
+    const attempts = new Map();
+    const queue = [...messageIds];
+    let processed = 0;
+    let rateLimitStreak = 0;
+
+    while (queue.length > 0) {
+      signal?.throwIfAborted();
+      const chunk = queue.splice(0, this.batchSize);
+
+      // eslint-disable-next-line no-await-in-loop
+      const batch = await this._executeBatch(chunk, requestParams);
+      const { retryIds, rateLimited } = batch;
+      detailedMessages.push(...batch.messages);
+
+      if (batch.error) {
+        console.error('❌ Message batch failed:', batch.error);
+        this._handleAPIError(batch.error);
+        failedIds.push(...chunk, ...queue);
+        break;
+      }
+      failedIds.push(...batch.failedIds);
+
+      const requeued = retryIds.filter((id) => {
+        const count = (attempts.get(id) || 0) + 1;
+        attempts.set(id, count);
+        if (count > APP_CONFIG.MAX_BATCH_RETRIES) {
+          console.warn(`⚠️ Giving up on message ${id} after ${count} tries`);
+          failedIds.push(id);
+          return false;
+        }
+        return true;
+      });
+      queue.push(...requeued);
+      processed += chunk.length - requeued.length;
+
+      if (onProgress) {
+        onProgress({
+          processed,
+          total: messageIds.length,
+          percentage: Math.round((processed / messageIds.length) * 100),
+        });
+      }
+
+      if (rateLimited) {
+        rateLimitStreak++;
+        this.batchSize = Math.max(
+          APP_CONFIG.MIN_BATCH_REQUEST_SIZE,
+          Math.floor(this.batchSize / 2)
+        );
+        const backoffDelay = 2 ** Math.min(rateLimitStreak, 5) * 1000;
+        console.log(
+          `⏳ Rate limited. Batch size now ${this.batchSize}, retrying in ${backoffDelay}ms...`
+        );
+        // eslint-disable-next-line no-await-in-loop
+        await this._delay(backoffDelay, signal);
+      } else {
+        rateLimitStreak = 0;
+        this.batchSize = Math.min(
+          APP_CONFIG.BATCH_REQUEST_SIZE,
+          this.batchSize + APP_CONFIG.MIN_BATCH_REQUEST_SIZE
+        );
+        if (queue.length > 0) {
+          // eslint-disable-next-line no-await-in-loop
+          await this._delay(this.rateLimitDelay, signal);
+        }
+      }
+    }
+
+    return { messages: detailedMessages, failedIds };
+  }
+
+  /**
+   * Send one HTTP batch of messages.get calls
+   * @private
+   * @param {Array} messageIds - Message IDs in this batch
+   * @param {Object} requestParams - messages.get parameters
+   * @returns {Promise<Object>} Fetched messages, IDs to retry, IDs that failed
+   *   for good, whether quota was hit and the error that rejected the whole
+   *   batch, if any
+   */
+  async _executeBatch(messageIds, requestParams) {
+    const batch = gapi.client.newBatch();
+    messageIds.forEach((id) => {
+      batch.add(
+        gapi.client.gmail.users.messages.get({
+          userId: 'me',
+          id,
+          ...requestParams,
+        }),
+        { id }
+      );
+    });
+
+    let response;
+    try {
+      response = await batch;
+    } catch (error) {
+      // The whole batch was rejected; retry it if the failure is transient
+      if (this._isRateLimitError(error) || error.status >= 500) {
+        return {
+          messages: [],
+          retryIds: messageIds,
+          failedIds: [],
+          rateLimited: this._isRateLimitError(error),
+        };
+      }
+      return { messages: [], retryIds: [], failedIds: [], error };
+    }
+
+    const parts = response.result || {};
+    const result = {
+      messages: [],
+      retryIds: [],
+      failedIds: [],
+      rateLimited: false,
+    };
+
+    messageIds.forEach((id) => {
+      const part = parts[id];
+
+      if (part && part.status >= 200 && part.status < 300) {
+        result.messages.push(part.result);
+      } else if (part && this._isRateLimitError(part)) {
+        result.retryIds.push(id);
+        result.rateLimited = true;
+      } else if (!part || part.status >= 500) {
+        result.retryIds.push(id);
+      } else {
+        console.warn(`⚠️ Failed to fetch message ${id}:`, part.status);
+        result.failedIds.push(id);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Build the partial-response field mask for the 'parts' format
+   * Field masks cannot recurse, so nesting is spelled out a few levels deep
+   * @private
+   * @returns {string} Value for the fields parameter
+   */
+  _getPartsFields() {
+    const partFields = (depth) =>
+      `partId,mimeType,filename,body/size,body/attachmentId${
+        depth > 0 ? `,parts(${partFields(depth - 1)})` : ''
+      }`;
+
+    return `id,threadId,labelIds,sizeEstimate,payload(headers,${partFields(4)})`;
+  }
+
+  /**
+   * Check whether an API error or batch part signals exhausted quota
+   * @private
+   * @param {Object} error - Error or batch response part
+   * @returns {boolean} True for 429 or 403 rate limit responses
+   */
+  _isRateLimitError(error) {
+    if (error.status === 429) return true;
+    if (error.status !== 403) return false;
+
+    const errors = error.result?.error?.errors || [];
+    return errors.some((e) =>
+      ['rateLimitExceeded', 'userRateLimitExceeded'].includes(e.reason)
+    );
+  }
+
   /**
    * Check if user is authenticated
    * @private
@@ -283,6 +796,66 @@ class GmailAPI {
     return true;
   }
 
+  /**
+   * Capture the current label IDs of messages before modifying them
+   * @private
+   * @param {Array} messageIds - Array of message IDs
+   * @returns {Promise<Object>} Map of message ID to label IDs
+   */
+  async _getLabelSnapshot(messageIds) {
+    const { messages } = await this.getMessageDetails(messageIds, null, {
+      format: 'minimal',
+    });
+
+    return messages.reduce((snapshot, message) => {
+      // eslint-disable-next-line no-param-reassign
+      snapshot[message.id] = message.labelIds || [];
+      return snapshot;
+    }, {});
+  }
+
+  /**
+   * Check if modify calls are allowed (cleanup mode enabled)
+   * @private
+   * @returns {boolean} Modify access status
+   */
+  _checkModifyAccess() {
+    if (!gmailAuth.isCleanupModeEnabled()) {
+      console.warn('⚠️ Cleanup mode not enabled for Gmail modify calls');
+      window.dispatchEvent(
+        new CustomEvent('gmailAPIError', {
+          detail: {
+            error: new Error('gmail.modify scope not granted'),
+            message: APP_CONFIG.ERROR_MESSAGES.CLEANUP_MODE_REQUIRED,
+          },
+        })
+      );
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Check if filters can be created (gmail.settings.basic scope granted)
+   * @private
+   * @returns {boolean} Filter access status
+   */
+  _checkFilterAccess() {
+    if (!gmailAuth.canCreateFilters()) {
+      console.warn('⚠️ Filter permission not granted for Gmail settings calls');
+      window.dispatchEvent(
+        new CustomEvent('gmailAPIError', {
+          detail: {
+            error: new Error('gmail.settings.basic scope not granted'),
+            message: APP_CONFIG.ERROR_MESSAGES.FILTER_ACCESS_REQUIRED,
+          },
+        })
+      );
+      return false;
+    }
+    return true;
+  }
+
   /**
    * Handle API errors
    * @private
@@ -308,15 +881,41 @@ class GmailAPI {
     );
   }
 
+  /**
+   * Check whether an error comes from an aborted request
+   * @private
+   * @param {Error} error - The error that occurred
+   * @returns {boolean} True for AbortError
+   */
+  _isAbortError(error) {
+    return Boolean(error && error.name === 'AbortError');
+  }
+
   /**
    * Add delay for rate limiting
    * @private
    * @param {number} ms - Milliseconds to delay
+   * @param {AbortSignal} signal - Rejects the delay early when aborted
    * @returns {Promise} Delay promise
    */
-  _delay(ms) {
-    return new Promise((resolve) => {
-      setTimeout(resolve, ms);
+  _delay(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      let onAbort = null;
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
     });
   }
 }
@@ -133,6 +133,10 @@ class GmailPurgeApp {
         this.handleAuthStateChange(false);
       });
 
+      window.addEventListener('gmailCleanupModeChange', (event) => {
+        this.updateCleanupModeBadge(event.detail.enabled);
+      });
+
       console.log(
         'Authentication initialized. Authenticated:',
         this.appState.isAuthenticated
@@ -332,10 +336,36 @@ class GmailPurgeApp {
 
     // Show user info if available
     this.displayUserInfo();
+
+    // Offer to resume an interrupted analysis, otherwise bring back the
+    // analysis saved before the last reload
+    if (this.components.dashboard) {
+      const dashboardUI = this.components.dashboard;
+      dashboardUI.offerToResumeAnalysis()
+        .catch((error) => {
+          console.error('❌ Failed to check for an interrupted analysis:', error);
+          return false;
+        })
+        .then((resumed) => {
+          if (!resumed) dashboardUI.restoreSavedAnalysis();
+        });
+    }
     
     console.log('📱 UI update for authenticated user complete');
   }
 
+  /**
+   * Reflect cleanup mode in the header badge
+   * @param {boolean} enabled - Whether cleanup mode is enabled
+   */
+  updateCleanupModeBadge(enabled) {
+    const badge = document.querySelector('.read-only-badge');
+    if (badge) {
+      badge.textContent = enabled ? 'CLEANUP MODE' : 'READ-ONLY';
+      badge.classList.toggle('cleanup-mode', enabled);
+    }
+  }
+
   /**
    * Update UI for unauthenticated user
    */
@@ -370,6 +400,9 @@ class GmailPurgeApp {
       analyzeBtn.disabled = true;
     }
 
+    // Cleanup mode ends with the session
+    this.updateCleanupModeBadge(false);
+
     // Clear sensitive data
     this.clearSensitiveData();
   }
@@ -464,6 +497,14 @@ class GmailPurgeApp {
     // Clear from components
     if (this.components.dashboard) {
       this.components.dashboard.currentAnalysis = null;
+      this.components.dashboard.currentEmails = [];
+      if (this.components.dashboard.analysisJob) {
+        this.components.dashboard.analysisJob.cancel();
+      }
+      this.components.dashboard.cancelAttachmentScan();
+      this.components.dashboard.attachments = null;
+      this.components.dashboard.emailAnalyzer.reset();
+      this.components.dashboard.updateExportButton();
     }
 
     if (this.components.emailList) {
@@ -472,7 +513,13 @@ class GmailPurgeApp {
     }
 
     // Clear cached data
-    StorageHelper.clearCache();
+    Promise.all([
+      StorageHelper.clearCache(),
+      MailboxSync.clear(),
+      AnalysisJob.discard(),
+    ]).catch((error) => {
+      console.error('❌ Failed to clear cached data:', error);
+    });
 
     console.log('Sensitive data cleared');
   }
@@ -10,6 +10,8 @@ class GmailAuth {
     this.currentUser = null;
     this.accessToken = null;
     this.tokenClient = null;
+    this.cleanupModeEnabled = false;
+    this.filterAccessGranted = false;
   }
 
   /**
@@ -107,6 +109,8 @@ class GmailAuth {
       this.accessToken = null;
       this.isSignedIn = false;
       this.currentUser = null;
+      this.cleanupModeEnabled = false;
+      this.filterAccessGranted = false;
       this._onSignOut();
 
       console.log('✅ User signed out successfully');
@@ -117,6 +121,121 @@ class GmailAuth {
     }
   }
 
+  /**
+   * Enable cleanup mode by requesting the gmail.modify scope
+   * The scope is requested incrementally so the read-only grant is kept
+   * @param {Object} options - Options
+   * @param {boolean} options.filters - Also request gmail.settings.basic so
+   *   Gmail filters can be created
+   * @returns {Promise<boolean>} Success status
+   */
+  async enableCleanupMode({ filters = false } = {}) {
+    try {
+      if (!this.tokenClient) {
+        throw new Error('Google Identity Services not initialized');
+      }
+
+      if (this.cleanupModeEnabled && (!filters || this.filterAccessGranted)) {
+        return true;
+      }
+
+      const scopes = [...APP_CONFIG.GMAIL_SCOPES, APP_CONFIG.GMAIL_MODIFY_SCOPE];
+      if (filters) {
+        scopes.push(APP_CONFIG.GMAIL_SETTINGS_SCOPE);
+      }
+
+      await new Promise((resolve, reject) => {
+        this.tokenClient.callback = (response) => {
+          if (response.error) {
+            reject(
+              new Error(`Cleanup mode authorization failed: ${response.error}`)
+            );
+            return;
+          }
+
+          if (
+            !google.accounts.oauth2.hasGrantedAllScopes(
+              response,
+              APP_CONFIG.GMAIL_MODIFY_SCOPE
+            )
+          ) {
+            reject(
+              new Error(
+                'Modify permission was not granted. Cleanup mode remains disabled.'
+              )
+            );
+            return;
+          }
+
+          const filterAccessGranted =
+            google.accounts.oauth2.hasGrantedAllScopes(
+              response,
+              APP_CONFIG.GMAIL_SETTINGS_SCOPE
+            );
+          if (filters && !filterAccessGranted) {
+            reject(
+              new Error(
+                'Filter permission was not granted. Filters cannot be created.'
+              )
+            );
+            return;
+          }
+
+          this.accessToken = response.access_token;
+          this.isSignedIn = true;
+          this.cleanupModeEnabled = true;
+          this.filterAccessGranted = filterAccessGranted;
+          gapi.client.setToken({ access_token: this.accessToken });
+          resolve();
+        };
+
+        this.tokenClient.requestAccessToken({
+          prompt: 'consent',
+          scope: scopes.join(' '),
+          include_granted_scopes: true,
+          hint: localStorage.getItem('gmail_user_hint') || undefined,
+        });
+      });
+
+      console.log('🧹 Cleanup mode enabled');
+      this._onCleanupModeChange();
+      return true;
+    } catch (error) {
+      console.error('❌ Enabling cleanup mode failed:', error);
+      this._handleAuthError(error);
+      return false;
+    }
+  }
+
+  /**
+   * Disable cleanup mode
+   * The granted token is kept, but modify calls are blocked again
+   */
+  disableCleanupMode() {
+    if (!this.cleanupModeEnabled) return;
+
+    this.cleanupModeEnabled = false;
+    console.log('🔒 Cleanup mode disabled');
+    this._onCleanupModeChange();
+  }
+
+  /**
+   * Check if cleanup mode (gmail.modify scope) is active
+   * @returns {boolean} Cleanup mode status
+   */
+  isCleanupModeEnabled() {
+    return this.isSignedIn && this.cleanupModeEnabled;
+  }
+
+  /**
+   * Check if Gmail filters can be created (cleanup mode plus the
+   * gmail.settings.basic scope)
+   * @returns {boolean} Filter access status
+   */
+  canCreateFilters() {
+    return this.isCleanupModeEnabled() && this.filterAccessGranted;
+  }
+
   /**
    * Get current user information from Gmail API
    * @returns {Object|null} User information
@@ -302,12 +421,26 @@ class GmailAuth {
     gapi.client.setToken(null);
 
     // Clear any cached data
-    StorageHelper.clearCache();
+    StorageHelper.clearCache().catch((error) => {
+      console.error('❌ Failed to clear cached data:', error);
+    });
 
     // Dispatch custom event
     window.dispatchEvent(new CustomEvent('gmailAuthSignOut'));
   }
 
+  /**
+   * Handle cleanup mode changes
+   * @private
+   */
+  _onCleanupModeChange() {
+    window.dispatchEvent(
+      new CustomEvent('gmailCleanupModeChange', {
+        detail: { enabled: this.cleanupModeEnabled },
+      })
+    );
+  }
+
   /**
    * Handle authentication errors
    * @private
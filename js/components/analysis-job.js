@@ -0,0 +1,200 @@
+/**
+ * Analysis Job Component
+ * Runs an AnalysisPipeline that can be cancelled at any point and resumed
+ * after a reload from checkpoints kept in IndexedDB
+ */
+
+class AnalysisJob {
+  /**
+   * @param {Object} options - Job options
+   * @param {string} options.query - Gmail search query
+   * @param {number} options.maxMessages - Stop after this many messages (0 = no limit)
+   * @param {Array<string>} options.analyses - Optional report sections, kept
+   *   with the checkpoint so a resumed job builds the same report
+   * @param {EmailAnalyzer} options.analyzer - Analyzer fed with each page
+   * @param {string} options.historyId - Mailbox history ID when the job began
+   * @param {Function} options.onProgress - Called after each page
+   * @param {Function} options.onUpdate - Called with intermediate reports
+   */
+  constructor({
+    query = '',
+    maxMessages = 0,
+    analyses = null,
+    analyzer = new EmailAnalyzer(),
+    historyId = null,
+    onProgress = null,
+    onUpdate = null,
+  } = {}) {
+    this.query = query;
+    this.analyses = analyses;
+    this.analyzer = analyzer;
+    this.historyId = historyId;
+    this.startedAt = null;
+    this.controller = new AbortController();
+
+    this.pipeline = new AnalysisPipeline({
+      query,
+      maxMessages,
+      analyzer,
+      onProgress,
+      onUpdate,
+      signal: this.controller.signal,
+      onCheckpoint: (checkpoint, emails) =>
+        this._saveCheckpoint(checkpoint, emails),
+    });
+  }
+
+  /**
+   * Current pipeline state
+   * @returns {string} idle, running, paused, stopped, cancelled, done or failed
+   */
+  get state() {
+    return this.pipeline.state;
+  }
+
+  /**
+   * Number of messages analyzed so far
+   * @returns {number} Processed message count
+   */
+  get processedCount() {
+    return this.pipeline.processedCount;
+  }
+
+  /**
+   * Messages that could not be loaded, even after a retry
+   * @returns {Array<string>} Message IDs missing from the report
+   */
+  get failedIds() {
+    return this.pipeline.failedIds;
+  }
+
+  /**
+   * Run the job from the first page, discarding any older checkpoint
+   * @returns {Promise<Object>} Final analysis report
+   */
+  async start() {
+    await AnalysisJob.discard();
+    this.startedAt = Date.now();
+    return this._run(null);
+  }
+
+  /**
+   * Continue an interrupted job from its checkpoint
+   * @param {Object} checkpoint - Result of AnalysisJob.getCheckpoint()
+   * @returns {Promise<Object>} Final analysis report
+   */
+  async resumeFrom(checkpoint) {
+    this.startedAt = checkpoint.startedAt;
+    this.historyId = checkpoint.historyId;
+
+    const emails = await StorageHelper.getAllRecords(
+      APP_CONFIG.INDEXED_DB.STORES.JOB_MESSAGES
+    );
+    this.analyzer.reset();
+    this.analyzer.addEmails(emails);
+
+    return this._run(checkpoint);
+  }
+
+  /**
+   * Pause after the page currently being processed
+   */
+  pause() {
+    this.pipeline.pause();
+  }
+
+  /**
+   * Continue a paused job
+   */
+  resume() {
+    this.pipeline.resume();
+  }
+
+  /**
+   * Finish early with the emails analyzed so far
+   */
+  stop() {
+    this.pipeline.stop();
+  }
+
+  /**
+   * Abort in-flight requests and forget the job
+   */
+  cancel() {
+    this.controller.abort();
+  }
+
+  /**
+   * Check whether the job is running or paused
+   * @returns {boolean} True while streaming has not finished
+   */
+  isActive() {
+    return this.pipeline.isActive();
+  }
+
+  /**
+   * Get the checkpoint of an interrupted job
+   * @returns {Promise<Object|null>} Checkpoint or null if there is none
+   */
+  static async getCheckpoint() {
+    return StorageHelper.getRecord(
+      APP_CONFIG.INDEXED_DB.STORES.ANALYSIS_JOBS,
+      'current'
+    );
+  }
+
+  /**
+   * Forget the interrupted job and the emails it had analyzed
+   * @returns {Promise<void>}
+   */
+  static async discard() {
+    const { STORES } = APP_CONFIG.INDEXED_DB;
+    await StorageHelper.clearStore(STORES.ANALYSIS_JOBS);
+    await StorageHelper.clearStore(STORES.JOB_MESSAGES);
+  }
+
+  // Private methods
+
+  /**
+   * Run the pipeline and drop the checkpoint once the job has ended for good
+   * Failed jobs keep theirs so they can be resumed
+   * @private
+   */
+  async _run(checkpoint) {
+    try {
+      const report = await this.pipeline.start(checkpoint);
+      await AnalysisJob.discard();
+      return report;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        await AnalysisJob.discard();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Persist pipeline progress and the emails analyzed since the last save
+   * @private
+   */
+  async _saveCheckpoint(checkpoint, emails) {
+    const { STORES } = APP_CONFIG.INDEXED_DB;
+
+    if (emails.length > 0) {
+      await StorageHelper.putRecords(STORES.JOB_MESSAGES, emails);
+    }
+    await StorageHelper.putRecord(STORES.ANALYSIS_JOBS, {
+      ...checkpoint,
+      id: 'current',
+      analyses: this.analyses,
+      historyId: this.historyId,
+      startedAt: this.startedAt,
+      updatedAt: Date.now(),
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnalysisJob;
+}
@@ -0,0 +1,303 @@
+/**
+ * Analysis Pipeline Component
+ * Streams the whole mailbox page by page into an EmailAnalyzer
+ */
+
+class AnalysisPipeline {
+  /**
+   * @param {Object} options - Pipeline options
+   * @param {string} options.query - Gmail search query
+   * @param {EmailAnalyzer} options.analyzer - Analyzer fed with each page
+   * @param {number} options.pageSize - Messages per list page
+   * @param {number} options.maxMessages - Stop after this many messages (0 = no limit)
+   * @param {number} options.updateInterval - Minimum ms between live reports
+   * @param {Function} options.onProgress - Called after each page ({ processed, total, percentage })
+   * @param {Function} options.onUpdate - Called with intermediate reports
+   * @param {Function} options.onCheckpoint - Awaited with (checkpoint, emails)
+   *   once a page is listed and again once its emails are analyzed
+   * @param {AbortSignal} options.signal - Aborts requests and rejects start()
+   */
+  constructor({
+    query = '',
+    analyzer = new EmailAnalyzer(),
+    pageSize = APP_CONFIG.MAX_LIST_PAGE_SIZE,
+    maxMessages = 0,
+    updateInterval = APP_CONFIG.STREAM_UPDATE_INTERVAL,
+    onProgress = null,
+    onUpdate = null,
+    onCheckpoint = null,
+    signal = null,
+  } = {}) {
+    this.query = query;
+    this.analyzer = analyzer;
+    this.pageSize = pageSize;
+    this.maxMessages = maxMessages;
+    this.updateInterval = updateInterval;
+    this.onProgress = onProgress;
+    this.onUpdate = onUpdate;
+    this.onCheckpoint = onCheckpoint;
+    this.signal = signal;
+
+    this.state = 'idle';
+    this.pageToken = null;
+    this.processedCount = 0;
+    this.estimatedTotal = 0;
+    this.failedIds = [];
+    this.resumeWaiter = null;
+  }
+
+  /**
+   * Stream every matching message through the analyzer
+   * @param {Object} checkpoint - Resume from a saved checkpoint instead of the
+   *   first page; the analyzer must already hold the emails analyzed before it
+   * @returns {Promise<Object>} Final analysis report
+   * @throws {DOMException} AbortError when the signal is aborted
+   */
+  async start(checkpoint = null) {
+    if (this.state === 'running' || this.state === 'paused') {
+      throw new Error('Analysis already in progress');
+    }
+
+    if (checkpoint) {
+      this.pageToken = checkpoint.pageToken;
+      this.maxMessages = checkpoint.maxMessages || 0;
+      this.processedCount = checkpoint.processedCount;
+      this.estimatedTotal = checkpoint.estimatedTotal;
+      this.failedIds = checkpoint.failedIds || [];
+    } else {
+      this.analyzer.reset();
+      this.pageToken = null;
+      this.processedCount = 0;
+      this.estimatedTotal = 0;
+      this.failedIds = [];
+    }
+    this.state = 'running';
+
+    const onAbort = () => this._releaseWaiter();
+    this.signal?.addEventListener('abort', onAbort);
+
+    let lastUpdate = Date.now();
+
+    try {
+      let hasMore = true;
+      if (checkpoint) {
+        // A page listed before the interruption still needs its details
+        if (checkpoint.pendingIds.length > 0) {
+          await this._processMessages(checkpoint.pendingIds);
+        }
+        hasMore = Boolean(this.pageToken);
+      }
+
+      while (hasMore) {
+        // eslint-disable-next-line no-await-in-loop
+        await this._waitWhilePaused();
+        this.signal?.throwIfAborted();
+        if (this.state === 'stopped') break;
+
+        // eslint-disable-next-line no-await-in-loop
+        await this._processNextPage();
+        hasMore = Boolean(this.pageToken);
+
+        if (
+          this.onUpdate &&
+          this.pageToken &&
+          Date.now() - lastUpdate >= this.updateInterval
+        ) {
+          // eslint-disable-next-line no-await-in-loop
+          this.onUpdate(await this.analyzer.getReport({ signal: this.signal }));
+          lastUpdate = Date.now();
+        }
+      }
+
+      // Give messages that failed to load one more try at the end
+      if (this.state !== 'stopped' && this.failedIds.length > 0) {
+        const retryIds = this.failedIds;
+        this.failedIds = [];
+        await this._processMessages(retryIds);
+      }
+    } catch (error) {
+      this.state = error.name === 'AbortError' ? 'cancelled' : 'failed';
+      throw error;
+    } finally {
+      this.signal?.removeEventListener('abort', onAbort);
+    }
+
+    if (this.state !== 'stopped') {
+      this.state = 'done';
+    }
+
+    const report = await this.analyzer.getReport();
+    if (this.onUpdate) {
+      this.onUpdate(report);
+    }
+    return report;
+  }
+
+  /**
+   * Pause after the page currently being processed
+   */
+  pause() {
+    if (this.state === 'running') {
+      this.state = 'paused';
+    }
+  }
+
+  /**
+   * Continue a paused analysis
+   */
+  resume() {
+    if (this.state === 'paused') {
+      this.state = 'running';
+      this._releaseWaiter();
+    }
+  }
+
+  /**
+   * Stop streaming and finish with the emails analyzed so far
+   */
+  stop() {
+    if (this.state === 'running' || this.state === 'paused') {
+      this.state = 'stopped';
+      this._releaseWaiter();
+    }
+  }
+
+  /**
+   * Check whether the pipeline is running or paused
+   * @returns {boolean} True while streaming has not finished
+   */
+  isActive() {
+    return this.state === 'running' || this.state === 'paused';
+  }
+
+  // Private methods
+
+  /**
+   * List the next page of messages and analyze it
+   * @private
+   */
+  async _processNextPage() {
+    const page = await gmailAPI.listMessagesPage({
+      query: this.query,
+      pageSize: this.pageSize,
+      pageToken: this.pageToken,
+      signal: this.signal,
+    });
+    let messageIds = page.messages.map((m) => m.id);
+    this.pageToken = page.nextPageToken;
+
+    // Listing in newest-first order, so a limit keeps the most recent mail.
+    // Failed messages still count towards it, as they are retried at the end
+    if (this.maxMessages) {
+      const listedCount = this.processedCount + this.failedIds.length;
+      messageIds = messageIds.slice(0, this.maxMessages - listedCount);
+      if (listedCount + messageIds.length >= this.maxMessages) {
+        this.pageToken = null;
+      }
+    }
+
+    // The estimate is rough, so never let it fall below what we have seen
+    this.estimatedTotal = Math.max(
+      this.estimatedTotal,
+      page.resultSizeEstimate,
+      this.processedCount + messageIds.length
+    );
+    if (this.maxMessages) {
+      this.estimatedTotal = Math.min(this.estimatedTotal, this.maxMessages);
+    }
+
+    await this._saveCheckpoint(messageIds, []);
+    await this._processMessages(messageIds);
+  }
+
+  /**
+   * Fetch, parse and analyze one page worth of messages
+   * Messages that fail to load are not counted as processed; they are kept
+   * in failedIds instead
+   * @private
+   * @param {Array<string>} messageIds - Message IDs from the page
+   */
+  async _processMessages(messageIds) {
+    let emails = [];
+    let failedCount = 0;
+    if (messageIds.length > 0) {
+      const { messages, failedIds } = await gmailAPI.getMessageDetails(
+        messageIds,
+        null,
+        { signal: this.signal }
+      );
+      emails = EmailParser.parseMessages(messages);
+      this.analyzer.addEmails(emails);
+      this.failedIds.push(...failedIds);
+      failedCount = failedIds.length;
+    }
+
+    this.processedCount += messageIds.length - failedCount;
+    await this._saveCheckpoint([], emails);
+
+    if (this.onProgress) {
+      this.onProgress({
+        processed: this.processedCount,
+        total: this.estimatedTotal,
+        percentage: this.pageToken
+          ? Math.min(
+              99,
+              Math.round((this.processedCount / this.estimatedTotal) * 100)
+            )
+          : 100,
+      });
+    }
+  }
+
+  /**
+   * Report how far the pipeline has got
+   * pageToken is the next page to list; null means no pages are left
+   * @private
+   * @param {Array<string>} pendingIds - Listed IDs not analyzed yet
+   * @param {Array} emails - Emails analyzed since the last checkpoint
+   */
+  async _saveCheckpoint(pendingIds, emails) {
+    if (!this.onCheckpoint) return;
+
+    await this.onCheckpoint(
+      {
+        query: this.query,
+        maxMessages: this.maxMessages,
+        pageToken: this.pageToken,
+        pendingIds,
+        failedIds: this.failedIds,
+        processedCount: this.processedCount,
+        estimatedTotal: this.estimatedTotal,
+      },
+      emails
+    );
+  }
+
+  /**
+   * Resolve once the pipeline is no longer paused
+   * @private
+   */
+  _waitWhilePaused() {
+    if (this.state !== 'paused') return Promise.resolve();
+
+    return new Promise((resolve) => {
+      this.resumeWaiter = resolve;
+    });
+  }
+
+  /**
+   * Wake up a paused pipeline
+   * @private
+   */
+  _releaseWaiter() {
+    if (this.resumeWaiter) {
+      this.resumeWaiter();
+      this.resumeWaiter = null;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnalysisPipeline;
+}
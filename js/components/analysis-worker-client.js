@@ -0,0 +1,214 @@
+/**
+ * Analysis Worker Client
+ * Runs report generation in js/workers/analysis-worker.js, falling back to
+ * the main thread where workers are unavailable (e.g. pages opened via file://)
+ */
+
+class AnalysisWorkerClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.workerUrl - Worker script URL
+   */
+  constructor({ workerUrl = APP_CONFIG.ANALYSIS_WORKER_URL } = {}) {
+    this.workerUrl = workerUrl;
+    this.worker = null;
+    this.workerFailed = false;
+    this.currentJob = null;
+    this.jobCounter = 0;
+  }
+
+  /**
+   * Build a report for a set of emails
+   * Starting a new report cancels the one still in progress
+   * @param {Array} emails - Parsed email objects
+   * @param {Object} options - Options
+   * @param {Function} options.onProgress - Called with ({ stage, percentage })
+   * @param {Function} options.onPartial - Called with (section, data) as sections finish
+   * @param {AbortSignal} options.signal - Cancels the report when aborted
+   * @param {Array<string>} options.sections - Optional sections to run
+   * @param {Array} options.labels - Labels used to name label IDs
+   * @param {Array} options.aliasGroups - Alias groups used for organizations
+   * @returns {Promise<Object>} Analysis report
+   */
+  generateReport(emails, options = {}) {
+    this.cancel();
+
+    const worker = this._getWorker();
+    if (!worker) {
+      return this._generateOnMainThread(emails, options);
+    }
+
+    this.jobCounter += 1;
+    const jobId = `job-${this.jobCounter}`;
+
+    return new Promise((resolve, reject) => {
+      if (options.signal?.aborted) {
+        reject(this._createAbortError());
+        return;
+      }
+
+      this.currentJob = { jobId, emails, options, resolve, reject };
+      worker.postMessage({
+        type: 'start',
+        jobId,
+        emails,
+        sections: options.sections || null,
+        labels: options.labels || [],
+        aliasGroups: options.aliasGroups || [],
+      });
+
+      options.signal?.addEventListener(
+        'abort',
+        () => {
+          if (this.currentJob && this.currentJob.jobId === jobId) {
+            this.cancel();
+          }
+        },
+        { once: true }
+      );
+    });
+  }
+
+  /**
+   * Cancel the report in progress, rejecting its promise with an AbortError
+   */
+  cancel() {
+    if (!this.currentJob) return;
+
+    const job = this.currentJob;
+    this.currentJob = null;
+
+    if (this.worker) {
+      this.worker.postMessage({ type: 'cancel', jobId: job.jobId });
+    }
+    job.reject(this._createAbortError());
+  }
+
+  /**
+   * Stop the worker thread
+   */
+  terminate() {
+    this.cancel();
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  // Private methods
+
+  /**
+   * Create the worker on first use
+   * @private
+   * @returns {Worker|null} Worker, or null to use the main thread
+   */
+  _getWorker() {
+    if (this.worker || this.workerFailed) return this.worker;
+
+    if (typeof Worker === 'undefined') {
+      this.workerFailed = true;
+      return null;
+    }
+
+    try {
+      this.worker = new Worker(this.workerUrl);
+      this.worker.onmessage = (event) => this._handleMessage(event.data);
+      this.worker.onerror = (event) => this._handleWorkerError(event);
+    } catch (error) {
+      console.warn('⚠️ Analysis worker unavailable, using main thread:', error);
+      this.workerFailed = true;
+      this.worker = null;
+    }
+
+    return this.worker;
+  }
+
+  /**
+   * Route a worker message to the job it belongs to
+   * @private
+   */
+  _handleMessage(message) {
+    const job = this.currentJob;
+    if (!job || message.jobId !== job.jobId) return;
+
+    switch (message.type) {
+      case 'progress':
+        if (job.options.onProgress) {
+          job.options.onProgress({
+            stage: message.stage,
+            percentage: message.percentage,
+          });
+        }
+        break;
+      case 'partial':
+        if (job.options.onPartial) {
+          job.options.onPartial(message.section, message.data);
+        }
+        break;
+      case 'result':
+        this.currentJob = null;
+        job.resolve(message.report);
+        break;
+      case 'cancelled':
+        this.currentJob = null;
+        job.reject(this._createAbortError());
+        break;
+      case 'error':
+        this.currentJob = null;
+        job.reject(new Error(message.message));
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Fall back to the main thread when the worker script fails to load or crashes
+   * @private
+   */
+  _handleWorkerError(event) {
+    console.warn(
+      '⚠️ Analysis worker failed, using main thread:',
+      event.message || event
+    );
+    if (event.preventDefault) event.preventDefault();
+
+    this.worker.terminate();
+    this.worker = null;
+    this.workerFailed = true;
+
+    const job = this.currentJob;
+    this.currentJob = null;
+    if (job) {
+      this._generateOnMainThread(job.emails, job.options).then(
+        job.resolve,
+        job.reject
+      );
+    }
+  }
+
+  /**
+   * Build the report without a worker
+   * @private
+   */
+  _generateOnMainThread(emails, options) {
+    const analyzer = new EmailAnalyzer();
+    analyzer.emails = emails;
+    return analyzer.getReport(options);
+  }
+
+  /**
+   * Create the error that cancelled reports reject with
+   * @private
+   */
+  _createAbortError() {
+    const error = new Error('Report generation cancelled');
+    error.name = 'AbortError';
+    return error;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnalysisWorkerClient;
+}
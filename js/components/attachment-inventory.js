@@ -0,0 +1,259 @@
+/**
+ * Attachment Inventory Component
+ * Scans messages with attachments and records every attached file, so the
+ * few messages holding most of the storage can be found and cleaned up
+ *
+ * Only MIME part headers are fetched; attachment contents never leave Gmail.
+ */
+
+class AttachmentInventory {
+  /**
+   * @param {Object} options - Scan options
+   * @param {string} options.query - Extra Gmail search terms (e.g. 'larger:5M')
+   * @param {Function} options.onProgress - Called after each page
+   * @param {AbortSignal} options.signal - Cancels the scan when aborted
+   */
+  constructor({ query = '', onProgress = null, signal = null } = {}) {
+    this.query = query;
+    this.onProgress = onProgress;
+    this.signal = signal;
+    // IDs of messages the last scan could not read
+    this.failedIds = [];
+  }
+
+  /**
+   * Describe the attachment types files are grouped into
+   * @returns {Array<Object>} Types ({ id, label, color })
+   */
+  static getTypes() {
+    return [
+      { id: 'pdf', label: 'PDF', color: '#d93025' },
+      { id: 'image', label: 'Images', color: '#1e8e3e' },
+      { id: 'video', label: 'Video', color: '#9c27b0' },
+      { id: 'audio', label: 'Audio', color: '#ff6d01' },
+      { id: 'archive', label: 'Archives', color: '#f9ab00' },
+      { id: 'document', label: 'Documents', color: '#1a73e8' },
+      { id: 'other', label: 'Other', color: '#5f6368' },
+    ];
+  }
+
+  /**
+   * Classify a file by MIME type, falling back to its extension
+   * Mail clients often send everything as application/octet-stream
+   * @param {string} mimeType - MIME type
+   * @param {string} filename - File name
+   * @returns {string} Type ID from getTypes()
+   */
+  static classify(mimeType = '', filename = '') {
+    const type = mimeType.toLowerCase();
+    const extension = (filename.match(/\.([a-z0-9]+)$/i) || [])[1] || '';
+    const ext = extension.toLowerCase();
+
+    if (type === 'application/pdf' || ext === 'pdf') return 'pdf';
+    if (
+      type.startsWith('image/') ||
+      [
+        'jpg',
+        'jpeg',
+        'png',
+        'gif',
+        'heic',
+        'webp',
+        'bmp',
+        'tif',
+        'tiff',
+      ].includes(ext)
+    ) {
+      return 'image';
+    }
+    if (
+      type.startsWith('video/') ||
+      ['mp4', 'mov', 'avi', 'mkv', 'wmv', 'm4v', 'webm'].includes(ext)
+    ) {
+      return 'video';
+    }
+    if (
+      type.startsWith('audio/') ||
+      ['mp3', 'wav', 'm4a', 'aac', 'flac', 'ogg'].includes(ext)
+    ) {
+      return 'audio';
+    }
+    if (
+      /zip|x-rar|x-7z|x-tar|gzip|x-bzip/.test(type) ||
+      ['zip', 'rar', '7z', 'tar', 'gz', 'tgz', 'bz2'].includes(ext)
+    ) {
+      return 'archive';
+    }
+    if (
+      type.startsWith('text/') ||
+      /msword|officedocument|ms-excel|ms-powerpoint|opendocument|rtf/.test(
+        type
+      ) ||
+      [
+        'doc',
+        'docx',
+        'xls',
+        'xlsx',
+        'ppt',
+        'pptx',
+        'odt',
+        'ods',
+        'txt',
+        'csv',
+        'rtf',
+      ].includes(ext)
+    ) {
+      return 'document';
+    }
+    return 'other';
+  }
+
+  /**
+   * Build inventory records for a message fetched with format 'parts'
+   * @param {Object} message - Raw Gmail API message
+   * @returns {Array<Object>} Attachment records
+   */
+  static fromMessage(message) {
+    const email = EmailParser.parseMessage(message);
+    if (!email) return [];
+
+    return EmailParser.parseAttachments(message).map((attachment, index) => ({
+      id: `${message.id}:${attachment.partId || index}`,
+      messageId: message.id,
+      threadId: message.threadId,
+      filename: attachment.filename,
+      mimeType: attachment.mimeType,
+      type: this.classify(attachment.mimeType, attachment.filename),
+      size: attachment.size,
+      senderEmail: email.senderEmail,
+      senderName: email.senderName,
+      subject: email.subject,
+      date: email.date,
+      timestamp: email.timestamp,
+      messageSize: email.sizeEstimate,
+    }));
+  }
+
+  /**
+   * Load the last saved inventory
+   * @returns {Promise<Array>} Attachment records
+   */
+  static async load() {
+    return StorageHelper.getAllRecords(
+      APP_CONFIG.INDEXED_DB.STORES.ATTACHMENTS
+    );
+  }
+
+  /**
+   * Summarize an inventory by type, duplicates and size
+   * Files count as duplicates when they share a name and size
+   * @param {Array} attachments - Attachment records
+   * @returns {Object} Summary ({ count, totalSize, messageCount, byType, duplicates, largest })
+   */
+  static summarize(attachments) {
+    const byType = this.getTypes().map((type) => ({
+      ...type,
+      count: 0,
+      totalSize: 0,
+    }));
+    const copies = new Map();
+
+    attachments.forEach((attachment) => {
+      const group = byType.find((type) => type.id === attachment.type);
+      group.count++;
+      group.totalSize += attachment.size;
+
+      const key = `${attachment.filename.toLowerCase()}|${attachment.size}`;
+      if (!copies.has(key)) copies.set(key, []);
+      copies.get(key).push(attachment);
+    });
+
+    const duplicates = Array.from(copies.values())
+      .filter((group) => group.length > 1)
+      .map((group) => ({
+        filename: group[0].filename,
+        size: group[0].size,
+        type: group[0].type,
+        count: group.length,
+        // Every copy after the first is storage that could be freed
+        wastedSize: group[0].size * (group.length - 1),
+        messageIds: [...new Set(group.map((a) => a.messageId))],
+        senders: [...new Set(group.map((a) => a.senderEmail))],
+      }))
+      .sort((a, b) => b.wastedSize - a.wastedSize);
+
+    return {
+      count: attachments.length,
+      totalSize: attachments.reduce((sum, a) => sum + a.size, 0),
+      messageCount: new Set(attachments.map((a) => a.messageId)).size,
+      byType: byType.sort((a, b) => b.totalSize - a.totalSize),
+      duplicates,
+      largest: attachments.slice().sort((a, b) => b.size - a.size),
+    };
+  }
+
+  /**
+   * Scan every message with attachments and replace the saved inventory
+   * @returns {Promise<Array>} Attachment records
+   * @throws {DOMException} AbortError when the signal is aborted
+   */
+  async scan() {
+    const store = APP_CONFIG.INDEXED_DB.STORES.ATTACHMENTS;
+    const query = `has:attachment ${this.query}`.trim();
+    const attachments = [];
+    let pageToken = null;
+    let scanned = 0;
+    let estimatedTotal = 0;
+
+    await StorageHelper.clearStore(store);
+
+    do {
+      // eslint-disable-next-line no-await-in-loop
+      const page = await gmailAPI.listMessagesPage({
+        query,
+        pageToken,
+        signal: this.signal,
+      });
+      estimatedTotal = Math.max(estimatedTotal, page.resultSizeEstimate);
+
+      const ids = page.messages.map((message) => message.id);
+      // eslint-disable-next-line no-await-in-loop
+      const { messages, failedIds } = await gmailAPI.getMessageDetails(
+        ids,
+        null,
+        { format: 'parts', signal: this.signal }
+      );
+      this.failedIds.push(...failedIds);
+      const records = messages.flatMap((message) =>
+        AttachmentInventory.fromMessage(message)
+      );
+
+      // eslint-disable-next-line no-await-in-loop
+      await StorageHelper.putRecords(store, records);
+      records.forEach((record) => attachments.push(record));
+
+      scanned += ids.length;
+      pageToken = page.nextPageToken;
+
+      if (this.onProgress) {
+        const total = Math.max(estimatedTotal, scanned);
+        this.onProgress({
+          scanned,
+          total,
+          percentage: pageToken ? Math.round((scanned / total) * 100) : 100,
+          attachmentCount: attachments.length,
+        });
+      }
+    } while (pageToken);
+
+    console.log(
+      `📎 Found ${attachments.length} attachments in ${scanned} messages`
+    );
+    return attachments;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AttachmentInventory;
+}
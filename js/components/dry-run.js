@@ -0,0 +1,210 @@
+/**
+ * Dry Run Component
+ * Simulates a cleanup action against analyzed emails without changing anything
+ */
+
+class DryRun {
+  /**
+   * Check whether criteria contain at least one condition
+   * @param {Object} criteria - Cleanup criteria
+   * @returns {boolean} True if any criterion is set
+   */
+  static hasCriteria(criteria = {}) {
+    return Boolean(
+      criteria.sender ||
+        criteria.subjectPattern ||
+        criteria.minSize ||
+        criteria.olderThanDays ||
+        criteria.category
+    );
+  }
+
+  /**
+   * Check whether an email matches cleanup criteria (all conditions must match)
+   * @param {Object} email - Parsed email object
+   * @param {Object} criteria - Cleanup criteria
+   * @param {string} criteria.sender - Address, "@domain" or "domain"
+   * @param {string} criteria.subjectPattern - Case-insensitive regex or text
+   * @param {number} criteria.minSize - Minimum size in bytes
+   * @param {number} criteria.olderThanDays - Minimum age in days
+   * @param {string} criteria.category - Email category ('promotions', ...)
+   * @param {number} now - Reference timestamp for age checks
+   * @returns {boolean} True if the email matches
+   */
+  static matches(email, criteria, now = Date.now()) {
+    if (
+      criteria.sender &&
+      !DomainHelper.matchesSender(email.senderEmail, criteria.sender)
+    ) {
+      return false;
+    }
+
+    if (criteria.subjectPattern) {
+      const regex = this._buildSubjectRegex(criteria.subjectPattern);
+      if (!regex.test(email.subject || '')) {
+        return false;
+      }
+    }
+
+    if (criteria.minSize && (email.sizeEstimate || 0) < criteria.minSize) {
+      return false;
+    }
+
+    if (criteria.olderThanDays) {
+      const timestamp = email.timestamp || new Date(email.date).getTime();
+      const ageDays = (now - timestamp) / (24 * 60 * 60 * 1000);
+      if (!timestamp || ageDays < criteria.olderThanDays) {
+        return false;
+      }
+    }
+
+    if (criteria.category && email.category !== criteria.category) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Simulate a cleanup action
+   * @param {Array} emails - Parsed email objects from the current analysis
+   * @param {Object} proposal - Proposed action
+   * @param {string} proposal.action - 'trash' or 'archive'
+   * @param {Object} proposal.criteria - Cleanup criteria (see matches())
+   * @returns {Promise<Object>} Simulation report
+   */
+  static async simulate(emails, { action = 'trash', criteria = {} } = {}) {
+    if (!this.hasCriteria(criteria)) {
+      throw new Error('Add at least one condition to simulate a cleanup.');
+    }
+
+    const now = Date.now();
+    const matched = (emails || []).filter((email) =>
+      this.matches(email, criteria, now)
+    );
+
+    // Fresh analyzer so the shared analysis cache is not polluted
+    const senderAnalysis = await new EmailAnalyzer().analyzeBySender(matched);
+    const totalSize = matched.reduce(
+      (sum, email) => sum + (email.sizeEstimate || 0),
+      0
+    );
+
+    return {
+      action,
+      criteria: { ...criteria },
+      generatedAt: new Date(now),
+      scannedCount: (emails || []).length,
+      matchedCount: matched.length,
+      totalSize,
+      // Archiving keeps messages in the mailbox, so only trash frees space
+      reclaimableSize: action === 'trash' ? totalSize : 0,
+      affected: matched.map((email) => this._summarizeEmail(email)),
+      starred: matched.filter((email) => email.isStarred).map((e) => e.id),
+      important: matched.filter((email) => email.isImportant).map((e) => e.id),
+      senders: senderAnalysis.senders.map((sender) => ({
+        name: sender.name,
+        email: sender.email,
+        count: sender.count,
+        totalSize: sender.totalSize,
+      })),
+    };
+  }
+
+  /**
+   * Convert a simulation report to CSV (one row per affected message)
+   * @param {Object} report - Simulation report
+   * @returns {string} CSV text
+   */
+  static toCsv(report) {
+    const rows = [
+      [
+        'id',
+        'threadId',
+        'date',
+        'senderEmail',
+        'senderName',
+        'subject',
+        'sizeBytes',
+        'category',
+        'starred',
+        'important',
+      ],
+      ...report.affected.map((email) => [
+        email.id,
+        email.threadId,
+        email.date,
+        email.senderEmail,
+        email.senderName,
+        email.subject,
+        email.sizeEstimate,
+        email.category,
+        email.isStarred ? 'yes' : 'no',
+        email.isImportant ? 'yes' : 'no',
+      ]),
+    ];
+
+    return DownloadHelper.toCsv(rows);
+  }
+
+  /**
+   * Download a simulation report
+   * @param {Object} report - Simulation report
+   * @param {string} format - 'csv' or 'json'
+   */
+  static downloadReport(report, format = 'csv') {
+    if (format === 'json') {
+      DownloadHelper.downloadFile(
+        JSON.stringify(report, null, 2),
+        DownloadHelper.buildFilename('dry-run', 'json'),
+        'application/json'
+      );
+      return;
+    }
+
+    DownloadHelper.downloadFile(
+      this.toCsv(report),
+      DownloadHelper.buildFilename('dry-run', 'csv'),
+      'text/csv'
+    );
+  }
+
+  // Private methods
+
+  /**
+   * Build a case-insensitive subject matcher, treating invalid regex as text
+   * @private
+   */
+  static _buildSubjectRegex(pattern) {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+  }
+
+  /**
+   * Keep only the fields needed in a report
+   * @private
+   */
+  static _summarizeEmail(email) {
+    return {
+      id: email.id,
+      threadId: email.threadId,
+      date: email.date,
+      senderEmail: email.senderEmail,
+      senderName: email.senderName,
+      subject: email.subject,
+      sizeEstimate: email.sizeEstimate || 0,
+      category: email.category,
+      labels: email.labels || [],
+      isStarred: Boolean(email.isStarred),
+      isImportant: Boolean(email.isImportant),
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DryRun;
+}
@@ -4,9 +4,100 @@
  */
 
 class EmailAnalyzer {
-  constructor() {
+  /**
+   * @param {Object} options - Analyzer options
+   * @param {AnalysisWorkerClient} options.worker - Builds reports off the main thread
+   * @param {Array<string>} options.sections - Optional sections to run (see
+   *   getOptionalSections()); all of them when null
+   * @param {Array} options.labels - Labels from GmailAPI.getLabels(), used to
+   *   name label IDs
+   * @param {Array} options.aliasGroups - Alias groups from SenderGroups, used
+   *   to roll senders up into organizations
+   */
+  constructor({
+    worker = null,
+    sections = null,
+    labels = [],
+    aliasGroups = [],
+  } = {}) {
     this.analysisCache = new Map();
     this.analysisInProgress = false;
+    this.emails = [];
+    this.worker = worker;
+    this.sections = sections;
+    this.labels = labels;
+    this.aliasGroups = aliasGroups;
+  }
+
+  /**
+   * List the report sections that can be turned off
+   * Senders and sizes always run because the overview is built from them
+   * @returns {Array<Object>} Sections ({ id, title })
+   */
+  static getOptionalSections() {
+    return [
+      { id: 'domains', title: 'Organizations' },
+      { id: 'subjects', title: 'Subjects and templates' },
+      { id: 'threads', title: 'Threads' },
+      { id: 'timeline', title: 'Timeline' },
+      { id: 'categories', title: 'Categories' },
+    ];
+  }
+
+  /**
+   * Add emails to the running analysis (used by streaming analysis)
+   * @param {Array} emails - Parsed email objects
+   */
+  addEmails(emails) {
+    // Spreading a restored mailbox into push() would overflow the stack
+    emails.forEach((email) => this.emails.push(email));
+    this.clearCache();
+  }
+
+  /**
+   * Generate a report for every email added so far
+   * Uses the analysis worker when one is attached
+   * @param {Object} options - Options ({ onProgress, onPartial, signal, sections, labels, aliasGroups })
+   * @returns {Promise<Object>} Comprehensive analysis report
+   * @throws {DOMException} AbortError when options.signal is aborted
+   */
+  async getReport(options = {}) {
+    const sections = options.sections || this.sections;
+    const labels = options.labels || this.labels;
+    const aliasGroups = options.aliasGroups || this.aliasGroups;
+    if (this.worker) {
+      return this.worker.generateReport(this.emails, {
+        ...options,
+        sections,
+        labels,
+        aliasGroups,
+      });
+    }
+    return this.generateReport(this.emails, {
+      sections,
+      labels,
+      aliasGroups,
+      onStage: (section, data, percentage) => {
+        options.signal?.throwIfAborted();
+        if (options.onProgress) {
+          options.onProgress({ stage: section, percentage });
+        }
+        if (options.onPartial) {
+          options.onPartial(section, data);
+        }
+      },
+    });
+  }
+
+  /**
+   * Drop all accumulated emails and cached results
+   */
+  reset() {
+    this.emails = [];
+    this.clearCache();
+    if (this.worker) {
+      this.worker.cancel();
+    }
   }
 
   /**
@@ -53,7 +144,7 @@ class EmailAnalyzer {
 
       // Add email to sender
       sender.emails.push(email);
-      sender.totalSize += email.size || 0;
+      sender.totalSize += email.sizeEstimate || 0;
 
       if (email.category) {
         sender.categories.add(email.category);
@@ -112,6 +203,49 @@ class EmailAnalyzer {
     return result;
   }
 
+  /**
+   * Roll senders up by domain and registrable domain (eTLD+1), so a vendor
+   * mailing from several addresses and subdomains shows up as one
+   * @param {Array} emails - Array of email objects
+   * @param {Array} aliasGroups - Alias groups ({ id, name, patterns })
+   * @returns {Promise<Object>} Organizations with their domains and senders
+   */
+  async analyzeByDomain(emails, aliasGroups = this.aliasGroups) {
+    if (!emails || emails.length === 0) {
+      return { totalEmails: 0, organizations: [], statistics: null };
+    }
+
+    const cacheKey = 'domain_analysis';
+    if (this.analysisCache.has(cacheKey)) {
+      return this.analysisCache.get(cacheKey);
+    }
+
+    const { senders } = await this.analyzeBySender(emails);
+    const organizations = DomainHelper.rollup(senders, {
+      aliasGroups,
+      totalEmails: emails.length,
+    });
+
+    const result = {
+      totalEmails: emails.length,
+      organizations,
+      statistics: {
+        organizationCount: organizations.length,
+        domainCount: organizations.reduce(
+          (sum, organization) => sum + organization.domains.length,
+          0
+        ),
+        // Organizations mailing from more than one address
+        multiSenderOrganizations: organizations.filter(
+          (organization) => organization.senderCount > 1
+        ).length,
+      },
+    };
+
+    this.analysisCache.set(cacheKey, result);
+    return result;
+  }
+
   /**
    * Analyze emails by subject patterns
    * @param {Array} emails - Array of email objects
@@ -119,7 +253,7 @@ class EmailAnalyzer {
    */
   async analyzeBySubject(emails) {
     if (!emails || emails.length === 0) {
-      return { totalEmails: 0, subjects: [], patterns: [] };
+      return { totalEmails: 0, subjects: [], patterns: [], clusters: [] };
     }
 
     const cacheKey = 'subject_analysis';
@@ -205,17 +339,167 @@ class EmailAnalyzer {
     subjects.sort((a, b) => b.count - a.count);
     patterns.sort((a, b) => b.count - a.count);
 
+    // Template clusters catch what exact grouping misses: one template
+    // filled with different order numbers, dates or names
+    const clusters = new SubjectClusterer()
+      .cluster(emails)
+      .filter((cluster) => cluster.variantCount > 1);
+
     const result = {
       totalEmails: emails.length,
       subjects: subjects.slice(0, 100), // Limit to top 100
       patterns: patterns.slice(0, 20),
-      statistics: this.calculateSubjectStatistics(subjects, patterns),
+      clusters: clusters.slice(0, 50),
+      statistics: {
+        ...this.calculateSubjectStatistics(subjects, patterns),
+        templateCount: clusters.length,
+        automatedTemplates: clusters.filter((cluster) => cluster.automated)
+          .length,
+      },
     };
 
     this.analysisCache.set(cacheKey, result);
     return result;
   }
 
+  /**
+   * Analyze emails by conversation thread
+   * Participants are everyone who sent a message in the thread plus the
+   * addresses it was sent to; only the sender side has message counts
+   * @param {Array} emails - Array of email objects
+   * @returns {Promise<Object>} Analysis results grouped by thread
+   */
+  async analyzeByThread(emails) {
+    if (!emails || emails.length === 0) {
+      return { totalThreads: 0, threads: [], largestThreads: [] };
+    }
+
+    const cacheKey = 'thread_analysis';
+    if (this.analysisCache.has(cacheKey)) {
+      return this.analysisCache.get(cacheKey);
+    }
+
+    const threadMap = new Map();
+
+    emails.forEach((email) => {
+      const threadKey = email.threadId || email.id;
+
+      if (!threadMap.has(threadKey)) {
+        threadMap.set(threadKey, {
+          subject: null,
+          messageCount: 0,
+          totalSize: 0,
+          participants: new Map(),
+          categories: new Set(),
+          dateRange: { earliest: null, latest: null },
+        });
+      }
+
+      const thread = threadMap.get(threadKey);
+      thread.messageCount++;
+      thread.totalSize += email.sizeEstimate || 0;
+
+      if (email.category) {
+        thread.categories.add(email.category);
+      }
+
+      const senderKey =
+        email.senderEmail || email.sender || 'unknown@unknown.com';
+      if (!thread.participants.has(senderKey)) {
+        thread.participants.set(senderKey, {
+          email: senderKey,
+          name: '',
+          messageCount: 0,
+        });
+      }
+      const participant = thread.participants.get(senderKey);
+      participant.messageCount++;
+      // Recipients are seen without a display name until they reply
+      participant.name = participant.name || email.senderName || '';
+
+      this.extractAddresses(email.recipient).forEach((address) => {
+        if (!thread.participants.has(address)) {
+          thread.participants.set(address, {
+            email: address,
+            name: '',
+            messageCount: 0,
+          });
+        }
+      });
+
+      // The thread is named after its first message
+      const emailDate = new Date(email.date);
+      if (!thread.dateRange.earliest || emailDate < thread.dateRange.earliest) {
+        thread.dateRange.earliest = emailDate;
+        thread.subject = email.subject;
+      }
+      if (!thread.dateRange.latest || emailDate > thread.dateRange.latest) {
+        thread.dateRange.latest = emailDate;
+      }
+    });
+
+    const threads = Array.from(threadMap.entries()).map(([key, thread]) => {
+      const { earliest, latest } = thread.dateRange;
+      const duration = latest - earliest;
+
+      return {
+        ...thread,
+        id: key,
+        subject: (thread.subject || '(No Subject)').replace(
+          /^((re|fwd?|fw):\s*)+/i,
+          ''
+        ),
+        participants: Array.from(thread.participants.values()).sort(
+          (a, b) => b.messageCount - a.messageCount
+        ),
+        participantCount: thread.participants.size,
+        categories: Array.from(thread.categories),
+        avgSize: thread.totalSize / thread.messageCount,
+        duration: Number.isFinite(duration) ? duration : 0,
+        lastActivity: latest,
+      };
+    });
+
+    threads.sort((a, b) => b.messageCount - a.messageCount);
+    const conversations = threads.filter((thread) => thread.messageCount > 1);
+
+    const result = {
+      totalThreads: threads.length,
+      // Single-message threads are just emails; keep the conversations
+      threads: conversations.slice(0, 200),
+      largestThreads: threads
+        .slice()
+        .sort((a, b) => b.totalSize - a.totalSize)
+        .slice(0, 20),
+      statistics: {
+        totalThreads: threads.length,
+        conversationCount: conversations.length,
+        avgMessagesPerThread: emails.length / threads.length,
+        messagesInConversations: conversations.reduce(
+          (sum, thread) => sum + thread.messageCount,
+          0
+        ),
+        longestThread: threads[0].messageCount,
+      },
+    };
+
+    this.analysisCache.set(cacheKey, result);
+    return result;
+  }
+
+  /**
+   * Extract the addresses from an address list header (To, Cc)
+   * @param {string} header - Header value
+   * @returns {Array<string>} Lowercased email addresses
+   */
+  extractAddresses(header) {
+    if (!header) return [];
+
+    return (header.match(/[^\s<>,;"']+@[^\s<>,;"']+/g) || []).map((address) =>
+      address.toLowerCase()
+    );
+  }
+
   /**
    * Analyze email size distribution
    * @param {Array} emails - Array of email objects
@@ -292,24 +576,83 @@ class EmailAnalyzer {
   /**
    * Generate comprehensive analysis report
    * @param {Array} emails - Array of email objects
-   * @returns {Promise<Object>} Complete analysis report
+   * @param {Object} options - Options
+   * @param {Function} options.onStage - Awaited after each section with
+   *   (section, data, percentage); throwing from it aborts the report
+   * @param {Array<string>} options.sections - Optional sections to run; all
+   *   of them when null
+   * @param {Array} options.labels - Labels used to name label IDs
+   * @param {Array} options.aliasGroups - Alias groups used for organizations
+   * @returns {Promise<Object>} Complete analysis report (skippedSections
+   *   lists the optional sections that were turned off)
    */
-  async generateReport(emails) {
+  async generateReport(emails, options = {}) {
     if (this.analysisInProgress) {
       throw new Error('Analysis already in progress');
     }
 
     this.analysisInProgress = true;
 
-    try {
-      const [senderAnalysis, subjectAnalysis] = await Promise.all([
-        this.analyzeBySender(emails),
-        this.analyzeBySubject(emails),
-      ]);
+    // Skipped sections analyze an empty mailbox so the report keeps its shape
+    const skippedSections = options.sections
+      ? EmailAnalyzer.getOptionalSections()
+          .map((section) => section.id)
+          .filter((id) => !options.sections.includes(id))
+      : [];
+    const input = (section) =>
+      skippedSections.includes(section) ? [] : emails;
+
+    const stage = async (section, data, percentage) => {
+      if (options.onStage) {
+        await options.onStage(section, data, percentage);
+      }
+      return data;
+    };
 
-      const sizeAnalysis = this.analyzeSizeDistribution(emails);
-      const timeAnalysis = this.analyzeTimeDistribution(emails);
-      const categoryAnalysis = this.analyzeCategoryDistribution(emails);
+    try {
+      const senderAnalysis = await stage(
+        'senders',
+        await this.analyzeBySender(emails),
+        35
+      );
+      const domainAnalysis = await stage(
+        'domains',
+        await this.analyzeByDomain(
+          input('domains'),
+          options.aliasGroups || this.aliasGroups
+        ),
+        45
+      );
+      const subjectAnalysis = await stage(
+        'subjects',
+        await this.analyzeBySubject(input('subjects')),
+        65
+      );
+      const threadAnalysis = await stage(
+        'threads',
+        await this.analyzeByThread(input('threads')),
+        70
+      );
+      const sizeAnalysis = await stage(
+        'sizes',
+        this.analyzeSizeDistribution(emails),
+        75
+      );
+      const timeAnalysis = await stage(
+        'timeline',
+        this.analyzeTimeDistribution(input('timeline')),
+        85
+      );
+      const categoryAnalysis = await stage(
+        'categories',
+        this.analyzeCategoryDistribution(input('categories')),
+        90
+      );
+      const labelAnalysis = await stage(
+        'labels',
+        this.analyzeByLabel(emails, options.labels || this.labels),
+        95
+      );
 
       const report = {
         overview: {
@@ -320,12 +663,17 @@ class EmailAnalyzer {
           analysisDate: new Date(),
         },
         senders: senderAnalysis,
+        domains: domainAnalysis,
         subjects: subjectAnalysis,
+        threads: threadAnalysis,
         sizes: sizeAnalysis,
         timeline: timeAnalysis,
         categories: categoryAnalysis,
+        labels: labelAnalysis,
+        skippedSections,
         insights: this.generateInsights(emails, {
           senders: senderAnalysis,
+          domains: domainAnalysis,
           subjects: subjectAnalysis,
           sizes: sizeAnalysis,
           timeline: timeAnalysis,
@@ -465,12 +813,16 @@ class EmailAnalyzer {
   /**
    * Analyze time distribution of emails
    * @param {Array} emails - Array of email objects
-   * @returns {Object} Time analysis results
+   * @returns {Object} Time analysis results (weekdayHourly is a 7x24 grid of
+   *   counts, 0 = Sunday)
    */
   analyzeTimeDistribution(emails) {
     const monthlyData = new Map();
     const weeklyData = new Map();
     const hourlyData = new Array(24).fill(0);
+    const weekdayHourlyData = Array.from({ length: 7 }, () =>
+      new Array(24).fill(0)
+    );
 
     emails.forEach((email) => {
       const date = new Date(email.date);
@@ -485,6 +837,11 @@ class EmailAnalyzer {
 
       // Hourly distribution
       hourlyData[date.getHours()]++;
+
+      // Weekday x hour grid
+      if (!Number.isNaN(dayOfWeek)) {
+        weekdayHourlyData[dayOfWeek][date.getHours()]++;
+      }
     });
 
     return {
@@ -497,6 +854,7 @@ class EmailAnalyzer {
         count,
       })),
       hourly: hourlyData.map((count, hour) => ({ hour, count })),
+      weekdayHourly: weekdayHourlyData,
     };
   }
 
@@ -515,7 +873,7 @@ class EmailAnalyzer {
       }
       const categoryData = categoryMap.get(category);
       categoryData.count++;
-      categoryData.totalSize += email.size || 0;
+      categoryData.totalSize += email.sizeEstimate || 0;
     });
 
     return Array.from(categoryMap.entries()).map(([category, data]) => ({
@@ -526,6 +884,127 @@ class EmailAnalyzer {
     }));
   }
 
+  /**
+   * Analyze storage by label, with user labels nested into their hierarchy
+   * Category tabs and UNREAD are left out; they are states rather than places
+   * mail is filed. A message can carry several labels, so label totals can add
+   * up to more than the mailbox.
+   * @param {Array} emails - Array of email objects
+   * @param {Array} labels - Labels from GmailAPI.getLabels()
+   * @param {number} now - Reference timestamp for ages
+   * @returns {Object} Label analysis results
+   */
+  analyzeByLabel(emails, labels = this.labels, now = Date.now()) {
+    if (!emails || emails.length === 0) {
+      return { totalEmails: 0, labels: [], tree: [], statistics: null };
+    }
+
+    const directory = LabelHelper.buildDirectory(labels);
+    const totalSize = emails.reduce(
+      (sum, email) => sum + (email.sizeEstimate || 0),
+      0
+    );
+    const labelMap = new Map();
+    const subtreeTotals = {};
+    let labeledEmails = 0;
+
+    emails.forEach((email) => {
+      const size = email.sizeEstimate || 0;
+      const labelIds = (email.labels || []).filter(
+        (labelId) => !LabelHelper.isCategory(labelId) && labelId !== 'UNREAD'
+      );
+      const paths = new Set();
+
+      labelIds.forEach((labelId) => {
+        if (!labelMap.has(labelId)) {
+          labelMap.set(labelId, {
+            ...LabelHelper.describe(labelId, directory),
+            count: 0,
+            totalSize: 0,
+            unreadCount: 0,
+            oldest: null,
+            newest: null,
+            ageTotal: 0,
+            datedCount: 0,
+            senders: new Map(),
+          });
+        }
+        const label = labelMap.get(labelId);
+        label.count++;
+        label.totalSize += size;
+        if ((email.labels || []).includes('UNREAD')) {
+          label.unreadCount++;
+        }
+        if (email.timestamp) {
+          label.oldest = Math.min(
+            label.oldest || email.timestamp,
+            email.timestamp
+          );
+          label.newest = Math.max(label.newest || 0, email.timestamp);
+          label.ageTotal += now - email.timestamp;
+          label.datedCount++;
+        }
+
+        const senderKey =
+          email.senderEmail || email.sender || 'unknown@unknown.com';
+        if (!label.senders.has(senderKey)) {
+          label.senders.set(senderKey, {
+            email: senderKey,
+            name: email.senderName || senderKey,
+            count: 0,
+            totalSize: 0,
+          });
+        }
+        const sender = label.senders.get(senderKey);
+        sender.count++;
+        sender.totalSize += size;
+
+        if (label.type === 'user') {
+          LabelHelper.getAncestorPaths(label.name).forEach((path) =>
+            paths.add(path)
+          );
+        }
+      });
+
+      // Count each email once per subtree, even when filed under a parent
+      // and one of its children
+      paths.forEach((path) => {
+        if (!subtreeTotals[path]) {
+          subtreeTotals[path] = { count: 0, totalSize: 0 };
+        }
+        subtreeTotals[path].count++;
+        subtreeTotals[path].totalSize += size;
+      });
+      if (paths.size > 0) labeledEmails++;
+    });
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    const result = Array.from(labelMap.values())
+      .map(({ senders, ageTotal, datedCount, ...label }) => ({
+        ...label,
+        percentage: totalSize > 0 ? (label.totalSize / totalSize) * 100 : 0,
+        avgAgeDays: datedCount > 0 ? ageTotal / datedCount / dayMs : null,
+        topSenders: Array.from(senders.values())
+          .sort((a, b) => b.totalSize - a.totalSize)
+          .slice(0, 5),
+      }))
+      .sort((a, b) => b.totalSize - a.totalSize);
+    const userLabels = result.filter((label) => label.type === 'user');
+
+    return {
+      totalEmails: emails.length,
+      labels: result,
+      tree: LabelHelper.buildTree(userLabels, subtreeTotals),
+      statistics: {
+        userLabelCount: userLabels.length,
+        nestedLabelCount: userLabels.filter((label) => label.name.includes('/'))
+          .length,
+        labeledEmails,
+        unlabeledEmails: emails.length - labeledEmails,
+      },
+    };
+  }
+
   /**
    * Generate insights from analysis data
    * @param {Array} emails - Original email array
@@ -554,6 +1033,19 @@ class EmailAnalyzer {
       });
     }
 
+    // Organization insight: one vendor behind several sender addresses
+    const topOrganization = analyses.domains.organizations.find(
+      (organization) => organization.senderCount > 1
+    );
+    if (topOrganization && topOrganization.percentage > 5) {
+      insights.push({
+        type: 'top_organization',
+        title: 'Top Organization',
+        description: `${topOrganization.label} sent ${Formatters.formatNumber(topOrganization.count)} emails from ${topOrganization.senderCount} addresses (${topOrganization.percentage.toFixed(1)}% of your total)`,
+        severity: topOrganization.percentage > 15 ? 'high' : 'medium',
+      });
+    }
+
     // Storage insight
     if (analyses.sizes.largeSenders.length > 0) {
       const topStorageUser = analyses.sizes.largeSenders[0];
@@ -0,0 +1,492 @@
+/**
+ * Exporter Component
+ * Serializes analysis reports to CSV, JSON and XLSX for download
+ *
+ * Every format is built from the same section tables, so a column added to
+ * a section shows up in all of them. Bump APP_CONFIG.EXPORT_SCHEMA_VERSION
+ * when a column is renamed or removed.
+ */
+
+class Exporter {
+  /**
+   * Describe the exportable sections of a report
+   * @returns {Array<Object>} Sections ({ id, title })
+   */
+  static getSections() {
+    return [
+      { id: 'overview', title: 'Overview' },
+      { id: 'senders', title: 'Senders' },
+      { id: 'domains', title: 'Domains' },
+      { id: 'subjects', title: 'Subjects' },
+      { id: 'patterns', title: 'Subject Patterns' },
+      { id: 'templates', title: 'Subject Templates' },
+      { id: 'threads', title: 'Threads' },
+      { id: 'sizes', title: 'Size Distribution' },
+      { id: 'timeline', title: 'Timeline' },
+      { id: 'categories', title: 'Categories' },
+      { id: 'labels', title: 'Labels' },
+    ];
+  }
+
+  /**
+   * Build the table for one report section
+   * @param {Object} report - Result of EmailAnalyzer.generateReport()
+   * @param {string} sectionId - Section ID from getSections()
+   * @returns {Array<Array>} Rows of cell values (first row is the header)
+   */
+  static buildTable(report, sectionId) {
+    switch (sectionId) {
+      case 'overview':
+        return this._overviewTable(report);
+      case 'senders':
+        return [
+          [
+            'name',
+            'email',
+            'count',
+            'totalSizeBytes',
+            'avgSizeBytes',
+            'attachmentRate',
+            'categories',
+            'firstEmail',
+            'lastEmail',
+          ],
+          ...((report.senders && report.senders.senders) || []).map((s) => [
+            s.name,
+            s.email,
+            s.count,
+            s.totalSize,
+            Math.round(s.avgSize),
+            Number(s.attachmentRate.toFixed(4)),
+            s.categories.join(' '),
+            s.dateRange.earliest,
+            s.dateRange.latest,
+          ]),
+        ];
+      case 'domains':
+        return [
+          [
+            'organization',
+            'domain',
+            'count',
+            'totalSizeBytes',
+            'senderCount',
+            'senders',
+          ],
+          ...((report.domains && report.domains.organizations) || []).flatMap(
+            (o) =>
+              o.domains.map((d) => [
+                o.label,
+                d.domain,
+                d.count,
+                d.totalSize,
+                d.senders.length,
+                d.senders.map((s) => s.email).join(' '),
+              ])
+          ),
+        ];
+      case 'subjects':
+        return [
+          [
+            'subject',
+            'count',
+            'senderCount',
+            'totalSizeBytes',
+            'avgSizeBytes',
+            'firstEmail',
+            'lastEmail',
+          ],
+          ...((report.subjects && report.subjects.subjects) || []).map((s) => [
+            s.subject,
+            s.count,
+            s.senderCount,
+            s.totalSize,
+            Math.round(s.avgSize),
+            s.dateRange.earliest,
+            s.dateRange.latest,
+          ]),
+        ];
+      case 'patterns':
+        return [
+          ['pattern', 'count', 'senderCount', 'examples'],
+          ...((report.subjects && report.subjects.patterns) || []).map((p) => [
+            p.pattern,
+            p.count,
+            p.senderCount,
+            p.examples.join(' | '),
+          ]),
+        ];
+      case 'templates':
+        return [
+          [
+            'template',
+            'count',
+            'variantCount',
+            'senderCount',
+            'totalSizeBytes',
+            'automated',
+            'slots',
+            'examples',
+          ],
+          ...((report.subjects && report.subjects.clusters) || []).map((c) => [
+            c.template,
+            c.count,
+            c.variantCount,
+            c.senderCount,
+            c.totalSize,
+            c.automated,
+            c.slots
+              .map((slot) => `${slot.type}: ${slot.examples.join(', ')}`)
+              .join(' | '),
+            c.examples.join(' | '),
+          ]),
+        ];
+      case 'threads':
+        return [
+          [
+            'subject',
+            'messageCount',
+            'participantCount',
+            'participants',
+            'totalSizeBytes',
+            'durationDays',
+            'firstEmail',
+            'lastActivity',
+          ],
+          ...((report.threads && report.threads.threads) || []).map((t) => [
+            t.subject,
+            t.messageCount,
+            t.participantCount,
+            t.participants.map((p) => p.email).join(' '),
+            t.totalSize,
+            Number((t.duration / (24 * 60 * 60 * 1000)).toFixed(2)),
+            t.dateRange.earliest,
+            t.lastActivity,
+          ]),
+        ];
+      case 'sizes':
+        return [
+          [
+            'range',
+            'minBytes',
+            'maxBytes',
+            'count',
+            'totalSizeBytes',
+            'percentOfSize',
+          ],
+          ...((report.sizes && report.sizes.distribution) || []).map((r) => [
+            r.label,
+            r.min,
+            Number.isFinite(r.max) ? r.max : null,
+            r.count,
+            r.totalSize,
+            Number(r.percentage.toFixed(2)),
+          ]),
+        ];
+      case 'timeline':
+        return [
+          ['month', 'count'],
+          ...((report.timeline && report.timeline.monthly) || [])
+            .slice()
+            .sort((a, b) => a.month.localeCompare(b.month))
+            .map((m) => [m.month, m.count]),
+        ];
+      case 'categories':
+        return [
+          ['category', 'count', 'totalSizeBytes', 'percentage'],
+          ...(report.categories || []).map((c) => [
+            c.category,
+            c.count,
+            c.totalSize,
+            Number(c.percentage.toFixed(2)),
+          ]),
+        ];
+      case 'labels':
+        return [
+          [
+            'label',
+            'type',
+            'count',
+            'unreadCount',
+            'totalSizeBytes',
+            'percentOfSize',
+            'avgAgeDays',
+            'firstEmail',
+            'lastEmail',
+            'topSenders',
+          ],
+          ...((report.labels && report.labels.labels) || []).map((l) => [
+            l.name,
+            l.type,
+            l.count,
+            l.unreadCount,
+            l.totalSize,
+            Number(l.percentage.toFixed(2)),
+            l.avgAgeDays === null ? null : Number(l.avgAgeDays.toFixed(1)),
+            l.oldest === null ? null : new Date(l.oldest),
+            l.newest === null ? null : new Date(l.newest),
+            l.topSenders.map((s) => s.email).join(' '),
+          ]),
+        ];
+      default:
+        throw new Error(`Unknown export section "${sectionId}"`);
+    }
+  }
+
+  /**
+   * Convert one report section to CSV
+   * @param {Object} report - Analysis report
+   * @param {string} sectionId - Section ID
+   * @returns {string} CSV text
+   */
+  static toCsv(report, sectionId) {
+    return DownloadHelper.toCsv(this.buildTable(report, sectionId));
+  }
+
+  /**
+   * Convert a report to a versioned JSON document
+   * Sections are arrays of records keyed by the CSV column names
+   * @param {Object} report - Analysis report
+   * @param {Date} exportedAt - Export timestamp
+   * @returns {string} JSON text
+   */
+  static toJson(report, exportedAt = new Date()) {
+    const document = {
+      schemaVersion: APP_CONFIG.EXPORT_SCHEMA_VERSION,
+      generator: 'Gmail Purge',
+      exportedAt: exportedAt.toISOString(),
+      insights: (report.insights || []).map(
+        ({ type, severity, title, description }) => ({
+          type,
+          severity,
+          title,
+          description,
+        })
+      ),
+    };
+
+    this.getSections().forEach(({ id }) => {
+      const [header, ...rows] = this.buildTable(report, id);
+      document[id] = rows.map((row) =>
+        Object.fromEntries(header.map((column, i) => [column, row[i]]))
+      );
+    });
+
+    return JSON.stringify(document, null, 2);
+  }
+
+  /**
+   * Bundle one CSV per section into a ZIP archive
+   * @param {Object} report - Analysis report
+   * @returns {Uint8Array} ZIP file bytes
+   */
+  static toCsvArchive(report) {
+    const zip = new ZipWriter();
+    this.getSections().forEach(({ id }) => {
+      // BOM so Excel opens the UTF-8 CSVs with the right encoding
+      zip.addFile(`${id}.csv`, `\uFEFF${this.toCsv(report, id)}`);
+    });
+    return zip.toUint8Array();
+  }
+
+  /**
+   * Build an XLSX workbook with one sheet per section
+   * @param {Object} report - Analysis report
+   * @returns {Uint8Array} XLSX file bytes
+   */
+  static toXlsx(report) {
+    const sections = this.getSections();
+    const zip = new ZipWriter();
+
+    zip.addFile(
+      '[Content_Types].xml',
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sections.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`
+    );
+    zip.addFile(
+      '_rels/.rels',
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`
+    );
+    zip.addFile(
+      'xl/workbook.xml',
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>
+${sections.map(({ title }, i) => `<sheet name="${this._escapeXml(title.slice(0, 31))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('\n')}
+</sheets>
+</workbook>`
+    );
+    zip.addFile(
+      'xl/_rels/workbook.xml.rels',
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sections.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${sections.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+    );
+    // Style 1 is the bold header row
+    zip.addFile(
+      'xl/styles.xml',
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+</styleSheet>`
+    );
+
+    sections.forEach(({ id }, i) => {
+      zip.addFile(
+        `xl/worksheets/sheet${i + 1}.xml`,
+        this._buildSheetXml(this.buildTable(report, id))
+      );
+    });
+
+    return zip.toUint8Array();
+  }
+
+  /**
+   * Download a report
+   * @param {Object} report - Analysis report
+   * @param {string} format - 'csv' (all sections, zipped), 'json', 'xlsx' or 'html'
+   * @param {string} sectionId - Download a single section as plain CSV
+   */
+  static download(report, format, sectionId = null) {
+    switch (format) {
+      case 'json':
+        DownloadHelper.downloadFile(
+          this.toJson(report),
+          DownloadHelper.buildFilename('report', 'json'),
+          'application/json'
+        );
+        break;
+      case 'xlsx':
+        DownloadHelper.downloadFile(
+          this.toXlsx(report),
+          DownloadHelper.buildFilename('report', 'xlsx'),
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        );
+        break;
+      case 'html':
+        HtmlReport.download(report);
+        break;
+      case 'csv':
+        if (sectionId) {
+          DownloadHelper.downloadFile(
+            `\uFEFF${this.toCsv(report, sectionId)}`,
+            DownloadHelper.buildFilename(sectionId, 'csv'),
+            'text/csv'
+          );
+        } else {
+          DownloadHelper.downloadFile(
+            this.toCsvArchive(report),
+            DownloadHelper.buildFilename('report-csv', 'zip'),
+            'application/zip'
+          );
+        }
+        break;
+      default:
+        throw new Error(`Unknown export format "${format}"`);
+    }
+  }
+
+  // Private methods
+
+  /**
+   * Build the overview table
+   * @private
+   */
+  static _overviewTable(report) {
+    const overview = report.overview || {};
+    const dateRange = overview.dateRange || {};
+
+    return [
+      ['metric', 'value'],
+      ['totalEmails', overview.totalEmails],
+      [
+        'totalSenders',
+        ((report.senders && report.senders.senders) || []).length,
+      ],
+      ['totalSizeBytes', overview.totalSize],
+      ['avgEmailSizeBytes', Math.round(overview.avgEmailSize || 0)],
+      ['firstEmail', dateRange.earliest || null],
+      ['lastEmail', dateRange.latest || null],
+      ['analysisDate', overview.analysisDate],
+    ];
+  }
+
+  /**
+   * Build one worksheet; numbers stay numeric so they can be summed
+   * @private
+   */
+  static _buildSheetXml(rows) {
+    const columnName = (index) => {
+      let name = '';
+      let n = index + 1;
+      while (n > 0) {
+        const remainder = (n - 1) % 26;
+        name = String.fromCharCode(65 + remainder) + name;
+        n = Math.floor((n - 1) / 26);
+      }
+      return name;
+    };
+
+    const rowsXml = rows
+      .map((row, r) => {
+        const style = r === 0 ? ' s="1"' : '';
+        const cells = row
+          .map((value, c) => {
+            const ref = `${columnName(c)}${r + 1}`;
+            if (value === null || value === undefined || value === '') {
+              return '';
+            }
+            if (typeof value === 'number' && Number.isFinite(value)) {
+              return `<c r="${ref}"${style}><v>${value}</v></c>`;
+            }
+            const text =
+              value instanceof Date
+                ? value.toISOString()
+                : DownloadHelper.neutralizeFormula(value);
+            return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${this._escapeXml(text)}</t></is></c>`;
+          })
+          .join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+      })
+      .join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rowsXml}</sheetData></worksheet>`;
+  }
+
+  /**
+   * Escape text for XML, dropping control characters XML cannot hold
+   * @private
+   */
+  static _escapeXml(text) {
+    return (
+      text
+        // eslint-disable-next-line no-control-regex
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+    );
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Exporter;
+}
@@ -0,0 +1,429 @@
+/**
+ * Filter Suggester Component
+ * Suggests Gmail filters that label recurring mail and keep it out of the
+ * inbox, built from sender domains and automated subject templates
+ *
+ * Suggestion format:
+ * {
+ *   id: 'sender-jira.example.com',
+ *   source: 'sender' | 'subject',
+ *   labelName: 'Jira',
+ *   criteria: { from: '@jira.example.com' } | { subject: 'has shipped', from },
+ *   skipInbox: true,
+ *   matchCount: 120,  // analyzed emails the filter matches
+ *   inboxCount: 80,   // of which still in the inbox
+ *   totalSize: 1048576,
+ *   examples: ['jira@jira.example.com'],
+ * }
+ *
+ * Gmail only applies new filters to incoming mail, so create() also labels
+ * the existing matches (journaled, so it can be undone from History).
+ */
+
+class FilterSuggester {
+  /**
+   * Domains of personal mailboxes, which are never filtered as a whole
+   * @returns {Array<string>} Domains
+   */
+  static getPersonalDomains() {
+    return [
+      'gmail.com',
+      'googlemail.com',
+      'outlook.com',
+      'hotmail.com',
+      'live.com',
+      'msn.com',
+      'yahoo.com',
+      'icloud.com',
+      'me.com',
+      'mac.com',
+      'aol.com',
+      'proton.me',
+      'protonmail.com',
+      'gmx.com',
+      'gmx.net',
+      'web.de',
+    ];
+  }
+
+  /**
+   * Subdomains that say how mail is sent rather than who sends it
+   * @returns {Array<string>} Subdomain labels
+   */
+  static getGenericSubdomains() {
+    return [
+      'bounce',
+      'e',
+      'em',
+      'email',
+      'info',
+      'm',
+      'mail',
+      'mailer',
+      'marketing',
+      'mg',
+      'news',
+      'newsletter',
+      'no-reply',
+      'noreply',
+      'notifications',
+      'notify',
+      'reply',
+      'send',
+      'updates',
+      'www',
+    ];
+  }
+
+  /**
+   * Suggest filters for the analyzed emails
+   * @param {Object} report - Analysis report (senders and subjects sections)
+   * @param {Array} emails - Analyzed emails, used to count matches
+   * @param {Object} options - Options
+   * @param {Array} options.labels - Labels from GmailAPI.getLabels()
+   * @param {number} options.minEmails - Minimum matching emails
+   * @param {number} options.limit - Maximum number of suggestions
+   * @returns {Array<Object>} Suggestions, most inbox clutter first
+   */
+  static suggest(
+    report,
+    emails,
+    {
+      labels = [],
+      minEmails = APP_CONFIG.FILTER_SUGGESTION_MIN_EMAILS,
+      limit = APP_CONFIG.MAX_FILTER_SUGGESTIONS,
+    } = {}
+  ) {
+    const directory = LabelHelper.buildDirectory(labels);
+    const suggestions = [];
+    const covered = new Set();
+
+    const add = (suggestion) => {
+      const matching = emails.filter((email) =>
+        this.matches(email, suggestion.criteria)
+      );
+      // Mail the user already files under one label needs no new filter
+      if (
+        matching.length < minEmails ||
+        this.getSharedUserLabels(matching, directory).length > 0
+      ) {
+        return;
+      }
+
+      suggestions.push({
+        skipInbox: true,
+        ...suggestion,
+        matchCount: matching.length,
+        inboxCount: matching.filter((email) =>
+          (email.labels || []).includes('INBOX')
+        ).length,
+        totalSize: matching.reduce(
+          (sum, email) => sum + (email.sizeEstimate || 0),
+          0
+        ),
+      });
+      matching.forEach((email) => covered.add(email.id));
+    };
+
+    this.getSenderDomains(report.senders ? report.senders.senders : []).forEach(
+      (domain) =>
+        add({
+          id: `sender-${domain.domain}`,
+          source: 'sender',
+          labelName: this.suggestLabelName(domain.domain),
+          criteria: { from: `@${domain.domain}` },
+          examples: domain.addresses.slice(0, 5),
+        })
+    );
+
+    const clusters = (report.subjects && report.subjects.clusters) || [];
+    clusters
+      .filter((cluster) => cluster.automated)
+      .forEach((cluster) => {
+        const phrase = this.getSubjectPhrase(cluster.template);
+        if (!phrase) return;
+
+        const matching = emails.filter((email) =>
+          this.matches(email, { subject: phrase })
+        );
+        // Templates a sender suggestion already covers would only duplicate it
+        if (matching.every((email) => covered.has(email.id))) return;
+
+        // Narrow the filter to the one domain sending the template, if any
+        const domains = new Set(
+          matching.map((email) => DomainHelper.getDomain(email.senderEmail))
+        );
+        const [domain] = domains;
+        const criteria =
+          domains.size === 1 && domain
+            ? { from: `@${domain}`, subject: phrase }
+            : { subject: phrase };
+
+        add({
+          id: `subject-${cluster.id}`,
+          source: 'subject',
+          labelName: this.toLabelName(phrase),
+          criteria,
+          examples: cluster.examples.slice(0, 5),
+        });
+      });
+
+    return suggestions
+      .sort(
+        (a, b) => b.inboxCount - a.inboxCount || b.matchCount - a.matchCount
+      )
+      .slice(0, limit);
+  }
+
+  /**
+   * Group senders by domain, leaving out personal mailboxes
+   * @param {Array} senders - Senders from EmailAnalyzer.analyzeBySender()
+   * @returns {Array<Object>} Domains ({ domain, count, addresses }), most emails first
+   */
+  static getSenderDomains(senders) {
+    const domains = new Map();
+    const personal = this.getPersonalDomains();
+
+    senders.forEach((sender) => {
+      const domain = DomainHelper.getDomain(sender.email);
+      if (!domain || personal.includes(domain)) return;
+
+      if (!domains.has(domain)) {
+        domains.set(domain, { domain, count: 0, addresses: [] });
+      }
+      const group = domains.get(domain);
+      group.count += sender.count;
+      group.addresses.push(sender.email);
+    });
+
+    return Array.from(domains.values()).sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Name a label after a sender domain
+   * e.g. jira.example.com -> Jira, email.github.com -> Github
+   * @param {string} domain - Sender domain
+   * @returns {string} Label name
+   */
+  static suggestLabelName(domain) {
+    const registrable = DomainHelper.getRegistrableDomain(domain);
+    const subdomains = domain
+      .slice(0, Math.max(0, domain.length - registrable.length - 1))
+      .split('.')
+      .filter(Boolean);
+    const generic = this.getGenericSubdomains();
+    const name =
+      subdomains.find((part) => !generic.includes(part)) ||
+      registrable.split('.')[0];
+
+    return this.toLabelName(name);
+  }
+
+  /**
+   * Get the longest fixed run of words in a subject template
+   * @param {string} template - Template from SubjectClusterer (e.g. 'your order {id} has shipped')
+   * @returns {string} Phrase, or '' when no run is distinctive enough
+   */
+  static getSubjectPhrase(template) {
+    const runs = [[]];
+    (template || '').split(/\s+/).forEach((word) => {
+      if (word.includes('{')) {
+        runs.push([]);
+      } else {
+        runs[runs.length - 1].push(word);
+      }
+    });
+
+    const phrase = runs
+      .map((run) =>
+        run
+          .join(' ')
+          .replace(/^\W+|\W+$/g, '')
+          .trim()
+      )
+      .sort((a, b) => b.length - a.length)[0];
+
+    // Single short words ("re", "new") would match far too much mail
+    return phrase.length >= 8 && phrase.includes(' ') ? phrase : '';
+  }
+
+  /**
+   * Turn a domain part or subject phrase into a label name
+   * @param {string} text - Source text
+   * @returns {string} Capitalized name without characters Gmail nests on
+   */
+  static toLabelName(text) {
+    const name = Formatters.truncateText(
+      String(text).replace(/\//g, ' ').trim(),
+      40
+    );
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+
+  /**
+   * User labels every email in a list carries
+   * @param {Array} emails - Email objects
+   * @param {Object} directory - Result of LabelHelper.buildDirectory()
+   * @returns {Array<string>} Label IDs
+   */
+  static getSharedUserLabels(emails, directory) {
+    if (emails.length === 0) return [];
+
+    return (emails[0].labels || []).filter(
+      (labelId) =>
+        !LabelHelper.isCategory(labelId) &&
+        LabelHelper.describe(labelId, directory).type === 'user' &&
+        emails.every((email) => (email.labels || []).includes(labelId))
+    );
+  }
+
+  /**
+   * Check whether an email matches filter criteria
+   * @param {Object} email - Parsed email object
+   * @param {Object} criteria - Filter criteria ({ from, subject })
+   * @returns {boolean} True if every criterion matches
+   */
+  static matches(email, criteria) {
+    if (
+      criteria.from &&
+      !DomainHelper.matchesSender(email.senderEmail, criteria.from)
+    ) {
+      return false;
+    }
+    if (
+      criteria.subject &&
+      !(email.subject || '')
+        .toLowerCase()
+        .includes(criteria.subject.toLowerCase())
+    ) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Translate filter criteria into the Gmail search the filter runs
+   * @param {Object} criteria - Filter criteria ({ from, subject })
+   * @returns {string} Gmail search query
+   */
+  static buildQuery(criteria) {
+    const terms = [];
+    if (criteria.from) {
+      terms.push(`from:${criteria.from}`);
+    }
+    if (criteria.subject) {
+      terms.push(`subject:"${criteria.subject.replace(/"/g, '')}"`);
+    }
+    return terms.join(' ');
+  }
+
+  /**
+   * Build the filter action
+   * @param {string} labelId - Label to add
+   * @param {boolean} skipInbox - Also keep matching mail out of the inbox
+   * @returns {Object} Action ({ addLabelIds, removeLabelIds })
+   */
+  static buildAction(labelId, skipInbox) {
+    return {
+      addLabelIds: [labelId],
+      removeLabelIds: skipInbox ? ['INBOX'] : [],
+    };
+  }
+
+  /**
+   * Validate a suggestion before creating it
+   * @param {Object} suggestion - Suggestion, possibly edited by the user
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validate(suggestion) {
+    const errors = [];
+    const name = ((suggestion && suggestion.labelName) || '').trim();
+    const criteria = (suggestion && suggestion.criteria) || {};
+
+    if (!name) {
+      errors.push('Filter needs a label name.');
+    } else if (
+      Object.values(LabelHelper.getSystemLabelNames()).some(
+        (systemName) => systemName.toLowerCase() === name.toLowerCase()
+      )
+    ) {
+      errors.push(`"${name}" is a Gmail system label.`);
+    }
+    if (!criteria.from && !criteria.subject) {
+      errors.push('Filter needs a sender or subject to match.');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Find a user label by name, creating it when missing
+   * @param {string} name - Label name
+   * @param {Array} labels - Labels from GmailAPI.getLabels()
+   * @returns {Promise<Object|null>} Label or null on failure
+   */
+  static async findOrCreateLabel(name, labels = []) {
+    const existing = labels.find(
+      (label) =>
+        label.type !== 'system' &&
+        (label.name || '').toLowerCase() === name.toLowerCase()
+    );
+    return existing || gmailAPI.createLabel(name);
+  }
+
+  /**
+   * Create the Gmail filter for a suggestion and label existing matches
+   * @param {Object} suggestion - Suggestion, possibly edited by the user
+   * @param {Object} options - Options
+   * @param {Array} options.labels - Labels from GmailAPI.getLabels()
+   * @param {boolean} options.applyToExisting - Also label messages already in the mailbox
+   * @param {Function} options.onProgress - Progress callback for labeling
+   * @returns {Promise<Object>} Result with label, filter, query, modified count and failed IDs
+   */
+  static async create(suggestion, options = {}) {
+    const errors = this.validate(suggestion);
+    if (errors.length > 0) {
+      throw new Error(errors.join(' '));
+    }
+
+    const labelName = suggestion.labelName.trim();
+    const label = await this.findOrCreateLabel(labelName, options.labels);
+    if (!label) {
+      throw new Error(`Label "${labelName}" could not be created.`);
+    }
+
+    const action = this.buildAction(label.id, suggestion.skipInbox);
+    const filter = await gmailAPI.createFilter(suggestion.criteria, action);
+    if (!filter) {
+      throw new Error('Gmail did not accept the filter.');
+    }
+
+    const query = this.buildQuery(suggestion.criteria);
+    const result = { label, filter, query, modified: 0, failed: [] };
+    if (options.applyToExisting === false) {
+      return result;
+    }
+
+    const messages = await gmailAPI.getAllMessages({
+      query,
+      pageSize: APP_CONFIG.MAX_LIST_PAGE_SIZE,
+      maxPages: Infinity,
+    });
+    const modification = await gmailAPI.batchModifyMessages(
+      messages.map((message) => message.id),
+      action,
+      {
+        operation: 'label',
+        description: `Filter "${labelName}": ${query}`,
+        onProgress: options.onProgress,
+      }
+    );
+
+    return { ...result, ...modification };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FilterSuggester;
+}
@@ -0,0 +1,250 @@
+/**
+ * HTML Report Component
+ * Builds a single-file HTML report (inline CSS and SVG charts) that can be
+ * shared without mailbox access and prints cleanly to PDF
+ */
+
+class HtmlReport {
+  /**
+   * Build the report document
+   * @param {Object} report - Result of EmailAnalyzer.generateReport()
+   * @param {Object} options - Options
+   * @param {Date} options.generatedAt - Timestamp shown in the header
+   * @param {number} options.topSenderCount - Rows in the top senders table
+   * @returns {string} Complete HTML document
+   */
+  static build(report, { generatedAt = new Date(), topSenderCount = 20 } = {}) {
+    const overview = report.overview || {};
+    const dateRange = overview.dateRange || {};
+    const senders = (report.senders && report.senders.topSenders) || [];
+    const distribution = (report.sizes && report.sizes.distribution) || [];
+    const monthly = ((report.timeline && report.timeline.monthly) || [])
+      .slice()
+      .sort((a, b) => a.month.localeCompare(b.month));
+    const categories = (report.categories || [])
+      .slice()
+      .sort((a, b) => b.count - a.count);
+
+    const stats = [
+      ['Emails analyzed', Formatters.formatNumber(overview.totalEmails || 0)],
+      ['Total size', Formatters.formatFileSize(overview.totalSize || 0)],
+      [
+        'Unique senders',
+        Formatters.formatNumber(
+          ((report.senders && report.senders.senders) || []).length
+        ),
+      ],
+      [
+        'Date range',
+        Formatters.formatDateRange(dateRange.earliest, dateRange.latest),
+      ],
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Gmail Purge Report - ${Formatters.escapeHtml(Formatters.formatShortDate(generatedAt))}</title>
+<style>${this._styles()}</style>
+</head>
+<body>
+<header>
+  <h1>Gmail Purge Report</h1>
+  <p class="muted">Generated ${Formatters.escapeHtml(generatedAt.toLocaleString('en-US'))}. Contains sender addresses and subjects only, never message bodies.</p>
+</header>
+
+<section>
+  <h2>Executive Summary</h2>
+  <div class="stats">
+    ${stats.map(([label, value]) => `<div class="stat"><div class="stat-value">${Formatters.escapeHtml(value)}</div><div class="stat-label">${label}</div></div>`).join('\n    ')}
+  </div>
+  ${this._insightsHtml(report.insights || [])}
+</section>
+
+<section>
+  <h2>Top Senders</h2>
+  ${SvgCharts.barChart(
+    senders.slice(0, 10).map((s) => ({
+      label: Formatters.formatSender(s.name, s.email),
+      value: s.count,
+    })),
+    { title: 'Emails per sender' }
+  )}
+  ${this._table(
+    ['Sender', 'Email', 'Emails', 'Total Size', 'Last Email'],
+    senders
+      .slice(0, topSenderCount)
+      .map((s) => [
+        s.name,
+        s.email,
+        Formatters.formatNumber(s.count),
+        Formatters.formatFileSize(s.totalSize),
+        Formatters.formatShortDate(s.dateRange && s.dateRange.latest),
+      ]),
+    [2, 3]
+  )}
+</section>
+
+<section>
+  <h2>Size Distribution</h2>
+  ${SvgCharts.barChart(
+    distribution.map((r) => ({ label: r.label, value: r.totalSize })),
+    {
+      title: 'Storage by email size',
+      color: '#f9ab00',
+      formatValue: (value) => Formatters.formatFileSize(value),
+    }
+  )}
+  ${this._table(
+    ['Range', 'Emails', 'Total Size', 'Share of Storage'],
+    distribution.map((r) => [
+      r.label,
+      Formatters.formatNumber(r.count),
+      Formatters.formatFileSize(r.totalSize),
+      `${(r.percentage || 0).toFixed(1)}%`,
+    ]),
+    [1, 2, 3]
+  )}
+</section>
+
+<section>
+  <h2>Timeline</h2>
+  ${SvgCharts.columnChart(
+    monthly.map((m) => ({ label: m.month, value: m.count })),
+    { title: 'Emails per month' }
+  )}
+</section>
+
+<section>
+  <h2>Categories</h2>
+  ${SvgCharts.barChart(
+    categories.map((c) => ({
+      label: Formatters.formatCategory(c.category),
+      value: c.count,
+      color: Formatters.getCategoryColor(c.category),
+    })),
+    { title: 'Emails per category' }
+  )}
+</section>
+
+<footer class="muted">Generated by Gmail Purge, a read-only Gmail analysis tool. Analysis ran entirely in the browser.</footer>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Save the report as a single .html file
+   * @param {Object} report - Analysis report
+   */
+  static download(report) {
+    DownloadHelper.downloadFile(
+      this.build(report),
+      DownloadHelper.buildFilename('report', 'html'),
+      'text/html'
+    );
+  }
+
+  /**
+   * Open the browser print dialog for the report, where it can be saved as PDF
+   * Uses a hidden iframe so popup blockers don't interfere
+   * @param {Object} report - Analysis report
+   */
+  static print(report) {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.style.cssText =
+      'position: fixed; width: 0; height: 0; border: 0; visibility: hidden;';
+
+    frame.onload = () => {
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+      // Printing blocks until the dialog closes in most browsers
+      setTimeout(() => frame.remove(), 1000);
+    };
+    frame.srcdoc = this.build(report);
+    document.body.appendChild(frame);
+  }
+
+  // Private methods
+
+  /**
+   * Render insights as a list
+   * @private
+   */
+  static _insightsHtml(insights) {
+    if (insights.length === 0) {
+      return '<p class="muted">No notable findings.</p>';
+    }
+
+    return `<ul class="insights">
+    ${insights
+      .map(
+        (insight) =>
+          `<li class="insight insight-${Formatters.escapeHtml(insight.severity)}"><strong>${Formatters.escapeHtml(insight.title)}</strong><br>${Formatters.escapeHtml(insight.description)}</li>`
+      )
+      .join('\n    ')}
+  </ul>`;
+  }
+
+  /**
+   * Render a table; numericColumns are right-aligned
+   * @private
+   */
+  static _table(headers, rows, numericColumns = []) {
+    if (rows.length === 0) {
+      return '<p class="muted">No data.</p>';
+    }
+
+    const cell = (tag, value, i) =>
+      `<${tag}${numericColumns.includes(i) ? ' class="num"' : ''}>${Formatters.escapeHtml(value)}</${tag}>`;
+
+    return `<table>
+    <thead><tr>${headers.map((h, i) => cell('th', h, i)).join('')}</tr></thead>
+    <tbody>
+    ${rows.map((row) => `<tr>${row.map((v, i) => cell('td', v, i)).join('')}</tr>`).join('\n    ')}
+    </tbody>
+  </table>`;
+  }
+
+  /**
+   * Inline stylesheet, including print rules
+   * @private
+   */
+  static _styles() {
+    return `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #202124; max-width: 960px; margin: 0 auto; padding: 32px; line-height: 1.5; }
+h1 { margin: 0 0 4px; font-size: 28px; }
+h2 { font-size: 20px; border-bottom: 2px solid #1a73e8; padding-bottom: 4px; margin-top: 32px; }
+.muted { color: #5f6368; font-size: 13px; }
+.stats { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; margin: 16px 0; }
+.stat { border: 1px solid #dadce0; border-radius: 8px; padding: 12px; }
+.stat-value { font-size: 20px; font-weight: 600; }
+.stat-label { color: #5f6368; font-size: 12px; text-transform: uppercase; }
+.insights { list-style: none; padding: 0; }
+.insight { border-left: 4px solid #1a73e8; background: #f8f9fa; padding: 8px 12px; margin-bottom: 8px; }
+.insight-medium { border-left-color: #f9ab00; }
+.insight-high { border-left-color: #d93025; }
+table { width: 100%; border-collapse: collapse; font-size: 13px; margin-top: 16px; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #dadce0; }
+th { background: #f1f3f4; }
+.num { text-align: right; }
+svg { display: block; margin-top: 12px; }
+footer { margin-top: 40px; }
+@page { margin: 16mm; }
+@media print {
+  body { padding: 0; max-width: none; }
+  h2 { break-after: avoid; }
+  tr, svg, .stats, .insight { break-inside: avoid; }
+  thead { display: table-header-group; }
+  .stat, .insight, th { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+}
+`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HtmlReport;
+}
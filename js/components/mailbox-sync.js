@@ -0,0 +1,188 @@
+/**
+ * Mailbox Sync Component
+ * Keeps a local copy of parsed messages up to date with the Gmail history API
+ */
+
+class MailboxSync {
+  /**
+   * Get the saved sync state
+   * @returns {Promise<Object|null>} State ({ historyId, query, syncedAt, messageCount })
+   */
+  static async getState() {
+    return StorageHelper.getRecord(
+      APP_CONFIG.INDEXED_DB.STORES.SYNC_STATE,
+      'mailbox'
+    );
+  }
+
+  /**
+   * Check whether a refresh can use history instead of a full analysis
+   * History records are not filtered by search query, so only the
+   * full-mailbox preset can be kept up to date incrementally
+   * @param {Object|null} state - Saved sync state
+   * @param {string} query - Gmail search query of the requested analysis
+   * @returns {boolean} True if incremental sync is possible
+   */
+  static canSyncIncrementally(state, query) {
+    return Boolean(state && state.historyId && state.query === '' && !query);
+  }
+
+  /**
+   * Replace the local message set after a full analysis
+   * @param {Array} emails - Parsed email objects
+   * @param {Object} details - Snapshot details ({ historyId, query })
+   * @returns {Promise<boolean>} Success status
+   */
+  static async saveSnapshot(emails, { historyId, query }) {
+    const { STORES } = APP_CONFIG.INDEXED_DB;
+
+    await StorageHelper.clearStore(STORES.MESSAGES);
+    const saved = await StorageHelper.putRecords(STORES.MESSAGES, emails);
+    if (!saved) return false;
+
+    return this._saveState({
+      historyId,
+      query,
+      messageCount: emails.length,
+    });
+  }
+
+  /**
+   * Load the locally stored message set
+   * @returns {Promise<Array>} Parsed email objects
+   */
+  static async loadEmails() {
+    return StorageHelper.getAllRecords(APP_CONFIG.INDEXED_DB.STORES.MESSAGES);
+  }
+
+  /**
+   * Reduce history records to the message IDs that need attention
+   * @param {Array} history - Records from users.history.list
+   * @returns {Object} Sets of changed and deleted message IDs
+   */
+  static collectChanges(history) {
+    const changedIds = new Set();
+    const deletedIds = new Set();
+
+    history.forEach((record) => {
+      [
+        ...(record.messagesAdded || []),
+        ...(record.labelsAdded || []),
+        ...(record.labelsRemoved || []),
+      ].forEach(({ message }) => changedIds.add(message.id));
+
+      (record.messagesDeleted || []).forEach(({ message }) =>
+        deletedIds.add(message.id)
+      );
+    });
+
+    // A deleted message cannot come back, so deletion wins
+    deletedIds.forEach((id) => changedIds.delete(id));
+
+    return { changedIds, deletedIds };
+  }
+
+  /**
+   * Apply every change since the last sync to the local message set
+   * @param {Object} state - Saved sync state
+   * @param {Object} options - Options ({ onProgress })
+   * @returns {Promise<Object|null>} Sync result, or null if the history ID
+   *   has expired and a full analysis is needed
+   */
+  static async sync(state, options = {}) {
+    let changes;
+    try {
+      changes = await gmailAPI.listHistory(state.historyId);
+    } catch (error) {
+      if (error.status === 404) {
+        console.warn('⚠️ History ID expired, full sync required');
+        return null;
+      }
+      throw error;
+    }
+
+    const { changedIds, deletedIds } = this.collectChanges(changes.history);
+    const { messages, failedIds } = await gmailAPI.getMessageDetails(
+      [...changedIds],
+      options.onProgress
+    );
+
+    // Keep the old history ID when a change could not be fetched, so the
+    // next sync picks it up again instead of silently dropping the message
+    if (failedIds.length > 0) {
+      throw new Error(
+        `Could not fetch ${Formatters.formatEmailCount(failedIds.length)}. Try syncing again.`
+      );
+    }
+    const fetched = EmailParser.parseMessages(messages);
+
+    // Spam and trash leave the set, matching messages.list
+    const kept = fetched.filter((email) => !email.isSpam && !email.isTrash);
+    const removedIds = [
+      ...deletedIds,
+      ...fetched
+        .filter((email) => email.isSpam || email.isTrash)
+        .map((email) => email.id),
+    ];
+
+    const emailsById = new Map(
+      (await this.loadEmails()).map((email) => [email.id, email])
+    );
+    const added = kept.filter((email) => !emailsById.has(email.id)).length;
+    const removed = removedIds.filter((id) => emailsById.has(id)).length;
+
+    kept.forEach((email) => emailsById.set(email.id, email));
+    removedIds.forEach((id) => emailsById.delete(id));
+
+    const { STORES } = APP_CONFIG.INDEXED_DB;
+    await StorageHelper.deleteRecords(STORES.MESSAGES, removedIds);
+    await StorageHelper.putRecords(STORES.MESSAGES, kept);
+    await this._saveState({
+      historyId: changes.historyId,
+      query: state.query,
+      messageCount: emailsById.size,
+    });
+
+    console.log(
+      `🔄 Synced ${added} added, ${kept.length - added} updated, ${removed} removed`
+    );
+    return {
+      emails: Array.from(emailsById.values()),
+      added,
+      updated: kept.length - added,
+      removed,
+      historyId: changes.historyId,
+    };
+  }
+
+  /**
+   * Forget the local message set and sync state
+   * @returns {Promise<void>}
+   */
+  static async clear() {
+    const { STORES } = APP_CONFIG.INDEXED_DB;
+    await StorageHelper.clearStore(STORES.MESSAGES);
+    await StorageHelper.clearStore(STORES.SYNC_STATE);
+  }
+
+  // Private methods
+
+  /**
+   * Save the sync state record
+   * @private
+   */
+  static _saveState({ historyId, query, messageCount }) {
+    return StorageHelper.putRecord(APP_CONFIG.INDEXED_DB.STORES.SYNC_STATE, {
+      id: 'mailbox',
+      historyId,
+      query,
+      messageCount,
+      syncedAt: Date.now(),
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MailboxSync;
+}
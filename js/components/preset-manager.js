@@ -0,0 +1,326 @@
+/**
+ * Preset Manager Component
+ * Built-in analysis presets plus named analysis profiles saved by the user,
+ * shareable as JSON files
+ *
+ * Preset format:
+ * {
+ *   id: 'preset-123',
+ *   name: 'Quarterly cleanup',
+ *   query: '(from:github.com OR from:atlassian.net) after:2023/01/01',
+ *   conditions: [{ field: 'from', values: ['github.com'], negate: false }],
+ *   maxMessages: 5000, // 0 = no limit
+ *   analyses: ['domains', 'subjects'], // optional report sections to run
+ *   thresholds: { minEmailThreshold: 2, maxSendersDisplay: 100, maxSubjectsDisplay: 50 },
+ *   defaultSort: 'count' | 'size' | 'name',
+ * }
+ *
+ * conditions is only present for presets built with the query builder.
+ * Missing profile fields fall back to getDefaultProfile().
+ */
+
+class PresetManager {
+  /**
+   * List the presets that ship with the app
+   * @returns {Array<Object>} Presets ({ id, name, query, builtIn })
+   */
+  static getBuiltInPresets() {
+    return [
+      { id: 'all', name: 'All Emails', query: '' },
+      { id: 'recent-month', name: 'Last Month', query: 'newer_than:1m' },
+      { id: 'recent-year', name: 'Last Year', query: 'newer_than:1y' },
+      { id: 'large-emails', name: 'Larger than 5 MB', query: 'larger:5M' },
+      {
+        id: 'with-attachments',
+        name: 'With Attachments',
+        query: 'has:attachment',
+      },
+      { id: 'promotions', name: 'Promotions', query: 'category:promotions' },
+      { id: 'social', name: 'Social', query: 'category:social' },
+      { id: 'unread', name: 'Unread', query: 'is:unread' },
+    ].map((preset) => ({ ...preset, builtIn: true }));
+  }
+
+  /**
+   * Profile settings used when a preset does not set its own
+   * Thresholds start from APP_CONFIG.ANALYSIS_CONFIG
+   * @returns {Object} Profile ({ maxMessages, analyses, thresholds, defaultSort })
+   */
+  static getDefaultProfile() {
+    const config = APP_CONFIG.ANALYSIS_CONFIG;
+
+    return {
+      maxMessages: 0,
+      analyses: EmailAnalyzer.getOptionalSections().map(
+        (section) => section.id
+      ),
+      thresholds: {
+        minEmailThreshold: config.MIN_EMAIL_THRESHOLD,
+        maxSendersDisplay: config.MAX_SENDERS_DISPLAY,
+        maxSubjectsDisplay: config.MAX_SUBJECTS_DISPLAY,
+      },
+      defaultSort: 'count',
+    };
+  }
+
+  /**
+   * Orders a profile can sort sender and subject lists by
+   * @returns {Array<Object>} Sort options ({ id, label })
+   */
+  static getSortOptions() {
+    return [
+      { id: 'count', label: 'Email count' },
+      { id: 'size', label: 'Total size' },
+      { id: 'name', label: 'Name' },
+    ];
+  }
+
+  /**
+   * Fill in missing profile fields with defaults
+   * @param {Object} preset - Preset
+   * @returns {Object} Preset with every profile field set
+   */
+  static withDefaults(preset) {
+    const defaults = this.getDefaultProfile();
+
+    return {
+      ...defaults,
+      ...preset,
+      thresholds: { ...defaults.thresholds, ...(preset.thresholds || {}) },
+    };
+  }
+
+  /**
+   * Load presets saved by the user
+   * @returns {Array} Custom presets
+   */
+  static getCustomPresets() {
+    return StorageHelper.loadPreferences().customPresets || [];
+  }
+
+  /**
+   * Persist custom presets to preferences
+   * @param {Array} presets - Custom presets
+   */
+  static saveCustomPresets(presets) {
+    StorageHelper.savePreferences({
+      ...StorageHelper.loadPreferences(),
+      customPresets: presets,
+    });
+  }
+
+  /**
+   * List built-in presets followed by custom ones
+   * @returns {Array<Object>} Presets with every profile field set
+   */
+  static getPresets() {
+    return [...this.getBuiltInPresets(), ...this.getCustomPresets()].map(
+      (preset) => this.withDefaults(preset)
+    );
+  }
+
+  /**
+   * Find a preset by ID
+   * @param {string} presetId - Preset ID
+   * @returns {Object|null} Preset
+   */
+  static getPreset(presetId) {
+    return this.getPresets().find((preset) => preset.id === presetId) || null;
+  }
+
+  /**
+   * Validate a custom preset
+   * @param {Object} preset - Preset
+   * @returns {Array<string>} Error messages (empty when valid)
+   */
+  static validatePreset(preset) {
+    const errors = [];
+
+    if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) {
+      errors.push('Preset needs a name.');
+    } else if (
+      this.getPresets().some(
+        (existing) =>
+          existing.id !== preset.id &&
+          existing.name.toLowerCase() === preset.name.trim().toLowerCase()
+      )
+    ) {
+      errors.push(`A preset named "${preset.name.trim()}" already exists.`);
+    }
+    if (preset && typeof preset.query !== 'string') {
+      errors.push('Preset needs a search query.');
+    }
+    if (preset && preset.conditions) {
+      errors.push(...QueryBuilder.validate(preset.conditions));
+    }
+    if (!preset) return errors;
+
+    const isCount = (value, min) => Number.isInteger(value) && value >= min;
+    if (preset.maxMessages !== undefined && !isCount(preset.maxMessages, 0)) {
+      errors.push('"maxMessages" must be a whole number (0 for no limit).');
+    }
+    if (preset.analyses !== undefined) {
+      const known = EmailAnalyzer.getOptionalSections().map((s) => s.id);
+      if (!Array.isArray(preset.analyses)) {
+        errors.push('"analyses" must be a list of report sections.');
+      } else {
+        preset.analyses
+          .filter((analysis) => !known.includes(analysis))
+          .forEach((analysis) => {
+            errors.push(`Unknown analysis "${analysis}".`);
+          });
+      }
+    }
+    Object.entries(preset.thresholds || {}).forEach(([key, value]) => {
+      if (!(key in this.getDefaultProfile().thresholds)) {
+        errors.push(`Unknown threshold "${key}".`);
+      } else if (!isCount(value, 1)) {
+        errors.push(`"${key}" must be a whole number above 0.`);
+      }
+    });
+    if (
+      preset.defaultSort !== undefined &&
+      !this.getSortOptions().some((option) => option.id === preset.defaultSort)
+    ) {
+      errors.push(`Unknown sort order "${preset.defaultSort}".`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Add or replace a custom preset
+   * @param {Object} preset - Preset
+   * @returns {Object} Saved preset
+   * @throws {Error} When the preset is invalid or replaces a built-in
+   */
+  static savePreset(preset) {
+    if (preset && this.getBuiltInPresets().some((p) => p.id === preset.id)) {
+      throw new Error('Built-in presets cannot be changed.');
+    }
+    const errors = this.validatePreset(preset);
+    if (errors.length > 0) {
+      throw new Error(errors.join(' '));
+    }
+
+    const saved = {
+      ...preset,
+      id: preset.id || `preset-${Date.now()}`,
+      name: preset.name.trim(),
+      query: preset.query.trim(),
+    };
+    const presets = this.getCustomPresets().filter((p) => p.id !== saved.id);
+    this.saveCustomPresets([...presets, saved]);
+    return saved;
+  }
+
+  /**
+   * Delete a custom preset
+   * @param {string} presetId - Preset ID
+   */
+  static deletePreset(presetId) {
+    this.saveCustomPresets(
+      this.getCustomPresets().filter((preset) => preset.id !== presetId)
+    );
+  }
+
+  /**
+   * Serialize custom presets for sharing
+   * IDs are left out so imports never collide with the importer's presets
+   * @param {Array} presets - Custom presets
+   * @param {Date} exportedAt - Export timestamp
+   * @returns {string} JSON text
+   */
+  static toJson(presets, exportedAt = new Date()) {
+    return JSON.stringify(
+      {
+        schemaVersion: APP_CONFIG.PRESET_SCHEMA_VERSION,
+        generator: 'Gmail Purge',
+        exportedAt: exportedAt.toISOString(),
+        presets: presets.map((preset) => {
+          const shared = { ...preset };
+          delete shared.id;
+          delete shared.builtIn;
+          return shared;
+        }),
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Import presets from a file made by toJson() (or a bare array)
+   * A preset with the same name as a custom one replaces it. Nothing is
+   * saved unless every preset in the file is valid.
+   * @param {string} text - JSON text
+   * @returns {Array<Object>} Saved presets
+   * @throws {Error} When the file is not valid JSON or has invalid presets
+   */
+  static importJson(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON.');
+    }
+
+    const presets = Array.isArray(parsed) ? parsed : parsed && parsed.presets;
+    if (!Array.isArray(presets) || presets.length === 0) {
+      throw new Error('The file contains no presets.');
+    }
+    if (parsed.schemaVersion > APP_CONFIG.PRESET_SCHEMA_VERSION) {
+      throw new Error('The file was made by a newer version of the app.');
+    }
+
+    const custom = this.getCustomPresets();
+    const incoming = presets.map((preset, i) => {
+      const existing = custom.find(
+        (p) =>
+          preset &&
+          typeof preset.name === 'string' &&
+          p.name.toLowerCase() === preset.name.trim().toLowerCase()
+      );
+      const imported = {
+        ...preset,
+        id: existing ? existing.id : `preset-${Date.now()}-${i}`,
+      };
+      delete imported.builtIn;
+      return imported;
+    });
+
+    const names = incoming.map((preset) =>
+      String(preset.name || '')
+        .trim()
+        .toLowerCase()
+    );
+    const errors = incoming.flatMap((preset, i) =>
+      [
+        ...this.validatePreset(preset),
+        ...(names.indexOf(names[i]) !== i ? ['The file lists it twice.'] : []),
+      ].map((error) => `Preset ${preset.name || i + 1}: ${error}`)
+    );
+    if (errors.length > 0) {
+      throw new Error(errors.join(' '));
+    }
+
+    return incoming.map((preset) => this.savePreset(preset));
+  }
+
+  /**
+   * Download custom presets as a JSON file
+   * @param {Array} presets - Custom presets
+   */
+  static download(presets) {
+    DownloadHelper.downloadFile(
+      this.toJson(presets),
+      DownloadHelper.buildFilename('presets', 'json'),
+      'application/json'
+    );
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PresetManager;
+}
@@ -0,0 +1,419 @@
+/**
+ * Rules Engine Component
+ * Turns declarative retention rules into Gmail searches and cleanup actions
+ *
+ * Rule format:
+ * {
+ *   id: 'rule-123',
+ *   name: 'Old promotions',
+ *   action: 'trash' | 'archive',
+ *   enabled: true,
+ *   conditions: {
+ *     sender: 'noreply@github.com' | '@github.com',
+ *     category: 'promotions',
+ *     olderThanDays: 90,
+ *     minSize: 10485760, // bytes
+ *     hasAttachments: true | false | null,
+ *   },
+ *   lastRunAt: null,
+ * }
+ */
+
+class RulesEngine {
+  /**
+   * Categories a rule can target
+   * @returns {Array<string>} Category names
+   */
+  static getCategories() {
+    return [
+      'primary',
+      'promotions',
+      'social',
+      'updates',
+      'forums',
+      'important',
+    ];
+  }
+
+  /**
+   * Check whether an email passes a set of list filters
+   * Works with both raw Gmail messages and parsed email objects
+   * @param {Object} email - Email object
+   * @param {Object} filters - Filters ({ search, sender, dateRange, weekday, hour, sizeRange, hasAttachments, category })
+   * @returns {boolean} True if the email passes every active filter
+   */
+  static matchesFilters(email, filters) {
+    const sender = email.senderEmail
+      ? { name: email.senderName || '', email: email.senderEmail }
+      : EmailParser.parseSender(email.from);
+
+    // Search filter
+    if (filters.search) {
+      const searchable = [
+        email.subject || '',
+        email.snippet || '',
+        sender.name,
+        sender.email,
+      ]
+        .join(' ')
+        .toLowerCase();
+
+      if (!searchable.includes(filters.search)) {
+        return false;
+      }
+    }
+
+    // Sender filter (address, "@domain" or "domain")
+    if (
+      filters.sender &&
+      !DomainHelper.matchesSender(sender.email, filters.sender)
+    ) {
+      return false;
+    }
+
+    // Date range filter
+    if (filters.dateRange) {
+      const emailDate = new Date(email.date);
+      if (filters.dateRange.from && emailDate < filters.dateRange.from) {
+        return false;
+      }
+      if (filters.dateRange.to && emailDate > filters.dateRange.to) {
+        return false;
+      }
+    }
+
+    // Weekday (0 = Sunday) and hour filters, in local time
+    if (filters.weekday !== null && filters.weekday !== undefined) {
+      if (new Date(email.date).getDay() !== filters.weekday) {
+        return false;
+      }
+    }
+    if (filters.hour !== null && filters.hour !== undefined) {
+      if (new Date(email.date).getHours() !== filters.hour) {
+        return false;
+      }
+    }
+
+    // Size range filter
+    if (filters.sizeRange) {
+      const emailSize = email.sizeEstimate || 0;
+      if (filters.sizeRange.min && emailSize < filters.sizeRange.min) {
+        return false;
+      }
+      if (filters.sizeRange.max && emailSize > filters.sizeRange.max) {
+        return false;
+      }
+    }
+
+    // Attachment filter
+    if (
+      filters.hasAttachments !== null &&
+      filters.hasAttachments !== undefined
+    ) {
+      const hasAttachments =
+        email.hasAttachments !== undefined
+          ? email.hasAttachments
+          : Boolean(
+              email.payload &&
+                email.payload.parts &&
+                email.payload.parts.some(
+                  (part) => part.filename && part.filename.length > 0
+                )
+            );
+      if (filters.hasAttachments !== hasAttachments) {
+        return false;
+      }
+    }
+
+    // Category filter, read from labels the way is:important and category:
+    // see them; an email can be both important and in a category tab
+    if (filters.category && filters.category !== 'all') {
+      const labels = email.labels || email.labelIds || [];
+      if (!this._hasCategory(labels, filters.category)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate a rule definition
+   * @param {Object} rule - Rule definition
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validateRule(rule) {
+    const errors = [];
+    const conditions = (rule && rule.conditions) || {};
+
+    if (!rule || typeof rule.name !== 'string' || !rule.name.trim()) {
+      errors.push('Rule needs a name.');
+    }
+    if (!rule || !['trash', 'archive'].includes(rule.action)) {
+      errors.push('Rule action must be "trash" or "archive".');
+    }
+    if (
+      conditions.category &&
+      !this.getCategories().includes(conditions.category)
+    ) {
+      errors.push(`Unknown category "${conditions.category}".`);
+    }
+    ['olderThanDays', 'minSize'].forEach((field) => {
+      if (
+        conditions[field] !== undefined &&
+        conditions[field] !== null &&
+        !(Number(conditions[field]) > 0)
+      ) {
+        errors.push(`"${field}" must be a positive number.`);
+      }
+    });
+    if (
+      !conditions.sender &&
+      !conditions.category &&
+      !conditions.olderThanDays &&
+      !conditions.minSize &&
+      typeof conditions.hasAttachments !== 'boolean'
+    ) {
+      errors.push('Rule needs at least one condition.');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Translate a rule into a Gmail search query
+   * @param {Object} rule - Rule definition
+   * @returns {string} Gmail search query
+   */
+  static buildQuery(rule) {
+    const { conditions = {} } = rule;
+    const terms = [];
+
+    if (conditions.sender) {
+      terms.push(`from:${conditions.sender.trim()}`);
+    }
+    if (conditions.category === 'important') {
+      terms.push('is:important');
+    } else if (conditions.category) {
+      terms.push(`category:${conditions.category}`);
+    }
+    if (conditions.olderThanDays) {
+      terms.push(`older_than:${conditions.olderThanDays}d`);
+    }
+    if (conditions.minSize) {
+      terms.push(`larger:${conditions.minSize}`);
+    }
+    if (conditions.hasAttachments === true) {
+      terms.push('has:attachment');
+    } else if (conditions.hasAttachments === false) {
+      terms.push('-has:attachment');
+    }
+
+    return terms.join(' ');
+  }
+
+  /**
+   * Translate a rule into client-side filters for matchesFilters()
+   * Attachments are left to Gmail's has:attachment operator because
+   * metadata responses do not include MIME parts
+   * @param {Object} rule - Rule definition
+   * @param {number} now - Reference timestamp for age checks
+   * @returns {Object} Filters object
+   */
+  static buildFilters(rule, now = Date.now()) {
+    const { conditions = {} } = rule;
+
+    return {
+      search: '',
+      sender: conditions.sender || '',
+      dateRange: conditions.olderThanDays
+        ? {
+            from: null,
+            to: new Date(now - conditions.olderThanDays * 24 * 60 * 60 * 1000),
+          }
+        : null,
+      sizeRange: conditions.minSize
+        ? { min: conditions.minSize, max: null }
+        : null,
+      hasAttachments: null,
+      category: conditions.category || null,
+    };
+  }
+
+  /**
+   * Load saved rules from preferences
+   * @returns {Array} Rule definitions
+   */
+  static getRules() {
+    return StorageHelper.loadPreferences().retentionRules || [];
+  }
+
+  /**
+   * Persist rules to preferences
+   * @param {Array} rules - Rule definitions
+   */
+  static saveRules(rules) {
+    StorageHelper.savePreferences({
+      ...StorageHelper.loadPreferences(),
+      retentionRules: rules,
+    });
+  }
+
+  /**
+   * Add or replace a rule
+   * @param {Object} rule - Rule definition
+   * @returns {Object} Saved rule
+   */
+  static saveRule(rule) {
+    const errors = this.validateRule(rule);
+    if (errors.length > 0) {
+      throw new Error(errors.join(' '));
+    }
+
+    const saved = {
+      enabled: true,
+      lastRunAt: null,
+      ...rule,
+      id: rule.id || `rule-${Date.now()}`,
+      name: rule.name.trim(),
+    };
+    const rules = this.getRules().filter((r) => r.id !== saved.id);
+    this.saveRules([...rules, saved]);
+    return saved;
+  }
+
+  /**
+   * Import rules with fresh IDs, saving none unless every rule is valid
+   * @param {Array} rules - Rule definitions, e.g. parsed from JSON
+   * @returns {Array} Saved rules
+   */
+  static importRules(rules) {
+    const now = Date.now();
+    const incoming = rules.map((rule, i) => ({
+      enabled: true,
+      ...rule,
+      id: `rule-${now}-${i}`,
+      lastRunAt: null,
+    }));
+
+    const errors = incoming.flatMap((rule, i) =>
+      this.validateRule(rule).map((error) => `Rule ${i + 1}: ${error}`)
+    );
+    if (errors.length > 0) {
+      throw new Error(errors.join(' '));
+    }
+
+    const saved = incoming.map((rule) => ({ ...rule, name: rule.name.trim() }));
+    this.saveRules([...this.getRules(), ...saved]);
+    return saved;
+  }
+
+  /**
+   * Delete a rule
+   * @param {string} ruleId - Rule ID
+   */
+  static deleteRule(ruleId) {
+    this.saveRules(this.getRules().filter((rule) => rule.id !== ruleId));
+  }
+
+  /**
+   * Find every message in the mailbox matching a rule
+   * @param {Object} rule - Rule definition
+   * @param {Object} options - Options ({ onProgress })
+   * @returns {Promise<Object>} Matches with query, emails, total size, labels
+   *   and the IDs of messages that could not be checked
+   */
+  static async findMatches(rule, options = {}) {
+    const query = this.buildQuery(rule);
+    const messages = await gmailAPI.getAllMessages({
+      query,
+      pageSize: APP_CONFIG.MAX_LIST_PAGE_SIZE,
+      maxPages: Infinity,
+    });
+
+    const details = await gmailAPI.getMessageDetails(
+      messages.map((m) => m.id),
+      options.onProgress
+    );
+
+    // Re-check locally so the action only touches what the rule describes;
+    // messages that could not be fetched are left alone
+    const filters = this.buildFilters(rule);
+    const emails = EmailParser.parseMessages(details.messages).filter((email) =>
+      this.matchesFilters(email, filters)
+    );
+
+    return {
+      rule,
+      query,
+      emails,
+      totalSize: emails.reduce(
+        (sum, email) => sum + (email.sizeEstimate || 0),
+        0
+      ),
+      labelsBefore: emails.reduce((snapshot, email) => {
+        // eslint-disable-next-line no-param-reassign
+        snapshot[email.id] = email.labels;
+        return snapshot;
+      }, {}),
+      failedIds: details.failedIds,
+    };
+  }
+
+  /**
+   * Apply a rule's action to previously found matches
+   * @param {Object} matches - Result of findMatches()
+   * @param {Object} options - Options ({ onProgress })
+   * @returns {Promise<Object>} Result with modified count and failed IDs
+   */
+  static async execute(matches, options = {}) {
+    const { rule } = matches;
+    const method =
+      rule.action === 'archive' ? 'archiveMessages' : 'trashMessages';
+
+    const result = await gmailAPI[method](
+      matches.emails.map((email) => email.id),
+      {
+        labelsBefore: matches.labelsBefore,
+        description: `Rule "${rule.name}": ${matches.query}`,
+        onProgress: options.onProgress,
+      }
+    );
+
+    if (result.modified > 0) {
+      this.saveRules(
+        this.getRules().map((r) =>
+          r.id === rule.id ? { ...r, lastRunAt: Date.now() } : r
+        )
+      );
+    }
+
+    return result;
+  }
+
+  // Private methods
+
+  /**
+   * Check whether an email's labels put it in a rule category
+   * Primary mail is whatever Gmail has not sorted into another tab
+   * @private
+   * @param {Array<string>} labels - Label IDs
+   * @param {string} category - Category from getCategories()
+   * @returns {boolean} True if the email belongs to the category
+   */
+  static _hasCategory(labels, category) {
+    if (category === 'important') return labels.includes('IMPORTANT');
+    if (category === 'primary') {
+      return (
+        labels.includes('CATEGORY_PERSONAL') ||
+        !labels.some((label) => label.startsWith('CATEGORY_'))
+      );
+    }
+    return labels.includes(`CATEGORY_${category.toUpperCase()}`);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RulesEngine;
+}
@@ -0,0 +1,105 @@
+/**
+ * Sender Groups Component
+ * User-defined alias groups that roll several sender addresses up into one
+ * organization ("these five addresses are all Jira")
+ *
+ * Group format:
+ * {
+ *   id: 'group-123',
+ *   name: 'Jira',
+ *   patterns: ['jira@atlassian.net', '@mail.atlassian.com', 'jira.example.com'],
+ * }
+ */
+
+class SenderGroups {
+  /**
+   * Load saved alias groups from preferences
+   * @returns {Array} Alias groups
+   */
+  static getGroups() {
+    return StorageHelper.loadPreferences().senderAliasGroups || [];
+  }
+
+  /**
+   * Persist alias groups to preferences
+   * @param {Array} groups - Alias groups
+   */
+  static saveGroups(groups) {
+    StorageHelper.savePreferences({
+      ...StorageHelper.loadPreferences(),
+      senderAliasGroups: groups,
+    });
+  }
+
+  /**
+   * Split user input into sender patterns
+   * @param {string} text - Addresses or domains separated by commas or lines
+   * @returns {Array<string>} Lowercased patterns
+   */
+  static parsePatterns(text) {
+    return (text || '')
+      .split(/[\s,;]+/)
+      .map((pattern) => pattern.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Validate an alias group
+   * @param {Object} group - Alias group
+   * @returns {Array<string>} Error messages (empty when valid)
+   */
+  static validateGroup(group) {
+    const errors = [];
+    const patterns = (group && group.patterns) || [];
+
+    if (!group || !group.name || !group.name.trim()) {
+      errors.push('Group needs a name.');
+    }
+    if (patterns.length === 0) {
+      errors.push('Group needs at least one address or domain.');
+    }
+    patterns
+      .filter((pattern) => !/^[^@\s]*@?[^@\s]+\.[^@\s]+$/.test(pattern))
+      .forEach((pattern) => {
+        errors.push(`"${pattern}" is not an address or domain.`);
+      });
+
+    return errors;
+  }
+
+  /**
+   * Add or replace an alias group
+   * @param {Object} group - Alias group
+   * @returns {Object} Saved group
+   * @throws {Error} When the group is invalid
+   */
+  static saveGroup(group) {
+    const errors = this.validateGroup(group);
+    if (errors.length > 0) {
+      throw new Error(errors.join(' '));
+    }
+
+    const saved = {
+      ...group,
+      id: group.id || `group-${Date.now()}`,
+      name: group.name.trim(),
+      patterns: [...new Set(group.patterns)],
+    };
+    const groups = this.getGroups().filter((g) => g.id !== saved.id);
+    this.saveGroups([...groups, saved]);
+    return saved;
+  }
+
+  /**
+   * Delete an alias group
+   * @param {string} groupId - Group ID
+   */
+  static deleteGroup(groupId) {
+    this.saveGroups(this.getGroups().filter((group) => group.id !== groupId));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SenderGroups;
+}
@@ -0,0 +1,245 @@
+/**
+ * Snapshot History Component
+ * Keeps a time series of analysis totals and diffs two of them, to show how
+ * the mailbox changed between analyses
+ *
+ * Snapshot format:
+ * {
+ *   id: 'snapshot-1700000000000',
+ *   timestamp: 1700000000000,
+ *   query: 'older_than:1y', // '' for the whole mailbox
+ *   presetName: 'Last Year',
+ *   totalEmails: 1200,
+ *   totalSize: 52428800,
+ *   senders: { 'news@example.com': { name, count, totalSize } },
+ *   categories: { promotions: { count, totalSize } }, // null when skipped
+ * }
+ */
+
+class SnapshotHistory {
+  /**
+   * Reduce an analysis report to the totals kept in a snapshot
+   * @param {Object} report - Report from EmailAnalyzer.generateReport()
+   * @param {Object} options - Options
+   * @param {string} options.query - Gmail search the report covers
+   * @param {string} options.presetName - Preset the analysis ran with
+   * @param {number} options.timestamp - Snapshot time
+   * @returns {Object} Snapshot
+   */
+  static build(report, { query = '', presetName = '', timestamp } = {}) {
+    const time = timestamp || Date.now();
+    const senders = {};
+    report.senders.senders.forEach((sender) => {
+      senders[sender.email] = {
+        name: sender.name,
+        count: sender.count,
+        totalSize: sender.totalSize,
+      };
+    });
+
+    let categories = null;
+    if (!(report.skippedSections || []).includes('categories')) {
+      categories = {};
+      report.categories.forEach((category) => {
+        categories[category.category] = {
+          count: category.count,
+          totalSize: category.totalSize,
+        };
+      });
+    }
+
+    return {
+      id: `snapshot-${time}`,
+      timestamp: time,
+      query,
+      presetName,
+      totalEmails: report.overview.totalEmails,
+      totalSize: report.overview.totalSize,
+      senders,
+      categories,
+    };
+  }
+
+  /**
+   * Save a snapshot of a finished analysis
+   * Also updates the last analysis metadata and drops the oldest snapshots
+   * beyond APP_CONFIG.MAX_ANALYSIS_SNAPSHOTS
+   * @param {Object} report - Analysis report
+   * @param {Object} options - Options passed to build()
+   * @returns {Promise<Object|null>} Saved snapshot or null on failure
+   */
+  static async record(report, options = {}) {
+    const snapshot = this.build(report, options);
+    const store = APP_CONFIG.INDEXED_DB.STORES.ANALYSIS_SNAPSHOTS;
+
+    const saved = await StorageHelper.putRecord(store, snapshot);
+    if (!saved) {
+      console.error('❌ Failed to save analysis snapshot');
+      return null;
+    }
+
+    StorageHelper.saveLastAnalysisMetadata({
+      snapshotId: snapshot.id,
+      query: snapshot.query,
+      totalEmails: snapshot.totalEmails,
+      totalSize: snapshot.totalSize,
+    });
+
+    const expired = (await this.getSnapshots()).slice(
+      APP_CONFIG.MAX_ANALYSIS_SNAPSHOTS
+    );
+    await StorageHelper.deleteRecords(
+      store,
+      expired.map((entry) => entry.id)
+    );
+
+    console.log(`📸 Saved analysis snapshot of ${snapshot.totalEmails} emails`);
+    return snapshot;
+  }
+
+  /**
+   * Get all snapshots, newest first
+   * @returns {Promise<Array>} Snapshots
+   */
+  static async getSnapshots() {
+    const snapshots = await StorageHelper.getAllRecords(
+      APP_CONFIG.INDEXED_DB.STORES.ANALYSIS_SNAPSHOTS
+    );
+    return snapshots.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static deleteSnapshot(snapshotId) {
+    return StorageHelper.deleteRecord(
+      APP_CONFIG.INDEXED_DB.STORES.ANALYSIS_SNAPSHOTS,
+      snapshotId
+    );
+  }
+
+  /**
+   * Diff two snapshots
+   * Storage that left a sender (by deletion, or by emails falling out of the
+   * search) counts as reclaimed; storage that arrived counts as added
+   * @param {Object} before - Older snapshot
+   * @param {Object} after - Newer snapshot
+   * @param {Array} journalEntries - Undo journal entries, to count the
+   *   cleanup actions taken between the two snapshots
+   * @returns {Object} Comparison
+   */
+  static compare(before, after, journalEntries = []) {
+    if (before.timestamp > after.timestamp) {
+      return this.compare(after, before, journalEntries);
+    }
+
+    const newSenders = [];
+    const grownSenders = [];
+    const shrunkSenders = [];
+    let addedSize = 0;
+    let reclaimedSize = 0;
+    let reclaimedCount = 0;
+
+    Object.entries(after.senders).forEach(([email, sender]) => {
+      const old = before.senders[email];
+      const change = this.diffTotals(old, sender);
+      if (!old) {
+        newSenders.push({ email, name: sender.name, ...change });
+      } else if (change.countDelta > 0) {
+        grownSenders.push({ email, name: sender.name, ...change });
+      } else if (change.countDelta < 0) {
+        shrunkSenders.push({ email, name: sender.name, ...change });
+      }
+    });
+    Object.entries(before.senders).forEach(([email, sender]) => {
+      if (!after.senders[email]) {
+        shrunkSenders.push({
+          email,
+          name: sender.name,
+          ...this.diffTotals(sender, null),
+        });
+      }
+    });
+
+    [...newSenders, ...grownSenders, ...shrunkSenders].forEach((sender) => {
+      if (sender.sizeDelta > 0) addedSize += sender.sizeDelta;
+      if (sender.sizeDelta < 0) reclaimedSize -= sender.sizeDelta;
+      if (sender.countDelta < 0) reclaimedCount -= sender.countDelta;
+    });
+
+    const categories =
+      before.categories && after.categories
+        ? [
+            ...new Set([
+              ...Object.keys(before.categories),
+              ...Object.keys(after.categories),
+            ]),
+          ]
+            .map((category) => ({
+              category,
+              ...this.diffTotals(
+                before.categories[category],
+                after.categories[category]
+              ),
+            }))
+            .sort((a, b) => a.sizeDelta - b.sizeDelta)
+        : null;
+
+    const cleanups = journalEntries.filter(
+      (entry) =>
+        !entry.undone &&
+        entry.timestamp > before.timestamp &&
+        entry.timestamp <= after.timestamp
+    );
+
+    return {
+      before,
+      after,
+      sameQuery: before.query === after.query,
+      days: (after.timestamp - before.timestamp) / (24 * 60 * 60 * 1000),
+      emails: this.diffTotals(
+        { count: before.totalEmails, totalSize: before.totalSize },
+        { count: after.totalEmails, totalSize: after.totalSize }
+      ),
+      addedSize,
+      reclaimedSize,
+      reclaimedCount,
+      newSenders: newSenders.sort((a, b) => b.countAfter - a.countAfter),
+      grownSenders: grownSenders.sort((a, b) => b.countDelta - a.countDelta),
+      shrunkSenders: shrunkSenders.sort((a, b) => a.sizeDelta - b.sizeDelta),
+      categories,
+      cleanupActions: cleanups.length,
+      cleanedEmails: cleanups.reduce(
+        (sum, entry) => sum + entry.messageIds.length,
+        0
+      ),
+    };
+  }
+
+  /**
+   * Diff two { count, totalSize } totals, either of which may be missing
+   * @private
+   */
+  static diffTotals(before, after) {
+    const countBefore = before ? before.count : 0;
+    const countAfter = after ? after.count : 0;
+    const sizeBefore = before ? before.totalSize : 0;
+    const sizeAfter = after ? after.totalSize : 0;
+
+    return {
+      countBefore,
+      countAfter,
+      countDelta: countAfter - countBefore,
+      sizeBefore,
+      sizeAfter,
+      sizeDelta: sizeAfter - sizeBefore,
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SnapshotHistory;
+}
@@ -0,0 +1,215 @@
+/**
+ * Storage Model Component
+ * Breaks mailbox storage down by sender, label, category, attachments and
+ * age, and estimates how much space deleting a set of emails would free
+ *
+ * All sizes come from Gmail's sizeEstimate, which counts the whole raw
+ * message (headers, body and attachments).
+ */
+
+class StorageModel {
+  /**
+   * Describe the age bands storage is grouped into
+   * @returns {Array<Object>} Bands ({ id, label, maxDays }), youngest first
+   */
+  static getAgeBands() {
+    return [
+      { id: 'month', label: 'Last 30 days', maxDays: 30 },
+      { id: 'quarter', label: '1-3 months', maxDays: 90 },
+      { id: 'year', label: '3-12 months', maxDays: 365 },
+      { id: 'two-years', label: '1-2 years', maxDays: 2 * 365 },
+      { id: 'five-years', label: '2-5 years', maxDays: 5 * 365 },
+      { id: 'older', label: 'Over 5 years', maxDays: Infinity },
+    ];
+  }
+
+  /**
+   * Get the account storage quota from preferences
+   * @returns {number} Quota in bytes
+   */
+  static getQuotaBytes() {
+    const { storageQuotaGb } = StorageHelper.loadPreferences();
+    return (storageQuotaGb || 0) * 1024 * 1024 * 1024;
+  }
+
+  /**
+   * Save the account storage quota
+   * Gmail shares it with Drive and Photos, and the API does not expose it,
+   * so it is entered by the user
+   * @param {number} quotaGb - Quota in GB
+   */
+  static saveQuotaGb(quotaGb) {
+    if (!Number.isFinite(quotaGb) || quotaGb <= 0) {
+      throw new Error('Storage quota must be a positive number of GB.');
+    }
+
+    StorageHelper.savePreferences({
+      ...StorageHelper.loadPreferences(),
+      storageQuotaGb: quotaGb,
+    });
+  }
+
+  /**
+   * Build the storage breakdown for a set of emails
+   * Labels overlap (a message can carry several), so label shares can add up
+   * to more than 100%
+   * @param {Array} emails - Parsed email objects
+   * @param {Object} options - Options
+   * @param {number} options.now - Reference timestamp for age bands
+   * @param {number} options.quotaBytes - Account quota in bytes
+   * @param {Array} options.labels - Labels used to name label IDs
+   * @returns {Object} Storage model
+   */
+  static build(
+    emails,
+    { now = Date.now(), quotaBytes = null, labels = [] } = {}
+  ) {
+    const list = emails || [];
+    const quota = quotaBytes === null ? this.getQuotaBytes() : quotaBytes;
+    const totalSize = this._sumSize(list);
+    const bands = this.getAgeBands();
+    const directory = LabelHelper.buildDirectory(labels);
+
+    const groupBy = (keysOf, labelOf) =>
+      this._group(list, keysOf, labelOf, totalSize);
+    const ageGroups = groupBy(
+      (email) => [this._ageBand(email, now, bands).id],
+      (key) => bands.find((band) => band.id === key).label
+    );
+
+    return {
+      emailCount: list.length,
+      totalSize,
+      quota: {
+        quotaBytes: quota,
+        percentage: quota > 0 ? (totalSize / quota) * 100 : null,
+      },
+      bySender: groupBy(
+        (email) => [email.senderEmail || 'unknown'],
+        (key, email) =>
+          Formatters.formatSender(email.senderName, email.senderEmail)
+      ),
+      byLabel: groupBy(
+        (email) =>
+          (email.labels || []).filter(
+            (label) => !LabelHelper.isCategory(label)
+          ),
+        (key) => LabelHelper.getName(key, directory)
+      ),
+      byCategory: groupBy(
+        (email) => [email.category || 'uncategorized'],
+        (key) => Formatters.formatCategory(key)
+      ),
+      byAttachment: groupBy(
+        (email) => [email.hasAttachments ? 'with' : 'without'],
+        (key) => (key === 'with' ? 'With attachments' : 'Without attachments')
+      ),
+      // Keep every band, in age order, so charts have a stable axis
+      byAge: bands.map(
+        (band) =>
+          ageGroups.find((group) => group.key === band.id) || {
+            key: band.id,
+            label: band.label,
+            count: 0,
+            totalSize: 0,
+            percentage: 0,
+          }
+      ),
+    };
+  }
+
+  /**
+   * Estimate the space freed by deleting the emails that match criteria
+   * Space is only released once trashed messages are permanently deleted
+   * @param {Array} emails - Parsed email objects
+   * @param {Object} criteria - DryRun criteria, plus an optional label ID
+   * @param {Object} options - Options
+   * @param {number} options.now - Reference timestamp for age checks
+   * @param {number} options.quotaBytes - Account quota in bytes
+   * @returns {Object} Estimate ({ matchedCount, reclaimableSize, percentageOfAnalyzed, percentageOfQuota, protectedCount })
+   */
+  static estimate(
+    emails,
+    criteria = {},
+    { now = Date.now(), quotaBytes = null } = {}
+  ) {
+    const list = emails || [];
+    const quota = quotaBytes === null ? this.getQuotaBytes() : quotaBytes;
+    const matched = list.filter(
+      (email) =>
+        DryRun.matches(email, criteria, now) &&
+        (!criteria.label || (email.labels || []).includes(criteria.label))
+    );
+    const reclaimableSize = this._sumSize(matched);
+    const totalSize = this._sumSize(list);
+
+    return {
+      matchedCount: matched.length,
+      reclaimableSize,
+      percentageOfAnalyzed:
+        totalSize > 0 ? (reclaimableSize / totalSize) * 100 : 0,
+      percentageOfQuota: quota > 0 ? (reclaimableSize / quota) * 100 : null,
+      protectedCount: matched.filter(
+        (email) => email.isStarred || email.isImportant
+      ).length,
+    };
+  }
+
+  // Private methods
+
+  /**
+   * Group emails and sort the groups by size, largest first
+   * @private
+   */
+  static _group(emails, keysOf, labelOf, totalSize) {
+    const groups = new Map();
+
+    emails.forEach((email) => {
+      keysOf(email).forEach((key) => {
+        if (!groups.has(key)) {
+          groups.set(key, {
+            key,
+            label: labelOf(key, email),
+            count: 0,
+            totalSize: 0,
+          });
+        }
+        const group = groups.get(key);
+        group.count++;
+        group.totalSize += email.sizeEstimate || 0;
+      });
+    });
+
+    return Array.from(groups.values())
+      .map((group) => ({
+        ...group,
+        percentage: totalSize > 0 ? (group.totalSize / totalSize) * 100 : 0,
+      }))
+      .sort((a, b) => b.totalSize - a.totalSize);
+  }
+
+  /**
+   * Find the age band of an email; undated emails count as oldest
+   * @private
+   */
+  static _ageBand(email, now, bands) {
+    const timestamp = email.timestamp || new Date(email.date).getTime();
+    if (!timestamp) return bands[bands.length - 1];
+
+    const ageDays = (now - timestamp) / (24 * 60 * 60 * 1000);
+    return bands.find((band) => ageDays < band.maxDays);
+  }
+
+  /**
+   * Sum the size of emails
+   * @private
+   */
+  static _sumSize(emails) {
+    return emails.reduce((sum, email) => sum + (email.sizeEstimate || 0), 0);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StorageModel;
+}
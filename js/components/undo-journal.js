@@ -0,0 +1,234 @@
+/**
+ * Undo Journal Component
+ * Records every modify operation so it can be reversed later
+ */
+
+class UndoJournal {
+  /**
+   * Record a completed modify operation
+   * @param {Object} details - Operation details
+   * @param {string} details.operation - Operation name ('trash', 'archive', ...)
+   * @param {Array} details.messageIds - IDs of the modified messages
+   * @param {Object} details.changes - Applied changes ({ addLabelIds, removeLabelIds })
+   * @param {Object} details.labelsBefore - Map of message ID to label IDs before the change
+   * @param {string} details.description - Human-readable description
+   * @returns {Promise<Object|null>} Saved journal entry or null on failure
+   */
+  static async record({
+    operation,
+    messageIds,
+    changes = {},
+    labelsBefore = {},
+    description = '',
+  }) {
+    if (!messageIds || messageIds.length === 0) return null;
+
+    const timestamp = Date.now();
+    const entry = {
+      id: `${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+      operation,
+      description,
+      messageIds: [...messageIds],
+      changes: {
+        addLabelIds: changes.addLabelIds || [],
+        removeLabelIds: changes.removeLabelIds || [],
+      },
+      labelsBefore: messageIds.reduce((before, id) => {
+        if (labelsBefore[id]) {
+          // eslint-disable-next-line no-param-reassign
+          before[id] = [...labelsBefore[id]];
+        }
+        return before;
+      }, {}),
+      timestamp,
+      undone: false,
+      undoneAt: null,
+    };
+
+    const saved = await StorageHelper.putRecord(
+      APP_CONFIG.INDEXED_DB.STORES.UNDO_JOURNAL,
+      entry
+    );
+    if (!saved) {
+      console.error('❌ Failed to record undo journal entry');
+      return null;
+    }
+
+    console.log(
+      `📓 Journaled ${operation} of ${entry.messageIds.length} messages`
+    );
+    this._notifyChange();
+    return entry;
+  }
+
+  /**
+   * Get all journal entries, newest first
+   * @returns {Promise<Array>} Array of journal entries
+   */
+  static async getEntries() {
+    const entries = await StorageHelper.getAllRecords(
+      APP_CONFIG.INDEXED_DB.STORES.UNDO_JOURNAL
+    );
+    return entries.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Get the most recent entry that can still be undone
+   * @returns {Promise<Object|null>} Journal entry or null
+   */
+  static async getLastUndoable() {
+    const entries = await this.getEntries();
+    return entries.find((entry) => this.isUndoable(entry)) || null;
+  }
+
+  /**
+   * Check whether an entry can still be reversed
+   * Trashed messages are only recoverable within Gmail's trash window
+   * @param {Object} entry - Journal entry
+   * @param {number} now - Current timestamp
+   * @returns {boolean} True if the entry can be undone
+   */
+  static isUndoable(entry, now = Date.now()) {
+    if (!entry || entry.undone) return false;
+
+    if (entry.changes.addLabelIds.includes('TRASH')) {
+      const windowMs = APP_CONFIG.UNDO_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+      return now - entry.timestamp < windowMs;
+    }
+
+    return true;
+  }
+
+  /**
+   * Build the label changes that restore each message to its prior state
+   * Messages needing identical changes are grouped into one batch
+   * @param {Object} entry - Journal entry
+   * @returns {Array} Array of { messageIds, addLabelIds, removeLabelIds }
+   */
+  static buildReversal(entry) {
+    const { addLabelIds, removeLabelIds } = entry.changes;
+    const groups = new Map();
+
+    entry.messageIds.forEach((id) => {
+      const before = entry.labelsBefore[id];
+
+      // Without a recorded state, assume the change fully applied
+      const labelsToAdd = before
+        ? removeLabelIds.filter((label) => before.includes(label))
+        : [...removeLabelIds];
+      const labelsToRemove = before
+        ? addLabelIds.filter((label) => !before.includes(label))
+        : [...addLabelIds];
+
+      if (labelsToAdd.length === 0 && labelsToRemove.length === 0) return;
+
+      const key = `${labelsToAdd.join(',')}|${labelsToRemove.join(',')}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          messageIds: [],
+          addLabelIds: labelsToAdd,
+          removeLabelIds: labelsToRemove,
+        });
+      }
+      groups.get(key).messageIds.push(id);
+    });
+
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Reverse a journal entry through the Gmail API
+   * The entry is marked undone only when every message was restored
+   * @param {string} entryId - Journal entry ID
+   * @param {Object} options - Options ({ onProgress })
+   * @returns {Promise<Object>} Result with restored count and failed IDs
+   */
+  static async undo(entryId, options = {}) {
+    const entry = await StorageHelper.getRecord(
+      APP_CONFIG.INDEXED_DB.STORES.UNDO_JOURNAL,
+      entryId
+    );
+
+    if (!entry) {
+      throw new Error('Journal entry not found');
+    }
+    if (!this.isUndoable(entry)) {
+      throw new Error(
+        entry.undone
+          ? 'This operation has already been undone'
+          : `Trashed emails can only be restored within ${APP_CONFIG.UNDO_WINDOW_DAYS} days`
+      );
+    }
+
+    const reversal = this.buildReversal(entry);
+    const total = reversal.reduce(
+      (sum, group) => sum + group.messageIds.length,
+      0
+    );
+    const result = { restored: 0, failed: [] };
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const group of reversal) {
+      // eslint-disable-next-line no-await-in-loop
+      const groupResult = await gmailAPI.batchModifyMessages(
+        group.messageIds,
+        {
+          addLabelIds: group.addLabelIds,
+          removeLabelIds: group.removeLabelIds,
+        },
+        {
+          journal: false,
+          onProgress: ({ processed }) => {
+            if (options.onProgress) {
+              const done = result.restored + result.failed.length + processed;
+              options.onProgress({
+                processed: done,
+                total,
+                percentage: Math.round((done / total) * 100),
+              });
+            }
+          },
+        }
+      );
+
+      result.restored += groupResult.modified;
+      result.failed.push(...groupResult.failed);
+    }
+
+    if (result.failed.length === 0) {
+      await StorageHelper.putRecord(APP_CONFIG.INDEXED_DB.STORES.UNDO_JOURNAL, {
+        ...entry,
+        undone: true,
+        undoneAt: Date.now(),
+      });
+      this._notifyChange();
+    } else if (result.restored > 0) {
+      // Keep only the messages that were not restored so undo can be retried
+      await StorageHelper.putRecord(APP_CONFIG.INDEXED_DB.STORES.UNDO_JOURNAL, {
+        ...entry,
+        messageIds: [...result.failed],
+      });
+      this._notifyChange();
+    }
+
+    console.log(
+      `↩️ Restored ${result.restored} messages (${result.failed.length} failed)`
+    );
+    return result;
+  }
+
+  /**
+   * Notify listeners that the journal changed
+   * @private
+   */
+  static _notifyChange() {
+    if (typeof window !== 'undefined') {
+      window.dispatchEvent(new CustomEvent('undoJournalChange'));
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UndoJournal;
+}
@@ -0,0 +1,168 @@
+/**
+ * Unsubscribe Assistant Component
+ * Finds mailing-list senders and unsubscribes via List-Unsubscribe targets
+ */
+
+class UnsubscribeAssistant {
+  /**
+   * List every sender that advertises an unsubscribe target
+   * @param {Object} senderAnalysis - Result of EmailAnalyzer.analyzeBySender()
+   * @returns {Array} Mailing-list senders, highest volume first
+   */
+  static getMailingListSenders(senderAnalysis) {
+    if (!senderAnalysis || !senderAnalysis.senders) return [];
+
+    const log = this.getLog();
+
+    return senderAnalysis.senders
+      .map((sender) => {
+        // Prefer the newest message, whose targets are most likely valid
+        const latest = sender.emails
+          .filter((email) => email.unsubscribe)
+          .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))[0];
+        if (!latest) return null;
+
+        const lastEntry = log.find(
+          (entry) => entry.senderEmail === sender.email
+        );
+
+        return {
+          id: sender.id,
+          name: sender.name,
+          email: sender.email,
+          count: sender.count,
+          totalSize: sender.totalSize,
+          unsubscribe: latest.unsubscribe,
+          unsubscribedAt: lastEntry ? lastEntry.timestamp : null,
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Unsubscribe with an RFC 8058 one-click POST
+   * The response is opaque (no-cors), so a sent request is treated as success
+   * @param {Object} sender - Mailing-list sender
+   * @returns {Promise<Object>} Log entry
+   */
+  static async oneClickUnsubscribe(sender) {
+    const { unsubscribe } = sender;
+    if (!unsubscribe || !unsubscribe.oneClick) {
+      throw new Error(`${sender.email} does not support one-click unsubscribe`);
+    }
+
+    await fetch(unsubscribe.http, {
+      method: 'POST',
+      mode: 'no-cors',
+      credentials: 'omit',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'List-Unsubscribe=One-Click',
+    });
+
+    return this.recordUnsubscribe(sender, 'one-click', unsubscribe.http);
+  }
+
+  /**
+   * Open a Gmail draft addressed to the mailto target
+   * @param {Object} sender - Mailing-list sender
+   * @returns {Object} Log entry
+   */
+  static openMailtoDraft(sender) {
+    const { unsubscribe } = sender;
+    if (!unsubscribe || !unsubscribe.mailto) {
+      throw new Error(`${sender.email} has no unsubscribe address`);
+    }
+
+    window.open(
+      this.buildComposeUrl(unsubscribe.mailto),
+      '_blank',
+      'noopener,noreferrer'
+    );
+    return this.recordUnsubscribe(sender, 'mailto', unsubscribe.mailto);
+  }
+
+  /**
+   * Open the sender's unsubscribe page in a new tab
+   * @param {Object} sender - Mailing-list sender
+   * @returns {Object} Log entry
+   */
+  static openUnsubscribePage(sender) {
+    const { unsubscribe } = sender;
+    if (!unsubscribe || !unsubscribe.http) {
+      throw new Error(`${sender.email} has no unsubscribe page`);
+    }
+
+    window.open(unsubscribe.http, '_blank', 'noopener,noreferrer');
+    return this.recordUnsubscribe(sender, 'link', unsubscribe.http);
+  }
+
+  /**
+   * Convert a mailto: URL into a Gmail compose URL
+   * @param {string} mailto - mailto: URL
+   * @returns {string} Gmail compose URL
+   */
+  static buildComposeUrl(mailto) {
+    const [address, queryString = ''] = mailto
+      .replace(/^mailto:/i, '')
+      .split('?');
+    const query = new URLSearchParams(queryString);
+
+    // A malformed escape in a sender's header should not break the button
+    let to = address;
+    try {
+      to = decodeURIComponent(address);
+    } catch (error) {
+      console.warn(`⚠️ Could not decode unsubscribe address: ${address}`);
+    }
+
+    const params = new URLSearchParams({
+      view: 'cm',
+      fs: '1',
+      to,
+      su: query.get('subject') || 'unsubscribe',
+    });
+    if (query.get('body')) {
+      params.set('body', query.get('body'));
+    }
+
+    return `https://mail.google.com/mail/?${params.toString()}`;
+  }
+
+  /**
+   * Get the unsubscribe log, newest first
+   * @returns {Array} Log entries
+   */
+  static getLog() {
+    return StorageHelper.getItem(APP_CONFIG.STORAGE_KEYS.UNSUBSCRIBE_LOG) || [];
+  }
+
+  /**
+   * Record an unsubscribe attempt
+   * @param {Object} sender - Mailing-list sender
+   * @param {string} method - 'one-click', 'mailto' or 'link'
+   * @param {string} target - URL or address used
+   * @returns {Object} Log entry
+   */
+  static recordUnsubscribe(sender, method, target) {
+    const entry = {
+      senderEmail: sender.email,
+      senderName: sender.name,
+      method,
+      target,
+      timestamp: Date.now(),
+    };
+
+    StorageHelper.setItem(APP_CONFIG.STORAGE_KEYS.UNSUBSCRIBE_LOG, [
+      entry,
+      ...this.getLog(),
+    ]);
+    console.log(`📭 Unsubscribed from ${sender.email} via ${method}`);
+    return entry;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UnsubscribeAssistant;
+}
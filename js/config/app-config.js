@@ -11,23 +11,67 @@ const APP_CONFIG = {
   // Gmail API Configuration
   GMAIL_SCOPES: ['https://www.googleapis.com/auth/gmail.readonly'],
 
+  // Requested on top of GMAIL_SCOPES only when the user opts into cleanup mode
+  GMAIL_MODIFY_SCOPE: 'https://www.googleapis.com/auth/gmail.modify',
+
+  // Requested with cleanup mode only when the user creates a Gmail filter
+  GMAIL_SETTINGS_SCOPE: 'https://www.googleapis.com/auth/gmail.settings.basic',
+
   // API Discovery Docs
   DISCOVERY_DOCS: [
     'https://www.googleapis.com/discovery/v1/apis/gmail/v1/rest',
   ],
 
   // Application Settings
-  MAX_RESULTS_PER_BATCH: 20,
+  MAX_RESULTS_PER_BATCH: 100,
+  MAX_LIST_PAGE_SIZE: 500, // Max page size accepted by messages.list
   MAX_CONCURRENT_REQUESTS: 5,
+  BATCH_REQUEST_SIZE: 100, // Max calls packed into one HTTP batch request
+  MIN_BATCH_REQUEST_SIZE: 10,
+  MAX_BATCH_RETRIES: 5,
   API_RATE_LIMIT_DELAY: 100, // milliseconds
+  BATCH_MODIFY_LIMIT: 1000, // Max IDs accepted by messages.batchModify
+  STREAM_UPDATE_INTERVAL: 2000, // ms between live dashboard updates
+  ANALYSIS_WORKER_URL: 'js/workers/analysis-worker.js',
+  EXPORT_SCHEMA_VERSION: 1, // Bump when exported columns change
+  PRESET_SCHEMA_VERSION: 1, // Bump when the preset file format changes
 
   // Storage Keys
   STORAGE_KEYS: {
     USER_PREFERENCES: 'gmail_purge_preferences',
     ANALYSIS_CACHE: 'gmail_purge_cache',
     LAST_ANALYSIS: 'gmail_purge_last_analysis',
+    FALLBACK_STORE_PREFIX: 'gmail_purge_store_',
+    UNSUBSCRIBE_LOG: 'gmail_purge_unsubscribe_log',
+    LABELS: 'gmail_purge_labels', // Label list for naming label IDs offline
+  },
+
+  // IndexedDB Configuration (every object store uses 'id' as its key path)
+  INDEXED_DB: {
+    NAME: 'gmail_purge',
+    VERSION: 6,
+    STORES: {
+      UNDO_JOURNAL: 'undo_journal',
+      MESSAGES: 'messages',
+      SYNC_STATE: 'sync_state',
+      ANALYSIS_CACHE: 'analysis_cache',
+      ANALYSIS_JOBS: 'analysis_jobs',
+      JOB_MESSAGES: 'job_messages',
+      ATTACHMENTS: 'attachments',
+      ANALYSIS_SNAPSHOTS: 'analysis_snapshots',
+    },
   },
 
+  // Gmail permanently deletes trashed messages after this many days
+  UNDO_WINDOW_DAYS: 30,
+
+  // Oldest analysis snapshots are dropped beyond this many
+  MAX_ANALYSIS_SNAPSHOTS: 100,
+
+  // Filter suggestions need at least this many analyzed emails to match
+  FILTER_SUGGESTION_MIN_EMAILS: 10,
+  MAX_FILTER_SUGGESTIONS: 20,
+
   // Default User Preferences
   DEFAULT_PREFERENCES: {
     theme: 'light',
@@ -38,6 +82,10 @@ const APP_CONFIG = {
     reportFormat: 'summary',
     language: 'en',
     disclaimerShown: false,
+    retentionRules: [],
+    senderAliasGroups: [], // [{ id, name, patterns }] rolled up as one sender
+    customPresets: [], // [{ id, name, query, conditions }] from the search builder
+    storageQuotaGb: 15, // Free Google account; shared with Drive and Photos
   },
 
   // Email Analysis Configuration
@@ -74,6 +122,11 @@ const APP_CONFIG = {
     GENERAL_ERROR: 'An unexpected error occurred. Please try again.',
     NO_EMAILS_FOUND: 'No emails found in your Gmail account.',
     ANALYSIS_FAILED: 'Email analysis failed. Please try again.',
+    CLEANUP_MODE_REQUIRED:
+      'Cleanup mode must be enabled before emails can be modified.',
+    MODIFY_FAILED: 'Some emails could not be updated. Please try again.',
+    FILTER_ACCESS_REQUIRED:
+      'Filter permission must be granted before Gmail filters can be created.',
   },
 
   // Success Messages
@@ -81,6 +134,7 @@ const APP_CONFIG = {
     AUTH_SUCCESS: 'Successfully connected to Gmail!',
     ANALYSIS_COMPLETE: 'Email analysis completed successfully!',
     EXPORT_SUCCESS: 'Analysis results exported successfully!',
+    CLEANUP_MODE_ENABLED: 'Cleanup mode enabled. Bulk actions are available.',
   },
 };
 
@@ -0,0 +1,118 @@
+/**
+ * Confirm Dialog UI Component
+ * Modal confirmation prompt used before destructive actions
+ */
+
+class ConfirmDialog {
+  /**
+   * Show a confirmation dialog
+   * Title, message and button labels are shown as text, so values taken
+   * from emails can be passed safely
+   * @param {Object} options - Dialog options
+   * @param {string} options.title - Dialog title
+   * @param {string} options.message - Dialog message
+   * @param {boolean} options.html - Insert the message as HTML; only for
+   *   static markup that contains no email data
+   * @param {string} options.confirmText - Confirm button label
+   * @param {string} options.cancelText - Cancel button label
+   * @param {boolean} options.danger - Style the confirm button as destructive
+   * @returns {Promise<boolean>} True if the user confirmed
+   */
+  static show({
+    title = 'Are you sure?',
+    message = '',
+    html = false,
+    confirmText = 'Confirm',
+    cancelText = 'Cancel',
+    danger = false,
+  } = {}) {
+    return new Promise((resolve) => {
+      const modal = document.createElement('div');
+      modal.className = 'modal-overlay';
+      modal.innerHTML = `
+        <div class="confirm-dialog" role="alertdialog" aria-modal="true">
+          <div class="modal-header">
+            <h3></h3>
+          </div>
+          <div class="modal-body">
+            <p></p>
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn-secondary" data-action="cancel"></button>
+            <button class="btn ${danger ? 'btn-danger' : 'btn-primary'}" data-action="confirm"></button>
+          </div>
+        </div>
+      `;
+      modal.querySelector('h3').textContent = title;
+      modal.querySelector('.modal-body p')[html ? 'innerHTML' : 'textContent'] =
+        message;
+      modal.querySelector('[data-action="cancel"]').textContent = cancelText;
+      modal.querySelector('[data-action="confirm"]').textContent = confirmText;
+
+      const close = (confirmed) => {
+        modal.remove();
+        resolve(confirmed);
+      };
+
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+          close(false);
+          return;
+        }
+
+        const actionButton = e.target.closest('[data-action]');
+        if (actionButton) {
+          close(actionButton.dataset.action === 'confirm');
+        }
+      });
+
+      // Resolve before the global Escape handler removes the overlay
+      modal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          close(false);
+        }
+      });
+
+      document.body.appendChild(modal);
+      modal.querySelector('[data-action="cancel"]').focus();
+    });
+  }
+
+  /**
+   * Make sure cleanup mode is enabled, asking the user to opt in if needed
+   * @param {Object} options - Options
+   * @param {boolean} options.filters - Also require permission to create filters
+   * @returns {Promise<boolean>} Whether modify actions are allowed
+   */
+  static async ensureCleanupMode({ filters = false } = {}) {
+    if (
+      filters ? gmailAuth.canCreateFilters() : gmailAuth.isCleanupModeEnabled()
+    ) {
+      return true;
+    }
+
+    const optIn = await this.show({
+      title: filters ? 'Allow filter creation?' : 'Enable cleanup mode?',
+      message: filters
+        ? 'Gmail Purge is read-only by default. Creating filters and labeling existing emails needs permission to modify your mailbox and its basic settings, so Google will ask you to grant the <code>gmail.modify</code> and <code>gmail.settings.basic</code> scopes.'
+        : 'Gmail Purge is read-only by default. Changing emails needs permission to modify your mailbox, so Google will ask you to grant the <code>gmail.modify</code> scope.',
+      html: true,
+      confirmText: filters ? 'Allow Filters' : 'Enable Cleanup Mode',
+    });
+    if (!optIn) return false;
+
+    const enabled = await gmailAuth.enableCleanupMode({ filters });
+    if (enabled && window.dashboard) {
+      window.dashboard.showMessage(
+        APP_CONFIG.SUCCESS_MESSAGES.CLEANUP_MODE_ENABLED,
+        'success'
+      );
+    }
+    return enabled;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConfirmDialog;
+}
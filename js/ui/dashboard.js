@@ -5,13 +5,32 @@
 
 class Dashboard {
   constructor() {
-    this.emailAnalyzer = new EmailAnalyzer();
+    this.emailAnalyzer = new EmailAnalyzer({
+      worker: new AnalysisWorkerClient(),
+      labels: StorageHelper.getItem(APP_CONFIG.STORAGE_KEYS.LABELS) || [],
+      aliasGroups: SenderGroups.getGroups(),
+    });
     this.isAnalyzing = false;
+    this.isPurging = false;
     this.currentAnalysis = null;
+    this.currentEmails = [];
+    this.lastDryRun = null;
+    this.analysisJob = null;
+    this.attachments = null;
+    this.attachmentScan = null;
     this.selectedPreset = 'all';
+    this.customQuery = null;
+    this.queryConditions = [];
+    this.queryProfile = PresetManager.getDefaultProfile();
+    this.queryPresetName = '';
+    this.editingPresetId = null;
+    this.queryEstimateTimer = null;
+    this.queryEstimateId = 0;
+    this.filterSuggestions = [];
 
     this.initializeElements();
     this.attachEventListeners();
+    this.renderPresetOptions();
   }
 
   /**
@@ -38,6 +57,11 @@ class Dashboard {
       analyzeButton: document.getElementById('analyze-button'),
       presetSelect: document.getElementById('analysis-preset'),
       refreshButton: document.getElementById('refresh-data'),
+      undoButton: document.getElementById('undo-last-purge'),
+      forgetButton: document.getElementById('forget-everything'),
+      pauseButton: document.getElementById('pause-analysis'),
+      cancelButton: document.getElementById('cancel-analysis'),
+      exportButton: document.getElementById('export-button'),
 
       // Navigation
       viewToggleButtons: document.querySelectorAll('.view-toggle'),
@@ -64,6 +88,9 @@ class Dashboard {
     if (this.elements.presetSelect) {
       this.elements.presetSelect.addEventListener('change', (e) => {
         this.selectedPreset = e.target.value;
+        if (this.selectedPreset !== 'custom') {
+          this.customQuery = null;
+        }
         this.updateAnalysisPreset();
       });
     }
@@ -74,10 +101,44 @@ class Dashboard {
       );
     }
 
+    if (this.elements.undoButton) {
+      this.elements.undoButton.addEventListener('click', () =>
+        this.undoLastPurge()
+      );
+    }
+
+    if (this.elements.pauseButton) {
+      this.elements.pauseButton.addEventListener('click', () =>
+        this.togglePauseAnalysis()
+      );
+    }
+
+    if (this.elements.cancelButton) {
+      this.elements.cancelButton.addEventListener('click', () =>
+        this.cancelAnalysis()
+      );
+    }
+
+    if (this.elements.exportButton) {
+      this.elements.exportButton.addEventListener('click', () =>
+        this.showExportView()
+      );
+    }
+
+    if (this.elements.forgetButton) {
+      this.elements.forgetButton.addEventListener('click', () =>
+        this.forgetEverything()
+      );
+    }
+
+    // Keep the undo button in sync with the journal
+    window.addEventListener('undoJournalChange', () => this.updateUndoButton());
+    this.updateUndoButton();
+
     // View toggles
     this.elements.viewToggleButtons.forEach((button) => {
       button.addEventListener('click', (e) => {
-        const { view } = e.target.dataset;
+        const { view } = e.currentTarget.dataset;
         this.switchView(view);
       });
     });
@@ -90,8 +151,10 @@ class Dashboard {
 
   /**
    * Start email analysis process
+   * Streams the whole mailbox and refreshes the dashboard as results arrive
+   * @param {Object} checkpoint - Continue an interrupted analysis instead
    */
-  async startAnalysis() {
+  async startAnalysis(checkpoint = null) {
     if (this.isAnalyzing) {
       this.showMessage('Analysis already in progress...', 'warning');
       return;
@@ -108,11 +171,71 @@ class Dashboard {
         await gmailAuth.signIn();
       }
 
-      // Fetch emails based on preset
+      // A resumed job keeps the settings it was started with, whatever
+      // preset is selected now
+      const preset = this.getActivePreset();
+      const query = checkpoint ? checkpoint.query : preset.query;
+      const maxMessages = checkpoint
+        ? checkpoint.maxMessages || 0
+        : preset.maxMessages;
+      const analyses =
+        checkpoint && checkpoint.analyses
+          ? checkpoint.analyses
+          : preset.analyses;
+
+      // Note the history ID first so changes made during the analysis are
+      // picked up by the next incremental refresh
+      const profile = checkpoint ? null : await gmailAPI.getUserProfile();
+
+      this.emailAnalyzer.sections = analyses;
+      await this.loadLabels();
       this.showLoading('Fetching emails...');
-      const emails = await this.fetchEmailsByPreset();
+      this.analysisJob = new AnalysisJob({
+        query,
+        maxMessages,
+        analyses,
+        analyzer: this.emailAnalyzer,
+        historyId: profile ? profile.historyId : null,
+        onProgress: ({ processed, total, percentage }) => {
+          this.updateProgress(
+            percentage,
+            `Analyzed ${Formatters.formatNumber(processed)} of ~${Formatters.formatNumber(total)} emails...`
+          );
+        },
+        onUpdate: (report) => {
+          this.currentAnalysis = report;
+          this.currentEmails = this.emailAnalyzer.emails;
+          this.updateDashboard(report);
+        },
+      });
+      this.updateAnalysisControls();
+
+      const report = checkpoint
+        ? await this.analysisJob.resumeFrom(checkpoint)
+        : await this.analysisJob.start();
+      this.hideLoading();
+
+      // A snapshot with gaps would never be filled in by incremental syncs
+      const { failedIds } = this.analysisJob;
+      if (
+        this.analysisJob.state === 'done' &&
+        this.analysisJob.historyId &&
+        failedIds.length === 0
+      ) {
+        await MailboxSync.saveSnapshot(this.emailAnalyzer.emails, {
+          historyId: this.analysisJob.historyId,
+          query,
+        });
+      }
+      if (failedIds.length > 0) {
+        this.showMessage(
+          `${Formatters.formatEmailCount(failedIds.length)} could not be loaded and are missing from the report. Run the analysis again to include them.`,
+          'warning'
+        );
+      }
 
-      if (emails.length === 0) {
+      if (report.overview.totalEmails === 0) {
+        this.currentAnalysis = null;
         this.showMessage(
           'No emails found matching the selected criteria.',
           'info'
@@ -120,62 +243,283 @@ class Dashboard {
         return;
       }
 
-      // Analyze emails
-      this.showLoading(`Analyzing ${emails.length} emails...`);
-      this.currentAnalysis = await this.emailAnalyzer.generateReport(emails);
+      if (this.analysisJob.state === 'done') {
+        await SnapshotHistory.record(report, {
+          query,
+          presetName: query === preset.query ? preset.name : '',
+        });
+      }
 
-      // Update dashboard
-      this.updateDashboard(this.currentAnalysis);
-      this.hideLoading();
       this.showMessage(
-        `Analysis complete! Found ${emails.length} emails from ${this.currentAnalysis.senders.senders.length} senders.`,
+        `Analysis complete! Found ${Formatters.formatNumber(report.overview.totalEmails)} emails from ${Formatters.formatNumber(report.senders.senders.length)} senders.`,
         'success'
       );
     } catch (error) {
-      console.error('Analysis failed:', error);
-      this.showError(`Analysis failed: ${error.message}`);
+      // Cancelled analyses and reports end with an AbortError
+      if (error.name !== 'AbortError') {
+        console.error('Analysis failed:', error);
+        this.showError(`Analysis failed: ${error.message}`);
+        if (this.analysisJob && this.analysisJob.processedCount > 0) {
+          this.showMessage(
+            'Progress was saved. Reload the page to resume the analysis.',
+            'info'
+          );
+        }
+      }
     } finally {
       this.isAnalyzing = false;
+      this.analysisJob = null;
       this.updateAnalyzeButton(false);
+      this.updateAnalysisControls();
     }
   }
 
   /**
-   * Fetch emails based on selected preset
-   * @returns {Promise<Array>} Array of email objects
+   * Fetch the label list used to name label IDs
+   * The list is cached so saved analyses show label names offline; a failed
+   * fetch keeps the cached list
    */
-  async fetchEmailsByPreset() {
-    const presets = {
-      all: { query: '', maxResults: 100 },
-      'recent-month': { query: 'newer_than:1m', maxResults: 100 },
-      'recent-year': { query: 'newer_than:1y', maxResults: 100 },
-      'large-emails': { query: 'larger:5M', maxResults: 100 },
-      'with-attachments': { query: 'has:attachment', maxResults: 100 },
-      promotions: { query: 'category:promotions', maxResults: 100 },
-      social: { query: 'category:social', maxResults: 100 },
-      unread: { query: 'is:unread', maxResults: 100 },
-    };
+  async loadLabels() {
+    const labels = await gmailAPI.getLabels();
+    if (labels.length === 0) return;
 
-    const preset = presets[this.selectedPreset] || presets.all;
+    this.emailAnalyzer.labels = labels;
+    StorageHelper.setItem(APP_CONFIG.STORAGE_KEYS.LABELS, labels);
+  }
 
-    const updateProgress = (current, total) => {
-      const percentage = Math.round((current / total) * 100);
-      this.updateProgress(percentage, `Fetching emails... ${current}/${total}`);
-    };
+  /**
+   * Build a report for the analyzer's emails off the main thread
+   * The senders list is filled in as soon as that section is ready
+   * @returns {Promise<Object>} Analysis report
+   */
+  buildReport() {
+    return this.emailAnalyzer.getReport({
+      onProgress: ({ percentage }) => {
+        this.updateProgress(percentage, 'Building report...');
+      },
+      onPartial: (section, data) => {
+        if (section === 'senders') {
+          this.updateSendersList(data);
+        }
+      },
+    });
+  }
+
+  /**
+   * Show the locally stored analysis after a reload
+   * The dashboard stays usable offline until the next refresh
+   * @returns {Promise<boolean>} True if a saved analysis was restored
+   */
+  async restoreSavedAnalysis() {
+    if (this.isAnalyzing || this.currentAnalysis) return false;
+
+    try {
+      const state = await MailboxSync.getState();
+      if (!state || !state.messageCount) return false;
+
+      const emails = await MailboxSync.loadEmails();
+      if (emails.length === 0) return false;
+
+      this.emailAnalyzer.reset();
+      this.emailAnalyzer.addEmails(emails);
+      const report = await this.buildReport();
+
+      this.currentAnalysis = report;
+      this.currentEmails = this.emailAnalyzer.emails;
+      this.updateDashboard(report);
+
+      this.showMessage(
+        `Loaded saved analysis of ${Formatters.formatEmailCount(emails.length)} from ${Formatters.formatRelativeDate(state.syncedAt)}. Click Refresh to pick up new mail.`,
+        'info'
+      );
+      return true;
+    } catch (error) {
+      console.error('Failed to restore saved analysis:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete every piece of locally stored data after confirmation
+   */
+  async forgetEverything() {
+    if (this.isAnalyzing || this.isPurging) {
+      this.showMessage('Wait for the current operation to finish.', 'warning');
+      return;
+    }
 
-    // Use the global gmailAPI instance to get all messages
-    const messages = await gmailAPI.getAllMessages({
-      maxPages: preset.maxResults ? Math.ceil(preset.maxResults / 100) : 50,
-      query: preset.query
+    const { indexedDB: usage } = await StorageHelper.getStorageInfo();
+    const confirmed = await ConfirmDialog.show({
+      title: 'Forget everything?',
+      message: `Saved analyses, message metadata, preferences, rules and the undo history will be deleted from this browser${
+        usage
+          ? ` (${Formatters.formatFileSize(usage.used)} of its ${Formatters.formatFileSize(usage.quota)} storage quota)`
+          : ''
+      }. Your Gmail account is not affected.`,
+      confirmText: 'Forget Everything',
+      danger: true,
     });
+    if (!confirmed) return;
 
-    // Get detailed message information for analysis
-    if (messages.length > 0) {
-      const messageIds = messages.slice(0, preset.maxResults || 100).map(m => m.id);
-      return await gmailAPI.getMessageDetails(messageIds, updateProgress);
+    const deleted = await StorageHelper.forgetEverything();
+
+    this.emailAnalyzer.reset();
+    this.currentAnalysis = null;
+    this.currentEmails = [];
+    this.attachments = null;
+    this.updateUndoButton();
+    this.updateExportButton();
+
+    if (deleted) {
+      this.showMessage('All local data has been deleted.', 'success');
+    } else {
+      this.showMessage(
+        'Local data was cleared, but the database is still open in another tab. Close other tabs to finish.',
+        'warning'
+      );
+    }
+  }
+
+  /**
+   * Pause or resume the running analysis
+   */
+  togglePauseAnalysis() {
+    if (!this.analysisJob) return;
+
+    if (this.analysisJob.state === 'paused') {
+      this.analysisJob.resume();
+      this.showLoading('Resuming analysis...');
+    } else {
+      this.analysisJob.pause();
+      this.hideLoading();
+      this.showMessage(
+        `Analysis paused after ${Formatters.formatNumber(this.analysisJob.processedCount)} emails.`,
+        'info'
+      );
+    }
+    this.updateAnalysisControls();
+  }
+
+  /**
+   * Cancel the running analysis, aborting requests in flight
+   */
+  cancelAnalysis() {
+    if (!this.analysisJob) return;
+
+    this.analysisJob.cancel();
+    this.hideLoading();
+    this.showMessage('Analysis cancelled.', 'info');
+  }
+
+  /**
+   * Offer to continue an analysis interrupted by a reload or an error
+   * @returns {Promise<boolean>} True if the analysis was resumed
+   */
+  async offerToResumeAnalysis() {
+    if (this.isAnalyzing) return false;
+
+    const checkpoint = await AnalysisJob.getCheckpoint();
+    if (!checkpoint) return false;
+
+    const progress = checkpoint.estimatedTotal
+      ? ` of ~${Formatters.formatNumber(checkpoint.estimatedTotal)}`
+      : '';
+    const resume = await ConfirmDialog.show({
+      title: 'Resume previous analysis?',
+      message: `An analysis started ${Formatters.formatRelativeDate(checkpoint.startedAt)} stopped after ${Formatters.formatNumber(checkpoint.processedCount)}${progress} emails.`,
+      confirmText: 'Resume',
+      cancelText: 'Discard',
+    });
+
+    if (!resume) {
+      await AnalysisJob.discard();
+      return false;
+    }
+
+    this.startAnalysis(checkpoint);
+    return true;
+  }
+
+  /**
+   * Get the selected preset with every profile field set
+   * 'custom' is an unsaved search from the query builder, analyzed with the
+   * profile settings entered next to it
+   * @returns {Object} Preset
+   */
+  getActivePreset() {
+    if (this.selectedPreset === 'custom' && this.customQuery !== null) {
+      return PresetManager.withDefaults({
+        ...this.queryProfile,
+        id: 'custom',
+        name: 'Custom search',
+        query: this.customQuery,
+      });
     }
 
-    return [];
+    return (
+      PresetManager.getPreset(this.selectedPreset) ||
+      PresetManager.getPreset('all')
+    );
+  }
+
+  /**
+   * Get the Gmail search query for the selected preset
+   * @returns {string} Gmail search query
+   */
+  getPresetQuery() {
+    return this.getActivePreset().query;
+  }
+
+  /**
+   * Apply the selected preset's threshold and sort order to a list
+   * @param {Array} items - Senders or subjects (count, totalSize)
+   * @param {Function} getName - Returns the text to sort by name
+   * @param {string} limitKey - Threshold holding the list's display limit
+   * @returns {Object} { items, hiddenCount, preset }
+   */
+  applyPresetToList(items, getName, limitKey) {
+    const preset = this.getActivePreset();
+    const { thresholds } = preset;
+    const compare = {
+      count: (a, b) => b.count - a.count,
+      size: (a, b) => b.totalSize - a.totalSize,
+      name: (a, b) => getName(a).localeCompare(getName(b)),
+    }[preset.defaultSort];
+
+    const shown = items
+      .filter((item) => item.count >= thresholds.minEmailThreshold)
+      .sort(compare)
+      .slice(0, thresholds[limitKey]);
+
+    return { items: shown, hiddenCount: items.length - shown.length, preset };
+  }
+
+  /**
+   * Fill the preset select with built-in and saved presets
+   */
+  renderPresetOptions() {
+    const select = this.elements.presetSelect;
+    if (!select) return;
+
+    const option = (preset) =>
+      `<option value="${Formatters.escapeHtml(preset.id)}">${Formatters.escapeHtml(preset.name)}</option>`;
+    const custom = PresetManager.getCustomPresets();
+
+    select.innerHTML = `
+      <optgroup label="Built-in">
+        ${PresetManager.getBuiltInPresets().map(option).join('')}
+      </optgroup>
+      ${custom.length > 0 ? `<optgroup label="Saved">${custom.map(option).join('')}</optgroup>` : ''}
+      ${this.customQuery !== null ? '<option value="custom">Custom search</option>' : ''}
+    `;
+
+    if (
+      !PresetManager.getPreset(this.selectedPreset) &&
+      this.selectedPreset !== 'custom'
+    ) {
+      this.selectedPreset = 'all';
+    }
+    select.value = this.selectedPreset;
   }
 
   /**
@@ -192,8 +536,16 @@ class Dashboard {
     // Update insights
     this.updateInsights(analysis.insights);
 
-    // Show dashboard
-    this.showDashboard();
+    this.updateExportButton();
+  }
+
+  /**
+   * Enable the export button while there is an analysis to export
+   */
+  updateExportButton() {
+    if (this.elements.exportButton) {
+      this.elements.exportButton.disabled = !this.currentAnalysis;
+    }
   }
 
   /**
@@ -241,10 +593,10 @@ class Dashboard {
     this.elements.sendersList.innerHTML = topSenders
       .map(
         (sender) => `
-      <div class="sender-item" data-sender-id="${sender.id}">
+      <div class="sender-item" data-sender-id="${Formatters.escapeHtml(sender.id)}">
         <div class="sender-info">
-          <div class="sender-name">${Formatters.formatSender(sender.name, sender.email, 40)}</div>
-          <div class="sender-email">${sender.email}</div>
+          <div class="sender-name">${Formatters.escapeHtml(Formatters.formatSender(sender.name, sender.email, 40))}</div>
+          <div class="sender-email">${Formatters.escapeHtml(sender.email)}</div>
         </div>
         <div class="sender-stats">
           <div class="stat">
@@ -261,7 +613,7 @@ class Dashboard {
           </div>
         </div>
         <div class="sender-actions">
-          <button class="btn-secondary" onclick="dashboard.viewSenderDetails('${sender.id}')">
+          <button class="btn-secondary" data-sender-id="${Formatters.escapeHtml(sender.id)}" onclick="dashboard.viewSenderDetails(this.dataset.senderId)">
             View Details
           </button>
         </div>
@@ -315,6 +667,7 @@ class Dashboard {
   getInsightIcon(type) {
     const icons = {
       top_sender: '👤',
+      top_organization: '🏢',
       storage: '💾',
       duplicates: '📋',
       large_emails: '📦',
@@ -356,7 +709,7 @@ class Dashboard {
     const detailsHtml = `
       <div class="sender-details">
         <div class="sender-header">
-          <h2>${Formatters.formatSender(sender.name, sender.email)}</h2>
+          <h2>${Formatters.escapeHtml(Formatters.formatSender(sender.name, sender.email))}</h2>
           <div class="sender-meta">
             <span class="badge">${Formatters.formatEmailCount(sender.count)}</span>
             <span class="badge">${Formatters.formatFileSize(sender.totalSize)} total</span>
@@ -375,12 +728,167 @@ class Dashboard {
           <h3>Email Timeline</h3>
           <p>From ${Formatters.formatShortDate(sender.dateRange.earliest)} to ${Formatters.formatShortDate(sender.dateRange.latest)}</p>
         </div>
+
+        <div class="sender-purge">
+          <h3>Purge This Sender</h3>
+          <p>Applies to every email from ${Formatters.escapeHtml(sender.email)} in your mailbox, not just the analyzed sample.</p>
+          <div class="sender-purge-actions" data-sender-id="${Formatters.escapeHtml(sender.id)}" data-sender-email="${Formatters.escapeHtml(sender.email)}">
+            <button class="btn btn-secondary" onclick="dashboard.showDryRunView({ sender: this.parentElement.dataset.senderEmail })">
+              Simulate Purge
+            </button>
+            <button class="btn btn-secondary" onclick="dashboard.purgeSender(this.parentElement.dataset.senderId, 'archive')">
+              Archive All
+            </button>
+            <button class="btn btn-danger" onclick="dashboard.purgeSender(this.parentElement.dataset.senderId, 'trash')">
+              Move All to Trash
+            </button>
+          </div>
+        </div>
       </div>
     `;
 
     this.elements.dashboardContainer.innerHTML = detailsHtml;
   }
 
+  /**
+   * Purge every email from a sender across the full mailbox
+   * @param {string} senderId - Sender ID
+   * @param {string} action - Purge action ('trash' or 'archive')
+   */
+  async purgeSender(senderId, action = 'trash') {
+    if (!this.currentAnalysis || this.isPurging || this.isAnalyzing) return;
+
+    const sender = this.currentAnalysis.senders.senders.find(
+      (s) => s.id === senderId
+    );
+    if (!sender) return;
+
+    const purgeActions = {
+      trash: {
+        method: 'trashMessages',
+        title: 'Move to Trash',
+        progressText: 'Moving to trash',
+        pastTense: 'moved to trash',
+      },
+      archive: {
+        method: 'archiveMessages',
+        title: 'Archive',
+        progressText: 'Archiving',
+        pastTense: 'archived',
+      },
+    };
+    const purgeAction = purgeActions[action];
+    if (!purgeAction) return;
+
+    if (!(await ConfirmDialog.ensureCleanupMode())) return;
+
+    try {
+      this.isPurging = true;
+
+      const preview = await this.previewSenderPurge(sender);
+      this.hideLoading();
+
+      if (preview.messageIds.length === 0) {
+        this.showMessage(`No emails from ${sender.email} were found.`, 'info');
+        return;
+      }
+
+      const confirmed = await ConfirmDialog.show({
+        title: `${purgeAction.title}: ${Formatters.formatSender(sender.name, sender.email, 40)}`,
+        message: `Found ${Formatters.formatEmailCount(preview.messageIds.length)} (${Formatters.formatFileSize(preview.totalSize)}) matching "${preview.query}". All of them will be ${purgeAction.pastTense}.${
+          preview.failedIds.length > 0
+            ? ` ${Formatters.formatEmailCount(preview.failedIds.length)} could not be measured, so their size is not included and undo cannot restore their exact labels.`
+            : ''
+        }`,
+        confirmText: purgeAction.title,
+        danger: action === 'trash',
+      });
+      if (!confirmed) return;
+
+      this.showLoading(`${purgeAction.progressText}...`);
+      const result = await gmailAPI[purgeAction.method](preview.messageIds, {
+        labelsBefore: preview.labelsBefore,
+        description: `${purgeAction.title}: all emails from ${sender.email}`,
+        onProgress: ({ processed, total, percentage }) => {
+          this.updateProgress(
+            percentage,
+            `${purgeAction.progressText}... ${processed}/${total}`
+          );
+        },
+      });
+      this.hideLoading();
+
+      if (result.modified > 0) {
+        this.emailAnalyzer.clearCache();
+        this.showMessage(
+          `${Formatters.formatEmailCount(result.modified)} from ${sender.email} ${purgeAction.pastTense}. Run the analysis again to refresh the numbers.`,
+          'success'
+        );
+      }
+      if (result.failed.length > 0) {
+        this.showMessage(APP_CONFIG.ERROR_MESSAGES.MODIFY_FAILED, 'warning');
+      }
+    } catch (error) {
+      console.error('Sender purge failed:', error);
+      this.showError(`Purge failed: ${error.message}`);
+    } finally {
+      this.isPurging = false;
+      this.hideLoading();
+    }
+  }
+
+  /**
+   * Find every message from a sender and total its size
+   * @param {Object} sender - Sender data
+   * @returns {Promise<Object>} Preview with query, message IDs, total size,
+   *   labels and the IDs of messages that could not be measured
+   */
+  async previewSenderPurge(sender) {
+    const query = `from:${sender.email}`;
+
+    this.showLoading(`Finding all emails from ${sender.email}...`);
+    // Pages are listed one at a time so a failed request aborts the purge
+    // instead of reading as a sender without any emails
+    const messageIds = [];
+    let pageToken = null;
+    do {
+      // eslint-disable-next-line no-await-in-loop
+      const page = await gmailAPI.listMessagesPage({
+        query,
+        pageSize: APP_CONFIG.MAX_LIST_PAGE_SIZE,
+        pageToken,
+      });
+      messageIds.push(...page.messages.map((m) => m.id));
+      pageToken = page.nextPageToken;
+      this.updateProgress(
+        0,
+        `Found ${Formatters.formatNumber(messageIds.length)} emails...`
+      );
+    } while (pageToken);
+
+    const { messages: details, failedIds } = await gmailAPI.getMessageDetails(
+      messageIds,
+      ({ processed, total, percentage }) => {
+        this.updateProgress(
+          percentage,
+          `Measuring size... ${processed}/${total}`
+        );
+      },
+      { format: 'minimal' }
+    );
+    const totalSize = details.reduce(
+      (sum, message) => sum + (message.sizeEstimate || 0),
+      0
+    );
+    const labelsBefore = details.reduce((snapshot, message) => {
+      // eslint-disable-next-line no-param-reassign
+      snapshot[message.id] = message.labelIds || [];
+      return snapshot;
+    }, {});
+
+    return { query, messageIds, totalSize, labelsBefore, failedIds };
+  }
+
   /**
    * Render subjects for a sender
    * @param {Object} sender - Sender data
@@ -399,7 +907,7 @@ class Dashboard {
       .map(
         ([subject, emails]) => `
       <div class="subject-group">
-        <div class="subject-title">${Formatters.formatSubject(subject)}</div>
+        <div class="subject-title">${Formatters.escapeHtml(Formatters.formatSubject(subject))}</div>
         <div class="subject-count">${Formatters.formatEmailCount(emails.length)}</div>
       </div>
     `
@@ -417,18 +925,33 @@ class Dashboard {
     this.elements.breadcrumbs.innerHTML = items
       .map((item) => {
         if (item.active) {
-          return `<span class="breadcrumb-item active">${item.text}</span>`;
+          return `<span class="breadcrumb-item active">${Formatters.escapeHtml(item.text)}</span>`;
         }
-        return `<button class="breadcrumb-item" onclick="(${item.action.toString()})()">${item.text}</button>`;
+        return `<button class="breadcrumb-item" onclick="(${item.action.toString()})()">${Formatters.escapeHtml(item.text)}</button>`;
       })
       .join('<span class="breadcrumb-separator">›</span>');
   }
 
   /**
    * Switch between different views
-   * @param {string} view - View name ('dashboard', 'senders', 'subjects')
+   * @param {string} view - View name ('dashboard', 'search', 'senders', 'subjects', 'threads', 'labels', 'storage', 'attachments', 'trends', 'compare', 'history', 'dry-run', 'rules', 'filters', 'unsubscribe')
    */
   switchView(view) {
+    // Views backed by a report section the last analysis skipped
+    const sectionByView = {
+      subjects: 'subjects',
+      threads: 'threads',
+      trends: 'timeline',
+    };
+    const skipped = (this.currentAnalysis || {}).skippedSections || [];
+    if (skipped.includes(sectionByView[view])) {
+      this.showMessage(
+        'This analysis was turned off in the preset used for the last analysis.',
+        'info'
+      );
+      return;
+    }
+
     // Update active button
     this.elements.viewToggleButtons.forEach((btn) => {
       btn.classList.toggle('active', btn.dataset.view === view);
@@ -442,122 +965,2971 @@ class Dashboard {
       case 'subjects':
         this.showSubjectsView();
         break;
+      case 'search':
+        this.showSearchView();
+        break;
+      case 'threads':
+        this.showThreadsView();
+        break;
+      case 'labels':
+        this.showLabelsView();
+        break;
+      case 'storage':
+        this.showStorageView();
+        break;
+      case 'attachments':
+        this.showAttachmentsView();
+        break;
+      case 'trends':
+        this.showTrendsView();
+        break;
+      case 'compare':
+        this.showCompareView();
+        break;
+      case 'history':
+        this.showHistoryView();
+        break;
+      case 'dry-run':
+        this.showDryRunView();
+        break;
+      case 'rules':
+        this.showRulesView();
+        break;
+      case 'filters':
+        this.showFiltersView();
+        break;
+      case 'unsubscribe':
+        this.showUnsubscribeView();
+        break;
       default:
         this.showDashboard();
     }
   }
 
   /**
-   * Show senders view
+   * Show the query builder for searching an arbitrary slice of the mailbox
+   * The estimate comes from Gmail's resultSizeEstimate, so it is rough for
+   * large result sets
    */
-  showSendersView() {
-    if (!this.currentAnalysis) {
-      this.showMessage('Please analyze your emails first.', 'info');
-      return;
-    }
-
+  showSearchView() {
     this.updateBreadcrumbs([
       { text: 'Dashboard', action: () => this.showDashboard() },
-      { text: 'Senders', active: true },
+      { text: 'Search', active: true },
     ]);
 
-    // Show full senders list
+    const presets = PresetManager.getPresets().filter(
+      (preset) => !preset.builtIn
+    );
+
     this.elements.dashboardContainer.innerHTML = `
-      <div class="senders-view">
-        <h2>All Senders (${this.currentAnalysis.senders.senders.length})</h2>
-        <div class="senders-grid">
-          ${this.renderFullSendersList()}
+      <div class="search-view">
+        <h2>Search Builder</h2>
+        <p>Conditions are combined with AND. Separate values with commas to match any of them.</p>
+        <div class="query-builder">
+          ${
+            this.queryConditions.length > 0
+              ? this.queryConditions
+                  .map((condition, index) =>
+                    this.renderQueryCondition(condition, index)
+                  )
+                  .join('')
+              : '<p>No conditions yet. An empty search matches all mail.</p>'
+          }
+        </div>
+        <div class="dry-run-form">
+          <button class="btn btn-secondary" onclick="dashboard.addQueryCondition()">Add Condition</button>
+        </div>
+        <div class="query-preview">
+          <code id="query-text"></code>
+          <span class="query-estimate" id="query-estimate"></span>
+          <div class="query-errors" id="query-errors"></div>
+        </div>
+        <h3>Analysis Profile</h3>
+        ${this.renderQueryProfileForm()}
+        <div class="dry-run-form">
+          <button class="btn btn-primary" onclick="dashboard.analyzeQuery()">Analyze These Emails</button>
+          <label>Preset name
+            <input type="text" id="query-preset-name" value="${this.queryPresetName.replace(/"/g, '&quot;')}" placeholder="Quarterly cleanup" oninput="dashboard.queryPresetName = this.value">
+          </label>
+          <button class="btn btn-secondary" onclick="dashboard.saveQueryPreset()">${this.editingPresetId ? 'Update Preset' : 'Save as Preset'}</button>
+          ${this.editingPresetId ? '<button class="btn btn-secondary" onclick="dashboard.resetQueryBuilder()">New Search</button>' : ''}
+        </div>
+        <h3>Saved Presets</h3>
+        <div class="dry-run-form">
+          <button class="btn btn-secondary" onclick="dashboard.exportQueryPresets()" ${presets.length === 0 ? 'disabled' : ''}>Export All</button>
+          <label>Import presets (JSON)
+            <input type="file" accept="application/json,.json" onchange="dashboard.importQueryPresets(this)">
+          </label>
+        </div>
+        <div class="rules-list">
+          ${
+            presets.length > 0
+              ? presets
+                  .map(
+                    (preset) => `
+            <div class="rule-item">
+              <div class="rule-info">
+                <div class="rule-name">${Formatters.escapeHtml(preset.name)}</div>
+                <div class="rule-meta"><code>${Formatters.escapeHtml(preset.query || '(all mail)')}</code></div>
+                <div class="rule-meta">${this.describePresetProfile(preset)}</div>
+              </div>
+              <div class="rule-actions">
+                ${preset.conditions ? `<button class="btn btn-secondary" onclick="dashboard.editQueryPreset('${preset.id}')">Edit</button>` : ''}
+                <button class="btn btn-secondary" onclick="dashboard.exportQueryPresets('${preset.id}')">Export</button>
+                <button class="btn btn-secondary" onclick="dashboard.deleteQueryPreset('${preset.id}')">Delete</button>
+              </div>
+            </div>
+          `
+                  )
+                  .join('')
+              : '<p>No saved presets yet.</p>'
+          }
         </div>
       </div>
     `;
+
+    this.updateQueryPreview();
   }
 
   /**
-   * Render full senders list
+   * Render one row of the query builder
+   * @param {Object} condition - Condition ({ field, values, negate })
+   * @param {number} index - Position in this.queryConditions
    * @returns {string} HTML string
    */
-  renderFullSendersList() {
-    if (!this.currentAnalysis) return '';
+  renderQueryCondition(condition, index) {
+    const field = QueryBuilder.getField(condition.field);
+    const value = condition.values.join(', ');
+    let input = '';
 
-    return this.currentAnalysis.senders.senders
-      .map(
-        (sender) => `
-      <div class="sender-card" onclick="dashboard.viewSenderDetails('${sender.id}')">
-        <div class="sender-name">${Formatters.formatSender(sender.name, sender.email, 25)}</div>
-        <div class="sender-stats-grid">
-          <div class="stat-item">
-            <span class="stat-number">${Formatters.formatNumber(sender.count)}</span>
-            <span class="stat-label">emails</span>
-          </div>
-          <div class="stat-item">
-            <span class="stat-number">${Formatters.formatFileSize(sender.totalSize)}</span>
-            <span class="stat-label">size</span>
-          </div>
-        </div>
+    if (field.type === 'category') {
+      input = `
+        <select onchange="dashboard.updateQueryCondition(${index}, 'values', this.value)">
+          <option value="">Choose...</option>
+          ${QueryBuilder.getCategories()
+            .map(
+              (category) =>
+                `<option value="${category}" ${value === category ? 'selected' : ''}>${Formatters.formatCategory(category)}</option>`
+            )
+            .join('')}
+        </select>
+      `;
+    } else if (field.type === 'date') {
+      input = `<input type="date" value="${value}" onchange="dashboard.updateQueryCondition(${index}, 'values', this.value)">`;
+    } else if (field.type !== 'flag') {
+      input = `<input type="text" value="${value.replace(/"/g, '&quot;')}" placeholder="${field.placeholder}" oninput="dashboard.updateQueryCondition(${index}, 'values', this.value)">`;
+    }
+
+    return `
+      <div class="query-condition">
+        <label class="query-negate">
+          <input type="checkbox" ${condition.negate ? 'checked' : ''} onchange="dashboard.updateQueryCondition(${index}, 'negate', this.checked)">
+          Not
+        </label>
+        <select onchange="dashboard.updateQueryCondition(${index}, 'field', this.value)">
+          ${QueryBuilder.getFields()
+            .map(
+              (f) =>
+                `<option value="${f.id}" ${f.id === field.id ? 'selected' : ''}>${f.label}</option>`
+            )
+            .join('')}
+        </select>
+        ${input}
+        <button class="btn btn-secondary" onclick="dashboard.removeQueryCondition(${index})">Remove</button>
       </div>
-    `
-      )
-      .join('');
+    `;
   }
 
   /**
-   * Show subjects view
+   * Render the profile settings saved with a preset
+   * @returns {string} HTML string
    */
-  showSubjectsView() {
-    if (!this.currentAnalysis) {
-      this.showMessage('Please analyze your emails first.', 'info');
-      return;
-    }
-
-    this.updateBreadcrumbs([
-      { text: 'Dashboard', action: () => this.showDashboard() },
-      { text: 'Subjects', active: true },
-    ]);
+  renderQueryProfileForm() {
+    const profile = this.queryProfile;
+    const { thresholds } = profile;
+    const number = (key, label, value, min) => `
+      <label>${label}
+        <input type="number" min="${min}" step="1" value="${value}" onchange="dashboard.updateQueryProfile('${key}', this.value)">
+      </label>
+    `;
 
-    this.elements.dashboardContainer.innerHTML = `
-      <div class="subjects-view">
+    return `
+      <div class="dry-run-form">
+        ${number('maxMessages', 'Max messages (0 = all)', profile.maxMessages, 0)}
+        ${number('minEmailThreshold', 'Hide senders with fewer emails than', thresholds.minEmailThreshold, 1)}
+        ${number('maxSendersDisplay', 'Senders to list', thresholds.maxSendersDisplay, 1)}
+        ${number('maxSubjectsDisplay', 'Subjects to list', thresholds.maxSubjectsDisplay, 1)}
+        <label>Sort lists by
+          <select onchange="dashboard.updateQueryProfile('defaultSort', this.value)">
+            ${PresetManager.getSortOptions()
+              .map(
+                (option) =>
+                  `<option value="${option.id}" ${option.id === profile.defaultSort ? 'selected' : ''}>${option.label}</option>`
+              )
+              .join('')}
+          </select>
+        </label>
+      </div>
+      <div class="dry-run-form">
+        ${EmailAnalyzer.getOptionalSections()
+          .map(
+            (section) => `
+          <label class="query-negate">
+            <input type="checkbox" ${profile.analyses.includes(section.id) ? 'checked' : ''} onchange="dashboard.updateQueryProfile('analyses', { id: '${section.id}', enabled: this.checked })">
+            ${section.title}
+          </label>
+        `
+          )
+          .join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Summarize a preset's profile settings
+   * @param {Object} preset - Preset with every profile field set
+   * @returns {string} Summary text
+   */
+  describePresetProfile(preset) {
+    const sort = PresetManager.getSortOptions().find(
+      (option) => option.id === preset.defaultSort
+    );
+    const skipped = EmailAnalyzer.getOptionalSections().filter(
+      (section) => !preset.analyses.includes(section.id)
+    );
+
+    return [
+      preset.maxMessages
+        ? `Up to ${Formatters.formatEmailCount(preset.maxMessages)}`
+        : 'All matching emails',
+      skipped.length > 0
+        ? `Skips ${skipped.map((section) => section.title.toLowerCase()).join(', ')}`
+        : 'All analyses',
+      `Sorted by ${sort.label.toLowerCase()}`,
+    ].join(' • ');
+  }
+
+  /**
+   * Update a profile setting from the search view
+   * Form values are kept on the dashboard so re-rendering the builder does
+   * not lose them
+   * @param {string} key - 'maxMessages', 'defaultSort', 'analyses' or a threshold
+   * @param {string|Object} value - New value; { id, enabled } for analyses
+   */
+  updateQueryProfile(key, value) {
+    const profile = this.queryProfile;
+
+    if (key === 'analyses') {
+      const analyses = profile.analyses.filter((id) => id !== value.id);
+      profile.analyses = value.enabled ? [...analyses, value.id] : analyses;
+    } else if (key === 'defaultSort') {
+      profile.defaultSort = value;
+    } else if (key === 'maxMessages') {
+      profile.maxMessages = parseInt(value, 10) || 0;
+    } else if (key in profile.thresholds) {
+      profile.thresholds[key] = parseInt(value, 10) || 1;
+    }
+  }
+
+  /**
+   * Start a new search, leaving the preset being edited untouched
+   */
+  resetQueryBuilder() {
+    this.queryConditions = [];
+    this.queryProfile = PresetManager.getDefaultProfile();
+    this.queryPresetName = '';
+    this.editingPresetId = null;
+    this.showSearchView();
+  }
+
+  /**
+   * Download saved presets as a JSON file
+   * @param {string} presetId - Export only this preset; all when omitted
+   */
+  exportQueryPresets(presetId = null) {
+    const presets = PresetManager.getCustomPresets().filter(
+      (preset) => !presetId || preset.id === presetId
+    );
+    if (presets.length > 0) {
+      PresetManager.download(presets);
+    }
+  }
+
+  /**
+   * Import presets from the JSON file chosen in the search view
+   * @param {HTMLInputElement} input - File input
+   */
+  async importQueryPresets(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    try {
+      const saved = PresetManager.importJson(await file.text());
+      this.renderPresetOptions();
+      this.showMessage(
+        `Imported ${saved.length} preset${saved.length !== 1 ? 's' : ''}.`,
+        'success'
+      );
+    } catch (error) {
+      this.showMessage(`Import failed: ${error.message}`, 'warning');
+    }
+    // Re-rendering also clears the file input so the same file can be retried
+    this.showSearchView();
+  }
+
+  /**
+   * Add an empty condition to the query builder
+   */
+  addQueryCondition() {
+    this.queryConditions.push({ field: 'from', values: [], negate: false });
+    this.showSearchView();
+  }
+
+  /**
+   * Remove a condition from the query builder
+   * @param {number} index - Condition position
+   */
+  removeQueryCondition(index) {
+    this.queryConditions.splice(index, 1);
+    this.showSearchView();
+  }
+
+  /**
+   * Update a condition from its form controls
+   * Changing the field re-renders the row because the input type changes;
+   * other edits only refresh the preview so the input keeps focus
+   * @param {number} index - Condition position
+   * @param {string} key - 'field', 'values' or 'negate'
+   * @param {string|boolean} value - New value
+   */
+  updateQueryCondition(index, key, value) {
+    const condition = this.queryConditions[index];
+    if (!condition) return;
+
+    if (key === 'field') {
+      this.queryConditions[index] = {
+        field: value,
+        values: [],
+        negate: condition.negate,
+      };
+      this.showSearchView();
+      return;
+    }
+
+    if (key === 'values') {
+      condition.values = QueryBuilder.parseValues(value);
+    } else if (key === 'negate') {
+      condition.negate = Boolean(value);
+    }
+    this.updateQueryPreview();
+  }
+
+  /**
+   * Show the compiled query and validation errors, and refresh the estimate
+   * @returns {boolean} True if the query is valid
+   */
+  updateQueryPreview() {
+    const errors = QueryBuilder.validate(this.queryConditions);
+    const query = QueryBuilder.compile(this.queryConditions);
+    const queryText = document.getElementById('query-text');
+    const errorList = document.getElementById('query-errors');
+
+    if (queryText) queryText.textContent = query || '(all mail)';
+    if (errorList) {
+      errorList.innerHTML = errors.map((error) => `<p>${error}</p>`).join('');
+    }
+
+    clearTimeout(this.queryEstimateTimer);
+    if (errors.length === 0) {
+      this.queryEstimateTimer = setTimeout(
+        () => this.updateQueryEstimate(query),
+        500
+      );
+    } else {
+      this.setQueryEstimate('');
+    }
+    return errors.length === 0;
+  }
+
+  /**
+   * Ask Gmail how many messages a query matches
+   * Responses for queries that have since changed are ignored
+   * @param {string} query - Gmail search query
+   */
+  async updateQueryEstimate(query) {
+    if (!gmailAuth.isUserSignedIn()) {
+      this.setQueryEstimate('Sign in to see how many emails match.');
+      return;
+    }
+
+    const requestId = ++this.queryEstimateId;
+    this.setQueryEstimate('Estimating...');
+    try {
+      const page = await gmailAPI.listMessagesPage({ query, pageSize: 1 });
+      if (requestId !== this.queryEstimateId) return;
+      this.setQueryEstimate(
+        `About ${Formatters.formatEmailCount(page.resultSizeEstimate)}`
+      );
+    } catch (error) {
+      if (requestId !== this.queryEstimateId) return;
+      console.error('Failed to estimate query:', error);
+      this.setQueryEstimate('Estimate unavailable.');
+    }
+  }
+
+  /**
+   * Set the estimate text under the compiled query
+   * @param {string} text - Estimate text
+   */
+  setQueryEstimate(text) {
+    const estimate = document.getElementById('query-estimate');
+    if (estimate) estimate.textContent = text;
+  }
+
+  /**
+   * Analyze the emails matching the query builder's search
+   */
+  analyzeQuery() {
+    if (!this.updateQueryPreview()) {
+      this.showMessage('Fix the search conditions first.', 'warning');
+      return;
+    }
+
+    this.customQuery = QueryBuilder.compile(this.queryConditions);
+    this.selectedPreset = 'custom';
+    this.renderPresetOptions();
+    this.startAnalysis();
+  }
+
+  /**
+   * Save the query builder's search as a named preset and select it
+   */
+  saveQueryPreset() {
+    const preset = {
+      ...this.queryProfile,
+      id: this.editingPresetId || undefined,
+      name: this.queryPresetName.trim(),
+      query: QueryBuilder.compile(this.queryConditions),
+      conditions: this.queryConditions.map((condition) => ({
+        ...condition,
+        values: [...condition.values],
+      })),
+    };
+
+    try {
+      const saved = PresetManager.savePreset(preset);
+      this.selectedPreset = saved.id;
+      this.customQuery = null;
+      this.editingPresetId = saved.id;
+      this.renderPresetOptions();
+      this.showMessage(`Preset "${saved.name}" saved.`, 'success');
+      this.showSearchView();
+    } catch (error) {
+      this.showMessage(error.message, 'warning');
+    }
+  }
+
+  /**
+   * Load a saved preset into the query builder for editing
+   * Only presets built with the query builder have conditions to load
+   * @param {string} presetId - Preset ID
+   */
+  editQueryPreset(presetId) {
+    const preset = PresetManager.getPreset(presetId);
+    if (!preset || !preset.conditions) return;
+
+    this.queryConditions = preset.conditions.map((condition) => ({
+      ...condition,
+      values: [...condition.values],
+    }));
+    this.queryProfile = {
+      maxMessages: preset.maxMessages,
+      analyses: [...preset.analyses],
+      thresholds: { ...preset.thresholds },
+      defaultSort: preset.defaultSort,
+    };
+    this.queryPresetName = preset.name;
+    this.editingPresetId = preset.id;
+    this.showSearchView();
+  }
+
+  /**
+   * Delete a saved preset after confirmation
+   * @param {string} presetId - Preset ID
+   */
+  async deleteQueryPreset(presetId) {
+    const preset = PresetManager.getPreset(presetId);
+    if (!preset || preset.builtIn) return;
+
+    const confirmed = await ConfirmDialog.show({
+      title: 'Delete preset?',
+      message: `"${preset.name}" will be removed from the preset list.`,
+      confirmText: 'Delete',
+    });
+    if (!confirmed) return;
+
+    PresetManager.deletePreset(presetId);
+    if (this.editingPresetId === presetId) {
+      this.editingPresetId = null;
+    }
+    this.renderPresetOptions();
+    this.showSearchView();
+  }
+
+  /**
+   * Show senders view
+   * @param {string} mode - 'senders' for every address, 'organizations' for
+   *   the domain and alias group tree
+   */
+  showSendersView(mode = 'senders') {
+    if (!this.currentAnalysis) {
+      this.showMessage('Please analyze your emails first.', 'info');
+      return;
+    }
+
+    this.updateBreadcrumbs([
+      { text: 'Dashboard', action: () => this.showDashboard() },
+      { text: 'Senders', active: true },
+    ]);
+
+    const tabs = `
+      <div class="dry-run-form">
+        <button class="btn ${mode === 'senders' ? 'btn-primary' : 'btn-secondary'}" onclick="dashboard.showSendersView('senders')">By Address</button>
+        <button class="btn ${mode === 'organizations' ? 'btn-primary' : 'btn-secondary'}" onclick="dashboard.showSendersView('organizations')">By Organization</button>
+      </div>
+    `;
+
+    if (mode === 'organizations') {
+      this.elements.dashboardContainer.innerHTML = `
+        <div class="senders-view">
+          <h2>Organizations</h2>
+          ${tabs}
+          ${this.renderOrganizationTree()}
+          ${this.renderSenderGroupsForm()}
+        </div>
+      `;
+      return;
+    }
+
+    // Show full senders list
+    const senders = this.applyPresetToList(
+      this.currentAnalysis.senders.senders,
+      (sender) => sender.name || sender.email,
+      'maxSendersDisplay'
+    );
+    this.elements.dashboardContainer.innerHTML = `
+      <div class="senders-view">
+        <h2>All Senders (${this.currentAnalysis.senders.senders.length})</h2>
+        ${tabs}
+        ${this.renderHiddenByPresetNote(senders, 'senders')}
+        <div class="senders-grid">
+          ${this.renderFullSendersList(senders.items)}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render senders rolled up into organizations, then domains, then
+   * addresses, with alias groups applied
+   * @returns {string} HTML string
+   */
+  renderOrganizationTree() {
+    const organizations = DomainHelper.rollup(
+      this.currentAnalysis.senders.senders,
+      {
+        aliasGroups: SenderGroups.getGroups(),
+        totalEmails: this.currentAnalysis.overview.totalEmails,
+      }
+    );
+    const summary = (label, meta, group) => `
+      <span class="tree-label">${Formatters.escapeHtml(label)}</span>
+      <span class="tree-meta">${Formatters.escapeHtml(meta)}</span>
+      <span class="subject-size">${Formatters.formatEmailCount(group.count)} • ${Formatters.formatFileSize(group.totalSize)}</span>
+    `;
+
+    return `
+      <div class="organization-tree">
+        ${organizations
+          .slice(0, 100)
+          .map(
+            (organization) => `
+          <details class="tree-node">
+            <summary>${summary(
+              organization.label,
+              `${organization.type === 'alias' ? 'Alias group • ' : ''}${Formatters.formatNumber(organization.senderCount)} address${organization.senderCount !== 1 ? 'es' : ''} • ${organization.percentage.toFixed(1)}% of emails`,
+              organization
+            )}</summary>
+            ${organization.domains
+              .map(
+                (domain) => `
+              <details class="tree-node">
+                <summary>${summary(domain.domain, `${Formatters.formatNumber(domain.senders.length)} address${domain.senders.length !== 1 ? 'es' : ''}`, domain)}</summary>
+                ${domain.senders
+                  .map(
+                    (sender) => `
+                  <div class="tree-leaf" data-sender-id="${Formatters.escapeHtml(sender.id)}" onclick="dashboard.viewSenderDetails(this.dataset.senderId)">
+                    ${summary(Formatters.formatSender(sender.name, sender.email, 40), sender.email, sender)}
+                  </div>
+                `
+                  )
+                  .join('')}
+              </details>
+            `
+              )
+              .join('')}
+            ${organization.type === 'organization' ? `<button class="btn btn-secondary" onclick="dashboard.showDryRunView({ sender: '@${organization.id}' })">Dry Run</button>` : ''}
+          </details>
+        `
+          )
+          .join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the alias group editor of the organizations view
+   * @returns {string} HTML string
+   */
+  renderSenderGroupsForm() {
+    const groups = SenderGroups.getGroups();
+
+    return `
+      <h3>Alias Groups</h3>
+      <p class="storage-note">Group addresses and domains that belong together, e.g. everything Jira sends. Domains include their subdomains.</p>
+      <div class="rules-list">
+        ${groups
+          .map(
+            (group) => `
+          <div class="rule-item">
+            <div class="rule-info">
+              <div class="rule-name">${Formatters.escapeHtml(group.name)}</div>
+              <div class="rule-meta">${Formatters.escapeHtml(group.patterns.join(', '))}</div>
+            </div>
+            <button class="btn btn-secondary" data-group-id="${Formatters.escapeHtml(group.id)}" onclick="dashboard.deleteSenderGroup(this.dataset.groupId)">Delete</button>
+          </div>
+        `
+          )
+          .join('')}
+      </div>
+      <div class="dry-run-form">
+        <label>Name
+          <input type="text" id="sender-group-name" placeholder="Jira">
+        </label>
+        <label>Addresses or domains
+          <input type="text" id="sender-group-patterns" placeholder="jira@atlassian.net, @mail.atlassian.com">
+        </label>
+        <button class="btn btn-primary" onclick="dashboard.saveSenderGroupFromForm()">Add Group</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Save the alias group entered in the organizations view
+   */
+  saveSenderGroupFromForm() {
+    const group = {
+      name: document.getElementById('sender-group-name')?.value.trim() || '',
+      patterns: SenderGroups.parsePatterns(
+        document.getElementById('sender-group-patterns')?.value
+      ),
+    };
+
+    try {
+      const saved = SenderGroups.saveGroup(group);
+      this.applySenderGroups();
+      this.showMessage(`Alias group "${saved.name}" saved.`, 'success');
+      this.showSendersView('organizations');
+    } catch (error) {
+      this.showMessage(error.message, 'warning');
+    }
+  }
+
+  /**
+   * Delete an alias group after confirmation
+   * @param {string} groupId - Group ID
+   */
+  async deleteSenderGroup(groupId) {
+    const group = SenderGroups.getGroups().find((g) => g.id === groupId);
+    if (!group) return;
+
+    const confirmed = await ConfirmDialog.show({
+      title: 'Delete alias group?',
+      message: `"${group.name}" will be removed. Its addresses go back to their own domains.`,
+      confirmText: 'Delete',
+    });
+    if (!confirmed) return;
+
+    SenderGroups.deleteGroup(groupId);
+    this.applySenderGroups();
+    this.showSendersView('organizations');
+  }
+
+  /**
+   * Use the saved alias groups in the next report
+   */
+  applySenderGroups() {
+    this.emailAnalyzer.aliasGroups = SenderGroups.getGroups();
+    this.emailAnalyzer.clearCache();
+  }
+
+  /**
+   * Explain how many list entries the selected preset's thresholds hide
+   * @param {Object} list - Result of applyPresetToList()
+   * @param {string} noun - What the list holds ('senders', 'subjects')
+   * @returns {string} HTML string ('' when nothing is hidden)
+   */
+  renderHiddenByPresetNote(list, noun) {
+    if (list.hiddenCount === 0) return '';
+
+    return `<p>${Formatters.formatNumber(list.hiddenCount)} ${noun} with fewer than ${list.preset.thresholds.minEmailThreshold} emails or beyond the display limit are hidden by the "${Formatters.escapeHtml(list.preset.name)}" preset.</p>`;
+  }
+
+  /**
+   * Render full senders list
+   * @param {Array} senders - Senders to show, already filtered and sorted
+   * @returns {string} HTML string
+   */
+  renderFullSendersList(senders) {
+    return senders
+      .map(
+        (sender) => `
+      <div class="sender-card" data-sender-id="${Formatters.escapeHtml(sender.id)}" onclick="dashboard.viewSenderDetails(this.dataset.senderId)">
+        <div class="sender-name">${Formatters.escapeHtml(Formatters.formatSender(sender.name, sender.email, 25))}</div>
+        <div class="sender-stats-grid">
+          <div class="stat-item">
+            <span class="stat-number">${Formatters.formatNumber(sender.count)}</span>
+            <span class="stat-label">emails</span>
+          </div>
+          <div class="stat-item">
+            <span class="stat-number">${Formatters.formatFileSize(sender.totalSize)}</span>
+            <span class="stat-label">size</span>
+          </div>
+        </div>
+      </div>
+    `
+      )
+      .join('');
+  }
+
+  /**
+   * Show subjects view
+   * @param {string} mode - 'subjects' for exact subjects, 'templates' for
+   *   fuzzy template clusters
+   */
+  showSubjectsView(mode = 'subjects') {
+    if (!this.currentAnalysis) {
+      this.showMessage('Please analyze your emails first.', 'info');
+      return;
+    }
+
+    this.updateBreadcrumbs([
+      { text: 'Dashboard', action: () => this.showDashboard() },
+      { text: 'Subjects', active: true },
+    ]);
+
+    const clusters = this.currentAnalysis.subjects.clusters || [];
+
+    this.elements.dashboardContainer.innerHTML = `
+      <div class="subjects-view">
         <h2>Email Subjects</h2>
         <div class="subjects-stats">
           <div class="stat-box">
             <span class="stat-number">${Formatters.formatNumber(this.currentAnalysis.subjects.subjects.length)}</span>
             <span class="stat-label">Unique Subjects</span>
           </div>
-          <div class="stat-box">
-            <span class="stat-number">${Formatters.formatNumber(this.currentAnalysis.subjects.statistics.duplicateSubjects)}</span>
-            <span class="stat-label">With Duplicates</span>
+          <div class="stat-box">
+            <span class="stat-number">${Formatters.formatNumber(this.currentAnalysis.subjects.statistics.duplicateSubjects)}</span>
+            <span class="stat-label">With Duplicates</span>
+          </div>
+          <div class="stat-box">
+            <span class="stat-number">${Formatters.formatNumber(clusters.length)}</span>
+            <span class="stat-label">Templates</span>
+          </div>
+        </div>
+        <div class="dry-run-form">
+          <button class="btn ${mode === 'subjects' ? 'btn-primary' : 'btn-secondary'}" onclick="dashboard.showSubjectsView('subjects')">Exact Subjects</button>
+          <button class="btn ${mode === 'templates' ? 'btn-primary' : 'btn-secondary'}" onclick="dashboard.showSubjectsView('templates')">Templates</button>
+        </div>
+        <div class="subjects-list">
+          ${mode === 'templates' ? this.renderSubjectTemplates() : this.renderSubjectsList()}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render subjects list
+   * @returns {string} HTML string
+   */
+  renderSubjectsList() {
+    if (!this.currentAnalysis) return '';
+
+    const list = this.applyPresetToList(
+      this.currentAnalysis.subjects.subjects,
+      (subject) => subject.subject,
+      'maxSubjectsDisplay'
+    );
+
+    return (
+      this.renderHiddenByPresetNote(list, 'subjects') +
+      list.items
+        .map(
+          (subject) => `
+      <div class="subject-item">
+        <div class="subject-content">
+          <div class="subject-text">${Formatters.formatSubject(subject.subject)}</div>
+          <div class="subject-meta">
+            ${Formatters.formatEmailCount(subject.count)} • 
+            ${Formatters.formatNumber(subject.senderCount)} sender${subject.senderCount !== 1 ? 's' : ''}
+          </div>
+        </div>
+        <div class="subject-size">${Formatters.formatFileSize(subject.totalSize)}</div>
+      </div>
+    `
+        )
+        .join('')
+    );
+  }
+
+  /**
+   * Render subject templates: subjects that differ only in order numbers,
+   * dates, amounts or names, with example values for each slot
+   * @returns {string} HTML string
+   */
+  renderSubjectTemplates() {
+    const clusters = this.currentAnalysis.subjects.clusters || [];
+    if (clusters.length === 0) {
+      return '<p>No repeated subject templates found.</p>';
+    }
+
+    return clusters
+      .map(
+        (cluster) => `
+      <div class="subject-item">
+        <div class="subject-content">
+          <div class="subject-text">${Formatters.escapeHtml(Formatters.formatSubject(cluster.template))}</div>
+          <div class="subject-meta">
+            ${Formatters.formatEmailCount(cluster.count)} •
+            ${Formatters.formatNumber(cluster.variantCount)} variants •
+            ${Formatters.formatNumber(cluster.senderCount)} sender${cluster.senderCount !== 1 ? 's' : ''}
+            ${cluster.automated ? ' • Automated' : ''}
+          </div>
+          ${cluster.slots
+            .map(
+              (slot) => `
+            <div class="subject-meta">{${slot.type}}: ${Formatters.escapeHtml(slot.examples.join(', '))}</div>
+          `
+            )
+            .join('')}
+        </div>
+        <div class="subject-size">${Formatters.formatFileSize(cluster.totalSize)}</div>
+      </div>
+    `
+      )
+      .join('');
+  }
+
+  /**
+   * Show conversation threads: long notification threads and reply-all
+   * chains that per-message counts hide
+   */
+  showThreadsView() {
+    if (!this.currentAnalysis) {
+      this.showMessage('Please analyze your emails first.', 'info');
+      return;
+    }
+
+    this.updateBreadcrumbs([
+      { text: 'Dashboard', action: () => this.showDashboard() },
+      { text: 'Threads', active: true },
+    ]);
+
+    const statistics = this.currentAnalysis.threads.statistics || {
+      conversationCount: 0,
+      messagesInConversations: 0,
+      longestThread: 0,
+    };
+
+    this.elements.dashboardContainer.innerHTML = `
+      <div class="threads-view">
+        <h2>Threads</h2>
+        <div class="subjects-stats">
+          <div class="stat-box">
+            <span class="stat-number">${Formatters.formatNumber(statistics.conversationCount)}</span>
+            <span class="stat-label">Conversations</span>
+          </div>
+          <div class="stat-box">
+            <span class="stat-number">${Formatters.formatNumber(statistics.messagesInConversations)}</span>
+            <span class="stat-label">Messages in Conversations</span>
+          </div>
+          <div class="stat-box">
+            <span class="stat-number">${Formatters.formatNumber(statistics.longestThread)}</span>
+            <span class="stat-label">Longest Thread</span>
+          </div>
+        </div>
+        <div class="dry-run-form">
+          <label>Sort by
+            <select id="thread-sort" onchange="dashboard.renderThreadsList()">
+              <option value="messageCount">Messages</option>
+              <option value="totalSize">Size</option>
+              <option value="participantCount">Participants</option>
+              <option value="duration">Duration</option>
+              <option value="lastActivity">Last activity</option>
+            </select>
+          </label>
+        </div>
+        <div id="threads-list" class="subjects-list"></div>
+        <h3 id="thread-emails-title"></h3>
+        <div id="thread-emails-list" class="trend-emails"></div>
+      </div>
+    `;
+
+    this.renderThreadsList();
+  }
+
+  /**
+   * Render the thread list, sorted by the selected column
+   */
+  renderThreadsList() {
+    const container = document.getElementById('threads-list');
+    if (!container || !this.currentAnalysis) return;
+
+    const sort =
+      document.getElementById('thread-sort')?.value || 'messageCount';
+    const valueOf = (thread) =>
+      sort === 'lastActivity'
+        ? new Date(thread.lastActivity).getTime()
+        : thread[sort];
+    const threads = this.currentAnalysis.threads.threads
+      .slice()
+      .sort((a, b) => valueOf(b) - valueOf(a));
+
+    container.innerHTML =
+      threads
+        .slice(0, 50)
+        .map(
+          (thread) => `
+        <div class="subject-item">
+          <div class="subject-content">
+            <div class="subject-text">${Formatters.escapeHtml(Formatters.formatSubject(thread.subject))}</div>
+            <div class="subject-meta">
+              ${Formatters.formatEmailCount(thread.messageCount)} •
+              ${Formatters.formatNumber(thread.participantCount)} participant${thread.participantCount !== 1 ? 's' : ''} •
+              over ${Formatters.formatDuration(thread.duration)} •
+              last active ${Formatters.formatRelativeDate(thread.lastActivity)}
+            </div>
+            <div class="subject-meta">${Formatters.escapeHtml(
+              thread.participants
+                .slice(0, 5)
+                .map((participant) => participant.email)
+                .join(', ')
+            )}${thread.participantCount > 5 ? ', …' : ''}</div>
+          </div>
+          <div class="subject-size">${Formatters.formatFileSize(thread.totalSize)}</div>
+          <button class="btn btn-secondary" onclick="dashboard.showThreadEmails('${Formatters.escapeHtml(thread.id)}')">Messages</button>
+        </div>
+      `
+        )
+        .join('') || '<p>No conversations with more than one message.</p>';
+  }
+
+  /**
+   * List the messages of one thread below the thread list
+   * @param {string} threadId - Thread ID
+   */
+  showThreadEmails(threadId) {
+    const { emailList } = window;
+    const container = document.getElementById('thread-emails-list');
+    if (!emailList || !container || !this.currentAnalysis) return;
+
+    const thread = this.currentAnalysis.threads.threads.find(
+      (t) => t.id === threadId
+    );
+    const emails = this.currentEmails.filter(
+      (email) => (email.threadId || email.id) === threadId
+    );
+
+    emailList.showFilteredEmails(emails, {}, container);
+
+    const heading = document.getElementById('thread-emails-title');
+    heading.textContent = `${thread ? thread.subject : 'Thread'} (${Formatters.formatEmailCount(emails.length)})`;
+    heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  /**
+   * Show the dry-run simulation view
+   * @param {Object} prefill - Initial criteria values
+   */
+  showDryRunView(prefill = {}) {
+    if (!this.currentAnalysis) {
+      this.showMessage('Please analyze your emails first.', 'info');
+      return;
+    }
+
+    this.updateBreadcrumbs([
+      { text: 'Dashboard', action: () => this.showDashboard() },
+      { text: 'Dry Run', active: true },
+    ]);
+
+    const categories = [
+      'primary',
+      'promotions',
+      'social',
+      'updates',
+      'forums',
+      'important',
+    ];
+
+    this.elements.dashboardContainer.innerHTML = `
+      <div class="dry-run-view">
+        <h2>Dry Run</h2>
+        <p>Preview exactly which analyzed emails a cleanup would affect. Nothing is changed in Gmail.</p>
+        <div class="dry-run-form">
+          <label>Sender or domain
+            <input type="text" id="dry-run-sender" placeholder="news@example.com or @example.com" value="${Formatters.escapeHtml(prefill.sender)}">
+          </label>
+          <label>Subject pattern
+            <input type="text" id="dry-run-subject" placeholder="newsletter|digest" value="${Formatters.escapeHtml(prefill.subjectPattern)}">
+          </label>
+          <label>Larger than (MB)
+            <input type="number" id="dry-run-min-size" min="0" step="0.1" value="${prefill.minSize ? prefill.minSize / (1024 * 1024) : ''}">
+          </label>
+          <label>Older than (days)
+            <input type="number" id="dry-run-older-than" min="0" value="${prefill.olderThanDays || ''}">
+          </label>
+          <label>Category
+            <select id="dry-run-category">
+              <option value="">Any</option>
+              ${categories.map((category) => `<option value="${category}" ${prefill.category === category ? 'selected' : ''}>${Formatters.formatCategory(category)}</option>`).join('')}
+            </select>
+          </label>
+          <label>Action
+            <select id="dry-run-action">
+              <option value="trash">Move to Trash</option>
+              <option value="archive">Archive</option>
+            </select>
+          </label>
+          <button class="btn btn-primary" onclick="dashboard.runDryRun()">Simulate</button>
+        </div>
+        <div id="dry-run-results"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Run a dry-run simulation using the form values
+   */
+  async runDryRun() {
+    const readValue = (id) => document.getElementById(id)?.value.trim() || '';
+    const minSizeMB = parseFloat(readValue('dry-run-min-size'));
+    const olderThanDays = parseInt(readValue('dry-run-older-than'), 10);
+
+    const criteria = {
+      sender: readValue('dry-run-sender'),
+      subjectPattern: readValue('dry-run-subject'),
+      minSize: minSizeMB > 0 ? Math.round(minSizeMB * 1024 * 1024) : 0,
+      olderThanDays: olderThanDays > 0 ? olderThanDays : 0,
+      category: readValue('dry-run-category'),
+    };
+
+    try {
+      this.lastDryRun = await DryRun.simulate(this.currentEmails, {
+        action: readValue('dry-run-action') || 'trash',
+        criteria,
+      });
+      this.renderDryRunResults(this.lastDryRun);
+    } catch (error) {
+      this.showMessage(error.message, 'warning');
+    }
+  }
+
+  /**
+   * Render a dry-run report
+   * @param {Object} report - Simulation report
+   */
+  renderDryRunResults(report) {
+    const container = document.getElementById('dry-run-results');
+    if (!container) return;
+
+    const protectedCount = new Set([...report.starred, ...report.important])
+      .size;
+
+    container.innerHTML = `
+      <div class="dry-run-summary">
+        <div class="stat-box">
+          <span class="stat-number">${Formatters.formatNumber(report.matchedCount)}</span>
+          <span class="stat-label">of ${Formatters.formatNumber(report.scannedCount)} analyzed emails</span>
+        </div>
+        <div class="stat-box">
+          <span class="stat-number">${Formatters.formatFileSize(report.reclaimableSize)}</span>
+          <span class="stat-label">storage reclaimed</span>
+        </div>
+        <div class="stat-box">
+          <span class="stat-number">${Formatters.formatNumber(report.senders.length)}</span>
+          <span class="stat-label">senders</span>
+        </div>
+      </div>
+      ${
+        protectedCount > 0
+          ? `<div class="insight-item severity-high">
+              <div class="insight-content">
+                <h4 class="insight-title">Review before purging</h4>
+                <p class="insight-description">${Formatters.formatNumber(report.starred.length)} starred and ${Formatters.formatNumber(report.important.length)} important emails match these conditions.</p>
+              </div>
+            </div>`
+          : ''
+      }
+      <div class="dry-run-actions">
+        <button class="btn btn-secondary" onclick="dashboard.downloadDryRunReport('csv')">Download CSV</button>
+        <button class="btn btn-secondary" onclick="dashboard.downloadDryRunReport('json')">Download JSON</button>
+      </div>
+      <h3>Affected Senders</h3>
+      <div class="subjects-list">
+        ${report.senders
+          .slice(0, 20)
+          .map(
+            (sender) => `
+          <div class="subject-item">
+            <div class="subject-content">
+              <div class="subject-text">${Formatters.escapeHtml(Formatters.formatSender(sender.name, sender.email))}</div>
+              <div class="subject-meta">${Formatters.formatEmailCount(sender.count)}</div>
+            </div>
+            <div class="subject-size">${Formatters.formatFileSize(sender.totalSize)}</div>
+          </div>
+        `
+          )
+          .join('')}
+      </div>
+      <h3>Affected Emails</h3>
+      <div class="subjects-list">
+        ${report.affected
+          .slice(0, 100)
+          .map(
+            (email) => `
+          <div class="subject-item">
+            <div class="subject-content">
+              <div class="subject-text">${email.isStarred ? '⭐ ' : ''}${email.isImportant ? '❗ ' : ''}${Formatters.escapeHtml(Formatters.formatSubject(email.subject))}</div>
+              <div class="subject-meta">${Formatters.escapeHtml(email.senderEmail)} • ${Formatters.formatShortDate(email.date)}</div>
+            </div>
+            <div class="subject-size">${Formatters.formatFileSize(email.sizeEstimate)}</div>
+          </div>
+        `
+          )
+          .join('')}
+        ${report.affected.length > 100 ? `<p>…and ${Formatters.formatNumber(report.affected.length - 100)} more in the downloadable report.</p>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Download the last dry-run report
+   * @param {string} format - 'csv' or 'json'
+   */
+  downloadDryRunReport(format) {
+    if (!this.lastDryRun) return;
+    DryRun.downloadReport(this.lastDryRun, format);
+  }
+
+  /**
+   * Show storage by label, as the label hierarchy or a flat list
+   * @param {string} mode - 'tree' or 'list'
+   */
+  showLabelsView(mode = 'tree') {
+    if (!this.currentAnalysis || !this.currentAnalysis.labels) {
+      this.showMessage('Please analyze your emails first.', 'info');
+      return;
+    }
+
+    this.updateBreadcrumbs([
+      { text: 'Dashboard', action: () => this.showDashboard() },
+      { text: 'Labels', active: true },
+    ]);
+
+    const { labels, tree, statistics } = this.currentAnalysis.labels;
+    const stats = statistics || {
+      userLabelCount: 0,
+      nestedLabelCount: 0,
+      unlabeledEmails: 0,
+    };
+
+    this.elements.dashboardContainer.innerHTML = `
+      <div class="labels-view">
+        <h2>Labels</h2>
+        <div class="subjects-stats">
+          <div class="stat-box">
+            <span class="stat-number">${Formatters.formatNumber(stats.userLabelCount)}</span>
+            <span class="stat-label">Labels in Use</span>
+          </div>
+          <div class="stat-box">
+            <span class="stat-number">${Formatters.formatNumber(stats.nestedLabelCount)}</span>
+            <span class="stat-label">Nested Labels</span>
+          </div>
+          <div class="stat-box">
+            <span class="stat-number">${Formatters.formatNumber(stats.unlabeledEmails)}</span>
+            <span class="stat-label">Without a Label</span>
+          </div>
+        </div>
+        <p>An email with several labels counts toward each of them. Parent labels include the emails of their sublabels once.</p>
+        <div class="dry-run-form">
+          <button class="btn ${mode === 'tree' ? 'btn-primary' : 'btn-secondary'}" onclick="dashboard.showLabelsView('tree')">Hierarchy</button>
+          <button class="btn ${mode === 'list' ? 'btn-primary' : 'btn-secondary'}" onclick="dashboard.showLabelsView('list')">All Labels</button>
+        </div>
+        <div class="organization-tree">
+          ${
+            mode === 'list'
+              ? labels
+                  .map((label) =>
+                    this.renderLabelNode({
+                      name: label.name,
+                      path: label.name,
+                      label,
+                      count: label.count,
+                      totalSize: label.totalSize,
+                      children: [],
+                    })
+                  )
+                  .join('')
+              : tree.map((node) => this.renderLabelNode(node)).join('') ||
+                '<p>No user labels in the analyzed emails.</p>'
+          }
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a label and its sublabels
+   * @param {Object} node - Tree node from LabelHelper.buildTree()
+   * @returns {string} HTML string
+   */
+  renderLabelNode(node) {
+    const { label } = node;
+    const meta = label
+      ? [
+          `${label.percentage.toFixed(1)}% of storage`,
+          `${Formatters.formatNumber(label.unreadCount)} unread`,
+          label.avgAgeDays !== null
+            ? `${Math.round(label.avgAgeDays)} days old on average`
+            : '',
+          label.oldest
+            ? Formatters.formatDateRange(
+                new Date(label.oldest),
+                new Date(label.newest)
+              )
+            : '',
+        ]
+          .filter(Boolean)
+          .join(' • ')
+      : 'No emails of its own';
+    const swatch = label && label.color ? label.color : 'var(--border-color)';
+    const gmailUrl = `https://mail.google.com/mail/u/0/#label/${encodeURIComponent(node.path)}`;
+
+    return `
+      <details class="tree-node">
+        <summary>
+          <span class="label-swatch" style="background: ${Formatters.escapeHtml(swatch)}"></span>
+          <span class="tree-label">${Formatters.escapeHtml(node.path)}</span>
+          <span class="tree-meta">${meta}</span>
+          <span class="subject-size">${Formatters.formatEmailCount(node.count)} • ${Formatters.formatFileSize(node.totalSize)}</span>
+        </summary>
+        ${(label ? label.topSenders : [])
+          .map(
+            (sender) => `
+          <div class="tree-leaf" data-sender-id="${Formatters.escapeHtml(sender.email)}" onclick="dashboard.viewSenderDetails(this.dataset.senderId)">
+            <span class="tree-label">${Formatters.escapeHtml(Formatters.formatSender(sender.name, sender.email, 40))}</span>
+            <span class="tree-meta">${Formatters.escapeHtml(sender.email)}</span>
+            <span class="subject-size">${Formatters.formatEmailCount(sender.count)} • ${Formatters.formatFileSize(sender.totalSize)}</span>
+          </div>
+        `
+          )
+          .join('')}
+        ${node.children.map((child) => this.renderLabelNode(child)).join('')}
+        ${label && label.type === 'user' ? `<a class="btn btn-secondary" href="${gmailUrl}" target="_blank" rel="noopener noreferrer">Open in Gmail</a>` : ''}
+      </details>
+    `;
+  }
+
+  /**
+   * Show where mailbox storage goes and what cleanups would free
+   */
+  showStorageView() {
+    if (!this.currentAnalysis) {
+      this.showMessage('Please analyze your emails first.', 'info');
+      return;
+    }
+
+    this.updateBreadcrumbs([
+      { text: 'Dashboard', action: () => this.showDashboard() },
+      { text: 'Storage', active: true },
+    ]);
+
+    const model = StorageModel.build(this.currentEmails, {
+      labels: this.emailAnalyzer.labels,
+    });
+    const { quota } = model;
+    const quotaGb = quota.quotaBytes / (1024 * 1024 * 1024);
+    const formatSize = (value) => Formatters.formatFileSize(value);
+    const toBars = (groups) =>
+      groups.map((group) => ({ label: group.label, value: group.totalSize }));
+    const categories = [
+      'primary',
+      'promotions',
+      'social',
+      'updates',
+      'forums',
+      'important',
+    ];
+
+    this.elements.dashboardContainer.innerHTML = `
+      <div class="storage-view">
+        <h2>Storage</h2>
+        <div class="storage-quota">
+          <p>
+            The ${Formatters.formatEmailCount(model.emailCount)} analyzed use
+            <strong>${formatSize(model.totalSize)}</strong>${quota.percentage !== null ? `, ${quota.percentage.toFixed(1)}% of your ${formatSize(quota.quotaBytes)} quota` : ''}.
+          </p>
+          <div class="quota-bar">
+            <div class="quota-fill" style="width: ${Math.min(quota.percentage || 0, 100)}%"></div>
+          </div>
+          <label>Account quota (GB)
+            <input type="number" id="storage-quota" min="1" step="1" value="${quotaGb}">
+          </label>
+          <button class="btn btn-secondary" onclick="dashboard.saveStorageQuota()">Save Quota</button>
+          <p class="storage-note">Google shares this quota between Gmail, Drive and Photos. Trashed emails keep using it until they are deleted forever.</p>
+        </div>
+
+        <h3>How much would I free?</h3>
+        <div class="dry-run-form">
+          <label>Sender or domain
+            <input type="text" id="storage-sender" placeholder="news@example.com or @example.com">
+          </label>
+          <label>Older than (days)
+            <input type="number" id="storage-older-than" min="0">
+          </label>
+          <label>Larger than (MB)
+            <input type="number" id="storage-min-size" min="0" step="0.1">
+          </label>
+          <label>Category
+            <select id="storage-category">
+              <option value="">Any</option>
+              ${categories.map((category) => `<option value="${category}">${Formatters.formatCategory(category)}</option>`).join('')}
+            </select>
+          </label>
+          <label>Label
+            <select id="storage-label">
+              <option value="">Any</option>
+              ${model.byLabel.map((group) => `<option value="${Formatters.escapeHtml(group.key)}">${Formatters.escapeHtml(group.label)}</option>`).join('')}
+            </select>
+          </label>
+          <button class="btn btn-primary" onclick="dashboard.estimateStorage()">Estimate</button>
+        </div>
+        <div id="storage-estimate"></div>
+
+        <div class="trends-grid">
+          <div class="chart-card">
+            <h3>By Age</h3>
+            ${SvgCharts.barChart(toBars(model.byAge), { width: 480, labelWidth: 120, formatValue: formatSize, title: 'Storage by email age' })}
+          </div>
+          <div class="chart-card">
+            <h3>By Category</h3>
+            ${SvgCharts.donutChart(
+              model.byCategory.map((group) => ({
+                label: group.label,
+                value: group.totalSize,
+                color: Formatters.getCategoryColor(group.key),
+              })),
+              { formatValue: formatSize, title: 'Storage by category' }
+            )}
+          </div>
+          <div class="chart-card">
+            <h3>Attachments</h3>
+            ${SvgCharts.barChart(toBars(model.byAttachment), { width: 480, labelWidth: 160, color: '#f9ab00', formatValue: formatSize, title: 'Storage in emails with and without attachments' })}
+          </div>
+          <div class="chart-card">
+            <h3>By Label</h3>
+            ${SvgCharts.barChart(toBars(model.byLabel.slice(0, 10)), { width: 480, labelWidth: 160, formatValue: formatSize, title: 'Storage by label' })}
+          </div>
+        </div>
+
+        <h3>Largest Senders</h3>
+        <div class="subjects-list">
+          ${model.bySender
+            .slice(0, 25)
+            .map(
+              (group) => `
+            <div class="subject-item">
+              <div class="subject-content">
+                <div class="subject-text">${Formatters.escapeHtml(group.label)}</div>
+                <div class="subject-meta">${Formatters.escapeHtml(group.key)} • ${Formatters.formatEmailCount(group.count)} • ${group.percentage.toFixed(1)}% of analyzed storage</div>
+              </div>
+              <div class="subject-size">${formatSize(group.totalSize)}</div>
+              <button class="btn btn-secondary" data-sender="${Formatters.escapeHtml(group.key)}">Dry Run</button>
+            </div>
+          `
+            )
+            .join('')}
+        </div>
+      </div>
+    `;
+
+    // Sender addresses come from email headers, so they are read back from
+    // data attributes instead of being interpolated into inline JavaScript
+    this.elements.dashboardContainer
+      .querySelectorAll('[data-sender]')
+      .forEach((button) => {
+        button.addEventListener('click', () =>
+          this.showDryRunView({ sender: button.dataset.sender })
+        );
+      });
+  }
+
+  /**
+   * Estimate the storage freed by the criteria in the Storage view
+   */
+  estimateStorage() {
+    const readValue = (id) => document.getElementById(id)?.value.trim() || '';
+    const minSizeMB = parseFloat(readValue('storage-min-size'));
+    const olderThanDays = parseInt(readValue('storage-older-than'), 10);
+
+    const criteria = {
+      sender: readValue('storage-sender'),
+      minSize: minSizeMB > 0 ? Math.round(minSizeMB * 1024 * 1024) : 0,
+      olderThanDays: olderThanDays > 0 ? olderThanDays : 0,
+      category: readValue('storage-category'),
+      label: readValue('storage-label'),
+    };
+
+    const container = document.getElementById('storage-estimate');
+    if (!container) return;
+
+    const estimate = StorageModel.estimate(this.currentEmails, criteria);
+
+    container.innerHTML = `
+      <div class="dry-run-summary">
+        <div class="stat-box">
+          <span class="stat-number">${Formatters.formatFileSize(estimate.reclaimableSize)}</span>
+          <span class="stat-label">freed by deleting ${Formatters.formatEmailCount(estimate.matchedCount)}</span>
+        </div>
+        <div class="stat-box">
+          <span class="stat-number">${estimate.percentageOfAnalyzed.toFixed(1)}%</span>
+          <span class="stat-label">of analyzed storage</span>
+        </div>
+        ${
+          estimate.percentageOfQuota !== null
+            ? `<div class="stat-box">
+          <span class="stat-number">${estimate.percentageOfQuota.toFixed(2)}%</span>
+          <span class="stat-label">of your quota</span>
+        </div>`
+            : ''
+        }
+      </div>
+      ${estimate.protectedCount > 0 ? `<p>${Formatters.formatEmailCount(estimate.protectedCount)} of these are starred or important.</p>` : ''}
+    `;
+  }
+
+  /**
+   * Save the quota entered in the Storage view
+   */
+  saveStorageQuota() {
+    const value = parseFloat(document.getElementById('storage-quota')?.value);
+
+    try {
+      StorageModel.saveQuotaGb(value);
+    } catch (error) {
+      this.showMessage(error.message, 'warning');
+      return;
+    }
+    this.showStorageView();
+  }
+
+  /**
+   * Show the attachment inventory: storage by file type, files sent more
+   * than once and the largest files
+   */
+  async showAttachmentsView() {
+    this.updateBreadcrumbs([
+      { text: 'Dashboard', action: () => this.showDashboard() },
+      { text: 'Attachments', active: true },
+    ]);
+
+    if (this.attachments === null) {
+      try {
+        this.attachments = await AttachmentInventory.load();
+      } catch (error) {
+        console.warn('Could not load the attachment inventory:', error);
+        this.attachments = [];
+      }
+    }
+
+    const summary = AttachmentInventory.summarize(this.attachments);
+    const formatSize = (value) => Formatters.formatFileSize(value);
+    const scanning = this.attachmentScan !== null;
+    const sizeOptions = [
+      { value: '', label: 'Any size' },
+      { value: 'larger:1M', label: 'Larger than 1 MB' },
+      { value: 'larger:5M', label: 'Larger than 5 MB' },
+      { value: 'larger:10M', label: 'Larger than 10 MB' },
+    ];
+
+    this.elements.dashboardContainer.innerHTML = `
+      <div class="attachments-view">
+        <h2>Attachments</h2>
+        <div class="dry-run-form">
+          <label>Scan messages
+            <select id="attachment-scan-size">
+              ${sizeOptions.map((option) => `<option value="${option.value}">${option.label}</option>`).join('')}
+            </select>
+          </label>
+          <button class="btn btn-primary" onclick="dashboard.scanAttachments()" ${scanning ? 'disabled' : ''}>
+            ${this.attachments.length > 0 ? 'Rescan' : 'Scan Attachments'}
+          </button>
+          <button class="btn btn-secondary" onclick="dashboard.cancelAttachmentScan()" style="${scanning ? '' : 'display: none'}">Cancel Scan</button>
+        </div>
+        <p class="storage-note">Only file names, types and sizes are read. Attachment contents are never downloaded.</p>
+        ${
+          summary.count === 0
+            ? '<p>No attachments found yet. Run a scan to build the inventory.</p>'
+            : `
+        <div class="dry-run-summary">
+          <div class="stat-box">
+            <span class="stat-number">${Formatters.formatNumber(summary.count)}</span>
+            <span class="stat-label">files in ${Formatters.formatEmailCount(summary.messageCount)}</span>
+          </div>
+          <div class="stat-box">
+            <span class="stat-number">${formatSize(summary.totalSize)}</span>
+            <span class="stat-label">total attachment size</span>
+          </div>
+          <div class="stat-box">
+            <span class="stat-number">${formatSize(summary.duplicates.reduce((sum, d) => sum + d.wastedSize, 0))}</span>
+            <span class="stat-label">in repeated copies</span>
+          </div>
+        </div>
+
+        <div class="trends-grid">
+          <div class="chart-card">
+            <h3>By Type</h3>
+            ${SvgCharts.barChart(
+              summary.byType
+                .filter((type) => type.count > 0)
+                .map((type) => ({
+                  label: type.label,
+                  value: type.totalSize,
+                  color: type.color,
+                  onclick: `dashboard.renderAttachmentList('${type.id}')`,
+                })),
+              {
+                width: 480,
+                labelWidth: 120,
+                formatValue: formatSize,
+                title: 'Attachment storage by file type',
+              }
+            )}
+          </div>
+          <div class="chart-card">
+            <h3>Sent More Than Once</h3>
+            ${
+              summary.duplicates.length === 0
+                ? '<p>No repeated files.</p>'
+                : `<div class="subjects-list">
+              ${summary.duplicates
+                .slice(0, 10)
+                .map(
+                  (duplicate) => `
+                <div class="subject-item">
+                  <div class="subject-content">
+                    <div class="subject-text">${Formatters.escapeHtml(Formatters.truncateText(duplicate.filename, 60))}</div>
+                    <div class="subject-meta">${duplicate.count} copies of ${formatSize(duplicate.size)} • ${Formatters.escapeHtml(duplicate.senders.join(', '))}</div>
+                  </div>
+                  <div class="subject-size">${formatSize(duplicate.wastedSize)}</div>
+                </div>
+              `
+                )
+                .join('')}
+            </div>`
+            }
+          </div>
+        </div>
+
+        <h3>Largest Files</h3>
+        <div class="dry-run-form">
+          <label>Type
+            <select id="attachment-type" onchange="dashboard.renderAttachmentList()">
+              <option value="">All types</option>
+              ${summary.byType
+                .filter((type) => type.count > 0)
+                .map(
+                  (type) => `<option value="${type.id}">${type.label}</option>`
+                )
+                .join('')}
+            </select>
+          </label>
+          <label>Sort by
+            <select id="attachment-sort" onchange="dashboard.renderAttachmentList()">
+              <option value="size">Size</option>
+              <option value="date">Date</option>
+              <option value="filename">Name</option>
+            </select>
+          </label>
+        </div>
+        <div id="attachment-list" class="subjects-list"></div>
+        `
+        }
+      </div>
+    `;
+
+    if (summary.count > 0) this.renderAttachmentList();
+  }
+
+  /**
+   * Render the file list of the Attachments view
+   * @param {string} type - Type ID to select, or undefined to keep the current one
+   */
+  renderAttachmentList(type) {
+    const container = document.getElementById('attachment-list');
+    const typeSelect = document.getElementById('attachment-type');
+    if (!container || !typeSelect || !this.attachments) return;
+
+    if (type !== undefined) {
+      typeSelect.value = type;
+      typeSelect.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+    const sort = document.getElementById('attachment-sort')?.value || 'size';
+    const comparators = {
+      size: (a, b) => b.size - a.size,
+      date: (a, b) => (b.timestamp || 0) - (a.timestamp || 0),
+      filename: (a, b) => a.filename.localeCompare(b.filename),
+    };
+
+    const files = this.attachments
+      .filter((file) => !typeSelect.value || file.type === typeSelect.value)
+      .sort(comparators[sort]);
+
+    container.innerHTML =
+      files
+        .slice(0, 100)
+        .map(
+          (file) => `
+        <div class="subject-item">
+          <div class="subject-content">
+            <div class="subject-text">${Formatters.escapeHtml(Formatters.truncateText(file.filename, 60))}</div>
+            <div class="subject-meta">${Formatters.escapeHtml(Formatters.formatSender(file.senderName, file.senderEmail))} • ${Formatters.formatShortDate(file.date)} • ${Formatters.escapeHtml(Formatters.formatSubject(file.subject, 60))}</div>
+          </div>
+          <div class="subject-size">${Formatters.formatFileSize(file.size)}</div>
+          <a class="btn btn-secondary" href="https://mail.google.com/mail/u/0/#all/${encodeURIComponent(file.threadId)}" target="_blank" rel="noopener noreferrer">Open in Gmail</a>
+        </div>
+      `
+        )
+        .join('') || '<p>No files of this type.</p>';
+  }
+
+  /**
+   * Scan messages with attachments and rebuild the inventory
+   */
+  async scanAttachments() {
+    if (this.attachmentScan || this.isAnalyzing || this.isPurging) {
+      this.showMessage('Wait for the current operation to finish.', 'warning');
+      return;
+    }
+
+    const query = document.getElementById('attachment-scan-size')?.value || '';
+    this.attachmentScan = new AbortController();
+    this.showAttachmentsView();
+
+    const inventory = new AttachmentInventory({
+      query,
+      signal: this.attachmentScan.signal,
+      onProgress: ({ scanned, total, percentage, attachmentCount }) =>
+        this.updateProgress(
+          percentage,
+          `Scanned ${Formatters.formatNumber(scanned)} of about ${Formatters.formatNumber(total)} messages, ${Formatters.formatNumber(attachmentCount)} attachments found`
+        ),
+    });
+
+    try {
+      this.showLoading('Scanning attachments...');
+      this.attachments = await inventory.scan();
+      this.showMessage(
+        `Found ${Formatters.formatNumber(this.attachments.length)} attachments.`,
+        'success'
+      );
+      if (inventory.failedIds.length > 0) {
+        this.showMessage(
+          `${Formatters.formatEmailCount(inventory.failedIds.length)} could not be read. Scan again to include their attachments.`,
+          'warning'
+        );
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this.showMessage('Attachment scan cancelled.', 'info');
+      } else {
+        console.error('Attachment scan failed:', error);
+        this.showError(`Attachment scan failed: ${error.message}`);
+      }
+      // Keep whatever the scan saved before it stopped
+      this.attachments = null;
+    } finally {
+      this.attachmentScan = null;
+      this.hideLoading();
+    }
+
+    this.showAttachmentsView();
+  }
+
+  /**
+   * Stop a running attachment scan
+   */
+  cancelAttachmentScan() {
+    if (this.attachmentScan) this.attachmentScan.abort();
+  }
+
+  /**
+   * Show timeline, size and category charts
+   * Clicking a chart mark lists the matching emails below the charts
+   */
+  showTrendsView() {
+    if (!this.currentAnalysis) {
+      this.showMessage('Please analyze your emails first.', 'info');
+      return;
+    }
+
+    this.updateBreadcrumbs([
+      { text: 'Dashboard', action: () => this.showDashboard() },
+      { text: 'Trends', active: true },
+    ]);
+
+    const { timeline, sizes, categories } = this.currentAnalysis;
+    const monthly = (timeline.monthly || [])
+      .slice()
+      .sort((a, b) => a.month.localeCompare(b.month));
+    const weekdayHourly = timeline.weekdayHourly || [];
+    const hours = Array.from({ length: 24 }, (_, hour) => `${hour}:00`);
+
+    const charts = [
+      {
+        title: 'Emails per Month',
+        wide: true,
+        svg: SvgCharts.columnChart(
+          monthly.map((m) => ({
+            label: m.month,
+            value: m.count,
+            onclick: `dashboard.showTrendEmails('month', '${m.month}')`,
+          })),
+          { title: 'Emails per month' }
+        ),
+      },
+      {
+        title: 'Emails by Hour',
+        svg: SvgCharts.lineChart(
+          (timeline.hourly || []).map((h) => ({
+            label: hours[h.hour],
+            value: h.count,
+            onclick: `dashboard.showTrendEmails('hour', ${h.hour})`,
+          })),
+          { width: 480, title: 'Emails by hour of day' }
+        ),
+      },
+      {
+        title: 'Emails by Weekday',
+        svg: SvgCharts.barChart(
+          (timeline.weekly || [])
+            .slice()
+            .sort((a, b) => a.day - b.day)
+            .map((w) => ({
+              label: Formatters.formatWeekday(w.day),
+              value: w.count,
+              onclick: `dashboard.showTrendEmails('weekday', ${w.day})`,
+            })),
+          { width: 480, labelWidth: 100, title: 'Emails by weekday' }
+        ),
+      },
+      {
+        title: 'Weekday by Hour',
+        wide: true,
+        svg: SvgCharts.heatmap(
+          weekdayHourly.map((counts, day) => ({
+            label: Formatters.formatWeekday(day, true),
+            cells: counts.map((value, hour) => ({
+              value,
+              label: `${Formatters.formatWeekday(day)} ${hours[hour]}`,
+              onclick: `dashboard.showTrendEmails('weekdayHour', '${day}-${hour}')`,
+            })),
+          })),
+          { columnLabels: hours, title: 'Emails by weekday and hour' }
+        ),
+      },
+      {
+        title: 'Storage by Email Size',
+        svg: SvgCharts.barChart(
+          (sizes.distribution || []).map((range, index) => ({
+            label: range.label,
+            value: range.totalSize,
+            color: '#f9ab00',
+            onclick: `dashboard.showTrendEmails('size', ${index})`,
+          })),
+          {
+            width: 480,
+            labelWidth: 160,
+            formatValue: (value) => Formatters.formatFileSize(value),
+            title: 'Storage by email size',
+          }
+        ),
+      },
+      {
+        title: 'Categories',
+        svg: SvgCharts.donutChart(
+          categories
+            .slice()
+            .sort((a, b) => b.count - a.count)
+            .map((c) => ({
+              label: Formatters.formatCategory(c.category),
+              value: c.count,
+              color: Formatters.getCategoryColor(c.category),
+              onclick: `dashboard.showTrendEmails('category', '${c.category}')`,
+            })),
+          { title: 'Emails per category' }
+        ),
+      },
+    ];
+
+    this.elements.dashboardContainer.innerHTML = `
+      <div class="trends-view">
+        <h2>Trends</h2>
+        <p>Hover over a chart for details, or click a bar, point, slice or cell to list the matching emails.</p>
+        <div class="trends-grid">
+          ${charts
+            .map(
+              (chart) => `
+            <div class="chart-card${chart.wide ? ' chart-card-wide' : ''}">
+              <h3>${chart.title}</h3>
+              ${chart.svg}
+            </div>
+          `
+            )
+            .join('')}
+        </div>
+        <div class="trend-emails">
+          <h3 id="trend-emails-title"></h3>
+          <div id="trend-emails-list"></div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * List the analyzed emails behind a chart mark in the Trends view
+   * @param {string} type - 'month', 'hour', 'weekday', 'weekdayHour', 'size' or 'category'
+   * @param {string|number} value - Month key, hour, weekday, "weekday-hour", size range index or category
+   */
+  showTrendEmails(type, value) {
+    const { emailList } = window;
+    const container = document.getElementById('trend-emails-list');
+    if (!emailList || !container || !this.currentAnalysis) return;
+
+    let filters;
+    let title;
+
+    switch (type) {
+      case 'month': {
+        const [year, month] = value.split('-').map(Number);
+        filters = {
+          dateRange: {
+            from: new Date(year, month - 1, 1),
+            to: new Date(year, month, 0, 23, 59, 59, 999),
+          },
+        };
+        title = `Emails from ${value}`;
+        break;
+      }
+      case 'hour':
+        filters = { hour: value };
+        title = `Emails received at ${value}:00`;
+        break;
+      case 'weekday':
+        filters = { weekday: value };
+        title = `Emails received on ${Formatters.formatWeekday(value)}`;
+        break;
+      case 'weekdayHour': {
+        const [weekday, hour] = value.split('-').map(Number);
+        filters = { weekday, hour };
+        title = `Emails received on ${Formatters.formatWeekday(weekday)} at ${hour}:00`;
+        break;
+      }
+      case 'size': {
+        const range = this.currentAnalysis.sizes.distribution[value];
+        if (!range) return;
+        filters = {
+          sizeRange: {
+            min: range.min,
+            // Ranges exclude their upper bound; the list filter includes it
+            max: Number.isFinite(range.max) ? range.max - 1 : null,
+          },
+        };
+        title = `${range.label} emails`;
+        break;
+      }
+      case 'category':
+        filters = { category: value };
+        title = `${Formatters.formatCategory(value)} emails`;
+        break;
+      default:
+        return;
+    }
+
+    emailList.showFilteredEmails(this.currentEmails, filters, container);
+
+    const heading = document.getElementById('trend-emails-title');
+    heading.textContent = `${title} (${Formatters.formatNumber(emailList.filteredEmails.length)})`;
+    heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  /**
+   * Show the export view
+   */
+  showExportView() {
+    if (!this.currentAnalysis) {
+      this.showMessage('Please analyze your emails first.', 'info');
+      return;
+    }
+
+    this.updateBreadcrumbs([
+      { text: 'Dashboard', action: () => this.showDashboard() },
+      { text: 'Export', active: true },
+    ]);
+
+    const sections = Exporter.getSections().map((section) => ({
+      ...section,
+      rowCount:
+        Exporter.buildTable(this.currentAnalysis, section.id).length - 1,
+    }));
+
+    this.elements.dashboardContainer.innerHTML = `
+      <div class="export-view">
+        <h2>Export Report</h2>
+        <p>Download the analysis of ${Formatters.formatEmailCount(this.currentAnalysis.overview.totalEmails)} for spreadsheets and reviews. Files are built in your browser.</p>
+        <div class="dry-run-actions">
+          <button class="btn btn-primary" onclick="dashboard.exportReport('xlsx')">
+            <i class="fas fa-file-excel"></i> Excel Workbook
+          </button>
+          <button class="btn btn-secondary" onclick="dashboard.exportReport('csv')">
+            <i class="fas fa-file-archive"></i> All Sections as CSV (.zip)
+          </button>
+          <button class="btn btn-secondary" onclick="dashboard.exportReport('json')">
+            <i class="fas fa-file-code"></i> JSON
+          </button>
+          <button class="btn btn-secondary" onclick="dashboard.exportReport('html')">
+            <i class="fas fa-file-alt"></i> HTML Report
+          </button>
+          <button class="btn btn-secondary" onclick="dashboard.printReport()">
+            <i class="fas fa-print"></i> Print / Save as PDF
+          </button>
+        </div>
+        <div class="export-sections">
+          ${sections
+            .map(
+              (section) => `
+            <div class="rule-item">
+              <div class="rule-info">
+                <div class="rule-name">${section.title}</div>
+                <div class="rule-meta">${Formatters.formatNumber(section.rowCount)} rows</div>
+              </div>
+              <button class="btn btn-secondary" onclick="dashboard.exportReport('csv', '${section.id}')">CSV</button>
+            </div>
+          `
+            )
+            .join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Download the current analysis
+   * @param {string} format - 'csv', 'json', 'xlsx' or 'html'
+   * @param {string} sectionId - Single section to download as CSV
+   */
+  exportReport(format, sectionId = null) {
+    if (!this.currentAnalysis) return;
+
+    try {
+      Exporter.download(this.currentAnalysis, format, sectionId);
+      this.showMessage(APP_CONFIG.SUCCESS_MESSAGES.EXPORT_SUCCESS, 'success');
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.showError(`Export failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Print the HTML report, which the browser can save as PDF
+   */
+  printReport() {
+    if (!this.currentAnalysis) return;
+
+    try {
+      HtmlReport.print(this.currentAnalysis);
+    } catch (error) {
+      console.error('Print failed:', error);
+      this.showError(`Print failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Show the retention rules view
+   */
+  showRulesView() {
+    this.updateBreadcrumbs([
+      { text: 'Dashboard', action: () => this.showDashboard() },
+      { text: 'Rules', active: true },
+    ]);
+
+    const rules = RulesEngine.getRules();
+
+    this.elements.dashboardContainer.innerHTML = `
+      <div class="rules-view">
+        <h2>Retention Rules</h2>
+        <p>Rules are searched across your whole mailbox. Preview a rule to see what it matches before running it.</p>
+        <div class="rules-list">
+          ${rules.length > 0 ? rules.map((rule) => this.renderRuleItem(rule)).join('') : '<p>No rules yet.</p>'}
+        </div>
+        <h3>New Rule</h3>
+        <div class="dry-run-form">
+          <label>Name
+            <input type="text" id="rule-name" placeholder="Old promotions">
+          </label>
+          <label>Sender or domain
+            <input type="text" id="rule-sender" placeholder="noreply@github.com or @github.com">
+          </label>
+          <label>Category
+            <select id="rule-category">
+              <option value="">Any</option>
+              ${RulesEngine.getCategories()
+                .map(
+                  (category) =>
+                    `<option value="${category}">${Formatters.formatCategory(category)}</option>`
+                )
+                .join('')}
+            </select>
+          </label>
+          <label>Older than (days)
+            <input type="number" id="rule-older-than" min="0">
+          </label>
+          <label>Larger than (MB)
+            <input type="number" id="rule-min-size" min="0" step="0.1">
+          </label>
+          <label>Attachments
+            <select id="rule-attachments">
+              <option value="">Any</option>
+              <option value="with">With attachments</option>
+              <option value="without">Without attachments</option>
+            </select>
+          </label>
+          <label>Action
+            <select id="rule-action">
+              <option value="archive">Archive</option>
+              <option value="trash">Move to Trash</option>
+            </select>
+          </label>
+          <button class="btn btn-primary" onclick="dashboard.saveRuleFromForm()">Save Rule</button>
+        </div>
+        <h3>Import Rules</h3>
+        <div class="rules-import">
+          <textarea id="rule-json" rows="6" placeholder='{"name": "Old promotions", "action": "trash", "conditions": {"category": "promotions", "olderThanDays": 90}}'></textarea>
+          <button class="btn btn-secondary" onclick="dashboard.importRulesFromJson()">Import JSON</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a single retention rule
+   * @param {Object} rule - Rule definition
+   * @returns {string} HTML string
+   */
+  renderRuleItem(rule) {
+    return `
+      <div class="rule-item" data-rule-id="${Formatters.escapeHtml(rule.id)}">
+        <div class="rule-info">
+          <div class="rule-name">${Formatters.escapeHtml(rule.name)}</div>
+          <div class="rule-meta">
+            ${rule.action === 'trash' ? 'Move to Trash' : 'Archive'} •
+            <code>${Formatters.escapeHtml(RulesEngine.buildQuery(rule))}</code>
+            ${rule.lastRunAt ? ` • Last run ${Formatters.formatRelativeDate(rule.lastRunAt)}` : ''}
+          </div>
+          <div class="rule-matches" id="rule-matches-${Formatters.escapeHtml(rule.id)}"></div>
+        </div>
+        <div class="rule-actions" data-rule-id="${Formatters.escapeHtml(rule.id)}">
+          <button class="btn btn-secondary" onclick="dashboard.previewRule(this.parentElement.dataset.ruleId)">Preview</button>
+          <button class="btn ${rule.action === 'trash' ? 'btn-danger' : 'btn-primary'}" onclick="dashboard.runRule(this.parentElement.dataset.ruleId)">Run</button>
+          <button class="btn btn-secondary" onclick="dashboard.deleteRule(this.parentElement.dataset.ruleId)">Delete</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Save a rule from the new rule form
+   */
+  saveRuleFromForm() {
+    const readValue = (id) => document.getElementById(id)?.value.trim() || '';
+    const olderThanDays = parseInt(readValue('rule-older-than'), 10);
+    const minSizeMB = parseFloat(readValue('rule-min-size'));
+    const attachments = readValue('rule-attachments');
+
+    const rule = {
+      name: readValue('rule-name'),
+      action: readValue('rule-action'),
+      conditions: {
+        sender: readValue('rule-sender'),
+        category: readValue('rule-category'),
+        olderThanDays: olderThanDays > 0 ? olderThanDays : null,
+        minSize: minSizeMB > 0 ? Math.round(minSizeMB * 1024 * 1024) : null,
+        hasAttachments: attachments ? attachments === 'with' : null,
+      },
+    };
+
+    try {
+      const saved = RulesEngine.saveRule(rule);
+      this.showMessage(`Rule "${saved.name}" saved.`, 'success');
+      this.showRulesView();
+    } catch (error) {
+      this.showMessage(error.message, 'warning');
+    }
+  }
+
+  /**
+   * Import one rule or an array of rules from the JSON textarea
+   */
+  importRulesFromJson() {
+    const text = document.getElementById('rule-json')?.value.trim();
+    if (!text) return;
+
+    try {
+      const parsed = JSON.parse(text);
+      const rules = RulesEngine.importRules(
+        Array.isArray(parsed) ? parsed : [parsed]
+      );
+      this.showMessage(
+        `Imported ${rules.length} rule${rules.length !== 1 ? 's' : ''}.`,
+        'success'
+      );
+      this.showRulesView();
+    } catch (error) {
+      this.showMessage(`Import failed: ${error.message}`, 'warning');
+    }
+  }
+
+  /**
+   * Delete a rule after confirmation
+   * @param {string} ruleId - Rule ID
+   */
+  async deleteRule(ruleId) {
+    const rule = RulesEngine.getRules().find((r) => r.id === ruleId);
+    if (!rule) return;
+
+    const confirmed = await ConfirmDialog.show({
+      title: 'Delete rule?',
+      message: `"${rule.name}" will be removed. No emails are changed.`,
+      confirmText: 'Delete',
+    });
+    if (!confirmed) return;
+
+    RulesEngine.deleteRule(ruleId);
+    this.showRulesView();
+  }
+
+  /**
+   * Find and display the messages a rule currently matches
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<Object|null>} Matches or null on failure
+   */
+  async previewRule(ruleId) {
+    const rule = RulesEngine.getRules().find((r) => r.id === ruleId);
+    if (!rule || this.isPurging) return null;
+
+    try {
+      this.showLoading(`Searching for "${rule.name}"...`);
+      const matches = await RulesEngine.findMatches(rule, {
+        onProgress: ({ processed, total, percentage }) => {
+          this.updateProgress(
+            percentage,
+            `Checking matches... ${processed}/${total}`
+          );
+        },
+      });
+
+      const container = document.getElementById(`rule-matches-${ruleId}`);
+      if (container) {
+        container.textContent = `Matches ${Formatters.formatEmailCount(matches.emails.length)} (${Formatters.formatFileSize(matches.totalSize)})${
+          matches.failedIds.length > 0
+            ? `; ${Formatters.formatEmailCount(matches.failedIds.length)} could not be checked and will be skipped`
+            : ''
+        }`;
+      }
+      return matches;
+    } catch (error) {
+      console.error('Rule preview failed:', error);
+      this.showError(`Rule preview failed: ${error.message}`);
+      return null;
+    } finally {
+      this.hideLoading();
+    }
+  }
+
+  /**
+   * Run a rule's action after confirmation
+   * @param {string} ruleId - Rule ID
+   */
+  async runRule(ruleId) {
+    if (this.isPurging || this.isAnalyzing) return;
+    if (!(await ConfirmDialog.ensureCleanupMode())) return;
+
+    const matches = await this.previewRule(ruleId);
+    if (!matches) return;
+
+    const { rule } = matches;
+    if (matches.emails.length === 0) {
+      this.showMessage(`"${rule.name}" does not match any emails.`, 'info');
+      return;
+    }
+
+    const actionText = rule.action === 'trash' ? 'moved to trash' : 'archived';
+    const confirmed = await ConfirmDialog.show({
+      title: `Run rule: ${rule.name}`,
+      message: `${Formatters.formatEmailCount(matches.emails.length)} (${Formatters.formatFileSize(matches.totalSize)}) matching "${matches.query}" will be ${actionText}.`,
+      confirmText: 'Run Rule',
+      danger: rule.action === 'trash',
+    });
+    if (!confirmed) return;
+
+    try {
+      this.isPurging = true;
+      this.showLoading(`Running "${rule.name}"...`);
+
+      const result = await RulesEngine.execute(matches, {
+        onProgress: ({ processed, total, percentage }) => {
+          this.updateProgress(
+            percentage,
+            `Running "${rule.name}"... ${processed}/${total}`
+          );
+        },
+      });
+      this.hideLoading();
+
+      if (result.modified > 0) {
+        this.emailAnalyzer.clearCache();
+        this.showMessage(
+          `${Formatters.formatEmailCount(result.modified)} ${actionText}.`,
+          'success'
+        );
+      }
+      if (result.failed.length > 0) {
+        this.showMessage(APP_CONFIG.ERROR_MESSAGES.MODIFY_FAILED, 'warning');
+      }
+      this.showRulesView();
+    } catch (error) {
+      console.error('Rule run failed:', error);
+      this.showError(`Rule failed: ${error.message}`);
+    } finally {
+      this.isPurging = false;
+      this.hideLoading();
+    }
+  }
+
+  /**
+   * Show Gmail filter suggestions for recurring senders and subjects
+   */
+  showFiltersView() {
+    if (!this.currentAnalysis) {
+      this.showMessage('Please analyze your emails first.', 'info');
+      return;
+    }
+
+    this.updateBreadcrumbs([
+      { text: 'Dashboard', action: () => this.showDashboard() },
+      { text: 'Filters', active: true },
+    ]);
+
+    this.filterSuggestions = FilterSuggester.suggest(
+      this.currentAnalysis,
+      this.currentEmails,
+      { labels: this.emailAnalyzer.labels }
+    );
+
+    this.elements.dashboardContainer.innerHTML = `
+      <div class="rules-view">
+        <h2>Filter Suggestions (${Formatters.formatNumber(this.filterSuggestions.length)})</h2>
+        <p>Gmail filters label recurring mail as it arrives, so it never clutters the inbox. Creating a filter also labels the emails it already matches; that step can be undone from History.</p>
+        <div class="rules-list">
+          ${
+            this.filterSuggestions.length > 0
+              ? this.filterSuggestions
+                  .map((suggestion) => this.renderFilterSuggestion(suggestion))
+                  .join('')
+              : '<p>No recurring senders or subjects without a label found in the analyzed emails.</p>'
+          }
+        </div>
+      </div>
+    `;
+
+    // Suggestion IDs and criteria come from email headers, so handlers are
+    // bound here instead of being interpolated into inline JavaScript
+    this.elements.dashboardContainer
+      .querySelectorAll('[data-filter-id]')
+      .forEach((item) => {
+        const { filterId } = item.dataset;
+        item
+          .querySelector('[data-filter-field="labelName"]')
+          .addEventListener('input', (e) =>
+            this.updateFilterSuggestion(filterId, 'labelName', e.target.value)
+          );
+        item
+          .querySelector('[data-filter-field="skipInbox"]')
+          .addEventListener('change', (e) =>
+            this.updateFilterSuggestion(filterId, 'skipInbox', e.target.checked)
+          );
+        item
+          .querySelector('[data-filter-action="preview"]')
+          .addEventListener('click', () =>
+            this.previewFilterSuggestion(filterId)
+          );
+        item
+          .querySelector('[data-filter-action="create"]')
+          .addEventListener('click', () =>
+            this.createFilterFromSuggestion(filterId)
+          );
+      });
+  }
+
+  /**
+   * Find the rendered element of a filter suggestion
+   * @param {string} suggestionId - Suggestion ID
+   * @returns {HTMLElement|null} Suggestion element
+   */
+  getFilterSuggestionElement(suggestionId) {
+    return (
+      Array.from(document.querySelectorAll('[data-filter-id]')).find(
+        (item) => item.dataset.filterId === suggestionId
+      ) || null
+    );
+  }
+
+  /**
+   * Render a single filter suggestion
+   * @param {Object} suggestion - Suggestion from FilterSuggester.suggest()
+   * @returns {string} HTML string
+   */
+  renderFilterSuggestion(suggestion) {
+    const escape = (value) => Formatters.escapeHtml(value);
+
+    return `
+      <div class="rule-item" data-filter-id="${escape(suggestion.id)}">
+        <div class="rule-info">
+          <div class="rule-name">
+            <input type="text" value="${escape(suggestion.labelName)}" aria-label="Label name" data-filter-field="labelName">
+          </div>
+          <div class="rule-meta">
+            <code>${escape(FilterSuggester.buildQuery(suggestion.criteria))}</code> •
+            ${Formatters.formatEmailCount(suggestion.matchCount)} analyzed
+            (${Formatters.formatNumber(suggestion.inboxCount)} in the inbox) •
+            ${Formatters.formatFileSize(suggestion.totalSize)}
           </div>
+          <div class="rule-meta">${escape(suggestion.examples.join(', '))}</div>
+          <label>
+            <input type="checkbox" ${suggestion.skipInbox ? 'checked' : ''} data-filter-field="skipInbox">
+            Skip the inbox
+          </label>
+          <div class="rule-matches"></div>
         </div>
-        <div class="subjects-list">
-          ${this.renderSubjectsList()}
+        <div class="rule-actions">
+          <button class="btn btn-secondary" data-filter-action="preview">Preview</button>
+          <button class="btn btn-primary" data-filter-action="create">Create Filter</button>
         </div>
       </div>
     `;
   }
 
   /**
-   * Render subjects list
+   * Keep edits to a suggestion until it is created
+   * @param {string} suggestionId - Suggestion ID
+   * @param {string} key - 'labelName' or 'skipInbox'
+   * @param {string|boolean} value - New value
+   */
+  updateFilterSuggestion(suggestionId, key, value) {
+    const suggestion = this.filterSuggestions.find(
+      (s) => s.id === suggestionId
+    );
+    if (suggestion) suggestion[key] = value;
+  }
+
+  /**
+   * Ask Gmail how many existing messages a suggested filter would match
+   * The analyzed emails may only be part of the mailbox
+   * @param {string} suggestionId - Suggestion ID
+   * @returns {Promise<number|null>} Estimated matches or null on failure
+   */
+  async previewFilterSuggestion(suggestionId) {
+    const suggestion = this.filterSuggestions.find(
+      (s) => s.id === suggestionId
+    );
+    if (!suggestion) return null;
+
+    const container =
+      this.getFilterSuggestionElement(suggestionId)?.querySelector(
+        '.rule-matches'
+      );
+    const setText = (text) => {
+      if (container) container.textContent = text;
+    };
+
+    setText('Estimating...');
+    try {
+      const page = await gmailAPI.listMessagesPage({
+        query: FilterSuggester.buildQuery(suggestion.criteria),
+        pageSize: 1,
+      });
+      setText(
+        `Matches about ${Formatters.formatEmailCount(page.resultSizeEstimate)} in your mailbox`
+      );
+      return page.resultSizeEstimate;
+    } catch (error) {
+      console.error('Filter preview failed:', error);
+      setText('Estimate unavailable.');
+      return null;
+    }
+  }
+
+  /**
+   * Create the Gmail filter for a suggestion after confirmation
+   * @param {string} suggestionId - Suggestion ID
+   */
+  async createFilterFromSuggestion(suggestionId) {
+    if (this.isPurging || this.isAnalyzing) return;
+
+    const suggestion = this.filterSuggestions.find(
+      (s) => s.id === suggestionId
+    );
+    if (!suggestion) return;
+
+    const errors = FilterSuggester.validate(suggestion);
+    if (errors.length > 0) {
+      this.showMessage(errors.join(' '), 'warning');
+      return;
+    }
+    if (!(await ConfirmDialog.ensureCleanupMode({ filters: true }))) return;
+
+    const estimate = await this.previewFilterSuggestion(suggestionId);
+    const labelName = suggestion.labelName.trim();
+    const query = FilterSuggester.buildQuery(suggestion.criteria);
+    const confirmed = await ConfirmDialog.show({
+      title: `Create filter: ${labelName}`,
+      message: `New mail matching "${query}" will be labeled "${labelName}"${suggestion.skipInbox ? ' and skip the inbox' : ''}. ${estimate !== null ? `About ${Formatters.formatEmailCount(estimate)}` : 'Emails'} already in your mailbox will be labeled${suggestion.skipInbox ? ' and archived' : ''} too.`,
+      confirmText: 'Create Filter',
+    });
+    if (!confirmed) return;
+
+    try {
+      this.isPurging = true;
+      this.showLoading(`Creating filter "${labelName}"...`);
+
+      const result = await FilterSuggester.create(suggestion, {
+        labels: this.emailAnalyzer.labels,
+        onProgress: ({ processed, total, percentage }) => {
+          this.updateProgress(
+            percentage,
+            `Labeling existing emails... ${processed}/${total}`
+          );
+        },
+      });
+      this.hideLoading();
+
+      await this.loadLabels();
+      if (result.modified > 0) {
+        this.emailAnalyzer.clearCache();
+      }
+      this.showMessage(
+        `Filter created. ${Formatters.formatEmailCount(result.modified)} labeled "${labelName}".`,
+        'success'
+      );
+      if (result.failed.length > 0) {
+        this.showMessage(APP_CONFIG.ERROR_MESSAGES.MODIFY_FAILED, 'warning');
+      }
+      this.filterSuggestions = this.filterSuggestions.filter(
+        (s) => s.id !== suggestionId
+      );
+      this.getFilterSuggestionElement(suggestionId)?.remove();
+    } catch (error) {
+      console.error('Filter creation failed:', error);
+      this.showError(`Filter creation failed: ${error.message}`);
+    } finally {
+      this.isPurging = false;
+      this.hideLoading();
+    }
+  }
+
+  /**
+   * Show the unsubscribe assistant view
+   */
+  showUnsubscribeView() {
+    if (!this.currentAnalysis) {
+      this.showMessage('Please analyze your emails first.', 'info');
+      return;
+    }
+
+    this.updateBreadcrumbs([
+      { text: 'Dashboard', action: () => this.showDashboard() },
+      { text: 'Unsubscribe', active: true },
+    ]);
+
+    const senders = UnsubscribeAssistant.getMailingListSenders(
+      this.currentAnalysis.senders
+    );
+    const log = UnsubscribeAssistant.getLog();
+
+    this.elements.dashboardContainer.innerHTML = `
+      <div class="unsubscribe-view">
+        <h2>Mailing Lists (${Formatters.formatNumber(senders.length)})</h2>
+        <p>Senders that advertise an unsubscribe option in their List-Unsubscribe header.</p>
+        <div class="history-list">
+          ${senders.length > 0 ? senders.map((sender) => this.renderUnsubscribeSender(sender)).join('') : '<p>No mailing-list senders found in the analyzed emails.</p>'}
+        </div>
+        <h3>Unsubscribe History</h3>
+        <div class="history-list">
+          ${
+            log.length > 0
+              ? log
+                  .map(
+                    (entry) => `
+            <div class="history-item">
+              <div class="history-info">
+                <div class="history-description">${Formatters.escapeHtml(Formatters.formatSender(entry.senderName, entry.senderEmail))}</div>
+                <div class="history-meta">${Formatters.escapeHtml(entry.method)} • ${new Date(entry.timestamp).toLocaleString()}</div>
+              </div>
+            </div>
+          `
+                  )
+                  .join('')
+              : '<p>No unsubscribes yet.</p>'
+          }
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a mailing-list sender with its unsubscribe options
+   * @param {Object} sender - Mailing-list sender
    * @returns {string} HTML string
    */
-  renderSubjectsList() {
-    if (!this.currentAnalysis) return '';
+  renderUnsubscribeSender(sender) {
+    const { unsubscribe } = sender;
+    const senderId = Formatters.escapeHtml(sender.id);
+    const buttons = [];
 
-    return this.currentAnalysis.subjects.subjects
-      .slice(0, 50)
-      .map(
-        (subject) => `
-      <div class="subject-item">
-        <div class="subject-content">
-          <div class="subject-text">${Formatters.formatSubject(subject.subject)}</div>
-          <div class="subject-meta">
-            ${Formatters.formatEmailCount(subject.count)} • 
-            ${Formatters.formatNumber(subject.senderCount)} sender${subject.senderCount !== 1 ? 's' : ''}
+    if (unsubscribe.oneClick) {
+      buttons.push(
+        `<button class="btn btn-primary" data-sender-id="${senderId}" onclick="dashboard.unsubscribeSender(this.dataset.senderId, 'one-click')">One-Click Unsubscribe</button>`
+      );
+    } else if (unsubscribe.http) {
+      buttons.push(
+        `<button class="btn btn-secondary" data-sender-id="${senderId}" onclick="dashboard.unsubscribeSender(this.dataset.senderId, 'link')">Open Unsubscribe Page</button>`
+      );
+    }
+    if (unsubscribe.mailto) {
+      buttons.push(
+        `<button class="btn btn-secondary" data-sender-id="${senderId}" onclick="dashboard.unsubscribeSender(this.dataset.senderId, 'mailto')">Email Unsubscribe</button>`
+      );
+    }
+
+    return `
+      <div class="history-item">
+        <div class="history-info">
+          <div class="history-description">${Formatters.escapeHtml(Formatters.formatSender(sender.name, sender.email))}</div>
+          <div class="history-meta">
+            ${Formatters.formatEmailCount(sender.count)} •
+            ${Formatters.formatFileSize(sender.totalSize)}
+            ${sender.unsubscribedAt ? ` • Unsubscribed ${Formatters.formatRelativeDate(sender.unsubscribedAt)}` : ''}
           </div>
         </div>
-        <div class="subject-size">${Formatters.formatFileSize(subject.totalSize)}</div>
+        <div class="rule-actions">${buttons.join('')}</div>
       </div>
-    `
-      )
-      .join('');
+    `;
+  }
+
+  /**
+   * Unsubscribe from a mailing-list sender
+   * @param {string} senderId - Sender ID
+   * @param {string} method - 'one-click', 'mailto' or 'link'
+   */
+  async unsubscribeSender(senderId, method) {
+    const sender = UnsubscribeAssistant.getMailingListSenders(
+      this.currentAnalysis.senders
+    ).find((s) => s.id === senderId);
+    if (!sender) return;
+
+    try {
+      if (method === 'one-click') {
+        const confirmed = await ConfirmDialog.show({
+          title: 'Unsubscribe?',
+          message: `A one-click unsubscribe request will be sent to ${Formatters.formatSender(sender.name, sender.email)}.`,
+          confirmText: 'Unsubscribe',
+        });
+        if (!confirmed) return;
+
+        await UnsubscribeAssistant.oneClickUnsubscribe(sender);
+        this.showMessage(
+          `Unsubscribe request sent to ${sender.email}.`,
+          'success'
+        );
+      } else if (method === 'mailto') {
+        UnsubscribeAssistant.openMailtoDraft(sender);
+        this.showMessage(
+          'Review and send the unsubscribe email in the new tab.',
+          'info'
+        );
+      } else {
+        UnsubscribeAssistant.openUnsubscribePage(sender);
+        this.showMessage(
+          'Finish unsubscribing on the page that opened.',
+          'info'
+        );
+      }
+
+      this.showUnsubscribeView();
+    } catch (error) {
+      console.error('Unsubscribe failed:', error);
+      this.showError(`Unsubscribe failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compare two analysis snapshots
+   * Defaults to the latest snapshot and the one before it with the same search
+   * @param {string} beforeId - Older snapshot ID
+   * @param {string} afterId - Newer snapshot ID
+   */
+  async showCompareView(beforeId = null, afterId = null) {
+    this.updateBreadcrumbs([
+      { text: 'Dashboard', action: () => this.showDashboard() },
+      { text: 'Compare', active: true },
+    ]);
+
+    const snapshots = await SnapshotHistory.getSnapshots();
+    if (snapshots.length < 2) {
+      this.elements.dashboardContainer.innerHTML = `
+        <div class="compare-view">
+          <h2>Compare Analyses</h2>
+          <p>Every finished analysis and refresh saves a snapshot of its totals. Run at least two analyses to compare them.</p>
+        </div>
+      `;
+      return;
+    }
+
+    const after = snapshots.find((s) => s.id === afterId) || snapshots[0];
+    const before =
+      snapshots.find((s) => s.id === beforeId) ||
+      snapshots.find(
+        (s) => s.timestamp < after.timestamp && s.query === after.query
+      ) ||
+      snapshots.find((s) => s.id !== after.id);
+    const comparison = SnapshotHistory.compare(
+      before,
+      after,
+      await UndoJournal.getEntries()
+    );
+
+    const renderOptions = (selected) =>
+      snapshots
+        .map(
+          (snapshot) =>
+            `<option value="${snapshot.id}" ${snapshot.id === selected.id ? 'selected' : ''}>${Formatters.escapeHtml(this.describeSnapshot(snapshot))}</option>`
+        )
+        .join('');
+
+    this.elements.dashboardContainer.innerHTML = `
+      <div class="compare-view">
+        <h2>Compare Analyses</h2>
+        <div class="dry-run-form">
+          <label>From
+            <select id="compare-before" onchange="dashboard.showCompareView(this.value, document.getElementById('compare-after').value)">
+              ${renderOptions(before)}
+            </select>
+          </label>
+          <label>To
+            <select id="compare-after" onchange="dashboard.showCompareView(document.getElementById('compare-before').value, this.value)">
+              ${renderOptions(after)}
+            </select>
+          </label>
+        </div>
+        ${this.renderSnapshotComparison(comparison)}
+
+        <h3>Snapshots</h3>
+        <div class="rules-list">
+          ${snapshots
+            .map(
+              (snapshot) => `
+            <div class="rule-item">
+              <div class="rule-info">
+                <div class="rule-name">${Formatters.escapeHtml(this.describeSnapshot(snapshot))}</div>
+                <div class="rule-meta">${Formatters.formatEmailCount(snapshot.totalEmails)} • ${Formatters.formatFileSize(snapshot.totalSize)} • ${Formatters.formatNumber(Object.keys(snapshot.senders).length)} senders</div>
+              </div>
+              <div class="rule-actions">
+                <button class="btn btn-secondary" onclick="dashboard.deleteSnapshot('${snapshot.id}')">Delete</button>
+              </div>
+            </div>
+          `
+            )
+            .join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Describe a snapshot for lists and selects
+   * @param {Object} snapshot - Snapshot
+   * @returns {string} Label
+   */
+  describeSnapshot(snapshot) {
+    const search = snapshot.presetName || snapshot.query || 'All Emails';
+    return `${new Date(snapshot.timestamp).toLocaleString()} (${search})`;
+  }
+
+  /**
+   * Render the diff of two snapshots
+   * @param {Object} comparison - Result of SnapshotHistory.compare()
+   * @returns {string} HTML string
+   */
+  renderSnapshotComparison(comparison) {
+    const formatSize = (value) => Formatters.formatFileSize(value);
+    const renderSenders = (title, senders, describe) => `
+      <h3>${title}</h3>
+      <div class="subjects-list">
+        ${
+          senders.length > 0
+            ? senders
+                .slice(0, 10)
+                .map(
+                  (sender) => `
+            <div class="subject-item">
+              <div class="subject-content">
+                <div class="subject-text">${Formatters.escapeHtml(sender.name)}</div>
+                <div class="subject-meta">${Formatters.escapeHtml(sender.email)} • ${describe(sender)}</div>
+              </div>
+              <div class="subject-size">${Formatters.formatDelta(sender.sizeDelta, formatSize)}</div>
+            </div>
+          `
+                )
+                .join('')
+            : '<p>None.</p>'
+        }
+      </div>
+    `;
+
+    return `
+      ${
+        comparison.sameQuery
+          ? ''
+          : '<p class="storage-note">These snapshots cover different searches, so some changes only reflect the search.</p>'
+      }
+      <div class="dry-run-summary">
+        <div class="stat-box">
+          <span class="stat-number">${Formatters.formatDelta(comparison.emails.sizeDelta, formatSize)}</span>
+          <span class="stat-label">storage in ${Math.max(Math.round(comparison.days), 0)} days</span>
+        </div>
+        <div class="stat-box">
+          <span class="stat-number">${Formatters.formatDelta(comparison.emails.countDelta)}</span>
+          <span class="stat-label">emails</span>
+        </div>
+        <div class="stat-box">
+          <span class="stat-number">${formatSize(comparison.reclaimedSize)}</span>
+          <span class="stat-label">reclaimed from ${Formatters.formatEmailCount(comparison.reclaimedCount)}</span>
+        </div>
+        <div class="stat-box">
+          <span class="stat-number">${formatSize(comparison.addedSize)}</span>
+          <span class="stat-label">added by new mail</span>
+        </div>
+      </div>
+      <p>
+        ${comparison.cleanupActions > 0 ? `${Formatters.formatNumber(comparison.cleanupActions)} cleanup actions touched ${Formatters.formatEmailCount(comparison.cleanedEmails)} between these analyses.` : 'No cleanup actions were taken between these analyses.'}
+        ${comparison.newSenders.length} new senders, ${comparison.grownSenders.length} sending more, ${comparison.shrunkSenders.length} with fewer emails.
+      </p>
+
+      ${
+        comparison.categories
+          ? `<h3>By Category</h3>
+      <div class="subjects-list">
+        ${comparison.categories
+          .map(
+            (category) => `
+          <div class="subject-item">
+            <div class="subject-content">
+              <div class="subject-text">${Formatters.formatCategory(category.category)}</div>
+              <div class="subject-meta">${Formatters.formatNumber(category.countBefore)} → ${Formatters.formatEmailCount(category.countAfter)}</div>
+            </div>
+            <div class="subject-size">${Formatters.formatDelta(category.sizeDelta, formatSize)}</div>
+          </div>
+        `
+          )
+          .join('')}
+      </div>`
+          : ''
+      }
+
+      ${renderSenders('New Senders', comparison.newSenders, (sender) => Formatters.formatEmailCount(sender.countAfter))}
+      ${renderSenders('Growing Senders', comparison.grownSenders, (sender) => `${Formatters.formatNumber(sender.countBefore)} → ${Formatters.formatEmailCount(sender.countAfter)}`)}
+      ${renderSenders('Reclaimed', comparison.shrunkSenders, (sender) => `${Formatters.formatNumber(sender.countBefore)} → ${Formatters.formatEmailCount(sender.countAfter)}`)}
+    `;
+  }
+
+  /**
+   * Delete an analysis snapshot after confirmation
+   * @param {string} snapshotId - Snapshot ID
+   */
+  async deleteSnapshot(snapshotId) {
+    const confirmed = await ConfirmDialog.show({
+      title: 'Delete snapshot?',
+      message:
+        'The snapshot will no longer be available for comparisons. No emails are changed.',
+      confirmText: 'Delete',
+    });
+    if (!confirmed) return;
+
+    await SnapshotHistory.deleteSnapshot(snapshotId);
+    await this.showCompareView();
+  }
+
+  /**
+   * Show the undo history view
+   */
+  async showHistoryView() {
+    this.updateBreadcrumbs([
+      { text: 'Dashboard', action: () => this.showDashboard() },
+      { text: 'History', active: true },
+    ]);
+
+    const entries = await UndoJournal.getEntries();
+
+    this.elements.dashboardContainer.innerHTML = `
+      <div class="history-view">
+        <h2>Cleanup History</h2>
+        <p>Every archive or trash action is journaled locally. Trashed emails can be restored for ${APP_CONFIG.UNDO_WINDOW_DAYS} days.</p>
+        <div class="history-list">
+          ${entries.length > 0 ? entries.map((entry) => this.renderHistoryEntry(entry)).join('') : '<p>No cleanup actions yet.</p>'}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a single undo journal entry
+   * @param {Object} entry - Journal entry
+   * @returns {string} HTML string
+   */
+  renderHistoryEntry(entry) {
+    let status = `
+      <button class="btn btn-secondary" onclick="dashboard.undoJournalEntry('${entry.id}')">
+        Undo
+      </button>
+    `;
+    if (entry.undone) {
+      status = `<span class="badge">Undone ${Formatters.formatRelativeDate(entry.undoneAt)}</span>`;
+    } else if (!UndoJournal.isUndoable(entry)) {
+      status = '<span class="badge">Expired</span>';
+    }
+
+    return `
+      <div class="history-item">
+        <div class="history-info">
+          <div class="history-description">${Formatters.escapeHtml(entry.description || entry.operation)}</div>
+          <div class="history-meta">
+            ${Formatters.formatEmailCount(entry.messageIds.length)} •
+            ${new Date(entry.timestamp).toLocaleString()}
+          </div>
+        </div>
+        <div class="history-status">${status}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Undo the most recent reversible cleanup action
+   */
+  async undoLastPurge() {
+    const entry = await UndoJournal.getLastUndoable();
+    if (!entry) {
+      this.showMessage('Nothing to undo.', 'info');
+      return;
+    }
+
+    await this.undoJournalEntry(entry.id);
+  }
+
+  /**
+   * Reverse a journal entry after confirmation
+   * @param {string} entryId - Journal entry ID
+   */
+  async undoJournalEntry(entryId) {
+    if (this.isPurging) return;
+
+    const entries = await UndoJournal.getEntries();
+    const entry = entries.find((e) => e.id === entryId);
+    if (!entry) return;
+
+    const confirmed = await ConfirmDialog.show({
+      title: 'Undo cleanup action?',
+      message: `${entry.description || entry.operation} (${Formatters.formatEmailCount(entry.messageIds.length)}, ${Formatters.formatRelativeDate(entry.timestamp)}) will be reversed.`,
+      confirmText: 'Undo',
+    });
+    if (!confirmed) return;
+
+    if (!(await ConfirmDialog.ensureCleanupMode())) return;
+
+    try {
+      this.isPurging = true;
+      this.showLoading('Restoring emails...');
+
+      const result = await UndoJournal.undo(entryId, {
+        onProgress: ({ processed, total, percentage }) => {
+          this.updateProgress(
+            percentage,
+            `Restoring emails... ${processed}/${total}`
+          );
+        },
+      });
+      this.hideLoading();
+
+      this.showMessage(
+        `${Formatters.formatEmailCount(result.restored)} restored.`,
+        'success'
+      );
+      if (result.failed.length > 0) {
+        this.showMessage(APP_CONFIG.ERROR_MESSAGES.MODIFY_FAILED, 'warning');
+      }
+
+      if (this.elements.dashboardContainer.querySelector('.history-view')) {
+        await this.showHistoryView();
+      }
+    } catch (error) {
+      console.error('Undo failed:', error);
+      this.showError(`Undo failed: ${error.message}`);
+    } finally {
+      this.isPurging = false;
+      this.hideLoading();
+    }
+  }
+
+  /**
+   * Enable the undo button when a reversible action exists
+   */
+  async updateUndoButton() {
+    if (!this.elements.undoButton) return;
+
+    const entry = await UndoJournal.getLastUndoable();
+    this.elements.undoButton.disabled = !entry;
+    this.elements.undoButton.title = entry
+      ? `Undo: ${entry.description || entry.operation}`
+      : 'Nothing to undo';
   }
 
   /**
@@ -575,8 +3947,9 @@ class Dashboard {
    */
   updateAnalysisPreset() {
     if (this.currentAnalysis) {
+      const preset = PresetManager.getPreset(this.selectedPreset);
       this.showMessage(
-        `Preset changed to "${this.selectedPreset}". Click Analyze to refresh data.`,
+        `Preset changed to "${preset ? preset.name : 'Custom search'}". Click Analyze to refresh data.`,
         'info'
       );
     }
@@ -584,13 +3957,69 @@ class Dashboard {
 
   /**
    * Refresh data
+   * Applies only the changes since the last analysis when possible
    */
   async refreshData() {
     if (this.isAnalyzing) return;
 
-    this.emailAnalyzer.clearCache();
-    StorageHelper.clearCache();
-    await this.startAnalysis();
+    const state = await MailboxSync.getState();
+    let needsFullSync = !MailboxSync.canSyncIncrementally(
+      state,
+      this.getPresetQuery()
+    );
+
+    if (!needsFullSync) {
+      try {
+        this.isAnalyzing = true;
+        this.updateAnalyzeButton(true);
+        this.showLoading('Syncing changes...');
+
+        const result = await MailboxSync.sync(state, {
+          onProgress: ({ processed, total, percentage }) => {
+            this.updateProgress(
+              percentage,
+              `Syncing changes... ${processed}/${total}`
+            );
+          },
+        });
+
+        if (result) {
+          await this.loadLabels();
+          this.emailAnalyzer.reset();
+          this.emailAnalyzer.addEmails(result.emails);
+          this.currentAnalysis = await this.buildReport();
+          this.currentEmails = this.emailAnalyzer.emails;
+          this.updateDashboard(this.currentAnalysis);
+          await SnapshotHistory.record(this.currentAnalysis, {
+            query: state.query,
+            presetName: this.getActivePreset().name,
+          });
+          this.showMessage(
+            `Synced: ${Formatters.formatNumber(result.added)} new, ${Formatters.formatNumber(result.updated)} changed, ${Formatters.formatNumber(result.removed)} removed.`,
+            'success'
+          );
+        } else {
+          this.showMessage(
+            'Sync history has expired. Running a full analysis...',
+            'info'
+          );
+          needsFullSync = true;
+        }
+      } catch (error) {
+        console.error('Sync failed:', error);
+        this.showError(`Sync failed: ${error.message}`);
+      } finally {
+        this.isAnalyzing = false;
+        this.updateAnalyzeButton(false);
+        this.hideLoading();
+      }
+    }
+
+    if (needsFullSync) {
+      this.emailAnalyzer.clearCache();
+      await StorageHelper.clearCache();
+      await this.startAnalysis();
+    }
   }
 
   /**
@@ -620,6 +4049,23 @@ class Dashboard {
       : 'Analyze Emails';
   }
 
+  /**
+   * Show the pause and cancel buttons while an analysis is streaming
+   */
+  updateAnalysisControls() {
+    const job = this.analysisJob;
+    const display = job && job.isActive() ? '' : 'none';
+
+    if (this.elements.pauseButton) {
+      this.elements.pauseButton.style.display = display;
+      this.elements.pauseButton.textContent =
+        job && job.state === 'paused' ? 'Resume Analysis' : 'Pause Analysis';
+    }
+    if (this.elements.cancelButton) {
+      this.elements.cancelButton.style.display = display;
+    }
+  }
+
   /**
    * Show loading state
    * @param {string} message - Loading message
@@ -650,7 +4096,7 @@ class Dashboard {
       this.elements.errorContainer.innerHTML = `
         <div class="error-message">
           <h3>Error</h3>
-          <p>${message}</p>
+          <p>${Formatters.escapeHtml(message)}</p>
           <button onclick="dashboard.clearError()" class="btn-secondary">Dismiss</button>
         </div>
       `;
@@ -669,7 +4115,7 @@ class Dashboard {
     const messageEl = document.createElement('div');
     messageEl.className = `message message-${type}`;
     messageEl.innerHTML = `
-      <span>${message}</span>
+      <span>${Formatters.escapeHtml(message)}</span>
       <button onclick="this.parentElement.remove()" class="message-close">×</button>
     `;
 
@@ -48,6 +48,8 @@ class EmailList {
       selectAllCheckbox: document.getElementById('select-all'),
       bulkActionsPanel: document.getElementById('bulk-actions'),
       selectedCount: document.getElementById('selected-count'),
+      bulkTrashBtn: document.getElementById('bulk-trash'),
+      bulkArchiveBtn: document.getElementById('bulk-archive'),
 
       // Filters
       dateFromInput: document.getElementById('date-from'),
@@ -98,6 +100,18 @@ class EmailList {
       });
     }
 
+    // Bulk actions
+    if (this.elements.bulkTrashBtn) {
+      this.elements.bulkTrashBtn.addEventListener('click', () =>
+        this.handleBulkAction('trash')
+      );
+    }
+    if (this.elements.bulkArchiveBtn) {
+      this.elements.bulkArchiveBtn.addEventListener('click', () =>
+        this.handleBulkAction('archive')
+      );
+    }
+
     // Filters
     if (this.elements.clearFiltersBtn) {
       this.elements.clearFiltersBtn.addEventListener('click', () =>
@@ -169,6 +183,23 @@ class EmailList {
     this.showEmailList();
   }
 
+  /**
+   * Display emails narrowed down by filters chosen elsewhere, e.g. a chart
+   * @param {Array} emails - Array of email objects
+   * @param {Object} filters - Filters applied on top of cleared defaults
+   * @param {HTMLElement} container - Element to move the list into, since
+   *   dashboard views replace their own markup
+   */
+  showFilteredEmails(emails, filters = {}, container = null) {
+    if (container && this.elements.emailListContainer) {
+      container.appendChild(this.elements.emailListContainer);
+    }
+
+    this.clearFilters();
+    this.filters = { ...this.filters, ...filters };
+    this.displayEmails(emails);
+  }
+
   /**
    * Render email list
    */
@@ -219,20 +250,20 @@ class EmailList {
         </div>
         
         <div class="email-sender">
-          <div class="sender-name">${Formatters.formatSender(sender.name, sender.email, 25)}</div>
-          <div class="sender-email">${sender.email}</div>
+          <div class="sender-name">${Formatters.escapeHtml(Formatters.formatSender(sender.name, sender.email, 25))}</div>
+          <div class="sender-email">${Formatters.escapeHtml(sender.email)}</div>
         </div>
         
         <div class="email-subject">
-          <div class="subject-text">${Formatters.formatSubject(email.subject || '(No Subject)')}</div>
-          <div class="email-snippet">${this.getEmailSnippet(email)}</div>
+          <div class="subject-text">${Formatters.escapeHtml(Formatters.formatSubject(email.subject || '(No Subject)'))}</div>
+          <div class="email-snippet">${Formatters.escapeHtml(this.getEmailSnippet(email))}</div>
         </div>
         
         <div class="email-meta">
           <div class="email-date" title="${new Date(email.date).toLocaleString()}">
             ${Formatters.formatRelativeDate(email.date)}
           </div>
-          <div class="email-size">${Formatters.formatFileSize(email.size || 0)}</div>
+          <div class="email-size">${Formatters.formatFileSize(email.sizeEstimate || 0)}</div>
           ${hasAttachments ? '<div class="attachment-indicator" title="Has attachments">📎</div>' : ''}
           ${email.category ? `<div class="category-badge" style="background-color: ${Formatters.getCategoryColor(email.category)}">${Formatters.formatCategory(email.category)}</div>` : ''}
         </div>
@@ -252,11 +283,15 @@ class EmailList {
   /**
    * Get email snippet for preview
    * @param {Object} email - Email object
-   * @returns {string} Email snippet
+   * @returns {string} Email snippet as plain text
    */
   getEmailSnippet(email) {
     if (email.snippet) {
-      return Formatters.truncateText(email.snippet, 100);
+      // Gmail sends snippets HTML-encoded; decode them so they are only
+      // escaped once when rendered
+      const textarea = document.createElement('textarea');
+      textarea.innerHTML = email.snippet;
+      return Formatters.truncateText(textarea.value, 100);
     }
 
     // Try to extract from payload
@@ -355,11 +390,11 @@ class EmailList {
           <div class="info-grid">
             <div class="info-item">
               <label>From:</label>
-              <span>${Formatters.formatSender(sender.name, sender.email)}</span>
+              <span>${Formatters.escapeHtml(Formatters.formatSender(sender.name, sender.email))}</span>
             </div>
             <div class="info-item">
               <label>Subject:</label>
-              <span>${email.subject || '(No Subject)'}</span>
+              <span>${Formatters.escapeHtml(email.subject || '(No Subject)')}</span>
             </div>
             <div class="info-item">
               <label>Date:</label>
@@ -367,7 +402,7 @@ class EmailList {
             </div>
             <div class="info-item">
               <label>Size:</label>
-              <span>${Formatters.formatFileSize(email.size || 0)}</span>
+              <span>${Formatters.formatFileSize(email.sizeEstimate || 0)}</span>
             </div>
             <div class="info-item">
               <label>Has Attachments:</label>
@@ -419,9 +454,9 @@ class EmailList {
       <div class="email-modal">
         <div class="modal-header">
           <div class="email-header">
-            <h3>${email.subject || '(No Subject)'}</h3>
+            <h3>${Formatters.escapeHtml(email.subject || '(No Subject)')}</h3>
             <div class="email-meta-line">
-              <span class="sender">From: ${Formatters.formatSender(sender.name, sender.email)}</span>
+              <span class="sender">From: ${Formatters.escapeHtml(Formatters.formatSender(sender.name, sender.email))}</span>
               <span class="date">${new Date(email.date).toLocaleString()}</span>
             </div>
           </div>
@@ -435,7 +470,7 @@ class EmailList {
         <div class="modal-footer">
           <div class="email-actions-bar">
             <button class="btn-secondary" onclick="this.closest('.modal-overlay').remove()">Close</button>
-            <div class="email-size-info">Size: ${Formatters.formatFileSize(email.size || 0)}</div>
+            <div class="email-size-info">Size: ${Formatters.formatFileSize(email.sizeEstimate || 0)}</div>
           </div>
         </div>
       </div>
@@ -556,8 +591,8 @@ class EmailList {
           valueB = (b.subject || '').toLowerCase();
           break;
         case 'size':
-          valueA = a.size || 0;
-          valueB = b.size || 0;
+          valueA = a.sizeEstimate || 0;
+          valueB = b.sizeEstimate || 0;
           break;
         default:
           return 0;
@@ -575,79 +610,9 @@ class EmailList {
    * Apply all active filters
    */
   applyFilters() {
-    this.filteredEmails = this.currentEmails.filter((email) => {
-      // Search filter
-      if (this.filters.search) {
-        const searchable = [
-          email.subject || '',
-          email.snippet || '',
-          EmailParser.parseSender(email.from).name,
-          EmailParser.parseSender(email.from).email,
-        ]
-          .join(' ')
-          .toLowerCase();
-
-        if (!searchable.includes(this.filters.search)) {
-          return false;
-        }
-      }
-
-      // Date range filter
-      if (this.filters.dateRange) {
-        const emailDate = new Date(email.date);
-        if (
-          this.filters.dateRange.from &&
-          emailDate < this.filters.dateRange.from
-        ) {
-          return false;
-        }
-        if (
-          this.filters.dateRange.to &&
-          emailDate > this.filters.dateRange.to
-        ) {
-          return false;
-        }
-      }
-
-      // Size range filter
-      if (this.filters.sizeRange) {
-        const emailSize = email.size || 0;
-        if (
-          this.filters.sizeRange.min &&
-          emailSize < this.filters.sizeRange.min
-        ) {
-          return false;
-        }
-        if (
-          this.filters.sizeRange.max &&
-          emailSize > this.filters.sizeRange.max
-        ) {
-          return false;
-        }
-      }
-
-      // Attachment filter
-      if (this.filters.hasAttachments !== null) {
-        const hasAttachments =
-          email.payload &&
-          email.payload.parts &&
-          email.payload.parts.some(
-            (part) => part.filename && part.filename.length > 0
-          );
-        if (this.filters.hasAttachments !== hasAttachments) {
-          return false;
-        }
-      }
-
-      // Category filter
-      if (this.filters.category && this.filters.category !== 'all') {
-        if (email.category !== this.filters.category) {
-          return false;
-        }
-      }
-
-      return true;
-    });
+    this.filteredEmails = this.currentEmails.filter((email) =>
+      RulesEngine.matchesFilters(email, this.filters)
+    );
   }
 
   /**
@@ -873,6 +838,122 @@ class EmailList {
     return selectedIds;
   }
 
+  /**
+   * Run a bulk action on the selected emails
+   * @param {string} action - Action name ('trash' or 'archive')
+   */
+  async handleBulkAction(action) {
+    const bulkActions = {
+      trash: {
+        method: 'trashMessages',
+        title: 'Move to Trash',
+        pastTense: 'moved to trash',
+      },
+      archive: {
+        method: 'archiveMessages',
+        title: 'Archive',
+        pastTense: 'archived',
+      },
+    };
+
+    const bulkAction = bulkActions[action];
+    const selectedIds = this.getSelectedEmails();
+    if (!bulkAction || selectedIds.length === 0) return;
+
+    if (!(await ConfirmDialog.ensureCleanupMode())) return;
+
+    const confirmed = await ConfirmDialog.show({
+      title: `${bulkAction.title}?`,
+      message: `${Formatters.formatEmailCount(selectedIds.length)} will be ${bulkAction.pastTense}.`,
+      confirmText: bulkAction.title,
+      danger: action === 'trash',
+    });
+    if (!confirmed) return;
+
+    this.setBulkActionsDisabled(true);
+    try {
+      const labelsBefore = this.currentEmails.reduce((snapshot, email) => {
+        if (selectedIds.includes(email.id)) {
+          // eslint-disable-next-line no-param-reassign
+          snapshot[email.id] = email.labelIds || email.labels || [];
+        }
+        return snapshot;
+      }, {});
+
+      const result = await gmailAPI[bulkAction.method](selectedIds, {
+        labelsBefore,
+        description: `${bulkAction.title}: ${Formatters.formatEmailCount(selectedIds.length)} selected in the email list`,
+      });
+      const failedIds = new Set(result.failed);
+      const modifiedIds = selectedIds.filter((id) => !failedIds.has(id));
+
+      this.applyBulkActionResult(action, modifiedIds);
+
+      if (result.modified > 0) {
+        this.showMessage(
+          `${Formatters.formatEmailCount(result.modified)} ${bulkAction.pastTense}.`,
+          'success'
+        );
+      }
+      if (result.failed.length > 0) {
+        this.showMessage(APP_CONFIG.ERROR_MESSAGES.MODIFY_FAILED, 'warning');
+      }
+    } catch (error) {
+      console.error(`Bulk ${action} failed:`, error);
+      this.showMessage(`Bulk action failed: ${error.message}`, 'error');
+    } finally {
+      this.setBulkActionsDisabled(false);
+    }
+  }
+
+  /**
+   * Update the local email list after a successful bulk action
+   * @param {string} action - Action name ('trash' or 'archive')
+   * @param {Array} modifiedIds - IDs of emails that were modified
+   */
+  applyBulkActionResult(action, modifiedIds) {
+    const modified = new Set(modifiedIds);
+
+    if (action === 'trash') {
+      this.currentEmails = this.currentEmails.filter(
+        (email) => !modified.has(email.id)
+      );
+    } else if (action === 'archive') {
+      this.currentEmails.forEach((email) => {
+        if (!modified.has(email.id)) return;
+        const archivedEmail = email;
+        archivedEmail.labelIds = (email.labelIds || []).filter(
+          (label) => label !== 'INBOX'
+        );
+        archivedEmail.labels = (email.labels || []).filter(
+          (label) => label !== 'INBOX'
+        );
+      });
+    }
+
+    this.applyFilters();
+    this.sortEmails();
+    this.renderEmailList();
+    this.updatePagination();
+    this.updateSelectionState();
+    this.updateBulkActions();
+  }
+
+  /**
+   * Enable or disable bulk action buttons
+   * @param {boolean} disabled - Whether buttons should be disabled
+   */
+  setBulkActionsDisabled(disabled) {
+    [this.elements.bulkTrashBtn, this.elements.bulkArchiveBtn].forEach(
+      (button) => {
+        if (button) {
+          const actionButton = button;
+          actionButton.disabled = disabled;
+        }
+      }
+    );
+  }
+
   /**
    * Show email list container
    */
@@ -926,8 +1007,9 @@ class EmailList {
 
 // Initialize email list when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-  // eslint-disable-next-line no-unused-vars
   const emailList = new EmailList();
+  // Make email list available globally for inline handlers and app coordination
+  window.emailList = emailList;
 });
 
 // Export for use in other modules
@@ -0,0 +1,189 @@
+/**
+ * Domain Helper Utility
+ * Splits sender addresses into domains and registrable domains (eTLD+1),
+ * and rolls senders up into organizations
+ *
+ * The public suffix list is too large to ship, so only multi-label
+ * suffixes common in mail (co.uk, com.au, ...) are known. Anything else is
+ * treated as a single-label suffix, which is right for .com, .io, .de and
+ * most other mail domains.
+ */
+
+class DomainHelper {
+  /**
+   * List the known multi-label public suffixes
+   * @returns {Array<string>} Suffixes without a leading dot
+   */
+  static getMultiLabelSuffixes() {
+    return [
+      'co.uk',
+      'org.uk',
+      'ac.uk',
+      'gov.uk',
+      'me.uk',
+      'ltd.uk',
+      'plc.uk',
+      'com.au',
+      'net.au',
+      'org.au',
+      'edu.au',
+      'gov.au',
+      'co.nz',
+      'org.nz',
+      'co.jp',
+      'ne.jp',
+      'or.jp',
+      'co.kr',
+      'co.in',
+      'net.in',
+      'org.in',
+      'co.za',
+      'com.br',
+      'com.mx',
+      'com.ar',
+      'com.cn',
+      'com.hk',
+      'com.sg',
+      'com.tw',
+      'com.tr',
+      'co.il',
+      'co.id',
+      'com.my',
+      'com.ph',
+      'com.vn',
+    ];
+  }
+
+  /**
+   * Get the domain of an email address
+   * @param {string} address - Email address
+   * @returns {string} Lowercased domain, or '' when there is none
+   */
+  static getDomain(address) {
+    const at = (address || '').lastIndexOf('@');
+    return at === -1
+      ? ''
+      : address
+          .slice(at + 1)
+          .trim()
+          .toLowerCase();
+  }
+
+  /**
+   * Get the registrable domain (eTLD+1) of a domain
+   * e.g. mail.github.com -> github.com, email.bbc.co.uk -> bbc.co.uk
+   * @param {string} domain - Domain name
+   * @returns {string} Registrable domain
+   */
+  static getRegistrableDomain(domain) {
+    const labels = (domain || '').toLowerCase().split('.').filter(Boolean);
+    if (labels.length <= 2) return labels.join('.');
+
+    const lastTwo = labels.slice(-2).join('.');
+    const suffixLength = this.getMultiLabelSuffixes().includes(lastTwo) ? 2 : 1;
+    return labels.slice(-(suffixLength + 1)).join('.');
+  }
+
+  /**
+   * Check whether an address matches a sender pattern
+   * @param {string} address - Email address
+   * @param {string} pattern - Address, "@domain" or "domain"; domains also
+   *   match their subdomains
+   * @returns {boolean} True if the address matches
+   */
+  static matchesSender(address, pattern) {
+    const sender = (address || '').toLowerCase();
+    const wanted = (pattern || '').trim().toLowerCase();
+    if (!wanted) return false;
+
+    if (wanted.startsWith('@') || !wanted.includes('@')) {
+      const domain = wanted.replace(/^@/, '');
+      return sender.endsWith(`@${domain}`) || sender.endsWith(`.${domain}`);
+    }
+    return sender === wanted;
+  }
+
+  /**
+   * Roll senders up into organizations, then domains, then addresses
+   * Senders matching an alias group are grouped under it instead of their
+   * registrable domain
+   * @param {Array} senders - Senders from EmailAnalyzer.analyzeBySender()
+   * @param {Object} options - Options
+   * @param {Array} options.aliasGroups - Alias groups ({ id, name, patterns })
+   * @param {number} options.totalEmails - Email count percentages refer to
+   * @returns {Array<Object>} Organizations, most emails first
+   */
+  static rollup(senders, { aliasGroups = [], totalEmails = null } = {}) {
+    const organizations = new Map();
+    const total =
+      totalEmails === null
+        ? senders.reduce((sum, sender) => sum + sender.count, 0)
+        : totalEmails;
+
+    senders.forEach((sender) => {
+      const domain = this.getDomain(sender.email) || 'unknown';
+      const alias = aliasGroups.find((group) =>
+        group.patterns.some((pattern) =>
+          this.matchesSender(sender.email, pattern)
+        )
+      );
+      const key = alias
+        ? `alias:${alias.id}`
+        : this.getRegistrableDomain(domain) || 'unknown';
+
+      if (!organizations.has(key)) {
+        organizations.set(key, {
+          id: key,
+          type: alias ? 'alias' : 'organization',
+          label: alias ? alias.name : key,
+          count: 0,
+          totalSize: 0,
+          domains: new Map(),
+        });
+      }
+
+      const organization = organizations.get(key);
+      organization.count += sender.count;
+      organization.totalSize += sender.totalSize;
+
+      if (!organization.domains.has(domain)) {
+        organization.domains.set(domain, {
+          domain,
+          count: 0,
+          totalSize: 0,
+          senders: [],
+        });
+      }
+
+      const domainGroup = organization.domains.get(domain);
+      domainGroup.count += sender.count;
+      domainGroup.totalSize += sender.totalSize;
+      domainGroup.senders.push({
+        id: sender.id,
+        name: sender.name,
+        email: sender.email,
+        count: sender.count,
+        totalSize: sender.totalSize,
+      });
+    });
+
+    return Array.from(organizations.values())
+      .map((organization) => ({
+        ...organization,
+        percentage: total > 0 ? (organization.count / total) * 100 : 0,
+        senderCount: Array.from(organization.domains.values()).reduce(
+          (sum, domain) => sum + domain.senders.length,
+          0
+        ),
+        domains: Array.from(organization.domains.values()).sort(
+          (a, b) => b.count - a.count
+        ),
+      }))
+      .sort((a, b) => b.count - a.count);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DomainHelper;
+}
@@ -0,0 +1,92 @@
+/**
+ * Download Helper Utility
+ * Builds files in the browser and triggers client-side downloads
+ */
+
+class DownloadHelper {
+  /**
+   * Download content as a file
+   * @param {string|Blob|Uint8Array} content - File content
+   * @param {string} filename - File name
+   * @param {string} mimeType - MIME type
+   */
+  static downloadFile(content, filename, mimeType = 'text/plain') {
+    const blob =
+      content instanceof Blob
+        ? content
+        : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    console.log(`💾 Downloaded ${filename}`);
+  }
+
+  /**
+   * Convert rows to CSV text
+   * @param {Array<Array>} rows - Rows of cell values (first row is the header)
+   * @returns {string} CSV text
+   */
+  static toCsv(rows) {
+    return rows
+      .map((row) => row.map((value) => this.escapeCsvValue(value)).join(','))
+      .join('\r\n');
+  }
+
+  /**
+   * Escape a single CSV cell value
+   * @param {any} value - Cell value
+   * @returns {string} Escaped value
+   */
+  static escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    const text =
+      value instanceof Date
+        ? value.toISOString()
+        : this.neutralizeFormula(value);
+    if (/[",\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  /**
+   * Keep spreadsheet apps from running text as a formula
+   * Subjects and sender names come from whoever sent the email, so a value
+   * like "=HYPERLINK(...)" is prefixed with an apostrophe. Numbers are left
+   * alone so negative values stay numeric.
+   * @param {any} value - Cell value
+   * @returns {string} Cell text that is safe to open in a spreadsheet
+   */
+  static neutralizeFormula(value) {
+    const text = String(value);
+    if (typeof value !== 'string') return text;
+    return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  }
+
+  /**
+   * Build a timestamped file name
+   * @param {string} baseName - Base file name
+   * @param {string} extension - File extension (without dot)
+   * @param {Date} date - Date to stamp
+   * @returns {string} File name like "gmail-purge-report-2025-01-31.csv"
+   */
+  static buildFilename(baseName, extension, date = new Date()) {
+    const stamp = date.toISOString().slice(0, 10);
+    return `gmail-purge-${baseName}-${stamp}.${extension}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DownloadHelper;
+}
@@ -48,9 +48,14 @@ class EmailParser {
         labels: message.labelIds || [],
         isRead: !message.labelIds?.includes('UNREAD'),
         isImportant: message.labelIds?.includes('IMPORTANT'),
+        isStarred: message.labelIds?.includes('STARRED'),
         isSpam: message.labelIds?.includes('SPAM'),
         isTrash: message.labelIds?.includes('TRASH'),
         category: this._determineCategory(message.labelIds || []),
+        unsubscribe: this.parseListUnsubscribe(
+          headers['list-unsubscribe'],
+          headers['list-unsubscribe-post']
+        ),
       };
     } catch (error) {
       console.warn('⚠️ Failed to parse message:', message.id, error);
@@ -58,6 +63,37 @@ class EmailParser {
     }
   }
 
+  /**
+   * List the attachments of a message fetched with its MIME parts
+   * @param {Object} message - Raw Gmail API message
+   * @returns {Array<Object>} Attachments ({ partId, filename, mimeType, size, attachmentId })
+   */
+  static parseAttachments(message) {
+    const attachments = [];
+
+    const collect = (parts) => {
+      (parts || []).forEach((part) => {
+        if (part.filename) {
+          attachments.push({
+            partId: part.partId || '',
+            filename: part.filename,
+            mimeType: (
+              part.mimeType || 'application/octet-stream'
+            ).toLowerCase(),
+            size: (part.body && part.body.size) || 0,
+            attachmentId: (part.body && part.body.attachmentId) || null,
+          });
+        }
+        collect(part.parts);
+      });
+    };
+
+    if (message && message.payload) {
+      collect(message.payload.parts);
+    }
+    return attachments;
+  }
+
   /**
    * Group emails by sender
    * @param {Array} emails - Parsed email objects
@@ -138,6 +174,45 @@ class EmailParser {
     return subjectMap;
   }
 
+  /**
+   * Split a From header into display name and address
+   * @param {string} fromHeader - Raw From header value
+   * @returns {Object} Sender with name and email
+   */
+  static parseSender(fromHeader) {
+    return {
+      name: this._extractName(fromHeader),
+      email: this._extractEmail(fromHeader),
+    };
+  }
+
+  /**
+   * Parse List-Unsubscribe headers into unsubscribe targets
+   * @param {string} listUnsubscribe - List-Unsubscribe header value
+   * @param {string} listUnsubscribePost - List-Unsubscribe-Post header value
+   * @returns {Object|null} Targets ({ mailto, http, oneClick }) or null if none
+   */
+  static parseListUnsubscribe(listUnsubscribe, listUnsubscribePost) {
+    if (!listUnsubscribe) return null;
+
+    const targets = (listUnsubscribe.match(/<[^>]+>/g) || []).map((target) =>
+      target.slice(1, -1).trim()
+    );
+    const mailto = targets.find((target) => /^mailto:/i.test(target)) || null;
+    const http = targets.find((target) => /^https?:\/\//i.test(target)) || null;
+
+    if (!mailto && !http) return null;
+
+    // RFC 8058 one-click only applies to HTTPS targets
+    const oneClick = Boolean(
+      http &&
+        /^https:/i.test(http) &&
+        /List-Unsubscribe=One-Click/i.test(listUnsubscribePost || '')
+    );
+
+    return { mailto, http, oneClick };
+  }
+
   // Private helper methods
 
   /**
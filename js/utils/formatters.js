@@ -169,7 +169,11 @@ class Formatters {
     const seconds = Math.floor(milliseconds / 1000);
     const minutes = Math.floor(seconds / 60);
     const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
 
+    if (days > 0) {
+      return `${days}d ${hours % 24}h`;
+    }
     if (hours > 0) {
       return `${hours}h ${minutes % 60}m`;
     }
@@ -189,6 +193,17 @@ class Formatters {
     return `${formattedNumber} email${count !== 1 ? 's' : ''}`;
   }
 
+  /**
+   * Format a change with an explicit sign (e.g. "+1.2 MB", "-40")
+   * @param {number} delta - Change
+   * @param {Function} format - Formats the absolute value (default: formatNumber)
+   * @returns {string} Signed change string
+   */
+  static formatDelta(delta, format = (value) => this.formatNumber(value)) {
+    if (!delta) return format(0);
+    return `${delta > 0 ? '+' : '-'}${format(Math.abs(delta))}`;
+  }
+
   /**
    * Truncate text with ellipsis
    * @param {string} text - Text to truncate
@@ -204,6 +219,22 @@ class Formatters {
     return text.substring(0, maxLength - suffix.length) + suffix;
   }
 
+  /**
+   * Escape text for HTML markup and attribute values
+   * Everything taken from email headers (names, subjects, filenames) must
+   * go through this before it is inserted with innerHTML
+   * @param {*} value - Value to escape (null and undefined become '')
+   * @returns {string} Escaped string
+   */
+  static escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   /**
    * Format storage efficiency (emails per MB)
    * @param {number} emailCount - Number of emails
@@ -241,6 +272,27 @@ class Formatters {
     return categoryMap[category] || 'Other';
   }
 
+  /**
+   * Format a weekday number for display
+   * @param {number} day - Day of the week (0 = Sunday)
+   * @param {boolean} short - Use the three-letter form
+   * @returns {string} Weekday name
+   */
+  static formatWeekday(day, short = false) {
+    const names = [
+      'Sunday',
+      'Monday',
+      'Tuesday',
+      'Wednesday',
+      'Thursday',
+      'Friday',
+      'Saturday',
+    ];
+    const name = names[day] || 'Unknown';
+
+    return short ? name.slice(0, 3) : name;
+  }
+
   /**
    * Get color for category
    * @param {string} category - Email category
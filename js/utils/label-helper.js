@@ -0,0 +1,150 @@
+/**
+ * Label Helper Utility
+ * Resolves Gmail label IDs to names and colors, and nests labels into the
+ * hierarchy Gmail shows for names like 'Parent/Child'
+ *
+ * Parsed emails keep raw label IDs, which survive renames; names are
+ * resolved against the label list from GmailAPI.getLabels() when shown.
+ */
+
+class LabelHelper {
+  /**
+   * Display names of the system labels
+   * @returns {Object} Names keyed by label ID
+   */
+  static getSystemLabelNames() {
+    return {
+      INBOX: 'Inbox',
+      SENT: 'Sent',
+      DRAFT: 'Drafts',
+      STARRED: 'Starred',
+      IMPORTANT: 'Important',
+      UNREAD: 'Unread',
+      SPAM: 'Spam',
+      TRASH: 'Trash',
+      CHAT: 'Chat',
+    };
+  }
+
+  /**
+   * Check whether a label ID is a category tab (covered by category analysis)
+   * @param {string} labelId - Label ID
+   * @returns {boolean} True for CATEGORY_* labels
+   */
+  static isCategory(labelId) {
+    return String(labelId).startsWith('CATEGORY_');
+  }
+
+  /**
+   * Index Gmail label resources by ID
+   * @param {Array} labels - Labels from GmailAPI.getLabels()
+   * @returns {Object} Labels ({ id, name, type, color, textColor }) keyed by ID
+   */
+  static buildDirectory(labels) {
+    const directory = {};
+    (labels || []).forEach((label) => {
+      if (!label || !label.id) return;
+      directory[label.id] = {
+        id: label.id,
+        name: label.name || label.id,
+        type: label.type === 'system' ? 'system' : 'user',
+        color: (label.color && label.color.backgroundColor) || null,
+        textColor: (label.color && label.color.textColor) || null,
+      };
+    });
+    return directory;
+  }
+
+  /**
+   * Describe a label ID
+   * User labels missing from the directory (deleted, or labels not loaded
+   * yet) keep their ID as name
+   * @param {string} labelId - Label ID
+   * @param {Object} directory - Result of buildDirectory()
+   * @returns {Object} Label ({ id, name, type, color, textColor })
+   */
+  static describe(labelId, directory = {}) {
+    const systemName = this.getSystemLabelNames()[labelId];
+    const known = directory[labelId];
+
+    return {
+      id: labelId,
+      name: systemName || (known ? known.name : labelId),
+      type:
+        systemName || (known && known.type === 'system') ? 'system' : 'user',
+      color: known ? known.color : null,
+      textColor: known ? known.textColor : null,
+    };
+  }
+
+  /**
+   * Get the display name of a label ID
+   * @param {string} labelId - Label ID
+   * @param {Object} directory - Result of buildDirectory()
+   * @returns {string} Label name
+   */
+  static getName(labelId, directory = {}) {
+    return this.describe(labelId, directory).name;
+  }
+
+  /**
+   * List a label name and the names of its ancestors
+   * @param {string} name - Label name (e.g. 'Work/Clients/Acme')
+   * @returns {Array<string>} Paths from the top (e.g. ['Work', 'Work/Clients', 'Work/Clients/Acme'])
+   */
+  static getAncestorPaths(name) {
+    const parts = String(name).split('/');
+    return parts.map((_, i) => parts.slice(0, i + 1).join('/'));
+  }
+
+  /**
+   * Nest user labels into their hierarchy
+   * Parents Gmail shows only as folders (no label of their own in the
+   * analyzed emails) still get a node so their children have a home.
+   * @param {Array} labels - Label stats ({ name, ... }) from analyzeByLabel()
+   * @param {Object} subtreeTotals - { count, totalSize } keyed by path, with
+   *   every email counted once per subtree
+   * @returns {Array<Object>} Root nodes ({ name, path, label, count,
+   *   totalSize, children }), largest subtree first
+   */
+  static buildTree(labels, subtreeTotals) {
+    const nodes = new Map();
+    const getNode = (path) => {
+      if (!nodes.has(path)) {
+        const totals = subtreeTotals[path] || { count: 0, totalSize: 0 };
+        nodes.set(path, {
+          name: path.split('/').pop(),
+          path,
+          label: null,
+          count: totals.count,
+          totalSize: totals.totalSize,
+          children: [],
+        });
+      }
+      return nodes.get(path);
+    };
+
+    const roots = [];
+    labels.forEach((label) => {
+      const paths = this.getAncestorPaths(label.name);
+      getNode(label.name).label = label;
+      paths.forEach((path, i) => {
+        const node = getNode(path);
+        const list = i === 0 ? roots : getNode(paths[i - 1]).children;
+        if (!list.includes(node)) list.push(node);
+      });
+    });
+
+    const sortNodes = (list) => {
+      list.sort((a, b) => b.totalSize - a.totalSize);
+      list.forEach((node) => sortNodes(node.children));
+      return list;
+    };
+    return sortNodes(roots);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LabelHelper;
+}
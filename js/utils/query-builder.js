@@ -0,0 +1,261 @@
+/**
+ * Query Builder Utility
+ * Compiles structured search conditions into Gmail search syntax
+ *
+ * Condition format:
+ * {
+ *   field: 'from',
+ *   values: ['github.com', 'atlassian.net'], // any of these (OR group)
+ *   negate: false, // exclude matches instead
+ * }
+ *
+ * Conditions are combined with AND. Flag fields (attachment, starred) take
+ * no values.
+ */
+
+class QueryBuilder {
+  /**
+   * Describe the fields a condition can use
+   * @returns {Array<Object>} Fields ({ id, label, type, operator, placeholder })
+   */
+  static getFields() {
+    return [
+      {
+        id: 'from',
+        label: 'From',
+        type: 'text',
+        operator: 'from',
+        placeholder: 'alice@example.com, @github.com',
+      },
+      {
+        id: 'to',
+        label: 'To',
+        type: 'text',
+        operator: 'to',
+        placeholder: 'me@example.com',
+      },
+      {
+        id: 'subject',
+        label: 'Subject',
+        type: 'text',
+        operator: 'subject',
+        placeholder: 'invoice, weekly report',
+      },
+      {
+        id: 'label',
+        label: 'Label',
+        type: 'text',
+        operator: 'label',
+        placeholder: 'work, receipts',
+      },
+      {
+        id: 'category',
+        label: 'Category',
+        type: 'category',
+        operator: 'category',
+        placeholder: '',
+      },
+      {
+        id: 'larger',
+        label: 'Larger than',
+        type: 'size',
+        operator: 'larger',
+        placeholder: '5M',
+      },
+      {
+        id: 'smaller',
+        label: 'Smaller than',
+        type: 'size',
+        operator: 'smaller',
+        placeholder: '500K',
+      },
+      {
+        id: 'after',
+        label: 'After',
+        type: 'date',
+        operator: 'after',
+        placeholder: '2023-01-01',
+      },
+      {
+        id: 'before',
+        label: 'Before',
+        type: 'date',
+        operator: 'before',
+        placeholder: '2024-01-01',
+      },
+      {
+        id: 'attachment',
+        label: 'Has attachment',
+        type: 'flag',
+        operator: 'has:attachment',
+        placeholder: '',
+      },
+      {
+        id: 'starred',
+        label: 'Is starred',
+        type: 'flag',
+        operator: 'is:starred',
+        placeholder: '',
+      },
+    ];
+  }
+
+  /**
+   * Get a field definition
+   * @param {string} fieldId - Field ID
+   * @returns {Object|null} Field definition
+   */
+  static getField(fieldId) {
+    return this.getFields().find((field) => field.id === fieldId) || null;
+  }
+
+  /**
+   * Categories Gmail's category: operator accepts
+   * @returns {Array<string>} Category names
+   */
+  static getCategories() {
+    return [
+      'primary',
+      'social',
+      'promotions',
+      'updates',
+      'forums',
+      'reservations',
+      'purchases',
+    ];
+  }
+
+  /**
+   * Split user input into condition values
+   * Commas and new lines separate values so subjects can contain spaces
+   * @param {string} text - User input
+   * @returns {Array<string>} Trimmed values
+   */
+  static parseValues(text) {
+    return (text || '')
+      .split(/[,\n]+/)
+      .map((value) => value.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Validate a list of conditions
+   * @param {Array} conditions - Conditions
+   * @returns {Array<string>} Error messages (empty when valid)
+   */
+  static validate(conditions) {
+    const errors = [];
+
+    (conditions || []).forEach((condition) => {
+      const field = this.getField(condition && condition.field);
+      if (!field) {
+        errors.push(`Unknown field "${condition && condition.field}".`);
+        return;
+      }
+      if (field.type === 'flag') return;
+
+      const values = condition.values || [];
+      if (values.length === 0) {
+        errors.push(`"${field.label}" needs a value.`);
+      }
+      values.forEach((value) => {
+        if (
+          field.type === 'category' &&
+          !this.getCategories().includes(value)
+        ) {
+          errors.push(`Unknown category "${value}".`);
+        }
+        if (field.type === 'size' && !/^\d+[km]?$/i.test(value)) {
+          errors.push(`"${value}" is not a size such as 500K or 5M.`);
+        }
+        if (field.type === 'date' && !this.parseDate(value)) {
+          errors.push(`"${value}" is not a date (YYYY-MM-DD).`);
+        }
+      });
+      if (['size', 'date'].includes(field.type) && values.length > 1) {
+        errors.push(`"${field.label}" takes a single value.`);
+      }
+    });
+
+    // An empty date range matches nothing, which is almost always a typo
+    const dateOf = (fieldId) => {
+      const condition = (conditions || []).find(
+        (c) => c && c.field === fieldId && !c.negate
+      );
+      return condition && this.parseDate((condition.values || [])[0]);
+    };
+    const after = dateOf('after');
+    const before = dateOf('before');
+    if (after && before && after >= before) {
+      errors.push('"After" must be earlier than "Before".');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Compile conditions into a Gmail search query
+   * @param {Array} conditions - Valid conditions
+   * @returns {string} Gmail search query ('' matches all mail)
+   */
+  static compile(conditions) {
+    return (conditions || [])
+      .map((condition) => this.compileCondition(condition))
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  /**
+   * Compile one condition
+   * Negated OR groups are written as one exclusion per value, which Gmail
+   * reads the same way as -(a OR b)
+   * @private
+   */
+  static compileCondition(condition) {
+    const field = this.getField(condition.field);
+    if (!field) return '';
+
+    const sign = condition.negate ? '-' : '';
+    if (field.type === 'flag') return `${sign}${field.operator}`;
+
+    const terms = (condition.values || []).map(
+      (value) => `${field.operator}:${this.formatValue(field, value)}`
+    );
+    if (terms.length === 0) return '';
+    if (condition.negate) return terms.map((term) => `-${term}`).join(' ');
+    return terms.length === 1 ? terms[0] : `(${terms.join(' OR ')})`;
+  }
+
+  /**
+   * Format a value for a search operator
+   * @private
+   */
+  static formatValue(field, value) {
+    if (field.type === 'date') return value.replace(/-/g, '/');
+    if (field.type === 'size') return value.toUpperCase();
+
+    const clean = value.replace(/"/g, '');
+    return /[\s()]/.test(clean) ? `"${clean}"` : clean;
+  }
+
+  /**
+   * Parse a YYYY-MM-DD date
+   * @param {string} value - Date string
+   * @returns {Date|null} Date, or null when invalid
+   */
+  static parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 && date.getDate() === day
+      ? date
+      : null;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QueryBuilder;
+}
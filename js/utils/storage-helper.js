@@ -1,6 +1,6 @@
 /**
  * Storage Helper Utility
- * Manages localStorage and sessionStorage operations
+ * Manages localStorage, sessionStorage and IndexedDB operations
  */
 
 class StorageHelper {
@@ -87,54 +87,42 @@ class StorageHelper {
   }
 
   /**
-   * Cache analysis results
+   * Cache analysis results in IndexedDB (survives reloads)
    * @param {Object} analysisData - Analysis results to cache
+   * @returns {Promise<boolean>} Success status
    */
-  static cacheAnalysis(analysisData) {
-    try {
-      const cacheData = {
-        timestamp: Date.now(),
-        data: analysisData,
-      };
-
-      // Use sessionStorage for analysis cache (cleared on tab close)
-      sessionStorage.setItem(
-        APP_CONFIG.STORAGE_KEYS.ANALYSIS_CACHE,
-        JSON.stringify(cacheData)
-      );
+  static async cacheAnalysis(analysisData) {
+    const saved = await this.putRecord(
+      APP_CONFIG.INDEXED_DB.STORES.ANALYSIS_CACHE,
+      { id: 'latest', timestamp: Date.now(), data: analysisData }
+    );
+    if (saved) {
       console.log('💾 Analysis results cached');
-    } catch (error) {
-      console.error('❌ Failed to cache analysis:', error);
     }
+    return saved;
   }
 
   /**
    * Load cached analysis results
    * @param {number} maxAge - Maximum age in milliseconds (default: 1 hour)
-   * @returns {Object|null} Cached analysis data or null if expired/not found
+   * @returns {Promise<Object|null>} Cached analysis data or null if expired/not found
    */
-  static loadCachedAnalysis(maxAge = 3600000) {
-    try {
-      const cached = sessionStorage.getItem(
-        APP_CONFIG.STORAGE_KEYS.ANALYSIS_CACHE
-      );
-      if (!cached) return null;
-
-      const cacheData = JSON.parse(cached);
-      const age = Date.now() - cacheData.timestamp;
-
-      if (age > maxAge) {
-        console.log('🗑️ Analysis cache expired, clearing...');
-        this.clearAnalysisCache();
-        return null;
-      }
+  static async loadCachedAnalysis(maxAge = 3600000) {
+    const cacheData = await this.getRecord(
+      APP_CONFIG.INDEXED_DB.STORES.ANALYSIS_CACHE,
+      'latest'
+    );
+    if (!cacheData) return null;
 
-      console.log(`📦 Loaded cached analysis (${Math.round(age / 1000)}s old)`);
-      return cacheData.data;
-    } catch (error) {
-      console.error('❌ Failed to load cached analysis:', error);
+    const age = Date.now() - cacheData.timestamp;
+    if (age > maxAge) {
+      console.log('🗑️ Analysis cache expired, clearing...');
+      await this.clearAnalysisCache();
       return null;
     }
+
+    console.log(`📦 Loaded cached analysis (${Math.round(age / 1000)}s old)`);
+    return cacheData.data;
   }
 
   /**
@@ -175,26 +163,30 @@ class StorageHelper {
 
   /**
    * Clear analysis cache
+   * @returns {Promise<void>}
    */
-  static clearAnalysisCache() {
+  static async clearAnalysisCache() {
     try {
+      // Older versions kept the cache in sessionStorage
       sessionStorage.removeItem(APP_CONFIG.STORAGE_KEYS.ANALYSIS_CACHE);
-      console.log('🗑️ Analysis cache cleared');
     } catch (error) {
       console.error('❌ Failed to clear analysis cache:', error);
     }
+
+    await this.deleteRecord(
+      APP_CONFIG.INDEXED_DB.STORES.ANALYSIS_CACHE,
+      'latest'
+    );
+    console.log('🗑️ Analysis cache cleared');
   }
 
   /**
    * Clear all cached data
+   * @returns {Promise<void>}
    */
-  static clearCache() {
-    try {
-      sessionStorage.removeItem(APP_CONFIG.STORAGE_KEYS.ANALYSIS_CACHE);
-      console.log('🗑️ All cache cleared');
-    } catch (error) {
-      console.error('❌ Failed to clear cache:', error);
-    }
+  static async clearCache() {
+    await this.clearAnalysisCache();
+    console.log('🗑️ All cache cleared');
   }
 
   /**
@@ -212,11 +204,63 @@ class StorageHelper {
     }
   }
 
+  /**
+   * Wipe every trace of local data: preferences, logs, caches and the database
+   * @returns {Promise<boolean>} True if the database was deleted
+   */
+  static async forgetEverything() {
+    this.clearAll();
+
+    try {
+      const prefix = APP_CONFIG.STORAGE_KEYS.FALLBACK_STORE_PREFIX;
+      Object.values(APP_CONFIG.INDEXED_DB.STORES).forEach((storeName) =>
+        localStorage.removeItem(`${prefix}${storeName}`)
+      );
+    } catch (error) {
+      console.error('❌ Failed to clear fallback stores:', error);
+    }
+
+    const deleted = await this.deleteDatabase();
+    console.log('🧹 All local data forgotten');
+    return deleted;
+  }
+
+  /**
+   * Delete the application database
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteDatabase() {
+    if (!this.isIndexedDBAvailable()) return true;
+
+    if (this._dbPromise) {
+      try {
+        (await this._dbPromise).close();
+      } catch (error) {
+        // The connection never opened, nothing to close
+      }
+      this._dbPromise = null;
+    }
+
+    return new Promise((resolve) => {
+      const request = indexedDB.deleteDatabase(APP_CONFIG.INDEXED_DB.NAME);
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => {
+        console.error('❌ Failed to delete database:', request.error);
+        resolve(false);
+      };
+      request.onblocked = () => {
+        console.warn('⚠️ Database deletion blocked by another open tab');
+        resolve(false);
+      };
+    });
+  }
+
   /**
    * Get storage usage information
-   * @returns {Object} Storage usage stats
+   * @returns {Promise<Object>} Storage usage stats, including the
+   *   origin-wide IndexedDB quota when the browser reports it
    */
-  static getStorageInfo() {
+  static async getStorageInfo() {
     const getSize = (storage) => {
       let size = 0;
       Object.keys(storage).forEach((key) => {
@@ -234,6 +278,7 @@ class StorageHelper {
         used: getSize(sessionStorage),
         available: this._getAvailableStorage('sessionStorage'),
       },
+      indexedDB: await this._getQuotaEstimate(),
     };
   }
 
@@ -257,8 +302,363 @@ class StorageHelper {
     }
   }
 
+  /**
+   * Check if IndexedDB is available
+   * @returns {boolean} IndexedDB availability status
+   */
+  static isIndexedDBAvailable() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  /**
+   * Open the application database, running schema migrations if needed
+   * @returns {Promise<IDBDatabase>} Database connection
+   */
+  static openDatabase() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        const { NAME, VERSION } = APP_CONFIG.INDEXED_DB;
+        const request = indexedDB.open(NAME, VERSION);
+
+        request.onupgradeneeded = (event) => {
+          this._migrateDatabase(
+            request.result,
+            request.transaction,
+            event.oldVersion,
+            VERSION
+          );
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () =>
+          reject(new Error('Database upgrade blocked by another open tab'));
+      }).catch((error) => {
+        this._dbPromise = null;
+        throw error;
+      });
+    }
+
+    return this._dbPromise;
+  }
+
+  /**
+   * Save a record to an IndexedDB object store
+   * Falls back to localStorage when IndexedDB is unavailable
+   * @param {string} storeName - Object store name
+   * @param {Object} record - Record to save (must have an 'id')
+   * @returns {Promise<boolean>} Success status
+   */
+  static async putRecord(storeName, record) {
+    try {
+      if (!this.isIndexedDBAvailable()) {
+        const records = this._loadFallbackStore(storeName);
+        records[record.id] = record;
+        this._saveFallbackStore(storeName, records);
+        return true;
+      }
+
+      const db = await this.openDatabase();
+      await this._runTransaction(db, storeName, 'readwrite', (store) =>
+        store.put(record)
+      );
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to save record to '${storeName}':`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get a single record from an IndexedDB object store
+   * @param {string} storeName - Object store name
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Record or null if not found
+   */
+  static async getRecord(storeName, id) {
+    try {
+      if (!this.isIndexedDBAvailable()) {
+        return this._loadFallbackStore(storeName)[id] || null;
+      }
+
+      const db = await this.openDatabase();
+      const record = await this._runTransaction(
+        db,
+        storeName,
+        'readonly',
+        (store) => store.get(id)
+      );
+      return record || null;
+    } catch (error) {
+      console.error(`❌ Failed to get record from '${storeName}':`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get all records from an IndexedDB object store
+   * @param {string} storeName - Object store name
+   * @returns {Promise<Array>} Array of records
+   */
+  static async getAllRecords(storeName) {
+    try {
+      if (!this.isIndexedDBAvailable()) {
+        return Object.values(this._loadFallbackStore(storeName));
+      }
+
+      const db = await this.openDatabase();
+      const records = await this._runTransaction(
+        db,
+        storeName,
+        'readonly',
+        (store) => store.getAll()
+      );
+      return records || [];
+    } catch (error) {
+      console.error(`❌ Failed to read records from '${storeName}':`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete a record from an IndexedDB object store
+   * @param {string} storeName - Object store name
+   * @param {string} id - Record ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteRecord(storeName, id) {
+    try {
+      if (!this.isIndexedDBAvailable()) {
+        const records = this._loadFallbackStore(storeName);
+        delete records[id];
+        this._saveFallbackStore(storeName, records);
+        return true;
+      }
+
+      const db = await this.openDatabase();
+      await this._runTransaction(db, storeName, 'readwrite', (store) =>
+        store.delete(id)
+      );
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to delete record from '${storeName}':`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Save many records to an IndexedDB object store in one transaction
+   * @param {string} storeName - Object store name
+   * @param {Array} records - Records to save (each must have an 'id')
+   * @returns {Promise<boolean>} Success status
+   */
+  static async putRecords(storeName, records) {
+    if (records.length === 0) return true;
+
+    try {
+      if (!this.isIndexedDBAvailable()) {
+        const stored = this._loadFallbackStore(storeName);
+        records.forEach((record) => {
+          stored[record.id] = record;
+        });
+        this._saveFallbackStore(storeName, stored);
+        return true;
+      }
+
+      const db = await this.openDatabase();
+      await this._runTransaction(db, storeName, 'readwrite', (store) => {
+        records.forEach((record) => store.put(record));
+      });
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to save records to '${storeName}':`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete many records from an IndexedDB object store in one transaction
+   * @param {string} storeName - Object store name
+   * @param {Array} ids - Record IDs
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteRecords(storeName, ids) {
+    if (ids.length === 0) return true;
+
+    try {
+      if (!this.isIndexedDBAvailable()) {
+        const stored = this._loadFallbackStore(storeName);
+        ids.forEach((id) => {
+          delete stored[id];
+        });
+        this._saveFallbackStore(storeName, stored);
+        return true;
+      }
+
+      const db = await this.openDatabase();
+      await this._runTransaction(db, storeName, 'readwrite', (store) => {
+        ids.forEach((id) => store.delete(id));
+      });
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to delete records from '${storeName}':`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove every record from an IndexedDB object store
+   * @param {string} storeName - Object store name
+   * @returns {Promise<boolean>} Success status
+   */
+  static async clearStore(storeName) {
+    try {
+      if (!this.isIndexedDBAvailable()) {
+        localStorage.removeItem(
+          `${APP_CONFIG.STORAGE_KEYS.FALLBACK_STORE_PREFIX}${storeName}`
+        );
+        return true;
+      }
+
+      const db = await this.openDatabase();
+      await this._runTransaction(db, storeName, 'readwrite', (store) =>
+        store.clear()
+      );
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to clear '${storeName}':`, error);
+      return false;
+    }
+  }
+
   // Private methods
 
+  /**
+   * Apply schema migrations from oldVersion up to newVersion
+   * Each entry upgrades the schema by exactly one version
+   * @private
+   * @param {IDBDatabase} db - Database being upgraded
+   * @param {IDBTransaction} transaction - Version change transaction
+   * @param {number} oldVersion - Current schema version
+   * @param {number} newVersion - Target schema version
+   */
+  static _migrateDatabase(db, transaction, oldVersion, newVersion) {
+    const { STORES } = APP_CONFIG.INDEXED_DB;
+    const migrations = [
+      // v1: undo journal for destructive operations
+      () => {
+        const journal = db.createObjectStore(STORES.UNDO_JOURNAL, {
+          keyPath: 'id',
+        });
+        journal.createIndex('timestamp', 'timestamp');
+      },
+      // v2: parsed message metadata and incremental sync state
+      () => {
+        db.createObjectStore(STORES.MESSAGES, { keyPath: 'id' });
+        db.createObjectStore(STORES.SYNC_STATE, { keyPath: 'id' });
+      },
+      // v3: persistent analysis cache
+      () => {
+        db.createObjectStore(STORES.ANALYSIS_CACHE, { keyPath: 'id' });
+      },
+      // v4: checkpoints of interrupted analyses
+      () => {
+        db.createObjectStore(STORES.ANALYSIS_JOBS, { keyPath: 'id' });
+        db.createObjectStore(STORES.JOB_MESSAGES, { keyPath: 'id' });
+      },
+      // v5: attachment inventory
+      () => {
+        const attachments = db.createObjectStore(STORES.ATTACHMENTS, {
+          keyPath: 'id',
+        });
+        attachments.createIndex('size', 'size');
+        attachments.createIndex('messageId', 'messageId');
+      },
+      // v6: history of analysis snapshots
+      () => {
+        const snapshots = db.createObjectStore(STORES.ANALYSIS_SNAPSHOTS, {
+          keyPath: 'id',
+        });
+        snapshots.createIndex('timestamp', 'timestamp');
+      },
+    ];
+
+    migrations.slice(oldVersion, newVersion).forEach((migrate, index) => {
+      console.log(`🗄️ Migrating database to v${oldVersion + index + 1}`);
+      migrate(transaction);
+    });
+  }
+
+  /**
+   * Run a single-request IndexedDB transaction
+   * @private
+   * @param {IDBDatabase} db - Database connection
+   * @param {string} storeName - Object store name
+   * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+   * @param {Function} operation - Receives the store, may return an IDBRequest
+   * @returns {Promise<any>} Request result once the transaction completes
+   */
+  static _runTransaction(db, storeName, mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request && request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Estimate origin storage usage and quota
+   * @private
+   * @returns {Promise<Object|null>} Usage stats or null if unsupported
+   */
+  static async _getQuotaEstimate() {
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) {
+      return null;
+    }
+
+    try {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      return {
+        used: usage,
+        available: Math.max(quota - usage, 0),
+        quota,
+        percentUsed: quota > 0 ? Math.round((usage / quota) * 100) : 0,
+      };
+    } catch (error) {
+      console.warn('⚠️ Could not estimate storage quota:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Load a localStorage-backed stand-in for an object store
+   * @private
+   * @param {string} storeName - Object store name
+   * @returns {Object} Records keyed by ID
+   */
+  static _loadFallbackStore(storeName) {
+    return (
+      this.getItem(
+        `${APP_CONFIG.STORAGE_KEYS.FALLBACK_STORE_PREFIX}${storeName}`
+      ) || {}
+    );
+  }
+
+  /**
+   * Save a localStorage-backed stand-in for an object store
+   * @private
+   * @param {string} storeName - Object store name
+   * @param {Object} records - Records keyed by ID
+   */
+  static _saveFallbackStore(storeName, records) {
+    localStorage.setItem(
+      `${APP_CONFIG.STORAGE_KEYS.FALLBACK_STORE_PREFIX}${storeName}`,
+      JSON.stringify(records)
+    );
+  }
+
   /**
    * Get available storage space (approximate)
    * @private
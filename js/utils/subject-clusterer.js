@@ -0,0 +1,252 @@
+/**
+ * Subject Clusterer Utility
+ * Groups subjects generated from the same template, e.g. "Your order #12345
+ * has shipped" and "Your order #67890 has shipped"
+ *
+ * Clustering runs in two passes:
+ * 1. Every word is masked on its own: numbers, dates, times, IDs, amounts,
+ *    addresses and greeted names become placeholders such as {id}. Masking
+ *    word by word keeps masked and original subjects aligned.
+ * 2. Masked subjects with the same number of words are merged when most
+ *    positions agree; positions that still differ become {text} slots.
+ */
+
+class SubjectClusterer {
+  /**
+   * @param {Object} options - Clustering options
+   * @param {number} options.similarity - Share of matching words needed to merge (0-1)
+   * @param {number} options.minWords - Shorter subjects are only grouped when identical after masking
+   */
+  constructor({ similarity = 0.7, minWords = 3 } = {}) {
+    this.similarity = similarity;
+    this.minWords = minWords;
+  }
+
+  /**
+   * Cluster the subjects of a set of emails
+   * @param {Array} emails - Parsed email objects
+   * @returns {Array<Object>} Clusters ({ id, template, slots, count, senderCount, totalSize, examples, variantCount, automated }), largest first
+   */
+  cluster(emails) {
+    // Pass 1: group by masked subject
+    const groups = new Map();
+    emails.forEach((email) => {
+      const words = SubjectClusterer.tokenize(email.subject);
+      const masked = SubjectClusterer.maskWords(words);
+      const key = masked.join(' ');
+
+      if (!groups.has(key)) {
+        groups.set(key, { template: masked, members: [] });
+      }
+      groups.get(key).members.push({ email, words });
+    });
+
+    // Pass 2: merge similar templates of the same length, biggest first
+    const clusters = [];
+    const byLength = new Map();
+    Array.from(groups.values())
+      .sort((a, b) => b.members.length - a.members.length)
+      .forEach((group) => {
+        const { length } = group.template;
+        const candidates = byLength.get(length) || [];
+        const match =
+          length >= this.minWords &&
+          candidates.find(
+            (cluster) =>
+              this.similarityOf(cluster.template, group.template) >=
+              this.similarity
+          );
+
+        if (match) {
+          match.template = match.template.map((word, i) =>
+            word === group.template[i] ? word : '{text}'
+          );
+          group.members.forEach((member) => match.members.push(member));
+        } else {
+          const cluster = { template: group.template, members: group.members };
+          clusters.push(cluster);
+          byLength.set(length, [...candidates, cluster]);
+        }
+      });
+
+    return clusters
+      .map((cluster, index) => this.describe(cluster, index))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Share of positions where two masked subjects agree
+   * @param {Array<string>} a - Masked words
+   * @param {Array<string>} b - Masked words of the same length
+   * @returns {number} Similarity between 0 and 1
+   */
+  similarityOf(a, b) {
+    if (a.length === 0) return 1;
+    const same = a.filter((word, i) => word === b[i]).length;
+    return same / a.length;
+  }
+
+  /**
+   * Build the public description of a cluster
+   * Consecutive placeholders of one type (e.g. "{date} {date}" for
+   * "Jan 5") are shown as a single slot
+   * @private
+   */
+  describe(cluster, index) {
+    const parts = [];
+    cluster.template.forEach((word, position) => {
+      const type = SubjectClusterer.slotType(word);
+      const previous = parts[parts.length - 1];
+
+      if (type && previous && previous.type === type) {
+        previous.positions.push(position);
+        // Keep the punctuation that follows the last merged word
+        previous.word = `${previous.word.slice(0, previous.word.indexOf('}') + 1)}${word.slice(word.indexOf('}') + 1)}`;
+      } else {
+        parts.push({ type, word, positions: [position] });
+      }
+    });
+
+    const slots = parts
+      .filter((part) => part.type)
+      .map((part) => ({
+        type: part.type,
+        examples: [
+          ...new Set(
+            cluster.members.map(({ words }) =>
+              part.positions
+                .map((position) => words[position])
+                .join(' ')
+                .replace(/^[("'[]+|[)"'\],.:;!?]+$/g, '')
+            )
+          ),
+        ].slice(0, 5),
+      }));
+
+    const emails = cluster.members.map((member) => member.email);
+    const subjects = [
+      ...new Set(emails.map((email) => email.subject || '(No Subject)')),
+    ];
+    // "Re: x" and "x" are the same subject, not two variants of a template
+    const variantCount = new Set(
+      cluster.members.map(({ words }) => words.join(' ').toLowerCase())
+    ).size;
+
+    return {
+      id: `cluster-${index}`,
+      template: parts.map((part) => part.word).join(' '),
+      slots,
+      count: emails.length,
+      senderCount: new Set(emails.map((email) => email.senderEmail)).size,
+      totalSize: emails.reduce(
+        (sum, email) => sum + (email.sizeEstimate || 0),
+        0
+      ),
+      examples: subjects.slice(0, 5),
+      variantCount,
+      // Many distinct subjects from one template is what automated mail looks like
+      automated: slots.length > 0 && variantCount >= 3,
+    };
+  }
+
+  /**
+   * Split a subject into words, dropping reply and forward prefixes
+   * @param {string} subject - Email subject
+   * @returns {Array<string>} Words
+   */
+  static tokenize(subject) {
+    return (subject || '')
+      .replace(/^((re|fwd?|fw|aw|wg)\s*:\s*)+/i, '')
+      .split(/\s+/)
+      .filter(Boolean);
+  }
+
+  /**
+   * Mask the variable words of a subject
+   * @param {Array<string>} words - Words from tokenize()
+   * @returns {Array<string>} Lowercased words with placeholders
+   */
+  static maskWords(words) {
+    return words.map((word, i) => {
+      const [, lead, core, trail] = word.match(
+        /^([("'[]*)(.*?)([)"'\],.:;!?]*)$/
+      );
+      const previous = (words[i - 1] || '').toLowerCase().replace(/\W+$/, '');
+      const next = words[i + 1] || '';
+      const placeholder = this.maskWord(core, previous, next);
+
+      return `${lead}${placeholder || core.toLowerCase()}${trail}`;
+    });
+  }
+
+  /**
+   * Get the placeholder for one word, if it is variable
+   * @param {string} word - Word without surrounding punctuation
+   * @param {string} previous - Preceding word, lowercased
+   * @param {string} next - Following word
+   * @returns {string|null} Placeholder or null
+   */
+  static maskWord(word, previous = '', next = '') {
+    if (!word) return null;
+
+    // Month and day names are ordinary words ("may", "sun") unless they sit
+    // next to a number
+    const isCalendarWord = (value) =>
+      /^(jan|january|feb|february|mar|march|apr|april|may|jun|june|jul|july|aug|august|sep|sept|september|oct|october|nov|november|dec|december|mon|monday|tue|tuesday|wed|wednesday|thu|thursday|fri|friday|sat|saturday|sun|sunday)$/i.test(
+        value.replace(/[^a-z]/gi, '')
+      );
+    const nearNumber = /^\d/.test(previous) || /^\d/.test(next);
+    const nearCalendarWord = isCalendarWord(previous) || isCalendarWord(next);
+
+    if (/^[^@\s]+@[^@\s]+\.[a-z]{2,}$/i.test(word)) return '{email}';
+    if (
+      /^\d{4}-\d{1,2}-\d{1,2}$/.test(word) ||
+      /^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}$/.test(word) ||
+      /^(19|20)\d{2}$/.test(word) ||
+      (isCalendarWord(word) && nearNumber) ||
+      (/^\d{1,2}(st|nd|rd|th)?$/i.test(word) && nearCalendarWord)
+    ) {
+      return '{date}';
+    }
+    if (/^\d{1,2}:\d{2}(:\d{2})?(am|pm)?$/i.test(word)) return '{time}';
+    if (
+      /^[$€£¥]\d[\d,]*(\.\d+)?$/.test(word) ||
+      /^\d[\d,]*(\.\d+)?(usd|eur|gbp|[$€£¥])$/i.test(word)
+    ) {
+      return '{amount}';
+    }
+    if (/^\d[\d,]*(\.\d+)?%?$/.test(word)) {
+      return word.replace(/[,.%]/g, '').length >= 6 ? '{id}' : '{number}';
+    }
+    if (
+      /^#[a-z0-9_-]*\d/i.test(word) ||
+      (/\d/.test(word) && /^[a-z0-9_-]{5,}$/i.test(word))
+    ) {
+      return '{id}';
+    }
+    if (
+      /^(hi|hello|hey|dear|welcome|thanks|congratulations|congrats)$/.test(
+        previous
+      ) &&
+      /^\p{Lu}/u.test(word)
+    ) {
+      return '{name}';
+    }
+    return null;
+  }
+
+  /**
+   * Get the slot type of a masked word
+   * @param {string} word - Masked word
+   * @returns {string|null} Slot type ('id', 'date', ...) or null for literal words
+   */
+  static slotType(word) {
+    const match = word.match(/\{([a-z]+)\}/);
+    return match ? match[1] : null;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SubjectClusterer;
+}
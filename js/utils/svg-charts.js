@@ -0,0 +1,357 @@
+/**
+ * SVG Charts Utility
+ * Renders simple charts as self-contained SVG markup, so they work in the
+ * dashboard, in saved HTML reports and when printed
+ *
+ * Every mark carries a <title> tooltip. Items with an `onclick` handler
+ * string are rendered as clickable links (used for dashboard drill-down).
+ */
+
+class SvgCharts {
+  /**
+   * Render a horizontal bar chart
+   * @param {Array<Object>} items - Bars ({ label, value, color, onclick })
+   * @param {Object} options - Chart options
+   * @param {number} options.width - Chart width in pixels
+   * @param {Function} options.formatValue - Formats the value shown after each bar
+   * @param {string} options.title - Accessible chart title
+   * @returns {string} SVG markup
+   */
+  static barChart(items, options = {}) {
+    const {
+      width = 640,
+      barHeight = 22,
+      gap = 8,
+      labelWidth = 200,
+      valueWidth = 90,
+      color = '#1a73e8',
+      formatValue = (value) => Formatters.formatNumber(value),
+      title = '',
+    } = options;
+
+    if (items.length === 0) {
+      return this._emptyChart(width, title);
+    }
+
+    const height = items.length * (barHeight + gap) + gap;
+    const trackWidth = Math.max(width - labelWidth - valueWidth, 1);
+    const max = Math.max(...items.map((item) => item.value), 0);
+
+    const bars = items
+      .map((item, i) => {
+        const y = gap + i * (barHeight + gap);
+        const textY = y + barHeight / 2;
+        const barWidth = max > 0 ? (item.value / max) * trackWidth : 0;
+
+        return `<text x="${labelWidth - 8}" y="${textY}" text-anchor="end" dominant-baseline="middle">${Formatters.escapeHtml(Formatters.truncateText(String(item.label), 32))}</text>
+<rect x="${labelWidth}" y="${y}" width="${barWidth.toFixed(1)}" height="${barHeight}" rx="3" fill="${item.color || color}"${this._action(item)}><title>${Formatters.escapeHtml(`${item.label}: ${formatValue(item.value)}`)}</title></rect>
+<text x="${(labelWidth + barWidth + 6).toFixed(1)}" y="${textY}" dominant-baseline="middle" fill="#5f6368">${Formatters.escapeHtml(formatValue(item.value))}</text>`;
+      })
+      .join('\n');
+
+    return this._svg(width, height, title, bars);
+  }
+
+  /**
+   * Render a vertical column chart, e.g. emails per month
+   * Labels are thinned out so they never overlap
+   * @param {Array<Object>} items - Columns ({ label, value, color, onclick })
+   * @param {Object} options - Chart options
+   * @param {number} options.width - Chart width in pixels
+   * @param {number} options.height - Chart height in pixels
+   * @param {Function} options.formatValue - Formats values in tooltips and the axis
+   * @param {string} options.title - Accessible chart title
+   * @returns {string} SVG markup
+   */
+  static columnChart(items, options = {}) {
+    const {
+      width = 640,
+      height = 220,
+      color = '#1a73e8',
+      formatValue = (value) => Formatters.formatNumber(value),
+      title = '',
+    } = options;
+
+    if (items.length === 0) {
+      return this._emptyChart(width, title);
+    }
+
+    const padding = { top: 16, right: 8, bottom: 28, left: 48 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const max = Math.max(...items.map((item) => item.value), 0);
+    const slot = plotWidth / items.length;
+    const columnWidth = Math.max(slot * 0.8, 1);
+    const labelEvery = Math.ceil(
+      items.length / Math.max(Math.floor(plotWidth / 56), 1)
+    );
+    const baseline = padding.top + plotHeight;
+
+    const columns = items
+      .map((item, i) => {
+        const columnHeight = max > 0 ? (item.value / max) * plotHeight : 0;
+        const x = padding.left + i * slot + (slot - columnWidth) / 2;
+        const label =
+          i % labelEvery === 0
+            ? `<text x="${(x + columnWidth / 2).toFixed(1)}" y="${baseline + 16}" text-anchor="middle" fill="#5f6368">${Formatters.escapeHtml(item.label)}</text>`
+            : '';
+
+        return `<rect x="${x.toFixed(1)}" y="${(baseline - columnHeight).toFixed(1)}" width="${columnWidth.toFixed(1)}" height="${columnHeight.toFixed(1)}" fill="${item.color || color}"${this._action(item)}><title>${Formatters.escapeHtml(`${item.label}: ${formatValue(item.value)}`)}</title></rect>${label}`;
+      })
+      .join('\n');
+
+    return this._svg(
+      width,
+      height,
+      title,
+      `${this._axis(padding, width, baseline, formatValue(max))}\n${columns}`
+    );
+  }
+
+  /**
+   * Render a line chart with a marker per point, e.g. emails per hour
+   * @param {Array<Object>} points - Points ({ label, value, onclick })
+   * @param {Object} options - Chart options
+   * @param {number} options.width - Chart width in pixels
+   * @param {number} options.height - Chart height in pixels
+   * @param {Function} options.formatValue - Formats values in tooltips and the axis
+   * @param {string} options.title - Accessible chart title
+   * @returns {string} SVG markup
+   */
+  static lineChart(points, options = {}) {
+    const {
+      width = 640,
+      height = 220,
+      color = '#1a73e8',
+      formatValue = (value) => Formatters.formatNumber(value),
+      title = '',
+    } = options;
+
+    if (points.length === 0) {
+      return this._emptyChart(width, title);
+    }
+
+    const padding = { top: 16, right: 16, bottom: 28, left: 48 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const max = Math.max(...points.map((point) => point.value), 0);
+    const step = points.length > 1 ? plotWidth / (points.length - 1) : 0;
+    const labelEvery = Math.ceil(
+      points.length / Math.max(Math.floor(plotWidth / 40), 1)
+    );
+    const baseline = padding.top + plotHeight;
+
+    const coordinates = points.map((point, i) => ({
+      x: padding.left + i * step,
+      y: baseline - (max > 0 ? (point.value / max) * plotHeight : 0),
+    }));
+
+    const markers = points
+      .map((point, i) => {
+        const { x, y } = coordinates[i];
+        const label =
+          i % labelEvery === 0
+            ? `<text x="${x.toFixed(1)}" y="${baseline + 16}" text-anchor="middle" fill="#5f6368">${Formatters.escapeHtml(point.label)}</text>`
+            : '';
+
+        return `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="4" fill="${color}"${this._action(point)}><title>${Formatters.escapeHtml(`${point.label}: ${formatValue(point.value)}`)}</title></circle>${label}`;
+      })
+      .join('\n');
+
+    const line = `<polyline points="${coordinates.map(({ x, y }) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ')}" fill="none" stroke="${color}" stroke-width="2"/>`;
+
+    return this._svg(
+      width,
+      height,
+      title,
+      `${this._axis(padding, width, baseline, formatValue(max))}\n${line}\n${markers}`
+    );
+  }
+
+  /**
+   * Render a donut chart with a legend
+   * @param {Array<Object>} items - Slices ({ label, value, color, onclick })
+   * @param {Object} options - Chart options
+   * @param {number} options.width - Chart width in pixels
+   * @param {Function} options.formatValue - Formats values in tooltips and the legend
+   * @param {string} options.title - Accessible chart title
+   * @returns {string} SVG markup
+   */
+  static donutChart(items, options = {}) {
+    const {
+      width = 480,
+      size = 200,
+      formatValue = (value) => Formatters.formatNumber(value),
+      title = '',
+    } = options;
+
+    const total = items.reduce((sum, item) => sum + item.value, 0);
+    if (total <= 0) {
+      return this._emptyChart(width, title);
+    }
+
+    const radius = size / 2;
+    const innerRadius = radius * 0.6;
+    const height = Math.max(size, items.length * 22 + 8);
+    const center = { x: radius, y: height / 2 };
+    let angle = -Math.PI / 2;
+
+    const slices = items
+      .filter((item) => item.value > 0)
+      .map((item) => {
+        const sweep = (item.value / total) * Math.PI * 2;
+        const path = this._arcPath(
+          center,
+          radius,
+          innerRadius,
+          angle,
+          angle + sweep
+        );
+        angle += sweep;
+
+        const share = ((item.value / total) * 100).toFixed(1);
+        return `<path d="${path}" fill="${item.color}"${this._action(item)}><title>${Formatters.escapeHtml(`${item.label}: ${formatValue(item.value)} (${share}%)`)}</title></path>`;
+      })
+      .join('\n');
+
+    const legend = items
+      .map((item, i) => {
+        const y = 8 + i * 22;
+        return `<g${this._action(item)}><rect x="${size + 24}" y="${y}" width="12" height="12" rx="2" fill="${item.color}"/><text x="${size + 42}" y="${y + 6}" dominant-baseline="middle">${Formatters.escapeHtml(`${item.label} (${formatValue(item.value)})`)}</text></g>`;
+      })
+      .join('\n');
+
+    const label = `<text x="${center.x}" y="${center.y}" text-anchor="middle" dominant-baseline="middle" font-size="16" font-weight="600">${Formatters.escapeHtml(formatValue(total))}</text>`;
+
+    return this._svg(width, height, title, `${slices}\n${label}\n${legend}`);
+  }
+
+  /**
+   * Render a heatmap grid, e.g. emails by weekday and hour
+   * @param {Array<Object>} rows - Rows ({ label, cells: [{ value, label, onclick }] })
+   * @param {Object} options - Chart options
+   * @param {Array<string>} options.columnLabels - Labels under the grid
+   * @param {number} options.width - Chart width in pixels
+   * @param {Function} options.formatValue - Formats values in tooltips
+   * @param {string} options.title - Accessible chart title
+   * @returns {string} SVG markup
+   */
+  static heatmap(rows, options = {}) {
+    const {
+      width = 640,
+      cellHeight = 22,
+      labelWidth = 48,
+      color = '#1a73e8',
+      columnLabels = [],
+      formatValue = (value) => Formatters.formatNumber(value),
+      title = '',
+    } = options;
+
+    const columnCount = Math.max(...rows.map((row) => row.cells.length), 0);
+    if (rows.length === 0 || columnCount === 0) {
+      return this._emptyChart(width, title);
+    }
+
+    const cellWidth = (width - labelWidth) / columnCount;
+    const height = rows.length * cellHeight + 24;
+    const max = Math.max(
+      ...rows.flatMap((row) => row.cells.map((cell) => cell.value)),
+      0
+    );
+    const labelEvery = Math.ceil(
+      columnCount / Math.max(Math.floor((width - labelWidth) / 28), 1)
+    );
+
+    const cells = rows
+      .map((row, r) => {
+        const y = r * cellHeight;
+        const rowLabel = `<text x="${labelWidth - 6}" y="${y + cellHeight / 2}" text-anchor="end" dominant-baseline="middle" fill="#5f6368">${Formatters.escapeHtml(row.label)}</text>`;
+
+        return `${rowLabel}${row.cells
+          .map((cell, c) => {
+            const opacity = max > 0 ? 0.08 + (cell.value / max) * 0.92 : 0.08;
+            return `<rect x="${(labelWidth + c * cellWidth).toFixed(1)}" y="${y}" width="${(cellWidth - 2).toFixed(1)}" height="${cellHeight - 2}" rx="2" fill="${color}" fill-opacity="${opacity.toFixed(2)}"${this._action(cell)}><title>${Formatters.escapeHtml(`${cell.label}: ${formatValue(cell.value)}`)}</title></rect>`;
+          })
+          .join('')}`;
+      })
+      .join('\n');
+
+    const labels = columnLabels
+      .map((label, c) =>
+        c % labelEvery === 0
+          ? `<text x="${(labelWidth + c * cellWidth + cellWidth / 2).toFixed(1)}" y="${rows.length * cellHeight + 14}" text-anchor="middle" fill="#5f6368">${Formatters.escapeHtml(label)}</text>`
+          : ''
+      )
+      .join('');
+
+    return this._svg(width, height, title, `${cells}\n${labels}`);
+  }
+
+  // Private methods
+
+  /**
+   * Render the value axis shared by column and line charts
+   * @private
+   */
+  static _axis(padding, width, baseline, maxLabel) {
+    return `<line x1="${padding.left}" y1="${baseline}" x2="${width - padding.right}" y2="${baseline}" stroke="#dadce0"/>
+<text x="${padding.left - 6}" y="${padding.top}" text-anchor="end" dominant-baseline="middle" fill="#5f6368">${Formatters.escapeHtml(maxLabel)}</text>
+<text x="${padding.left - 6}" y="${baseline}" text-anchor="end" dominant-baseline="middle" fill="#5f6368">0</text>`;
+  }
+
+  /**
+   * Build the path of a donut slice
+   * A full circle is drawn as two halves, since one arc cannot close on itself
+   * @private
+   */
+  static _arcPath(center, outer, inner, start, end) {
+    if (end - start >= Math.PI * 2 - 1e-6) {
+      const middle = start + Math.PI;
+      return `${this._arcPath(center, outer, inner, start, middle)} ${this._arcPath(center, outer, inner, middle, end)}`;
+    }
+
+    const point = (radius, angle) =>
+      `${(center.x + radius * Math.cos(angle)).toFixed(2)} ${(center.y + radius * Math.sin(angle)).toFixed(2)}`;
+    const largeArc = end - start > Math.PI ? 1 : 0;
+
+    return `M ${point(outer, start)} A ${outer} ${outer} 0 ${largeArc} 1 ${point(outer, end)} L ${point(inner, end)} A ${inner} ${inner} 0 ${largeArc} 0 ${point(inner, start)} Z`;
+  }
+
+  /**
+   * Attributes that make a mark clickable
+   * @private
+   */
+  static _action(item) {
+    return item.onclick
+      ? ` class="chart-link" onclick="${Formatters.escapeHtml(item.onclick)}"`
+      : '';
+  }
+
+  /**
+   * Wrap chart content in an SVG element
+   * @private
+   */
+  static _svg(width, height, title, content) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${Formatters.escapeHtml(title)}" font-family="Arial, sans-serif" font-size="12">
+${title ? `<title>${Formatters.escapeHtml(title)}</title>\n` : ''}${content}
+</svg>`;
+  }
+
+  /**
+   * Render the placeholder shown when there is no data
+   * @private
+   */
+  static _emptyChart(width, title) {
+    return this._svg(
+      width,
+      40,
+      title,
+      `<text x="${width / 2}" y="20" text-anchor="middle" dominant-baseline="middle" fill="#5f6368">No data</text>`
+    );
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SvgCharts;
+}
@@ -0,0 +1,158 @@
+/**
+ * Zip Writer Utility
+ * Builds uncompressed (stored) ZIP archives in the browser, which is all
+ * XLSX workbooks and bundled CSV downloads need
+ */
+
+/* eslint-disable no-bitwise */
+
+class ZipWriter {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} path - Path inside the archive (forward slashes)
+   * @param {string|Uint8Array} content - File content (strings are UTF-8 encoded)
+   * @param {Date} modified - Modification time stored in the archive
+   */
+  addFile(path, content, modified = new Date()) {
+    const data =
+      typeof content === 'string' ? new TextEncoder().encode(content) : content;
+
+    this.entries.push({
+      name: new TextEncoder().encode(path),
+      data,
+      crc: ZipWriter.crc32(data),
+      ...ZipWriter._toDosDateTime(modified),
+    });
+  }
+
+  /**
+   * Serialize the archive
+   * @returns {Uint8Array} ZIP file bytes
+   */
+  toUint8Array() {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    this.entries.forEach((entry) => {
+      const local = ZipWriter._header(30 + entry.name.length, (view) => {
+        view.setUint32(0, 0x04034b50, true); // Local file header signature
+        ZipWriter._writeCommonFields(view, 4, entry);
+      });
+      local.set(entry.name, 30);
+
+      const central = ZipWriter._header(46 + entry.name.length, (view) => {
+        view.setUint32(0, 0x02014b50, true); // Central directory signature
+        view.setUint16(4, 20, true); // Version made by
+        ZipWriter._writeCommonFields(view, 6, entry);
+        view.setUint32(42, offset, true); // Local header offset
+      });
+      central.set(entry.name, 46);
+
+      localParts.push(local, entry.data);
+      centralParts.push(central);
+      offset += local.length + entry.data.length;
+    });
+
+    const centralSize = centralParts.reduce(
+      (sum, part) => sum + part.length,
+      0
+    );
+    const end = ZipWriter._header(22, (view) => {
+      view.setUint32(0, 0x06054b50, true); // End of central directory signature
+      view.setUint16(8, this.entries.length, true);
+      view.setUint16(10, this.entries.length, true);
+      view.setUint32(12, centralSize, true);
+      view.setUint32(16, offset, true);
+    });
+
+    const parts = [...localParts, ...centralParts, end];
+    const output = new Uint8Array(
+      parts.reduce((sum, part) => sum + part.length, 0)
+    );
+    let position = 0;
+    parts.forEach((part) => {
+      output.set(part, position);
+      position += part.length;
+    });
+    return output;
+  }
+
+  /**
+   * Compute the CRC-32 checksum used by ZIP
+   * @param {Uint8Array} data - Bytes to checksum
+   * @returns {number} Unsigned CRC-32
+   */
+  static crc32(data) {
+    if (!ZipWriter._crcTable) {
+      ZipWriter._crcTable = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        return c >>> 0;
+      });
+    }
+
+    let crc = 0xffffffff;
+    data.forEach((byte) => {
+      crc = ZipWriter._crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    });
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // Private methods
+
+  /**
+   * Allocate a header and fill it through a DataView
+   * @private
+   */
+  static _header(length, write) {
+    const bytes = new Uint8Array(length);
+    write(new DataView(bytes.buffer));
+    return bytes;
+  }
+
+  /**
+   * Write the fields shared by local and central headers, starting at
+   * "version needed to extract"
+   * @private
+   */
+  static _writeCommonFields(view, start, entry) {
+    view.setUint16(start, 20, true); // Version needed to extract
+    view.setUint16(start + 2, 0x0800, true); // Flags: UTF-8 file names
+    view.setUint16(start + 4, 0, true); // Method: stored
+    view.setUint16(start + 6, entry.time, true);
+    view.setUint16(start + 8, entry.date, true);
+    view.setUint32(start + 10, entry.crc, true);
+    view.setUint32(start + 14, entry.data.length, true); // Compressed size
+    view.setUint32(start + 18, entry.data.length, true); // Uncompressed size
+    view.setUint16(start + 22, entry.name.length, true);
+  }
+
+  /**
+   * Convert a date to MS-DOS date and time fields
+   * @private
+   */
+  static _toDosDateTime(date) {
+    return {
+      time:
+        (date.getHours() << 11) |
+        (date.getMinutes() << 5) |
+        Math.floor(date.getSeconds() / 2),
+      date:
+        ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+        ((date.getMonth() + 1) << 5) |
+        date.getDate(),
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ZipWriter;
+}
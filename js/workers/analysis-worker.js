@@ -0,0 +1,116 @@
+/**
+ * Analysis Worker
+ * Builds EmailAnalyzer reports off the main thread
+ *
+ * Message protocol (jobId ties every message to one report):
+ *   in:  { type: 'start', jobId, emails, sections, labels, aliasGroups }
+ *   in:  { type: 'cancel', jobId }
+ *   out: { type: 'progress', jobId, stage, percentage }
+ *   out: { type: 'partial', jobId, section, data }
+ *   out: { type: 'result', jobId, report }
+ *   out: { type: 'cancelled', jobId }
+ *   out: { type: 'error', jobId, message }
+ */
+
+class AnalysisWorker {
+  /**
+   * @param {Function} post - Sends a message back to the page
+   */
+  constructor(post) {
+    this.post = post;
+    this.activeJobs = new Set();
+  }
+
+  /**
+   * Handle a message from the page
+   * @param {Object} message - Protocol message
+   * @returns {Promise<void>} Resolves when the message has been handled
+   */
+  async handleMessage(message) {
+    switch (message.type) {
+      case 'start':
+        return this.runJob(
+          message.jobId,
+          message.emails,
+          message.sections,
+          message.labels,
+          message.aliasGroups
+        );
+      case 'cancel':
+        this.activeJobs.delete(message.jobId);
+        return undefined;
+      default:
+        console.warn(`⚠️ Unknown analysis worker message: ${message.type}`);
+        return undefined;
+    }
+  }
+
+  /**
+   * Build one report, streaming each section as it completes
+   * @param {string} jobId - Job ID
+   * @param {Array} emails - Parsed email objects
+   * @param {Array<string>} sections - Optional sections to run; all when null
+   * @param {Array} labels - Labels used to name label IDs
+   * @param {Array} aliasGroups - Alias groups used for organizations
+   */
+  async runJob(jobId, emails, sections = null, labels = [], aliasGroups = []) {
+    this.activeJobs.add(jobId);
+
+    // Each job gets its own analyzer, so a cancelled job never blocks the next
+    const analyzer = new EmailAnalyzer();
+
+    try {
+      const report = await analyzer.generateReport(emails, {
+        sections,
+        labels,
+        aliasGroups,
+        onStage: async (section, data, percentage) => {
+          this.post({ type: 'partial', jobId, section, data });
+          this.post({ type: 'progress', jobId, stage: section, percentage });
+
+          // Let queued cancel messages run before the next section
+          await new Promise((resolve) => {
+            setTimeout(resolve, 0);
+          });
+          if (!this.activeJobs.has(jobId)) {
+            const error = new Error('Analysis cancelled');
+            error.name = 'AbortError';
+            throw error;
+          }
+        },
+      });
+
+      this.post({ type: 'result', jobId, report });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this.post({ type: 'cancelled', jobId });
+      } else {
+        this.post({ type: 'error', jobId, message: error.message });
+      }
+    } finally {
+      this.activeJobs.delete(jobId);
+    }
+  }
+}
+
+// Wire up the protocol when running as a dedicated worker
+if (
+  typeof WorkerGlobalScope !== 'undefined' &&
+  self instanceof WorkerGlobalScope
+) {
+  importScripts(
+    '../utils/formatters.js',
+    '../utils/domain-helper.js',
+    '../utils/subject-clusterer.js',
+    '../utils/label-helper.js',
+    '../components/email-analyzer.js'
+  );
+
+  const worker = new AnalysisWorker((message) => self.postMessage(message));
+  self.onmessage = (event) => worker.handleMessage(event.data);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnalysisWorker;
+}
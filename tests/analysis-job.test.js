@@ -0,0 +1,153 @@
+/**
+ * Analysis Job Tests
+ * Covers checkpoint persistence, resuming after a reload and cancellation
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+global.APP_CONFIG = {
+  MAX_LIST_PAGE_SIZE: 2,
+  STREAM_UPDATE_INTERVAL: 0,
+  ANALYSIS_CONFIG: { MIN_EMAIL_THRESHOLD: 2 },
+  STORAGE_KEYS: { FALLBACK_STORE_PREFIX: 'test_store_' },
+  INDEXED_DB: {
+    STORES: { ANALYSIS_JOBS: 'analysis_jobs', JOB_MESSAGES: 'job_messages' },
+  },
+};
+
+const { default: EmailParser } = await import('../js/utils/email-parser');
+const { default: Formatters } = await import('../js/utils/formatters');
+const { default: DomainHelper } = await import('../js/utils/domain-helper');
+const { default: SubjectClusterer } = await import(
+  '../js/utils/subject-clusterer'
+);
+const { default: LabelHelper } = await import('../js/utils/label-helper');
+const { default: StorageHelper } = await import('../js/utils/storage-helper');
+const { default: EmailAnalyzer } = await import(
+  '../js/components/email-analyzer'
+);
+
+global.EmailParser = EmailParser;
+global.Formatters = Formatters;
+global.DomainHelper = DomainHelper;
+global.SubjectClusterer = SubjectClusterer;
+global.LabelHelper = LabelHelper;
+global.StorageHelper = StorageHelper;
+global.EmailAnalyzer = EmailAnalyzer;
+
+const { default: AnalysisPipeline } = await import(
+  '../js/components/analysis-pipeline'
+);
+global.AnalysisPipeline = AnalysisPipeline;
+
+const { default: AnalysisJob } = await import('../js/components/analysis-job');
+
+const createMessage = (id) => ({
+  id,
+  threadId: id,
+  sizeEstimate: 1000,
+  labelIds: ['INBOX'],
+  payload: {
+    headers: [
+      { name: 'From', value: `Sender ${id} <sender${id}@example.com>` },
+      { name: 'Subject', value: `Subject ${id}` },
+      { name: 'Date', value: 'Mon, 1 Jan 2024 10:00:00 +0000' },
+    ],
+  },
+});
+
+const pages = {
+  start: { ids: ['1', '2'], next: 'page-2' },
+  'page-2': { ids: ['3', '4'], next: 'page-3' },
+  'page-3': { ids: ['5'], next: null },
+};
+
+describe('AnalysisJob', () => {
+  beforeEach(() => {
+    const store = {};
+    localStorage.getItem.mockImplementation((key) => store[key] ?? null);
+    localStorage.setItem.mockImplementation((key, value) => {
+      store[key] = value;
+    });
+    localStorage.removeItem.mockImplementation((key) => {
+      delete store[key];
+    });
+
+    global.gmailAPI = {
+      listMessagesPage: vi.fn(async ({ pageToken }) => {
+        const page = pages[pageToken || 'start'];
+        return {
+          messages: page.ids.map((id) => ({ id })),
+          nextPageToken: page.next,
+          resultSizeEstimate: 5,
+        };
+      }),
+      getMessageDetails: vi.fn(async (ids) => ({
+        messages: ids.map(createMessage),
+        failedIds: [],
+      })),
+    };
+  });
+
+  it('should drop its checkpoint once finished', async () => {
+    const job = new AnalysisJob({ historyId: '42' });
+
+    const report = await job.start();
+
+    expect(report.overview.totalEmails).toBe(5);
+    expect(await AnalysisJob.getCheckpoint()).toBeNull();
+  });
+
+  it('should keep a checkpoint when interrupted and resume from it', async () => {
+    gmailAPI.getMessageDetails.mockImplementation(async (ids) => {
+      if (ids.includes('3')) throw new Error('Network error');
+      return { messages: ids.map(createMessage), failedIds: [] };
+    });
+
+    await expect(
+      new AnalysisJob({
+        historyId: '42',
+        maxMessages: 10,
+        analyses: ['threads'],
+      }).start()
+    ).rejects.toThrow('Network error');
+
+    const checkpoint = await AnalysisJob.getCheckpoint();
+    expect(checkpoint).toMatchObject({
+      historyId: '42',
+      maxMessages: 10,
+      analyses: ['threads'],
+      pageToken: 'page-3',
+      pendingIds: ['3', '4'],
+      processedCount: 2,
+    });
+
+    // After a reload, a new job picks up where the old one stopped
+    gmailAPI.getMessageDetails.mockImplementation(async (ids) => ({
+      messages: ids.map(createMessage),
+      failedIds: [],
+    }));
+    gmailAPI.listMessagesPage.mockClear();
+    const job = new AnalysisJob();
+    const report = await job.resumeFrom(checkpoint);
+
+    expect(job.historyId).toBe('42');
+    expect(gmailAPI.listMessagesPage).toHaveBeenCalledTimes(1);
+    expect(report.overview.totalEmails).toBe(5);
+    expect(await AnalysisJob.getCheckpoint()).toBeNull();
+  });
+
+  it('should forget a cancelled job', async () => {
+    const job = new AnalysisJob({
+      onProgress: ({ processed }) => {
+        if (processed === 2) job.cancel();
+      },
+    });
+
+    await expect(job.start()).rejects.toMatchObject({ name: 'AbortError' });
+
+    expect(job.state).toBe('cancelled');
+    expect(await AnalysisJob.getCheckpoint()).toBeNull();
+    expect(await StorageHelper.getAllRecords('job_messages')).toEqual([]);
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Analysis Pipeline Tests
+ * Covers paging through the mailbox, message limits, live updates and
+ * pause/resume
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+global.APP_CONFIG = {
+  MAX_LIST_PAGE_SIZE: 2,
+  STREAM_UPDATE_INTERVAL: 0,
+  ANALYSIS_CONFIG: { MIN_EMAIL_THRESHOLD: 2 },
+};
+
+const { default: EmailParser } = await import('../js/utils/email-parser');
+const { default: Formatters } = await import('../js/utils/formatters');
+const { default: DomainHelper } = await import('../js/utils/domain-helper');
+const { default: SubjectClusterer } = await import(
+  '../js/utils/subject-clusterer'
+);
+const { default: LabelHelper } = await import('../js/utils/label-helper');
+const { default: EmailAnalyzer } = await import(
+  '../js/components/email-analyzer'
+);
+
+global.EmailParser = EmailParser;
+global.Formatters = Formatters;
+global.DomainHelper = DomainHelper;
+global.SubjectClusterer = SubjectClusterer;
+global.LabelHelper = LabelHelper;
+global.EmailAnalyzer = EmailAnalyzer;
+
+const { default: AnalysisPipeline } = await import(
+  '../js/components/analysis-pipeline'
+);
+
+const createMessage = (id) => ({
+  id,
+  threadId: id,
+  sizeEstimate: 1000,
+  labelIds: ['INBOX'],
+  payload: {
+    headers: [
+      { name: 'From', value: `Sender ${id} <sender${id}@example.com>` },
+      { name: 'Subject', value: `Subject ${id}` },
+      { name: 'Date', value: 'Mon, 1 Jan 2024 10:00:00 +0000' },
+    ],
+  },
+});
+
+const pages = {
+  start: { ids: ['1', '2'], next: 'page-2' },
+  'page-2': { ids: ['3', '4'], next: 'page-3' },
+  'page-3': { ids: ['5'], next: null },
+};
+
+describe('AnalysisPipeline', () => {
+  beforeEach(() => {
+    global.gmailAPI = {
+      listMessagesPage: vi.fn(async ({ pageToken }) => {
+        const page = pages[pageToken || 'start'];
+        return {
+          messages: page.ids.map((id) => ({ id })),
+          nextPageToken: page.next,
+          resultSizeEstimate: 5,
+        };
+      }),
+      getMessageDetails: vi.fn(async (ids) => ({
+        messages: ids.map(createMessage),
+        failedIds: [],
+      })),
+    };
+  });
+
+  it('should page through the whole mailbox', async () => {
+    const onProgress = vi.fn();
+    const pipeline = new AnalysisPipeline({ query: 'in:inbox', onProgress });
+
+    const report = await pipeline.start();
+
+    expect(gmailAPI.listMessagesPage).toHaveBeenCalledTimes(3);
+    expect(gmailAPI.listMessagesPage).toHaveBeenCalledWith({
+      query: 'in:inbox',
+      pageSize: 2,
+      pageToken: 'page-2',
+      signal: null,
+    });
+    expect(report.overview.totalEmails).toBe(5);
+    expect(pipeline.state).toBe('done');
+    expect(onProgress).toHaveBeenLastCalledWith({
+      processed: 5,
+      total: 5,
+      percentage: 100,
+    });
+  });
+
+  it('should publish intermediate reports as pages arrive', async () => {
+    const totals = [];
+    const pipeline = new AnalysisPipeline({
+      onUpdate: (report) => totals.push(report.overview.totalEmails),
+    });
+
+    await pipeline.start();
+
+    expect(totals).toEqual([2, 4, 5]);
+  });
+
+  it('should wait while paused and continue on resume', async () => {
+    const pipeline = new AnalysisPipeline({
+      onProgress: ({ processed }) => {
+        if (processed === 2) pipeline.pause();
+      },
+    });
+
+    const done = pipeline.start();
+    await new Promise((resolve) => {
+      setTimeout(resolve, 10);
+    });
+
+    expect(pipeline.state).toBe('paused');
+    expect(gmailAPI.listMessagesPage).toHaveBeenCalledTimes(1);
+
+    pipeline.resume();
+    const report = await done;
+
+    expect(report.overview.totalEmails).toBe(5);
+  });
+
+  it('should finish with partial results when stopped', async () => {
+    const pipeline = new AnalysisPipeline({
+      onProgress: ({ processed }) => {
+        if (processed === 4) pipeline.stop();
+      },
+    });
+
+    const report = await pipeline.start();
+
+    expect(pipeline.state).toBe('stopped');
+    expect(report.overview.totalEmails).toBe(4);
+  });
+
+  it('should checkpoint each page before and after analyzing it', async () => {
+    const checkpoints = [];
+    const pipeline = new AnalysisPipeline({
+      onCheckpoint: async (checkpoint, emails) => {
+        checkpoints.push({ ...checkpoint, emails: emails.length });
+      },
+    });
+
+    await pipeline.start();
+
+    expect(checkpoints.slice(0, 2)).toEqual([
+      {
+        query: '',
+        maxMessages: 0,
+        pageToken: 'page-2',
+        pendingIds: ['1', '2'],
+        failedIds: [],
+        processedCount: 0,
+        estimatedTotal: 5,
+        emails: 0,
+      },
+      {
+        query: '',
+        maxMessages: 0,
+        pageToken: 'page-2',
+        pendingIds: [],
+        failedIds: [],
+        processedCount: 2,
+        estimatedTotal: 5,
+        emails: 2,
+      },
+    ]);
+    expect(checkpoints.at(-1)).toMatchObject({
+      pageToken: null,
+      processedCount: 5,
+    });
+  });
+
+  it('should stop listing once the message limit is reached', async () => {
+    const onProgress = vi.fn();
+    const pipeline = new AnalysisPipeline({ maxMessages: 3, onProgress });
+
+    const report = await pipeline.start();
+
+    expect(gmailAPI.listMessagesPage).toHaveBeenCalledTimes(2);
+    expect(gmailAPI.getMessageDetails).toHaveBeenLastCalledWith(['3'], null, {
+      signal: null,
+    });
+    expect(report.overview.totalEmails).toBe(3);
+    expect(pipeline.state).toBe('done');
+    expect(onProgress).toHaveBeenLastCalledWith({
+      processed: 3,
+      total: 3,
+      percentage: 100,
+    });
+  });
+
+  it('should retry messages that failed to load once at the end', async () => {
+    let calls = 0;
+    gmailAPI.getMessageDetails.mockImplementation(async (ids) => {
+      calls++;
+      const failedIds = ids.filter(
+        (id) => id === '5' || (id === '3' && calls === 2)
+      );
+      return {
+        messages: ids
+          .filter((id) => !failedIds.includes(id))
+          .map(createMessage),
+        failedIds,
+      };
+    });
+    const onProgress = vi.fn();
+    const pipeline = new AnalysisPipeline({ onProgress });
+
+    const report = await pipeline.start();
+
+    expect(gmailAPI.getMessageDetails).toHaveBeenLastCalledWith(
+      ['3', '5'],
+      null,
+      { signal: null }
+    );
+    expect(report.overview.totalEmails).toBe(4);
+    expect(pipeline.processedCount).toBe(4);
+    expect(pipeline.failedIds).toEqual(['5']);
+  });
+
+  it('should resume from a checkpoint with pending messages', async () => {
+    const analyzer = new EmailAnalyzer();
+    analyzer.addEmails(
+      EmailParser.parseMessages(['1', '2'].map(createMessage))
+    );
+    const pipeline = new AnalysisPipeline({ analyzer });
+
+    const report = await pipeline.start({
+      pageToken: 'page-3',
+      pendingIds: ['3', '4'],
+      processedCount: 2,
+      estimatedTotal: 5,
+    });
+
+    expect(gmailAPI.getMessageDetails).toHaveBeenCalledWith(['3', '4'], null, {
+      signal: null,
+    });
+    expect(gmailAPI.listMessagesPage).toHaveBeenCalledTimes(1);
+    expect(report.overview.totalEmails).toBe(5);
+  });
+
+  it('should reject with AbortError when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const pipeline = new AnalysisPipeline({
+      signal: controller.signal,
+      onProgress: ({ processed }) => {
+        if (processed === 2) controller.abort();
+      },
+    });
+
+    await expect(pipeline.start()).rejects.toMatchObject({
+      name: 'AbortError',
+    });
+    expect(pipeline.state).toBe('cancelled');
+    expect(gmailAPI.listMessagesPage).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Analysis Worker Tests
+ * Covers the worker message protocol and the page-side client
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+global.APP_CONFIG = {
+  ANALYSIS_WORKER_URL: 'js/workers/analysis-worker.js',
+  ANALYSIS_CONFIG: { MIN_EMAIL_THRESHOLD: 2 },
+};
+
+const { default: EmailParser } = await import('../js/utils/email-parser');
+const { default: Formatters } = await import('../js/utils/formatters');
+const { default: DomainHelper } = await import('../js/utils/domain-helper');
+const { default: SubjectClusterer } = await import(
+  '../js/utils/subject-clusterer'
+);
+const { default: LabelHelper } = await import('../js/utils/label-helper');
+const { default: EmailAnalyzer } = await import(
+  '../js/components/email-analyzer'
+);
+
+global.Formatters = Formatters;
+global.DomainHelper = DomainHelper;
+global.SubjectClusterer = SubjectClusterer;
+global.LabelHelper = LabelHelper;
+global.EmailAnalyzer = EmailAnalyzer;
+
+const { default: AnalysisWorker } = await import(
+  '../js/workers/analysis-worker'
+);
+const { default: AnalysisWorkerClient } = await import(
+  '../js/components/analysis-worker-client'
+);
+
+const emails = EmailParser.parseMessages(
+  ['1', '2', '3'].map((id) => ({
+    id,
+    threadId: id,
+    sizeEstimate: 1000,
+    labelIds: ['INBOX'],
+    payload: {
+      headers: [
+        { name: 'From', value: 'News <news@example.com>' },
+        { name: 'Subject', value: `Subject ${id}` },
+        { name: 'Date', value: 'Mon, 1 Jan 2024 10:00:00 +0000' },
+      ],
+    },
+  }))
+);
+
+/**
+ * Stand-in for a dedicated worker that runs AnalysisWorker in-process
+ */
+class FakeWorker {
+  constructor() {
+    this.handler = new AnalysisWorker((message) =>
+      setTimeout(() => this.onmessage({ data: message }), 0)
+    );
+    this.terminate = vi.fn();
+  }
+
+  postMessage(message) {
+    this.handler.handleMessage(message);
+  }
+}
+
+describe('AnalysisWorker', () => {
+  it('should stream sections, progress and the final report', async () => {
+    const messages = [];
+    const worker = new AnalysisWorker((message) => messages.push(message));
+
+    await worker.handleMessage({ type: 'start', jobId: 'job-1', emails });
+
+    const partials = messages.filter((m) => m.type === 'partial');
+    expect(partials.map((m) => m.section)).toEqual([
+      'senders',
+      'domains',
+      'subjects',
+      'threads',
+      'sizes',
+      'timeline',
+      'categories',
+      'labels',
+    ]);
+    expect(messages.filter((m) => m.type === 'progress').at(-1)).toMatchObject({
+      stage: 'labels',
+      percentage: 95,
+    });
+
+    const result = messages.at(-1);
+    expect(result.type).toBe('result');
+    expect(result.jobId).toBe('job-1');
+    expect(result.report.overview.totalEmails).toBe(3);
+    expect(result.report.senders.senders[0].count).toBe(3);
+    expect(result.report.senders.senders[0].totalSize).toBe(3000);
+    expect(result.report.categories[0].totalSize).toBe(3000);
+
+    const sent = new Date('Mon, 1 Jan 2024 10:00:00 +0000');
+    expect(
+      result.report.timeline.weekdayHourly[sent.getDay()][sent.getHours()]
+    ).toBe(3);
+  });
+
+  it('should stop a cancelled job at the next section', async () => {
+    const messages = [];
+    const worker = new AnalysisWorker((message) => messages.push(message));
+
+    const job = worker.handleMessage({ type: 'start', jobId: 'job-1', emails });
+    worker.handleMessage({ type: 'cancel', jobId: 'job-1' });
+    await job;
+
+    expect(messages.filter((m) => m.type === 'partial')).toHaveLength(1);
+    expect(messages.at(-1)).toEqual({ type: 'cancelled', jobId: 'job-1' });
+  });
+});
+
+describe('AnalysisWorkerClient', () => {
+  afterEach(() => {
+    delete global.Worker;
+  });
+
+  it('should build reports on the main thread without worker support', async () => {
+    const onPartial = vi.fn();
+    const client = new AnalysisWorkerClient();
+
+    const report = await client.generateReport(emails, { onPartial });
+
+    expect(report.overview.totalEmails).toBe(3);
+    expect(onPartial).toHaveBeenCalledWith('senders', expect.any(Object));
+  });
+
+  it('should resolve with the report built by the worker', async () => {
+    global.Worker = FakeWorker;
+    const onProgress = vi.fn();
+    const client = new AnalysisWorkerClient();
+
+    const report = await client.generateReport(emails, { onProgress });
+
+    expect(report.overview.totalEmails).toBe(3);
+    expect(onProgress).toHaveBeenCalledWith({
+      stage: 'senders',
+      percentage: 35,
+    });
+  });
+
+  it('should group organizations by the alias groups it is given', async () => {
+    global.Worker = FakeWorker;
+    const client = new AnalysisWorkerClient();
+
+    const report = await client.generateReport(emails, {
+      aliasGroups: [
+        { id: 'g1', name: 'Newsletters', patterns: ['@example.com'] },
+      ],
+    });
+
+    expect(report.domains.organizations[0]).toMatchObject({
+      type: 'alias',
+      label: 'Newsletters',
+    });
+  });
+
+  it('should reject the previous report when a new one starts', async () => {
+    global.Worker = FakeWorker;
+    const client = new AnalysisWorkerClient();
+
+    const first = client.generateReport(emails);
+    const second = client.generateReport(emails.slice(0, 1));
+
+    await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+    expect((await second).overview.totalEmails).toBe(1);
+  });
+});
@@ -118,6 +118,16 @@ describe('API Integration Tests', () => {
       expect(typeof instance.getCurrentUser).toBe('function');
       expect(typeof instance.getAuthToken).toBe('function');
       expect(typeof instance.isUserSignedIn).toBe('function');
+      expect(typeof instance.enableCleanupMode).toBe('function');
+      expect(typeof instance.disableCleanupMode).toBe('function');
+      expect(typeof instance.isCleanupModeEnabled).toBe('function');
+    });
+
+    it('should start with cleanup mode disabled', async () => {
+      const { GmailAuth } = await import('../js/auth/gmail-auth');
+      const instance = new GmailAuth();
+
+      expect(instance.isCleanupModeEnabled()).toBe(false);
     });
 
     it('should not have deprecated method names', async () => {
@@ -160,6 +170,293 @@ describe('API Integration Tests', () => {
       expect(typeof instance.getMessageDetails).toBe('function');
       expect(typeof instance.getUserProfile).toBe('function');
       expect(typeof instance.getLabels).toBe('function');
+      expect(typeof instance.trashMessages).toBe('function');
+      expect(typeof instance.untrashMessages).toBe('function');
+      expect(typeof instance.archiveMessages).toBe('function');
+      expect(typeof instance.batchModifyMessages).toBe('function');
+      expect(typeof instance.createLabel).toBe('function');
+      expect(typeof instance.createFilter).toBe('function');
+    });
+
+    it('should refuse to modify messages without cleanup mode', async () => {
+      global.gmailAuth.isCleanupModeEnabled = vi.fn().mockReturnValue(false);
+      global.gapi.client.gmail.users.messages.batchModify = vi.fn();
+      const { GmailAPI } = await import('../js/api/gmail-api');
+      const instance = new GmailAPI();
+
+      const result = await instance.trashMessages(['a', 'b']);
+
+      expect(result).toEqual({ modified: 0, failed: ['a', 'b'] });
+      expect(
+        global.gapi.client.gmail.users.messages.batchModify
+      ).not.toHaveBeenCalled();
+    });
+
+    it('should batch modify messages in chunks', async () => {
+      global.gmailAuth.isCleanupModeEnabled = vi.fn().mockReturnValue(true);
+      global.APP_CONFIG.BATCH_MODIFY_LIMIT = 2;
+      global.gapi.client.gmail.users.messages.batchModify = vi
+        .fn()
+        .mockResolvedValue({ result: {} });
+      global.UndoJournal = { record: vi.fn().mockResolvedValue({}) };
+      const { GmailAPI } = await import('../js/api/gmail-api');
+      const instance = new GmailAPI();
+      instance._delay = vi.fn().mockResolvedValue();
+
+      const labelsBefore = { a: ['INBOX'], b: ['INBOX'], c: [] };
+      const result = await instance.archiveMessages(['a', 'b', 'c'], {
+        labelsBefore,
+      });
+
+      expect(result).toEqual({ modified: 3, failed: [] });
+      expect(
+        global.gapi.client.gmail.users.messages.batchModify
+      ).toHaveBeenCalledTimes(2);
+      expect(
+        global.gapi.client.gmail.users.messages.batchModify
+      ).toHaveBeenCalledWith({
+        userId: 'me',
+        resource: { ids: ['c'], addLabelIds: [], removeLabelIds: ['INBOX'] },
+      });
+      expect(global.UndoJournal.record).toHaveBeenCalledWith(
+        expect.objectContaining({
+          operation: 'archive',
+          messageIds: ['a', 'b', 'c'],
+          labelsBefore,
+        })
+      );
+
+      delete global.UndoJournal;
+    });
+
+    it('should journal current labels when none are passed in', async () => {
+      global.gmailAuth.isCleanupModeEnabled = vi.fn().mockReturnValue(true);
+      global.gapi.client.gmail.users.messages.batchModify = vi
+        .fn()
+        .mockResolvedValue({ result: {} });
+      global.UndoJournal = { record: vi.fn().mockResolvedValue({}) };
+      const { GmailAPI } = await import('../js/api/gmail-api');
+      const instance = new GmailAPI();
+      instance.getMessageDetails = vi.fn().mockResolvedValue({
+        messages: [{ id: 'a', labelIds: ['INBOX', 'UNREAD'] }, { id: 'b' }],
+        failedIds: [],
+      });
+
+      const result = await instance.batchModifyMessages(
+        ['a', 'b'],
+        { addLabelIds: ['Label_1'] },
+        { operation: 'label' }
+      );
+
+      expect(result).toEqual({ modified: 2, failed: [] });
+      expect(instance.getMessageDetails).toHaveBeenCalledWith(
+        ['a', 'b'],
+        null,
+        { format: 'minimal' }
+      );
+      expect(global.UndoJournal.record).toHaveBeenCalledWith(
+        expect.objectContaining({
+          operation: 'label',
+          messageIds: ['a', 'b'],
+          labelsBefore: { a: ['INBOX', 'UNREAD'], b: [] },
+        })
+      );
+
+      delete global.UndoJournal;
+    });
+
+    it('should refuse to create filters without filter permission', async () => {
+      global.gmailAuth.canCreateFilters = vi.fn().mockReturnValue(false);
+      global.gapi.client.gmail.users.settings = {
+        filters: { create: vi.fn() },
+      };
+      const { GmailAPI } = await import('../js/api/gmail-api');
+      const instance = new GmailAPI();
+
+      const filter = await instance.createFilter(
+        { from: '@jira.example.com' },
+        { addLabelIds: ['Label_1'] }
+      );
+
+      expect(filter).toBeNull();
+      expect(
+        global.gapi.client.gmail.users.settings.filters.create
+      ).not.toHaveBeenCalled();
+    });
+
+    it('should create filters through the settings API', async () => {
+      global.gmailAuth.canCreateFilters = vi.fn().mockReturnValue(true);
+      global.gapi.client.gmail.users.settings = {
+        filters: {
+          create: vi.fn().mockResolvedValue({ result: { id: 'filter-1' } }),
+        },
+      };
+      const { GmailAPI } = await import('../js/api/gmail-api');
+      const instance = new GmailAPI();
+
+      const criteria = { from: '@jira.example.com' };
+      const action = { addLabelIds: ['Label_1'], removeLabelIds: ['INBOX'] };
+      const filter = await instance.createFilter(criteria, action);
+
+      expect(filter).toEqual({ id: 'filter-1' });
+      expect(
+        global.gapi.client.gmail.users.settings.filters.create
+      ).toHaveBeenCalledWith({
+        userId: 'me',
+        resource: { criteria, action },
+      });
+    });
+
+    describe('HTTP batch requests', () => {
+      const createBatch = (responder) => {
+        const ids = [];
+        const response = Promise.resolve().then(() => responder(ids));
+        return {
+          add: vi.fn((request, { id }) => ids.push(id)),
+          then: (resolve, reject) => response.then(resolve, reject),
+        };
+      };
+      const ok = (id) => ({ status: 200, result: { id } });
+
+      beforeEach(() => {
+        global.APP_CONFIG.BATCH_REQUEST_SIZE = 4;
+        global.APP_CONFIG.MIN_BATCH_REQUEST_SIZE = 1;
+        global.APP_CONFIG.MAX_BATCH_RETRIES = 2;
+        global.gapi.client.gmail.users.messages.get = vi.fn((params) => params);
+      });
+
+      afterEach(() => {
+        delete global.gapi.client.newBatch;
+      });
+
+      it('should pack messages.get calls into batches', async () => {
+        global.gapi.client.newBatch = vi.fn(() =>
+          createBatch((ids) => ({
+            result: Object.fromEntries(ids.map((id) => [id, ok(id)])),
+          }))
+        );
+        const { GmailAPI } = await import('../js/api/gmail-api');
+        const instance = new GmailAPI();
+        instance._delay = vi.fn().mockResolvedValue();
+
+        const ids = ['a', 'b', 'c', 'd', 'e', 'f'];
+        const { messages, failedIds } = await instance.getMessageDetails(ids);
+
+        expect(messages.map((m) => m.id)).toEqual(ids);
+        expect(failedIds).toEqual([]);
+        expect(global.gapi.client.newBatch).toHaveBeenCalledTimes(2);
+      });
+
+      it('should retry rate-limited parts with a smaller batch', async () => {
+        let call = 0;
+        global.gapi.client.newBatch = vi.fn(() =>
+          createBatch((ids) => {
+            call++;
+            return {
+              result: Object.fromEntries(
+                ids.map((id) => [
+                  id,
+                  call === 1 && id === 'b' ? { status: 429 } : ok(id),
+                ])
+              ),
+            };
+          })
+        );
+        const { GmailAPI } = await import('../js/api/gmail-api');
+        const instance = new GmailAPI();
+        instance._delay = vi.fn().mockResolvedValue();
+
+        const { messages } = await instance.getMessageDetails(['a', 'b', 'c']);
+
+        expect(messages.map((m) => m.id).sort()).toEqual(['a', 'b', 'c']);
+        expect(global.gapi.client.newBatch).toHaveBeenCalledTimes(2);
+        expect(instance.batchSize).toBe(3);
+      });
+
+      it('should drop parts that fail permanently', async () => {
+        global.gapi.client.newBatch = vi.fn(() =>
+          createBatch((ids) => ({
+            result: Object.fromEntries(
+              ids.map((id) => [id, id === 'gone' ? { status: 404 } : ok(id)])
+            ),
+          }))
+        );
+        const { GmailAPI } = await import('../js/api/gmail-api');
+        const instance = new GmailAPI();
+        instance._delay = vi.fn().mockResolvedValue();
+        const onProgress = vi.fn();
+
+        const result = await instance.getMessageDetails(
+          ['a', 'gone'],
+          onProgress
+        );
+
+        expect(result).toEqual({
+          messages: [{ id: 'a' }],
+          failedIds: ['gone'],
+        });
+        expect(global.gapi.client.newBatch).toHaveBeenCalledTimes(1);
+        expect(onProgress).toHaveBeenCalledWith({
+          processed: 2,
+          total: 2,
+          percentage: 100,
+        });
+      });
+
+      it('should keep fetched pages when a whole batch is rejected', async () => {
+        let call = 0;
+        global.gapi.client.newBatch = vi.fn(() =>
+          createBatch((ids) => {
+            call++;
+            if (call === 2)
+              throw Object.assign(new Error('Bad'), { status: 400 });
+            return {
+              result: Object.fromEntries(ids.map((id) => [id, ok(id)])),
+            };
+          })
+        );
+        const { GmailAPI } = await import('../js/api/gmail-api');
+        const instance = new GmailAPI();
+        instance._delay = vi.fn().mockResolvedValue();
+
+        const result = await instance.getMessageDetails([
+          'a',
+          'b',
+          'c',
+          'd',
+          'e',
+          'f',
+          'g',
+          'h',
+          'i',
+          'j',
+        ]);
+
+        expect(result.messages.map((m) => m.id)).toEqual(['a', 'b', 'c', 'd']);
+        expect(result.failedIds).toEqual(['e', 'f', 'g', 'h', 'i', 'j']);
+        expect(global.gapi.client.newBatch).toHaveBeenCalledTimes(2);
+      });
+
+      it('should stop between batches when aborted', async () => {
+        const controller = new AbortController();
+        global.gapi.client.newBatch = vi.fn(() =>
+          createBatch((ids) => {
+            controller.abort();
+            return {
+              result: Object.fromEntries(ids.map((id) => [id, ok(id)])),
+            };
+          })
+        );
+        const { GmailAPI } = await import('../js/api/gmail-api');
+        const instance = new GmailAPI();
+
+        await expect(
+          instance.getMessageDetails(['a', 'b', 'c', 'd', 'e'], null, {
+            signal: controller.signal,
+          })
+        ).rejects.toMatchObject({ name: 'AbortError' });
+        expect(global.gapi.client.newBatch).toHaveBeenCalledTimes(1);
+      });
     });
   });
 
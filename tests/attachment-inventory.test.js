@@ -0,0 +1,249 @@
+/**
+ * Attachment Inventory Tests
+ * Covers part parsing, file classification, duplicate detection and scanning
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+global.APP_CONFIG = {
+  STORAGE_KEYS: { FALLBACK_STORE_PREFIX: 'test_store_' },
+  INDEXED_DB: { STORES: { ATTACHMENTS: 'attachments' } },
+};
+
+const { default: EmailParser } = await import('../js/utils/email-parser');
+const { default: StorageHelper } = await import('../js/utils/storage-helper');
+
+global.EmailParser = EmailParser;
+global.StorageHelper = StorageHelper;
+
+const { default: AttachmentInventory } = await import(
+  '../js/components/attachment-inventory'
+);
+
+const MB = 1024 * 1024;
+
+const createMessage = (id, parts, from = 'Scanner <scanner@office.com>') => ({
+  id,
+  threadId: `t${id}`,
+  sizeEstimate: 10 * MB,
+  labelIds: ['INBOX'],
+  payload: {
+    mimeType: 'multipart/mixed',
+    headers: [
+      { name: 'From', value: from },
+      { name: 'Subject', value: `Scan ${id}` },
+      { name: 'Date', value: 'Mon, 1 Jan 2024 10:00:00 +0000' },
+    ],
+    parts: [
+      {
+        partId: '0',
+        mimeType: 'multipart/alternative',
+        filename: '',
+        body: { size: 0 },
+        parts: [
+          {
+            partId: '0.0',
+            mimeType: 'text/plain',
+            filename: '',
+            body: { size: 120 },
+          },
+        ],
+      },
+      ...parts,
+    ],
+  },
+});
+
+const createPart = (partId, filename, mimeType, size) => ({
+  partId,
+  filename,
+  mimeType,
+  body: { size, attachmentId: `att-${partId}` },
+});
+
+describe('AttachmentInventory', () => {
+  describe('EmailParser.parseAttachments()', () => {
+    it('should list named parts at any depth and skip message bodies', () => {
+      const message = createMessage('1', [
+        createPart('1', 'invoice.pdf', 'application/PDF', 2 * MB),
+        {
+          partId: '2',
+          mimeType: 'multipart/related',
+          filename: '',
+          body: { size: 0 },
+          parts: [createPart('2.1', 'logo.png', 'image/png', 4096)],
+        },
+      ]);
+
+      expect(EmailParser.parseAttachments(message)).toEqual([
+        {
+          partId: '1',
+          filename: 'invoice.pdf',
+          mimeType: 'application/pdf',
+          size: 2 * MB,
+          attachmentId: 'att-1',
+        },
+        {
+          partId: '2.1',
+          filename: 'logo.png',
+          mimeType: 'image/png',
+          size: 4096,
+          attachmentId: 'att-2.1',
+        },
+      ]);
+    });
+  });
+
+  describe('classify()', () => {
+    it('should group files by MIME type', () => {
+      expect(AttachmentInventory.classify('application/pdf', 'a')).toBe('pdf');
+      expect(AttachmentInventory.classify('image/jpeg', 'a')).toBe('image');
+      expect(AttachmentInventory.classify('video/mp4', 'a')).toBe('video');
+      expect(AttachmentInventory.classify('application/zip', 'a')).toBe(
+        'archive'
+      );
+      expect(
+        AttachmentInventory.classify(
+          'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+          'a'
+        )
+      ).toBe('document');
+    });
+
+    it('should fall back to the extension for generic types', () => {
+      expect(
+        AttachmentInventory.classify('application/octet-stream', 'IMG_1.HEIC')
+      ).toBe('image');
+      expect(
+        AttachmentInventory.classify('application/octet-stream', 'backup.7z')
+      ).toBe('archive');
+      expect(
+        AttachmentInventory.classify('application/octet-stream', 'data.bin')
+      ).toBe('other');
+    });
+  });
+
+  describe('summarize()', () => {
+    const attachments = [
+      createMessage('1', [
+        createPart('1', 'Report.pdf', 'application/pdf', MB),
+      ]),
+      createMessage('2', [
+        createPart('1', 'report.pdf', 'application/pdf', MB),
+      ]),
+      createMessage(
+        '3',
+        [
+          createPart('1', 'report.pdf', 'application/pdf', MB),
+          createPart('2', 'movie.mov', 'video/quicktime', 20 * MB),
+        ],
+        'Friend <friend@example.com>'
+      ),
+      createMessage('4', [createPart('1', 'report.pdf', 'application/pdf', 5)]),
+    ].flatMap((message) => AttachmentInventory.fromMessage(message));
+    const summary = AttachmentInventory.summarize(attachments);
+
+    it('should record sender, subject and thread for each file', () => {
+      expect(attachments[0]).toMatchObject({
+        id: '1:1',
+        messageId: '1',
+        threadId: 't1',
+        type: 'pdf',
+        senderEmail: 'scanner@office.com',
+        subject: 'Scan 1',
+      });
+    });
+
+    it('should total storage by type, largest first', () => {
+      expect(summary.count).toBe(5);
+      expect(summary.messageCount).toBe(4);
+      expect(summary.byType[0]).toMatchObject({
+        id: 'video',
+        count: 1,
+        totalSize: 20 * MB,
+      });
+      expect(summary.byType[1]).toMatchObject({ id: 'pdf', count: 4 });
+    });
+
+    it('should detect files with the same name and size', () => {
+      expect(summary.duplicates).toHaveLength(1);
+      expect(summary.duplicates[0]).toMatchObject({
+        count: 3,
+        size: MB,
+        wastedSize: 2 * MB,
+        messageIds: ['1', '2', '3'],
+        senders: ['scanner@office.com', 'friend@example.com'],
+      });
+    });
+
+    it('should sort files by size', () => {
+      expect(summary.largest.map((file) => file.size)).toEqual([
+        20 * MB,
+        MB,
+        MB,
+        MB,
+        5,
+      ]);
+    });
+  });
+
+  describe('scan()', () => {
+    beforeEach(() => {
+      const store = {};
+      localStorage.getItem.mockImplementation((key) => store[key] ?? null);
+      localStorage.setItem.mockImplementation((key, value) => {
+        store[key] = value;
+      });
+      localStorage.removeItem.mockImplementation((key) => {
+        delete store[key];
+      });
+    });
+
+    it('should page through messages with attachments and save the files', async () => {
+      const pages = {
+        null: { messages: [{ id: '1' }], nextPageToken: 'p2' },
+        p2: { messages: [{ id: '2' }], nextPageToken: null },
+      };
+      global.gmailAPI = {
+        listMessagesPage: vi.fn(({ pageToken }) =>
+          Promise.resolve({ ...pages[pageToken], resultSizeEstimate: 2 })
+        ),
+        getMessageDetails: vi.fn((ids) =>
+          Promise.resolve({
+            messages: ids.map((id) =>
+              createMessage(id, [
+                createPart('1', `${id}.zip`, 'application/zip', MB),
+              ])
+            ),
+            failedIds: [],
+          })
+        ),
+      };
+      const onProgress = vi.fn();
+
+      const attachments = await new AttachmentInventory({
+        query: 'larger:1M',
+        onProgress,
+      }).scan();
+
+      expect(gmailAPI.listMessagesPage).toHaveBeenCalledWith(
+        expect.objectContaining({ query: 'has:attachment larger:1M' })
+      );
+      expect(gmailAPI.getMessageDetails).toHaveBeenCalledWith(['1'], null, {
+        format: 'parts',
+        signal: null,
+      });
+      expect(attachments.map((file) => file.filename)).toEqual([
+        '1.zip',
+        '2.zip',
+      ]);
+      expect(onProgress).toHaveBeenLastCalledWith({
+        scanned: 2,
+        total: 2,
+        percentage: 100,
+        attachmentCount: 2,
+      });
+      expect(await AttachmentInventory.load()).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Domain Helper Tests
+ * Covers registrable domains, sender patterns and organization rollups
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const { default: DomainHelper } = await import('../js/utils/domain-helper');
+
+const createSender = (email, count, totalSize = count * 1000) => ({
+  id: email,
+  name: email.split('@')[0],
+  email,
+  count,
+  totalSize,
+});
+
+describe('DomainHelper', () => {
+  describe('getRegistrableDomain()', () => {
+    it('should strip subdomains down to eTLD+1', () => {
+      expect(DomainHelper.getRegistrableDomain('mail.github.com')).toBe(
+        'github.com'
+      );
+      expect(DomainHelper.getRegistrableDomain('github.com')).toBe(
+        'github.com'
+      );
+    });
+
+    it('should keep one label below multi-label suffixes', () => {
+      expect(DomainHelper.getRegistrableDomain('email.bbc.co.uk')).toBe(
+        'bbc.co.uk'
+      );
+      expect(DomainHelper.getRegistrableDomain('news.shop.com.au')).toBe(
+        'shop.com.au'
+      );
+    });
+  });
+
+  describe('matchesSender()', () => {
+    it('should match addresses exactly and domains with subdomains', () => {
+      expect(
+        DomainHelper.matchesSender('Jira@Atlassian.net', 'jira@atlassian.net')
+      ).toBe(true);
+      expect(
+        DomainHelper.matchesSender('a@mail.atlassian.net', '@atlassian.net')
+      ).toBe(true);
+      expect(
+        DomainHelper.matchesSender('a@atlassian.net', 'atlassian.net')
+      ).toBe(true);
+      expect(
+        DomainHelper.matchesSender('a@notatlassian.net', 'atlassian.net')
+      ).toBe(false);
+      expect(DomainHelper.matchesSender('a@atlassian.net', '')).toBe(false);
+    });
+  });
+
+  describe('rollup()', () => {
+    const senders = [
+      createSender('noreply@github.com', 40),
+      createSender('notifications@github.com', 30),
+      createSender('billing@mail.github.com', 5),
+      createSender('jira@atlassian.net', 10),
+      createSender('confluence@atlassian.net', 5),
+      createSender('friend@example.org', 10),
+    ];
+
+    it('should group addresses under their registrable domain', () => {
+      const [github] = DomainHelper.rollup(senders, { totalEmails: 100 });
+
+      expect(github).toMatchObject({
+        id: 'github.com',
+        type: 'organization',
+        count: 75,
+        senderCount: 3,
+        percentage: 75,
+      });
+      expect(github.domains.map((d) => [d.domain, d.count])).toEqual([
+        ['github.com', 70],
+        ['mail.github.com', 5],
+      ]);
+    });
+
+    it('should pull senders matching an alias group into it', () => {
+      const organizations = DomainHelper.rollup(senders, {
+        aliasGroups: [
+          {
+            id: 'g1',
+            name: 'Atlassian tools',
+            patterns: ['jira@atlassian.net', 'friend@example.org'],
+          },
+        ],
+      });
+
+      expect(organizations.map((o) => [o.label, o.count])).toEqual([
+        ['github.com', 75],
+        ['Atlassian tools', 20],
+        ['atlassian.net', 5],
+      ]);
+      expect(organizations[1].type).toBe('alias');
+      expect(organizations[1].domains.map((d) => d.domain)).toEqual([
+        'atlassian.net',
+        'example.org',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Dry Run Tests
+ * Verifies cleanup simulation matching and reporting
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const { default: EmailAnalyzer } = await import(
+  '../js/components/email-analyzer'
+);
+const { default: DownloadHelper } = await import('../js/utils/download-helper');
+const { default: DomainHelper } = await import('../js/utils/domain-helper');
+
+global.EmailAnalyzer = EmailAnalyzer;
+global.DownloadHelper = DownloadHelper;
+global.DomainHelper = DomainHelper;
+
+const { default: DryRun } = await import('../js/components/dry-run');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.now();
+
+const createEmail = (overrides = {}) => ({
+  id: 'm1',
+  threadId: 't1',
+  senderEmail: 'news@shop.example.com',
+  senderName: 'Shop News',
+  subject: 'Weekly deals',
+  sizeEstimate: 2048,
+  timestamp: now - 100 * DAY_MS,
+  date: new Date(now - 100 * DAY_MS),
+  category: 'promotions',
+  labels: ['CATEGORY_PROMOTIONS'],
+  isStarred: false,
+  isImportant: false,
+  ...overrides,
+});
+
+describe('DryRun', () => {
+  describe('matches()', () => {
+    it('should match exact sender addresses and domains', () => {
+      const email = createEmail();
+
+      expect(DryRun.matches(email, { sender: 'news@shop.example.com' })).toBe(
+        true
+      );
+      expect(DryRun.matches(email, { sender: '@example.com' })).toBe(true);
+      expect(DryRun.matches(email, { sender: 'shop.example.com' })).toBe(true);
+      expect(DryRun.matches(email, { sender: 'other@example.com' })).toBe(
+        false
+      );
+      expect(DryRun.matches(email, { sender: 'ample.com' })).toBe(false);
+    });
+
+    it('should combine size, age, subject and category conditions', () => {
+      const email = createEmail();
+
+      expect(
+        DryRun.matches(
+          email,
+          {
+            subjectPattern: 'deals|digest',
+            minSize: 1024,
+            olderThanDays: 90,
+            category: 'promotions',
+          },
+          now
+        )
+      ).toBe(true);
+      expect(DryRun.matches(email, { olderThanDays: 365 }, now)).toBe(false);
+      expect(DryRun.matches(email, { minSize: 4096 })).toBe(false);
+      expect(DryRun.matches(email, { category: 'social' })).toBe(false);
+    });
+
+    it('should treat invalid regular expressions as plain text', () => {
+      const email = createEmail({ subject: 'Sale (50% off' });
+
+      expect(DryRun.matches(email, { subjectPattern: '(50%' })).toBe(true);
+    });
+  });
+
+  describe('simulate()', () => {
+    it('should require at least one condition', async () => {
+      await expect(DryRun.simulate([createEmail()], {})).rejects.toThrow();
+    });
+
+    it('should report affected emails, storage and protected messages', async () => {
+      const emails = [
+        createEmail({ id: 'a', isStarred: true }),
+        createEmail({ id: 'b', isImportant: true, sizeEstimate: 1000 }),
+        createEmail({ id: 'c', senderEmail: 'friend@mail.test' }),
+      ];
+
+      const report = await DryRun.simulate(emails, {
+        action: 'trash',
+        criteria: { sender: '@example.com' },
+      });
+
+      expect(report.scannedCount).toBe(3);
+      expect(report.matchedCount).toBe(2);
+      expect(report.reclaimableSize).toBe(3048);
+      expect(report.starred).toEqual(['a']);
+      expect(report.important).toEqual(['b']);
+      expect(report.senders).toHaveLength(1);
+      expect(report.senders[0].count).toBe(2);
+    });
+
+    it('should not count archived emails as reclaimed storage', async () => {
+      const report = await DryRun.simulate([createEmail()], {
+        action: 'archive',
+        criteria: { category: 'promotions' },
+      });
+
+      expect(report.totalSize).toBe(2048);
+      expect(report.reclaimableSize).toBe(0);
+    });
+  });
+
+  describe('toCsv()', () => {
+    it('should escape commas and quotes', async () => {
+      const report = await DryRun.simulate(
+        [createEmail({ subject: 'Deals, "today" only' })],
+        { criteria: { category: 'promotions' } }
+      );
+
+      const csv = DryRun.toCsv(report);
+
+      expect(csv.split('\r\n')).toHaveLength(2);
+      expect(csv).toContain('"Deals, ""today"" only"');
+    });
+  });
+});
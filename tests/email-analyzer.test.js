@@ -0,0 +1,305 @@
+/**
+ * Email Analyzer Tests
+ * Covers thread-level grouping, domain rollups, subject templates, label
+ * breakdowns and optional report sections
+ */
+
+import { describe, it, expect } from 'vitest';
+
+global.APP_CONFIG = {
+  ANALYSIS_CONFIG: { MIN_EMAIL_THRESHOLD: 2 },
+};
+
+const { default: EmailParser } = await import('../js/utils/email-parser');
+const { default: Formatters } = await import('../js/utils/formatters');
+const { default: DomainHelper } = await import('../js/utils/domain-helper');
+const { default: SubjectClusterer } = await import(
+  '../js/utils/subject-clusterer'
+);
+const { default: LabelHelper } = await import('../js/utils/label-helper');
+
+global.Formatters = Formatters;
+global.DomainHelper = DomainHelper;
+global.SubjectClusterer = SubjectClusterer;
+global.LabelHelper = LabelHelper;
+
+const { default: EmailAnalyzer } = await import(
+  '../js/components/email-analyzer'
+);
+
+const createMessage = (id, threadId, from, to, subject, date, size = 1000) => ({
+  id,
+  threadId,
+  sizeEstimate: size,
+  labelIds: ['INBOX'],
+  payload: {
+    headers: [
+      { name: 'From', value: from },
+      { name: 'To', value: to },
+      { name: 'Subject', value: subject },
+      { name: 'Date', value: date },
+    ],
+  },
+});
+
+const emails = EmailParser.parseMessages([
+  createMessage(
+    '1',
+    't1',
+    'Alice <alice@example.com>',
+    'team@example.com, Bob <bob@example.com>',
+    'Launch plan',
+    'Mon, 1 Jan 2024 10:00:00 +0000'
+  ),
+  createMessage(
+    '2',
+    't1',
+    'Bob <bob@example.com>',
+    'Alice <alice@example.com>, team@example.com',
+    'Re: Launch plan',
+    'Wed, 3 Jan 2024 10:00:00 +0000',
+    5000
+  ),
+  createMessage(
+    '3',
+    't1',
+    'Alice <alice@example.com>',
+    'team@example.com',
+    'Re: Re: Launch plan',
+    'Tue, 2 Jan 2024 10:00:00 +0000'
+  ),
+  createMessage(
+    '4',
+    't2',
+    'News <news@example.com>',
+    'me@example.com',
+    'Weekly digest',
+    'Thu, 4 Jan 2024 10:00:00 +0000',
+    20000
+  ),
+]);
+
+describe('EmailAnalyzer', () => {
+  describe('analyzeByDomain()', () => {
+    it('should roll every sender up to its registrable domain', async () => {
+      const result = await new EmailAnalyzer().analyzeByDomain(emails);
+
+      expect(result.organizations).toHaveLength(1);
+      expect(result.organizations[0]).toMatchObject({
+        id: 'example.com',
+        count: 4,
+        senderCount: 3,
+        percentage: 100,
+      });
+      expect(result.statistics).toEqual({
+        organizationCount: 1,
+        domainCount: 1,
+        multiSenderOrganizations: 1,
+      });
+    });
+  });
+
+  describe('generateReport()', () => {
+    it('should skip optional sections that were turned off', async () => {
+      const report = await new EmailAnalyzer().generateReport(emails, {
+        sections: ['subjects'],
+      });
+
+      expect(report.skippedSections).toEqual([
+        'domains',
+        'threads',
+        'timeline',
+        'categories',
+      ]);
+      expect(report.subjects.subjects.length).toBeGreaterThan(0);
+      expect(report.threads.threads).toEqual([]);
+      expect(report.domains.organizations).toEqual([]);
+      expect(report.overview.totalEmails).toBe(4);
+      expect(report.senders.senders).toHaveLength(3);
+    });
+
+    it('should run every section by default', async () => {
+      const report = await new EmailAnalyzer().generateReport(emails);
+
+      expect(report.skippedSections).toEqual([]);
+      expect(report.threads.totalThreads).toBe(2);
+    });
+  });
+
+  describe('analyzeBySubject()', () => {
+    it('should report templates shared by differing subjects', async () => {
+      const result = await new EmailAnalyzer().analyzeBySubject([
+        ...emails,
+        ...EmailParser.parseMessages([
+          createMessage(
+            '5',
+            't3',
+            'Shop <orders@shop.com>',
+            'me@example.com',
+            'Your order #12345 has shipped',
+            'Fri, 5 Jan 2024 10:00:00 +0000'
+          ),
+          createMessage(
+            '6',
+            't4',
+            'Shop <orders@shop.com>',
+            'me@example.com',
+            'Your order #67890 has shipped',
+            'Sat, 6 Jan 2024 10:00:00 +0000'
+          ),
+        ]),
+      ]);
+
+      expect(result.clusters).toHaveLength(1);
+      expect(result.clusters[0]).toMatchObject({
+        template: 'your order {id} has shipped',
+        count: 2,
+        variantCount: 2,
+      });
+      expect(result.statistics.templateCount).toBe(1);
+    });
+  });
+
+  describe('analyzeByThread()', () => {
+    it('should group messages by thread and keep conversations', async () => {
+      const result = await new EmailAnalyzer().analyzeByThread(emails);
+
+      expect(result.totalThreads).toBe(2);
+      expect(result.threads).toHaveLength(1);
+      expect(result.statistics).toMatchObject({
+        conversationCount: 1,
+        messagesInConversations: 3,
+        longestThread: 3,
+      });
+    });
+
+    it('should measure size, duration and last activity', async () => {
+      const [thread] = (await new EmailAnalyzer().analyzeByThread(emails))
+        .threads;
+
+      expect(thread).toMatchObject({
+        id: 't1',
+        subject: 'Launch plan',
+        messageCount: 3,
+        totalSize: 7000,
+        duration: 2 * 24 * 60 * 60 * 1000,
+      });
+      expect(thread.lastActivity).toEqual(
+        new Date('Wed, 3 Jan 2024 10:00:00 +0000')
+      );
+    });
+
+    it('should list senders and recipients as participants', async () => {
+      const [thread] = (await new EmailAnalyzer().analyzeByThread(emails))
+        .threads;
+
+      expect(thread.participantCount).toBe(3);
+      expect(thread.participants).toEqual([
+        { email: 'alice@example.com', name: 'Alice', messageCount: 2 },
+        { email: 'bob@example.com', name: 'Bob', messageCount: 1 },
+        { email: 'team@example.com', name: '', messageCount: 0 },
+      ]);
+    });
+
+    it('should rank all threads by size', async () => {
+      const result = await new EmailAnalyzer().analyzeByThread(emails);
+
+      expect(result.largestThreads.map((thread) => thread.id)).toEqual([
+        't2',
+        't1',
+      ]);
+    });
+  });
+
+  describe('analyzeByLabel()', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const now = 100 * DAY;
+    const labels = [
+      { id: 'INBOX', name: 'INBOX', type: 'system' },
+      {
+        id: 'Label_1',
+        name: 'Work',
+        type: 'user',
+        color: { backgroundColor: '#fb4c2f', textColor: '#ffffff' },
+      },
+      { id: 'Label_2', name: 'Work/Clients', type: 'user' },
+      { id: 'Label_3', name: 'Receipts', type: 'user' },
+    ];
+    const labeled = [
+      {
+        id: 'a',
+        senderEmail: 'boss@example.com',
+        senderName: 'Boss',
+        sizeEstimate: 1000,
+        timestamp: 90 * DAY,
+        labels: ['INBOX', 'Label_1', 'Label_2', 'UNREAD'],
+      },
+      {
+        id: 'b',
+        senderEmail: 'client@example.com',
+        senderName: 'Client',
+        sizeEstimate: 5000,
+        timestamp: 80 * DAY,
+        labels: ['Label_2', 'CATEGORY_UPDATES'],
+      },
+      {
+        id: 'c',
+        senderEmail: 'shop@example.com',
+        sizeEstimate: 500,
+        timestamp: 50 * DAY,
+        labels: ['INBOX'],
+      },
+    ];
+
+    it('should resolve names and total each label', () => {
+      const result = new EmailAnalyzer().analyzeByLabel(labeled, labels, now);
+
+      expect(result.labels.map((label) => label.name)).toEqual([
+        'Work/Clients',
+        'Inbox',
+        'Work',
+      ]);
+      expect(result.labels[2]).toMatchObject({
+        id: 'Label_1',
+        type: 'user',
+        color: '#fb4c2f',
+        count: 1,
+        unreadCount: 1,
+        totalSize: 1000,
+        oldest: 90 * DAY,
+        avgAgeDays: 10,
+      });
+      expect(result.labels[0].topSenders.map((s) => s.email)).toEqual([
+        'client@example.com',
+        'boss@example.com',
+      ]);
+      expect(result.statistics).toEqual({
+        userLabelCount: 2,
+        nestedLabelCount: 1,
+        labeledEmails: 2,
+        unlabeledEmails: 1,
+      });
+    });
+
+    it('should nest user labels and count each email once per subtree', () => {
+      const { tree } = new EmailAnalyzer().analyzeByLabel(labeled, labels, now);
+
+      expect(tree).toHaveLength(1);
+      expect(tree[0]).toMatchObject({
+        name: 'Work',
+        count: 2,
+        totalSize: 6000,
+      });
+      expect(tree[0].label.count).toBe(1);
+      expect(tree[0].children.map((node) => node.path)).toEqual([
+        'Work/Clients',
+      ]);
+    });
+
+    it('should keep label IDs that are not in the label list', () => {
+      const result = new EmailAnalyzer().analyzeByLabel(labeled, [], now);
+
+      expect(result.labels.map((label) => label.name)).toContain('Label_2');
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Exporter Tests
+ * Covers section tables, the JSON schema and the ZIP/XLSX containers
+ */
+
+import { describe, it, expect } from 'vitest';
+
+global.APP_CONFIG = {
+  EXPORT_SCHEMA_VERSION: 1,
+  ANALYSIS_CONFIG: { MIN_EMAIL_THRESHOLD: 2 },
+};
+
+const { default: EmailParser } = await import('../js/utils/email-parser');
+const { default: Formatters } = await import('../js/utils/formatters');
+const { default: DomainHelper } = await import('../js/utils/domain-helper');
+const { default: SubjectClusterer } = await import(
+  '../js/utils/subject-clusterer'
+);
+const { default: LabelHelper } = await import('../js/utils/label-helper');
+const { default: DownloadHelper } = await import('../js/utils/download-helper');
+const { default: ZipWriter } = await import('../js/utils/zip-writer');
+const { default: EmailAnalyzer } = await import(
+  '../js/components/email-analyzer'
+);
+
+global.Formatters = Formatters;
+global.DomainHelper = DomainHelper;
+global.SubjectClusterer = SubjectClusterer;
+global.LabelHelper = LabelHelper;
+global.DownloadHelper = DownloadHelper;
+global.ZipWriter = ZipWriter;
+
+const { default: Exporter } = await import('../js/components/exporter');
+
+const analyzer = new EmailAnalyzer();
+analyzer.addEmails(
+  EmailParser.parseMessages(
+    ['1', '2', '3'].map((id) => ({
+      id,
+      threadId: id,
+      sizeEstimate: 1000,
+      labelIds: ['INBOX'],
+      payload: {
+        headers: [
+          { name: 'From', value: 'News, Inc <news@example.com>' },
+          { name: 'Subject', value: `Weekly digest #${id}` },
+          { name: 'Date', value: `Mon, ${id} Jan 2024 10:00:00 +0000` },
+        ],
+      },
+    }))
+  )
+);
+const report = await analyzer.generateReport(analyzer.emails);
+
+/**
+ * Read the file names stored in a ZIP archive's central directory
+ */
+function listZipEntries(bytes) {
+  const view = new DataView(bytes.buffer);
+  const end = bytes.length - 22;
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const names = [];
+
+  for (let i = 0; i < count; i++) {
+    const nameLength = view.getUint16(offset + 28, true);
+    names.push(
+      new TextDecoder().decode(
+        bytes.slice(offset + 46, offset + 46 + nameLength)
+      )
+    );
+    offset += 46 + nameLength;
+  }
+  return names;
+}
+
+describe('Exporter', () => {
+  it('should build section tables with a header row', () => {
+    const [header, ...rows] = Exporter.buildTable(report, 'senders');
+
+    expect(header).toContain('email');
+    expect(rows).toHaveLength(1);
+    expect(rows[0][header.indexOf('email')]).toBe('news@example.com');
+    expect(rows[0][header.indexOf('count')]).toBe(3);
+  });
+
+  it('should quote CSV values containing commas', () => {
+    const csv = Exporter.toCsv(report, 'senders');
+
+    expect(csv.split('\n')[1]).toMatch(/^"News, Inc",news@example.com,3,/);
+  });
+
+  it('should neutralize formulas in CSV text but not in numbers', () => {
+    expect(
+      DownloadHelper.toCsv([['=HYPERLINK("x")', '@SUM(A1)', -5, '-5']])
+    ).toBe(`"'=HYPERLINK(""x"")",'@SUM(A1),-5,'-5`);
+  });
+
+  it('should reject unknown sections', () => {
+    expect(() => Exporter.buildTable(report, 'nope')).toThrow(
+      'Unknown export section'
+    );
+  });
+
+  it('should export versioned JSON records keyed by column', () => {
+    const exportedAt = new Date('2024-02-01T00:00:00Z');
+    const document = JSON.parse(Exporter.toJson(report, exportedAt));
+
+    expect(document.schemaVersion).toBe(1);
+    expect(document.exportedAt).toBe('2024-02-01T00:00:00.000Z');
+    expect(document.senders[0]).toMatchObject({
+      email: 'news@example.com',
+      count: 3,
+    });
+    expect(document.timeline).toEqual([{ month: '2024-01', count: 3 }]);
+  });
+
+  it('should bundle one CSV per section', () => {
+    expect(listZipEntries(Exporter.toCsvArchive(report))).toEqual(
+      Exporter.getSections().map(({ id }) => `${id}.csv`)
+    );
+  });
+
+  it('should build a workbook with one sheet per section', () => {
+    const entries = listZipEntries(Exporter.toXlsx(report));
+
+    expect(entries).toContain('[Content_Types].xml');
+    expect(entries).toContain('xl/workbook.xml');
+    expect(
+      entries.filter((name) => name.startsWith('xl/worksheets/'))
+    ).toHaveLength(Exporter.getSections().length);
+  });
+
+  it('should keep numbers numeric and escape text in sheets', () => {
+    const xml = Exporter._buildSheetXml([
+      ['name', 'count'],
+      ['A & <B>', 3],
+    ]);
+
+    expect(xml).toContain('<c r="B2"><v>3</v></c>');
+    expect(xml).toContain('A &amp; &lt;B&gt;');
+  });
+
+  it('should neutralize formulas in sheet text', () => {
+    const xml = Exporter._buildSheetXml([['name'], ['+1 555 0100']]);
+
+    expect(xml).toContain(`<t xml:space="preserve">'+1 555 0100</t>`);
+  });
+});
+
+describe('ZipWriter', () => {
+  it('should compute standard CRC-32 checksums', () => {
+    expect(ZipWriter.crc32(new TextEncoder().encode('hello'))).toBe(0x3610a686);
+  });
+
+  it('should write local headers and the end of central directory', () => {
+    const zip = new ZipWriter();
+    zip.addFile('a.txt', 'hello');
+    const bytes = zip.toUint8Array();
+    const view = new DataView(bytes.buffer);
+
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint32(bytes.length - 22, true)).toBe(0x06054b50);
+    expect(new TextDecoder().decode(bytes.slice(35, 40))).toBe('hello');
+  });
+});
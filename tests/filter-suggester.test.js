@@ -0,0 +1,260 @@
+/**
+ * Filter Suggester Tests
+ * Covers filter suggestions, match counting and filter creation
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+global.APP_CONFIG = {
+  FILTER_SUGGESTION_MIN_EMAILS: 3,
+  MAX_FILTER_SUGGESTIONS: 20,
+  MAX_LIST_PAGE_SIZE: 500,
+  BATCH_MODIFY_LIMIT: 1000,
+};
+
+const { default: DomainHelper } = await import('../js/utils/domain-helper');
+const { default: LabelHelper } = await import('../js/utils/label-helper');
+const { default: Formatters } = await import('../js/utils/formatters');
+
+global.DomainHelper = DomainHelper;
+global.LabelHelper = LabelHelper;
+global.Formatters = Formatters;
+
+const { default: FilterSuggester } = await import(
+  '../js/components/filter-suggester'
+);
+
+const createEmails = (count, overrides = {}) =>
+  Array.from({ length: count }, (_, i) => ({
+    id: `${overrides.senderEmail || 'm'}-${i}`,
+    senderEmail: 'jira@jira.example.com',
+    subject: `[JIRA] Issue PROJ-${i} updated`,
+    sizeEstimate: 1000,
+    labels: ['INBOX', 'UNREAD'],
+    ...overrides,
+  }));
+
+const createReport = (emails, clusters = []) => {
+  const senders = new Map();
+  emails.forEach((email) => {
+    if (!senders.has(email.senderEmail)) {
+      senders.set(email.senderEmail, { email: email.senderEmail, count: 0 });
+    }
+    senders.get(email.senderEmail).count++;
+  });
+  return {
+    senders: { senders: Array.from(senders.values()) },
+    subjects: { clusters },
+  };
+};
+
+describe('FilterSuggester', () => {
+  describe('suggest()', () => {
+    it('should suggest labeling busy sender domains and skipping the inbox', () => {
+      const emails = [
+        ...createEmails(4),
+        ...createEmails(2, { senderEmail: 'friend@gmail.com' }),
+        ...createEmails(5, { senderEmail: 'pal@gmail.com' }),
+      ];
+
+      const suggestions = FilterSuggester.suggest(createReport(emails), emails);
+
+      expect(suggestions).toEqual([
+        {
+          id: 'sender-jira.example.com',
+          source: 'sender',
+          labelName: 'Jira',
+          criteria: { from: '@jira.example.com' },
+          skipInbox: true,
+          matchCount: 4,
+          inboxCount: 4,
+          totalSize: 4000,
+          examples: ['jira@jira.example.com'],
+        },
+      ]);
+    });
+
+    it('should skip mail already filed under a user label', () => {
+      const emails = createEmails(4, { labels: ['Label_1'] });
+      const labels = [{ id: 'Label_1', name: 'Jira', type: 'user' }];
+
+      expect(
+        FilterSuggester.suggest(createReport(emails), emails, { labels })
+      ).toEqual([]);
+    });
+
+    it('should suggest subject filters for automated templates', () => {
+      const emails = [
+        ...createEmails(3, {
+          senderEmail: 'orders@shop.example.com',
+          subject: 'Your order has shipped',
+        }),
+        ...createEmails(2, {
+          senderEmail: 'orders@store.example.org',
+          subject: 'Your order has shipped',
+        }),
+      ];
+      const clusters = [
+        {
+          id: 'cluster-0',
+          template: 'your order {id} has shipped',
+          automated: true,
+          examples: ['Your order #1 has shipped'],
+        },
+      ];
+
+      const suggestions = FilterSuggester.suggest(
+        createReport(emails, clusters),
+        emails
+      );
+
+      expect(suggestions.map((s) => s.id)).toEqual([
+        'subject-cluster-0',
+        'sender-shop.example.com',
+      ]);
+      expect(suggestions[0]).toMatchObject({
+        labelName: 'Has shipped',
+        criteria: { subject: 'has shipped' },
+        matchCount: 5,
+      });
+    });
+  });
+
+  describe('suggestLabelName()', () => {
+    it('should name labels after the distinctive part of a domain', () => {
+      expect(FilterSuggester.suggestLabelName('jira.example.com')).toBe('Jira');
+      expect(FilterSuggester.suggestLabelName('email.github.com')).toBe(
+        'Github'
+      );
+      expect(FilterSuggester.suggestLabelName('bbc.co.uk')).toBe('Bbc');
+    });
+  });
+
+  describe('getSubjectPhrase()', () => {
+    it('should keep the longest fixed run of a template', () => {
+      expect(
+        FilterSuggester.getSubjectPhrase('[jira] issue {id} was updated by')
+      ).toBe('was updated by');
+      expect(FilterSuggester.getSubjectPhrase('re: {text}')).toBe('');
+    });
+  });
+
+  describe('buildQuery()', () => {
+    it('should translate criteria into Gmail search operators', () => {
+      expect(
+        FilterSuggester.buildQuery({
+          from: '@jira.example.com',
+          subject: 'has shipped',
+        })
+      ).toBe('from:@jira.example.com subject:"has shipped"');
+    });
+  });
+
+  describe('validate()', () => {
+    it('should require a user label name and criteria', () => {
+      expect(
+        FilterSuggester.validate({ labelName: 'inbox', criteria: {} })
+      ).toEqual([
+        '"inbox" is a Gmail system label.',
+        'Filter needs a sender or subject to match.',
+      ]);
+    });
+  });
+
+  describe('create()', () => {
+    afterEach(() => {
+      delete global.gmailAPI;
+    });
+
+    const suggestion = {
+      labelName: 'Jira',
+      criteria: { from: '@jira.example.com' },
+      skipInbox: true,
+    };
+
+    it('should create the label and filter, then label existing matches', async () => {
+      global.gmailAPI = {
+        createLabel: vi.fn().mockResolvedValue({ id: 'Label_9', name: 'Jira' }),
+        createFilter: vi.fn().mockResolvedValue({ id: 'filter-1' }),
+        getAllMessages: vi.fn().mockResolvedValue([{ id: 'a' }, { id: 'b' }]),
+        batchModifyMessages: vi
+          .fn()
+          .mockResolvedValue({ modified: 2, failed: [] }),
+      };
+
+      const result = await FilterSuggester.create(suggestion);
+
+      const action = { addLabelIds: ['Label_9'], removeLabelIds: ['INBOX'] };
+      expect(global.gmailAPI.createLabel).toHaveBeenCalledWith('Jira');
+      expect(global.gmailAPI.createFilter).toHaveBeenCalledWith(
+        { from: '@jira.example.com' },
+        action
+      );
+      expect(global.gmailAPI.getAllMessages).toHaveBeenCalledWith(
+        expect.objectContaining({ query: 'from:@jira.example.com' })
+      );
+      expect(global.gmailAPI.batchModifyMessages).toHaveBeenCalledWith(
+        ['a', 'b'],
+        action,
+        expect.objectContaining({ operation: 'label' })
+      );
+      expect(result).toMatchObject({ modified: 2, failed: [] });
+    });
+
+    it('should journal the labels of existing matches before labeling them', async () => {
+      global.gmailAuth = {
+        isUserSignedIn: vi.fn().mockReturnValue(true),
+        isCleanupModeEnabled: vi.fn().mockReturnValue(true),
+      };
+      global.gapi.client.gmail.users.messages.batchModify = vi
+        .fn()
+        .mockResolvedValue({ result: {} });
+      global.UndoJournal = { record: vi.fn().mockResolvedValue({}) };
+      const { GmailAPI } = await import('../js/api/gmail-api');
+      const api = new GmailAPI();
+      api.createLabel = vi.fn().mockResolvedValue({ id: 'Label_9' });
+      api.createFilter = vi.fn().mockResolvedValue({ id: 'filter-1' });
+      api.getAllMessages = vi.fn().mockResolvedValue([{ id: 'a' }]);
+      api.getMessageDetails = vi.fn().mockResolvedValue({
+        messages: [{ id: 'a', labelIds: ['INBOX'] }],
+        failedIds: [],
+      });
+      global.gmailAPI = api;
+
+      const result = await FilterSuggester.create(suggestion);
+
+      expect(result).toMatchObject({ modified: 1, failed: [] });
+      expect(global.UndoJournal.record).toHaveBeenCalledWith(
+        expect.objectContaining({
+          operation: 'label',
+          messageIds: ['a'],
+          labelsBefore: { a: ['INBOX'] },
+          changes: { addLabelIds: ['Label_9'], removeLabelIds: ['INBOX'] },
+        })
+      );
+
+      delete global.gmailAuth;
+      delete global.UndoJournal;
+    });
+
+    it('should reuse an existing label and stop when Gmail rejects the filter', async () => {
+      global.gmailAPI = {
+        createLabel: vi.fn(),
+        createFilter: vi.fn().mockResolvedValue(null),
+        batchModifyMessages: vi.fn(),
+      };
+
+      await expect(
+        FilterSuggester.create(suggestion, {
+          labels: [{ id: 'Label_1', name: 'jira', type: 'user' }],
+        })
+      ).rejects.toThrow('Gmail did not accept the filter.');
+      expect(global.gmailAPI.createLabel).not.toHaveBeenCalled();
+      expect(global.gmailAPI.createFilter).toHaveBeenCalledWith(
+        suggestion.criteria,
+        { addLabelIds: ['Label_1'], removeLabelIds: ['INBOX'] }
+      );
+      expect(global.gmailAPI.batchModifyMessages).not.toHaveBeenCalled();
+    });
+  });
+});
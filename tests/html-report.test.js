@@ -0,0 +1,82 @@
+/**
+ * HTML Report Tests
+ * Covers the standalone report document
+ */
+
+import { describe, it, expect } from 'vitest';
+
+global.APP_CONFIG = {
+  ANALYSIS_CONFIG: { MIN_EMAIL_THRESHOLD: 2 },
+};
+
+const { default: EmailParser } = await import('../js/utils/email-parser');
+const { default: Formatters } = await import('../js/utils/formatters');
+const { default: DomainHelper } = await import('../js/utils/domain-helper');
+const { default: SubjectClusterer } = await import(
+  '../js/utils/subject-clusterer'
+);
+const { default: LabelHelper } = await import('../js/utils/label-helper');
+const { default: EmailAnalyzer } = await import(
+  '../js/components/email-analyzer'
+);
+
+global.Formatters = Formatters;
+global.DomainHelper = DomainHelper;
+global.SubjectClusterer = SubjectClusterer;
+global.LabelHelper = LabelHelper;
+
+const { default: SvgCharts } = await import('../js/utils/svg-charts');
+
+global.SvgCharts = SvgCharts;
+
+const { default: HtmlReport } = await import('../js/components/html-report');
+
+const analyzer = new EmailAnalyzer();
+analyzer.addEmails(
+  EmailParser.parseMessages(
+    ['1', '2', '3'].map((id) => ({
+      id,
+      threadId: id,
+      sizeEstimate: 2048,
+      labelIds: ['INBOX', 'CATEGORY_PROMOTIONS'],
+      payload: {
+        headers: [
+          { name: 'From', value: 'Deals & Co <deals@example.com>' },
+          { name: 'Subject', value: `Sale ${id}` },
+          { name: 'Date', value: `Mon, ${id} Jan 2024 10:00:00 +0000` },
+        ],
+      },
+    }))
+  )
+);
+const report = await analyzer.generateReport(analyzer.emails);
+
+describe('HtmlReport', () => {
+  const html = HtmlReport.build(report, {
+    generatedAt: new Date('2024-02-01T12:00:00Z'),
+  });
+
+  it('should build a self-contained document', () => {
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<style>');
+    expect(html).toContain('@media print');
+    expect(html).not.toMatch(/<script|<link|src="http/);
+  });
+
+  it('should include the summary, senders, sizes and timeline', () => {
+    [
+      'Executive Summary',
+      'Top Senders',
+      'Size Distribution',
+      'Timeline',
+    ].forEach((heading) => expect(html).toContain(`<h2>${heading}</h2>`));
+    expect(html).toContain('Top Email Sender');
+    expect(html).toContain('deals@example.com');
+    expect((html.match(/<svg /g) || []).length).toBe(4);
+  });
+
+  it('should escape values taken from emails', () => {
+    expect(html).toContain('Deals &amp; Co');
+    expect(html).not.toContain('Deals & Co');
+  });
+});
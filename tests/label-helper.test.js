@@ -0,0 +1,70 @@
+/**
+ * Label Helper Tests
+ * Covers label naming and the nested label hierarchy
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const { default: LabelHelper } = await import('../js/utils/label-helper');
+
+describe('LabelHelper', () => {
+  const directory = LabelHelper.buildDirectory([
+    { id: 'INBOX', name: 'INBOX', type: 'system' },
+    {
+      id: 'Label_7',
+      name: 'Projects/2024',
+      type: 'user',
+      color: { backgroundColor: '#16a765', textColor: '#ffffff' },
+    },
+  ]);
+
+  describe('describe()', () => {
+    it('should name system labels and resolve user labels', () => {
+      expect(LabelHelper.describe('INBOX', directory)).toMatchObject({
+        name: 'Inbox',
+        type: 'system',
+      });
+      expect(LabelHelper.describe('Label_7', directory)).toEqual({
+        id: 'Label_7',
+        name: 'Projects/2024',
+        type: 'user',
+        color: '#16a765',
+        textColor: '#ffffff',
+      });
+      expect(LabelHelper.getName('Label_9', directory)).toBe('Label_9');
+    });
+  });
+
+  it('should list the ancestors of nested labels', () => {
+    expect(LabelHelper.getAncestorPaths('Work/Clients/Acme')).toEqual([
+      'Work',
+      'Work/Clients',
+      'Work/Clients/Acme',
+    ]);
+  });
+
+  describe('buildTree()', () => {
+    it('should add folder nodes for parents without emails', () => {
+      const tree = LabelHelper.buildTree(
+        [
+          { name: 'Work/Clients', totalSize: 100 },
+          { name: 'Work/Internal', totalSize: 300 },
+          { name: 'Receipts', totalSize: 50 },
+        ],
+        {
+          Work: { count: 4, totalSize: 400 },
+          'Work/Clients': { count: 1, totalSize: 100 },
+          'Work/Internal': { count: 3, totalSize: 300 },
+          Receipts: { count: 1, totalSize: 50 },
+        }
+      );
+
+      expect(tree.map((node) => node.path)).toEqual(['Work', 'Receipts']);
+      expect(tree[0].label).toBeNull();
+      expect(tree[0].children.map((node) => node.name)).toEqual([
+        'Internal',
+        'Clients',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Mailbox Sync Tests
+ * Covers history reduction and incremental updates of the local message set
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+global.APP_CONFIG = {
+  STORAGE_KEYS: { FALLBACK_STORE_PREFIX: 'test_store_' },
+  INDEXED_DB: { STORES: { MESSAGES: 'messages', SYNC_STATE: 'sync_state' } },
+};
+
+const { default: EmailParser } = await import('../js/utils/email-parser');
+const { default: StorageHelper } = await import('../js/utils/storage-helper');
+const { default: Formatters } = await import('../js/utils/formatters');
+
+global.EmailParser = EmailParser;
+global.StorageHelper = StorageHelper;
+global.Formatters = Formatters;
+
+const { default: MailboxSync } = await import('../js/components/mailbox-sync');
+
+const createMessage = (id, labelIds = ['INBOX']) => ({
+  id,
+  threadId: id,
+  sizeEstimate: 100,
+  labelIds,
+  payload: {
+    headers: [
+      { name: 'From', value: 'News <news@example.com>' },
+      { name: 'Subject', value: `Message ${id}` },
+      { name: 'Date', value: 'Mon, 1 Jan 2024 10:00:00 +0000' },
+    ],
+  },
+});
+
+describe('MailboxSync', () => {
+  beforeEach(() => {
+    const store = {};
+    localStorage.getItem.mockImplementation((key) => store[key] ?? null);
+    localStorage.setItem.mockImplementation((key, value) => {
+      store[key] = value;
+    });
+    localStorage.removeItem.mockImplementation((key) => {
+      delete store[key];
+    });
+  });
+
+  describe('collectChanges()', () => {
+    it('should separate changed and deleted messages', () => {
+      const { changedIds, deletedIds } = MailboxSync.collectChanges([
+        { messagesAdded: [{ message: { id: 'a' } }] },
+        { labelsAdded: [{ message: { id: 'b' }, labelIds: ['STARRED'] }] },
+        { labelsRemoved: [{ message: { id: 'c' }, labelIds: ['UNREAD'] }] },
+        { messagesAdded: [{ message: { id: 'd' } }] },
+        { messagesDeleted: [{ message: { id: 'd' } }] },
+      ]);
+
+      expect([...changedIds]).toEqual(['a', 'b', 'c']);
+      expect([...deletedIds]).toEqual(['d']);
+    });
+  });
+
+  describe('canSyncIncrementally()', () => {
+    it('should only sync full-mailbox snapshots incrementally', () => {
+      const state = { historyId: '100', query: '' };
+
+      expect(MailboxSync.canSyncIncrementally(state, '')).toBe(true);
+      expect(MailboxSync.canSyncIncrementally(state, 'is:unread')).toBe(false);
+      expect(
+        MailboxSync.canSyncIncrementally({ ...state, query: 'is:unread' }, '')
+      ).toBe(false);
+      expect(MailboxSync.canSyncIncrementally(null, '')).toBe(false);
+    });
+  });
+
+  describe('sync()', () => {
+    beforeEach(async () => {
+      await MailboxSync.saveSnapshot(
+        EmailParser.parseMessages([
+          createMessage('keep'),
+          createMessage('starred'),
+          createMessage('trashed'),
+          createMessage('deleted'),
+        ]),
+        { historyId: '100', query: '' }
+      );
+    });
+
+    it('should apply added, changed and deleted messages', async () => {
+      global.gmailAPI = {
+        listHistory: vi.fn().mockResolvedValue({
+          historyId: '200',
+          history: [
+            { messagesAdded: [{ message: { id: 'new' } }] },
+            { labelsAdded: [{ message: { id: 'starred' } }] },
+            { labelsAdded: [{ message: { id: 'trashed' } }] },
+            { messagesDeleted: [{ message: { id: 'deleted' } }] },
+          ],
+        }),
+        getMessageDetails: vi.fn().mockResolvedValue({
+          messages: [
+            createMessage('new'),
+            createMessage('starred', ['INBOX', 'STARRED']),
+            createMessage('trashed', ['TRASH']),
+          ],
+          failedIds: [],
+        }),
+      };
+
+      const state = await MailboxSync.getState();
+      const result = await MailboxSync.sync(state);
+
+      expect(gmailAPI.listHistory).toHaveBeenCalledWith('100');
+      expect(result).toMatchObject({ added: 1, updated: 1, removed: 2 });
+      expect(result.emails.map((e) => e.id).sort()).toEqual([
+        'keep',
+        'new',
+        'starred',
+      ]);
+      expect(result.emails.find((e) => e.id === 'starred').isStarred).toBe(
+        true
+      );
+      expect((await MailboxSync.loadEmails()).length).toBe(3);
+      expect((await MailboxSync.getState()).historyId).toBe('200');
+    });
+
+    it('should keep the sync state when a changed message cannot be fetched', async () => {
+      global.gmailAPI = {
+        listHistory: vi.fn().mockResolvedValue({
+          historyId: '200',
+          history: [
+            { messagesAdded: [{ message: { id: 'new' } }] },
+            { labelsAdded: [{ message: { id: 'keep' } }] },
+          ],
+        }),
+        getMessageDetails: vi.fn().mockResolvedValue({
+          messages: [createMessage('new')],
+          failedIds: ['keep'],
+        }),
+      };
+
+      await expect(
+        MailboxSync.sync(await MailboxSync.getState())
+      ).rejects.toThrow('Could not fetch 1 email. Try syncing again.');
+      expect((await MailboxSync.getState()).historyId).toBe('100');
+      expect((await MailboxSync.loadEmails()).map((e) => e.id)).toContain(
+        'keep'
+      );
+    });
+
+    it('should return null when the history ID has expired', async () => {
+      global.gmailAPI = {
+        listHistory: vi.fn().mockRejectedValue({ status: 404 }),
+        getMessageDetails: vi.fn(),
+      };
+
+      const result = await MailboxSync.sync(await MailboxSync.getState());
+
+      expect(result).toBeNull();
+      expect(gmailAPI.getMessageDetails).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Preset Manager Tests
+ * Covers built-in presets, saved analysis profiles and JSON import/export
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+
+global.APP_CONFIG = {
+  PRESET_SCHEMA_VERSION: 1,
+  STORAGE_KEYS: { USER_PREFERENCES: 'test_preferences' },
+  DEFAULT_PREFERENCES: { customPresets: [] },
+  ANALYSIS_CONFIG: {
+    MIN_EMAIL_THRESHOLD: 2,
+    MAX_SENDERS_DISPLAY: 100,
+    MAX_SUBJECTS_DISPLAY: 50,
+  },
+};
+
+const { default: StorageHelper } = await import('../js/utils/storage-helper');
+const { default: QueryBuilder } = await import('../js/utils/query-builder');
+const { default: EmailAnalyzer } = await import(
+  '../js/components/email-analyzer'
+);
+
+global.StorageHelper = StorageHelper;
+global.QueryBuilder = QueryBuilder;
+global.EmailAnalyzer = EmailAnalyzer;
+
+const { default: PresetManager } = await import(
+  '../js/components/preset-manager'
+);
+
+const conditions = [
+  { field: 'from', values: ['github.com', 'atlassian.net'], negate: false },
+  { field: 'after', values: ['2023-01-01'], negate: false },
+];
+
+describe('PresetManager', () => {
+  beforeEach(() => {
+    const store = {};
+    localStorage.getItem.mockImplementation((key) => store[key] ?? null);
+    localStorage.setItem.mockImplementation((key, value) => {
+      store[key] = value;
+    });
+  });
+
+  it('should list built-in presets first', () => {
+    expect(PresetManager.getPreset('all')).toMatchObject({
+      query: '',
+      builtIn: true,
+    });
+    expect(PresetManager.getPreset('large-emails').query).toBe('larger:5M');
+  });
+
+  it('should save, list and delete custom presets', () => {
+    const saved = PresetManager.savePreset({
+      name: ' Tools 2023 ',
+      query: QueryBuilder.compile(conditions),
+      conditions,
+    });
+
+    expect(saved.id).toBeTruthy();
+    expect(saved.name).toBe('Tools 2023');
+    expect(PresetManager.getPresets().at(-1)).toMatchObject(saved);
+    expect(PresetManager.getPreset(saved.id).query).toBe(
+      '(from:github.com OR from:atlassian.net) after:2023/01/01'
+    );
+
+    PresetManager.deletePreset(saved.id);
+    expect(PresetManager.getCustomPresets()).toEqual([]);
+  });
+
+  it('should reject duplicate names and invalid conditions', () => {
+    expect(() =>
+      PresetManager.savePreset({ name: 'unread', query: 'is:unread' })
+    ).toThrow('A preset named "unread" already exists.');
+    expect(() =>
+      PresetManager.savePreset({
+        name: 'Broken',
+        query: '',
+        conditions: [{ field: 'larger', values: ['big'] }],
+      })
+    ).toThrow('"big" is not a size');
+    expect(PresetManager.getCustomPresets()).toEqual([]);
+  });
+
+  it('should refuse to replace built-in presets', () => {
+    expect(() =>
+      PresetManager.savePreset({ id: 'all', name: 'Everything', query: '' })
+    ).toThrow('Built-in presets cannot be changed.');
+  });
+
+  it('should fill in profile defaults from the analysis config', () => {
+    expect(PresetManager.getPreset('all')).toMatchObject({
+      maxMessages: 0,
+      analyses: ['domains', 'subjects', 'threads', 'timeline', 'categories'],
+      thresholds: {
+        minEmailThreshold: 2,
+        maxSendersDisplay: 100,
+        maxSubjectsDisplay: 50,
+      },
+      defaultSort: 'count',
+    });
+
+    const saved = PresetManager.savePreset({
+      name: 'Quick look',
+      query: 'newer_than:7d',
+      maxMessages: 500,
+      thresholds: { maxSendersDisplay: 20 },
+    });
+    expect(PresetManager.getPreset(saved.id).thresholds).toEqual({
+      minEmailThreshold: 2,
+      maxSendersDisplay: 20,
+      maxSubjectsDisplay: 50,
+    });
+  });
+
+  it('should reject invalid profile settings', () => {
+    expect(
+      PresetManager.validatePreset({
+        name: 'Broken',
+        query: '',
+        maxMessages: -1,
+        analyses: ['senders', 'threads'],
+        thresholds: { minEmailThreshold: 0, maxRows: 5 },
+        defaultSort: 'date',
+      })
+    ).toEqual([
+      '"maxMessages" must be a whole number (0 for no limit).',
+      'Unknown analysis "senders".',
+      '"minEmailThreshold" must be a whole number above 0.',
+      'Unknown threshold "maxRows".',
+      'Unknown sort order "date".',
+    ]);
+  });
+
+  it('should reject a name that is not text', () => {
+    expect(PresetManager.validatePreset({ name: 5, query: '' })).toEqual([
+      'Preset needs a name.',
+    ]);
+  });
+
+  describe('JSON files', () => {
+    const profile = {
+      name: 'Quarterly cleanup',
+      query: 'older_than:90d',
+      maxMessages: 10000,
+      analyses: ['domains', 'subjects'],
+      thresholds: { minEmailThreshold: 5 },
+      defaultSort: 'size',
+    };
+
+    it('should export presets without their IDs', () => {
+      const saved = PresetManager.savePreset(profile);
+      const file = JSON.parse(
+        PresetManager.toJson([saved], new Date('2024-01-01T00:00:00Z'))
+      );
+
+      expect(file).toEqual({
+        schemaVersion: 1,
+        generator: 'Gmail Purge',
+        exportedAt: '2024-01-01T00:00:00.000Z',
+        presets: [profile],
+      });
+    });
+
+    it('should import presets and replace ones with the same name', () => {
+      const existing = PresetManager.savePreset({ ...profile, maxMessages: 1 });
+
+      const imported = PresetManager.importJson(
+        PresetManager.toJson([profile, { name: 'Everything', query: '' }])
+      );
+
+      expect(imported).toHaveLength(2);
+      expect(imported[0].id).toBe(existing.id);
+      expect(PresetManager.getCustomPresets()).toHaveLength(2);
+      expect(PresetManager.getPreset(existing.id).maxMessages).toBe(10000);
+    });
+
+    it('should save nothing when any preset in the file is invalid', () => {
+      expect(() =>
+        PresetManager.importJson(
+          JSON.stringify([
+            { name: 'Fine', query: '' },
+            { name: 'Broken', query: '', defaultSort: 'date' },
+          ])
+        )
+      ).toThrow('Preset Broken: Unknown sort order "date".');
+      expect(() => PresetManager.importJson('not json')).toThrow(
+        'The file is not valid JSON.'
+      );
+      expect(() => PresetManager.importJson('{"presets": []}')).toThrow(
+        'The file contains no presets.'
+      );
+      expect(PresetManager.getCustomPresets()).toEqual([]);
+    });
+  });
+});
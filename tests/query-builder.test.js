@@ -0,0 +1,95 @@
+/**
+ * Query Builder Tests
+ * Covers compiling conditions to Gmail search syntax and validation
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const { default: QueryBuilder } = await import('../js/utils/query-builder');
+
+describe('QueryBuilder', () => {
+  describe('compile()', () => {
+    it('should OR values and AND conditions', () => {
+      expect(
+        QueryBuilder.compile([
+          {
+            field: 'from',
+            values: ['github.com', 'atlassian.net', 'slack.com'],
+          },
+          { field: 'after', values: ['2023-01-01'] },
+          { field: 'before', values: ['2024-01-01'] },
+        ])
+      ).toBe(
+        '(from:github.com OR from:atlassian.net OR from:slack.com) after:2023/01/01 before:2024/01/01'
+      );
+    });
+
+    it('should negate conditions and flags', () => {
+      expect(
+        QueryBuilder.compile([
+          { field: 'label', values: ['work', 'receipts'], negate: true },
+          { field: 'attachment', values: [], negate: true },
+          { field: 'starred', values: [] },
+        ])
+      ).toBe('-label:work -label:receipts -has:attachment is:starred');
+    });
+
+    it('should quote values with spaces and normalize sizes', () => {
+      expect(
+        QueryBuilder.compile([
+          { field: 'subject', values: ['weekly "status" report'] },
+          { field: 'larger', values: ['5m'] },
+        ])
+      ).toBe('subject:"weekly status report" larger:5M');
+    });
+
+    it('should match all mail without conditions', () => {
+      expect(QueryBuilder.compile([])).toBe('');
+    });
+  });
+
+  describe('validate()', () => {
+    it('should accept valid conditions', () => {
+      expect(
+        QueryBuilder.validate([
+          { field: 'category', values: ['promotions'] },
+          { field: 'smaller', values: ['500K'] },
+          { field: 'attachment', values: [] },
+        ])
+      ).toEqual([]);
+    });
+
+    it('should reject missing and malformed values', () => {
+      expect(
+        QueryBuilder.validate([
+          { field: 'from', values: [] },
+          { field: 'category', values: ['newsletters'] },
+          { field: 'larger', values: ['5 MB'] },
+          { field: 'after', values: ['2023-02-30'] },
+          { field: 'cc', values: ['a@example.com'] },
+        ])
+      ).toEqual([
+        '"From" needs a value.',
+        'Unknown category "newsletters".',
+        '"5 MB" is not a size such as 500K or 5M.',
+        '"2023-02-30" is not a date (YYYY-MM-DD).',
+        'Unknown field "cc".',
+      ]);
+    });
+
+    it('should reject date ranges that match nothing', () => {
+      expect(
+        QueryBuilder.validate([
+          { field: 'after', values: ['2024-01-01'] },
+          { field: 'before', values: ['2023-01-01'] },
+        ])
+      ).toEqual(['"After" must be earlier than "Before".']);
+    });
+  });
+
+  it('should split input on commas and new lines only', () => {
+    expect(
+      QueryBuilder.parseValues('weekly report, invoice\n receipt ')
+    ).toEqual(['weekly report', 'invoice', 'receipt']);
+  });
+});
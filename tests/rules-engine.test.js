@@ -0,0 +1,262 @@
+/**
+ * Rules Engine Tests
+ * Covers rule validation, query translation and client-side filtering
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+
+global.APP_CONFIG = {
+  STORAGE_KEYS: { USER_PREFERENCES: 'test_preferences' },
+  DEFAULT_PREFERENCES: { retentionRules: [] },
+};
+
+const { default: EmailParser } = await import('../js/utils/email-parser');
+const { default: StorageHelper } = await import('../js/utils/storage-helper');
+const { default: DomainHelper } = await import('../js/utils/domain-helper');
+
+global.EmailParser = EmailParser;
+global.StorageHelper = StorageHelper;
+global.DomainHelper = DomainHelper;
+
+const { default: RulesEngine } = await import('../js/components/rules-engine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.now();
+
+const createEmail = (overrides = {}) => ({
+  id: 'm1',
+  senderEmail: 'noreply@github.com',
+  senderName: 'GitHub',
+  subject: 'New issue opened',
+  sizeEstimate: 4096,
+  date: new Date(now - 60 * DAY_MS),
+  category: 'updates',
+  labels: ['INBOX', 'CATEGORY_UPDATES'],
+  hasAttachments: false,
+  ...overrides,
+});
+
+describe('RulesEngine', () => {
+  describe('buildQuery()', () => {
+    it('should translate every condition into Gmail search operators', () => {
+      const query = RulesEngine.buildQuery({
+        conditions: {
+          sender: 'noreply@github.com',
+          category: 'promotions',
+          olderThanDays: 90,
+          minSize: 10485760,
+          hasAttachments: true,
+        },
+      });
+
+      expect(query).toBe(
+        'from:noreply@github.com category:promotions older_than:90d larger:10485760 has:attachment'
+      );
+    });
+
+    it('should use is:important and exclude attachments when asked', () => {
+      const query = RulesEngine.buildQuery({
+        conditions: { category: 'important', hasAttachments: false },
+      });
+
+      expect(query).toBe('is:important -has:attachment');
+    });
+  });
+
+  describe('validateRule()', () => {
+    it('should accept a complete rule', () => {
+      expect(
+        RulesEngine.validateRule({
+          name: 'Old promotions',
+          action: 'trash',
+          conditions: { category: 'promotions', olderThanDays: 90 },
+        })
+      ).toEqual([]);
+    });
+
+    it('should reject rules without a name, action or condition', () => {
+      const errors = RulesEngine.validateRule({
+        name: ' ',
+        action: 'delete',
+        conditions: {},
+      });
+
+      expect(errors).toHaveLength(3);
+    });
+
+    it('should reject unknown categories', () => {
+      const errors = RulesEngine.validateRule({
+        name: 'Bad',
+        action: 'archive',
+        conditions: { category: 'newsletters' },
+      });
+
+      expect(errors).toEqual(['Unknown category "newsletters".']);
+    });
+
+    it('should reject zero ages and sizes', () => {
+      const errors = RulesEngine.validateRule({
+        name: 'Everything',
+        action: 'archive',
+        conditions: { sender: '@example.com', olderThanDays: 0, minSize: 0 },
+      });
+
+      expect(errors).toEqual([
+        '"olderThanDays" must be a positive number.',
+        '"minSize" must be a positive number.',
+      ]);
+    });
+  });
+
+  describe('matchesFilters()', () => {
+    it('should apply rule filters to parsed emails', () => {
+      const filters = RulesEngine.buildFilters(
+        {
+          conditions: {
+            sender: '@github.com',
+            olderThanDays: 30,
+            category: 'updates',
+          },
+        },
+        now
+      );
+
+      expect(RulesEngine.matchesFilters(createEmail(), filters)).toBe(true);
+      expect(
+        RulesEngine.matchesFilters(
+          createEmail({ date: new Date(now - 10 * DAY_MS) }),
+          filters
+        )
+      ).toBe(false);
+      expect(
+        RulesEngine.matchesFilters(
+          createEmail({ senderEmail: 'alerts@gitlab.com' }),
+          filters
+        )
+      ).toBe(false);
+    });
+
+    it('should match categories by label like Gmail search does', () => {
+      const email = createEmail({
+        category: 'updates',
+        labels: ['INBOX', 'IMPORTANT', 'CATEGORY_UPDATES'],
+      });
+      const matches = (category) =>
+        RulesEngine.matchesFilters(email, { category });
+
+      expect(matches('important')).toBe(true);
+      expect(matches('updates')).toBe(true);
+      expect(matches('primary')).toBe(false);
+      expect(
+        RulesEngine.matchesFilters(
+          { labelIds: ['INBOX', 'IMPORTANT'] },
+          { category: 'primary' }
+        )
+      ).toBe(true);
+    });
+
+    it('should read sender and attachments from raw Gmail messages', () => {
+      const message = {
+        from: 'Jane Doe <jane@example.com>',
+        subject: 'Holiday photos',
+        payload: { parts: [{ filename: 'photo.jpg' }] },
+      };
+
+      expect(
+        RulesEngine.matchesFilters(message, {
+          search: 'jane',
+          hasAttachments: true,
+        })
+      ).toBe(true);
+      expect(
+        RulesEngine.matchesFilters(message, { hasAttachments: false })
+      ).toBe(false);
+    });
+
+    it('should filter by local weekday and hour', () => {
+      // Sunday 9:30 local time
+      const email = createEmail({ date: new Date(2024, 0, 7, 9, 30) });
+
+      expect(RulesEngine.matchesFilters(email, { weekday: 0, hour: 9 })).toBe(
+        true
+      );
+      expect(RulesEngine.matchesFilters(email, { weekday: 1 })).toBe(false);
+      expect(RulesEngine.matchesFilters(email, { hour: 10 })).toBe(false);
+    });
+  });
+
+  describe('rule storage', () => {
+    beforeEach(() => {
+      const store = {};
+      localStorage.getItem.mockImplementation((key) => store[key] ?? null);
+      localStorage.setItem.mockImplementation((key, value) => {
+        store[key] = value;
+      });
+    });
+
+    it('should save, replace and delete rules in preferences', () => {
+      const saved = RulesEngine.saveRule({
+        name: 'GitHub notifications',
+        action: 'archive',
+        conditions: { sender: 'noreply@github.com', olderThanDays: 30 },
+      });
+
+      expect(saved.id).toBeTruthy();
+      expect(saved.enabled).toBe(true);
+
+      RulesEngine.saveRule({ ...saved, action: 'trash' });
+      expect(RulesEngine.getRules()).toHaveLength(1);
+      expect(RulesEngine.getRules()[0].action).toBe('trash');
+
+      RulesEngine.deleteRule(saved.id);
+      expect(RulesEngine.getRules()).toEqual([]);
+    });
+
+    it('should refuse to save invalid rules', () => {
+      expect(() => RulesEngine.saveRule({ name: 'Empty' })).toThrow();
+      expect(() =>
+        RulesEngine.saveRule({
+          name: 5,
+          action: 'trash',
+          conditions: { category: 'promotions' },
+        })
+      ).toThrow('Rule needs a name.');
+      expect(RulesEngine.getRules()).toEqual([]);
+    });
+
+    it('should give imported rules new IDs', () => {
+      const existing = RulesEngine.saveRule({
+        id: 'rule-1',
+        name: 'Old promotions',
+        action: 'trash',
+        conditions: { category: 'promotions', olderThanDays: 90 },
+      });
+
+      const imported = RulesEngine.importRules([
+        { ...existing, name: ' Copy ', lastRunAt: '2024-01-01' },
+        {
+          id: "x')",
+          name: 'Big mail',
+          action: 'archive',
+          conditions: { minSize: 1 },
+        },
+      ]);
+
+      expect(imported.map((rule) => rule.name)).toEqual(['Copy', 'Big mail']);
+      expect(imported[0].lastRunAt).toBeNull();
+      const ids = RulesEngine.getRules().map((rule) => rule.id);
+      expect(new Set(ids).size).toBe(3);
+      expect(ids).not.toContain("x')");
+    });
+
+    it('should import nothing when any rule is invalid', () => {
+      expect(() =>
+        RulesEngine.importRules([
+          { name: 'Fine', action: 'trash', conditions: { minSize: 1 } },
+          { name: ['Broken'], action: 'trash', conditions: { minSize: 1 } },
+        ])
+      ).toThrow('Rule 2: Rule needs a name.');
+      expect(RulesEngine.getRules()).toEqual([]);
+    });
+  });
+});
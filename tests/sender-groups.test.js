@@ -0,0 +1,73 @@
+/**
+ * Sender Groups Tests
+ * Covers alias group validation and storage
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+
+global.APP_CONFIG = {
+  STORAGE_KEYS: { USER_PREFERENCES: 'test_preferences' },
+  DEFAULT_PREFERENCES: { senderAliasGroups: [] },
+};
+
+const { default: StorageHelper } = await import('../js/utils/storage-helper');
+
+global.StorageHelper = StorageHelper;
+
+const { default: SenderGroups } = await import(
+  '../js/components/sender-groups'
+);
+
+describe('SenderGroups', () => {
+  beforeEach(() => {
+    const store = {};
+    localStorage.getItem.mockImplementation((key) => store[key] ?? null);
+    localStorage.setItem.mockImplementation((key, value) => {
+      store[key] = value;
+    });
+  });
+
+  it('should split addresses and domains typed by the user', () => {
+    expect(
+      SenderGroups.parsePatterns(
+        'Jira@Atlassian.net, @mail.atlassian.com\nconfluence.example.com'
+      )
+    ).toEqual([
+      'jira@atlassian.net',
+      '@mail.atlassian.com',
+      'confluence.example.com',
+    ]);
+  });
+
+  it('should reject groups without a name or valid patterns', () => {
+    expect(
+      SenderGroups.validateGroup({ name: ' ', patterns: [] })
+    ).toHaveLength(2);
+    expect(
+      SenderGroups.validateGroup({ name: 'Jira', patterns: ['jira'] })
+    ).toEqual(['"jira" is not an address or domain.']);
+  });
+
+  it('should save, replace and delete groups in preferences', () => {
+    const saved = SenderGroups.saveGroup({
+      name: ' Jira ',
+      patterns: ['jira@atlassian.net', 'jira@atlassian.net'],
+    });
+
+    expect(saved.id).toBeTruthy();
+    expect(saved.name).toBe('Jira');
+    expect(saved.patterns).toEqual(['jira@atlassian.net']);
+
+    SenderGroups.saveGroup({ ...saved, patterns: ['@atlassian.net'] });
+    expect(SenderGroups.getGroups()).toHaveLength(1);
+    expect(SenderGroups.getGroups()[0].patterns).toEqual(['@atlassian.net']);
+
+    SenderGroups.deleteGroup(saved.id);
+    expect(SenderGroups.getGroups()).toEqual([]);
+  });
+
+  it('should refuse to save invalid groups', () => {
+    expect(() => SenderGroups.saveGroup({ name: 'Empty' })).toThrow();
+    expect(SenderGroups.getGroups()).toEqual([]);
+  });
+});
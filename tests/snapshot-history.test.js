@@ -0,0 +1,212 @@
+/**
+ * Snapshot History Tests
+ * Covers snapshot building, the snapshot time series and snapshot diffs
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+
+global.APP_CONFIG = {
+  MAX_ANALYSIS_SNAPSHOTS: 2,
+  STORAGE_KEYS: {
+    LAST_ANALYSIS: 'test_analysis',
+    FALLBACK_STORE_PREFIX: 'test_store_',
+  },
+  INDEXED_DB: { STORES: { ANALYSIS_SNAPSHOTS: 'analysis_snapshots' } },
+};
+
+const { default: StorageHelper } = await import('../js/utils/storage-helper');
+
+global.StorageHelper = StorageHelper;
+
+const { default: SnapshotHistory } = await import(
+  '../js/components/snapshot-history'
+);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const createReport = (senders, categories = []) => ({
+  overview: {
+    totalEmails: senders.reduce((sum, sender) => sum + sender.count, 0),
+    totalSize: senders.reduce((sum, sender) => sum + sender.totalSize, 0),
+  },
+  senders: { senders },
+  categories,
+  skippedSections: [],
+});
+
+const createSnapshot = (timestamp, senders, overrides = {}) => ({
+  ...SnapshotHistory.build(createReport(senders), { timestamp }),
+  ...overrides,
+});
+
+describe('SnapshotHistory', () => {
+  beforeEach(() => {
+    const store = {};
+    localStorage.getItem.mockImplementation((key) => store[key] ?? null);
+    localStorage.setItem.mockImplementation((key, value) => {
+      store[key] = value;
+    });
+  });
+
+  describe('build()', () => {
+    it('should keep totals per sender and category', () => {
+      const report = createReport(
+        [
+          {
+            name: 'News',
+            email: 'news@example.com',
+            count: 3,
+            totalSize: 3000,
+            emails: [{}, {}, {}],
+          },
+        ],
+        [{ category: 'promotions', count: 3, totalSize: 3000, percentage: 100 }]
+      );
+
+      expect(
+        SnapshotHistory.build(report, {
+          query: 'is:unread',
+          presetName: 'Unread',
+          timestamp: 1000,
+        })
+      ).toEqual({
+        id: 'snapshot-1000',
+        timestamp: 1000,
+        query: 'is:unread',
+        presetName: 'Unread',
+        totalEmails: 3,
+        totalSize: 3000,
+        senders: {
+          'news@example.com': { name: 'News', count: 3, totalSize: 3000 },
+        },
+        categories: { promotions: { count: 3, totalSize: 3000 } },
+      });
+    });
+
+    it('should leave out categories the analysis skipped', () => {
+      const report = {
+        ...createReport([]),
+        skippedSections: ['categories'],
+      };
+
+      expect(SnapshotHistory.build(report).categories).toBeNull();
+    });
+  });
+
+  describe('record()', () => {
+    it('should keep a bounded time series and the last analysis metadata', async () => {
+      await SnapshotHistory.record(createReport([]), { timestamp: 1 * DAY });
+      await SnapshotHistory.record(createReport([]), { timestamp: 2 * DAY });
+      await SnapshotHistory.record(createReport([]), { timestamp: 3 * DAY });
+
+      const snapshots = await SnapshotHistory.getSnapshots();
+      expect(snapshots.map((snapshot) => snapshot.timestamp)).toEqual([
+        3 * DAY,
+        2 * DAY,
+      ]);
+      expect(StorageHelper.loadLastAnalysisMetadata()).toMatchObject({
+        snapshotId: `snapshot-${3 * DAY}`,
+        totalEmails: 0,
+      });
+    });
+  });
+
+  describe('compare()', () => {
+    const before = createSnapshot(1 * DAY, [
+      { name: 'News', email: 'news@example.com', count: 10, totalSize: 10000 },
+      { name: 'Shop', email: 'shop@example.com', count: 4, totalSize: 8000 },
+      { name: 'Boss', email: 'boss@example.com', count: 2, totalSize: 500 },
+    ]);
+    const after = createSnapshot(31 * DAY, [
+      { name: 'News', email: 'news@example.com', count: 2, totalSize: 2000 },
+      { name: 'Boss', email: 'boss@example.com', count: 5, totalSize: 1200 },
+      { name: 'App', email: 'app@example.com', count: 1, totalSize: 300 },
+    ]);
+
+    it('should list new, growing and shrinking senders', () => {
+      const comparison = SnapshotHistory.compare(before, after);
+
+      expect(comparison.newSenders.map((s) => s.email)).toEqual([
+        'app@example.com',
+      ]);
+      expect(comparison.grownSenders).toEqual([
+        {
+          email: 'boss@example.com',
+          name: 'Boss',
+          countBefore: 2,
+          countAfter: 5,
+          countDelta: 3,
+          sizeBefore: 500,
+          sizeAfter: 1200,
+          sizeDelta: 700,
+        },
+      ]);
+      expect(comparison.shrunkSenders.map((s) => s.email)).toEqual([
+        'news@example.com',
+        'shop@example.com',
+      ]);
+    });
+
+    it('should total storage changes and reclaimed space', () => {
+      const comparison = SnapshotHistory.compare(after, before);
+
+      expect(comparison.before).toBe(before);
+      expect(comparison.days).toBe(30);
+      expect(comparison.sameQuery).toBe(true);
+      expect(comparison.emails).toMatchObject({
+        countDelta: -8,
+        sizeDelta: -15000,
+      });
+      expect(comparison.reclaimedSize).toBe(16000);
+      expect(comparison.reclaimedCount).toBe(12);
+      expect(comparison.addedSize).toBe(1000);
+    });
+
+    it('should count cleanup actions taken between the snapshots', () => {
+      const comparison = SnapshotHistory.compare(before, after, [
+        { timestamp: 5 * DAY, messageIds: ['a', 'b'], undone: false },
+        { timestamp: 6 * DAY, messageIds: ['c'], undone: true },
+        { timestamp: 40 * DAY, messageIds: ['d'], undone: false },
+      ]);
+
+      expect(comparison.cleanupActions).toBe(1);
+      expect(comparison.cleanedEmails).toBe(2);
+    });
+
+    it('should diff categories only when both snapshots have them', () => {
+      const withCategories = (snapshot, categories) => ({
+        ...snapshot,
+        categories,
+      });
+
+      expect(
+        SnapshotHistory.compare(
+          withCategories(before, { promotions: { count: 4, totalSize: 800 } }),
+          withCategories(after, { social: { count: 1, totalSize: 100 } })
+        ).categories
+      ).toEqual([
+        {
+          category: 'promotions',
+          countBefore: 4,
+          countAfter: 0,
+          countDelta: -4,
+          sizeBefore: 800,
+          sizeAfter: 0,
+          sizeDelta: -800,
+        },
+        {
+          category: 'social',
+          countBefore: 0,
+          countAfter: 1,
+          countDelta: 1,
+          sizeBefore: 0,
+          sizeAfter: 100,
+          sizeDelta: 100,
+        },
+      ]);
+      expect(
+        SnapshotHistory.compare(before, withCategories(after, null)).categories
+      ).toBeNull();
+    });
+  });
+});
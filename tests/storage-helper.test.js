@@ -0,0 +1,117 @@
+/**
+ * Storage Helper Tests
+ * Covers the local message metadata store and the full data wipe
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+
+global.APP_CONFIG = {
+  STORAGE_KEYS: {
+    USER_PREFERENCES: 'test_preferences',
+    ANALYSIS_CACHE: 'test_analysis_cache',
+    FALLBACK_STORE_PREFIX: 'test_store_',
+  },
+  INDEXED_DB: {
+    NAME: 'test_db',
+    STORES: { MESSAGES: 'messages', ANALYSIS_CACHE: 'analysis_cache' },
+  },
+};
+
+const { default: StorageHelper } = await import('../js/utils/storage-helper');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const messages = [
+  {
+    id: 'a',
+    senderEmail: 'news@example.com',
+    timestamp: 1 * DAY,
+    sizeEstimate: 1000,
+    labels: ['INBOX', 'CATEGORY_PROMOTIONS'],
+  },
+  {
+    id: 'b',
+    senderEmail: 'boss@example.com',
+    timestamp: 2 * DAY,
+    sizeEstimate: 50000,
+    labels: ['INBOX', 'IMPORTANT'],
+  },
+  {
+    id: 'c',
+    senderEmail: 'news@example.com',
+    timestamp: 3 * DAY,
+    sizeEstimate: 200000,
+    labels: ['CATEGORY_PROMOTIONS'],
+  },
+];
+
+describe('StorageHelper', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = {};
+    localStorage.getItem.mockImplementation((key) => store[key] ?? null);
+    localStorage.setItem.mockImplementation((key, value) => {
+      store[key] = value;
+    });
+    localStorage.removeItem.mockImplementation((key) => {
+      delete store[key];
+    });
+
+    await StorageHelper.putRecords('messages', messages);
+  });
+
+  describe('getStorageInfo()', () => {
+    it('should report the browser storage quota', async () => {
+      const { storage } = navigator;
+      Object.defineProperty(navigator, 'storage', {
+        configurable: true,
+        value: { estimate: async () => ({ usage: 250, quota: 1000 }) },
+      });
+
+      const info = await StorageHelper.getStorageInfo();
+
+      Object.defineProperty(navigator, 'storage', {
+        configurable: true,
+        value: storage,
+      });
+      expect(info.indexedDB).toEqual({
+        used: 250,
+        available: 750,
+        quota: 1000,
+        percentUsed: 25,
+      });
+    });
+  });
+
+  describe('loadCachedAnalysis()', () => {
+    it('should return fresh cached analyses', async () => {
+      await StorageHelper.cacheAnalysis({ overview: { totalEmails: 3 } });
+
+      expect(await StorageHelper.loadCachedAnalysis()).toEqual({
+        overview: { totalEmails: 3 },
+      });
+    });
+
+    it('should drop expired analyses', async () => {
+      await StorageHelper.cacheAnalysis({ overview: { totalEmails: 3 } });
+
+      expect(await StorageHelper.loadCachedAnalysis(-1)).toBeNull();
+      expect(await StorageHelper.getRecord('analysis_cache', 'latest')).toBe(
+        null
+      );
+    });
+  });
+
+  describe('forgetEverything()', () => {
+    it('should remove preferences and every local store', async () => {
+      StorageHelper.savePreferences({ theme: 'dark' });
+      await StorageHelper.cacheAnalysis({ overview: {} });
+
+      await StorageHelper.forgetEverything();
+
+      expect(Object.keys(store)).toEqual([]);
+      expect(await StorageHelper.getAllRecords('messages')).toEqual([]);
+    });
+  });
+});
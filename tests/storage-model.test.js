@@ -0,0 +1,182 @@
+/**
+ * Storage Model Tests
+ * Covers storage breakdowns, quota handling and reclaim estimates
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+
+global.APP_CONFIG = {
+  STORAGE_KEYS: { USER_PREFERENCES: 'test_preferences' },
+  DEFAULT_PREFERENCES: { storageQuotaGb: 15 },
+};
+
+const { default: Formatters } = await import('../js/utils/formatters');
+const { default: DomainHelper } = await import('../js/utils/domain-helper');
+const { default: SubjectClusterer } = await import(
+  '../js/utils/subject-clusterer'
+);
+const { default: LabelHelper } = await import('../js/utils/label-helper');
+const { default: StorageHelper } = await import('../js/utils/storage-helper');
+const { default: DryRun } = await import('../js/components/dry-run');
+
+global.Formatters = Formatters;
+global.DomainHelper = DomainHelper;
+global.SubjectClusterer = SubjectClusterer;
+global.LabelHelper = LabelHelper;
+global.StorageHelper = StorageHelper;
+global.DryRun = DryRun;
+
+const { default: StorageModel } = await import(
+  '../js/components/storage-model'
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+const now = Date.now();
+
+const createEmail = (overrides = {}) => ({
+  id: 'm1',
+  senderEmail: 'news@example.com',
+  senderName: 'News',
+  sizeEstimate: MB,
+  timestamp: now - 10 * DAY_MS,
+  labels: ['INBOX', 'CATEGORY_PROMOTIONS'],
+  category: 'promotions',
+  hasAttachments: false,
+  ...overrides,
+});
+
+const emails = [
+  createEmail({ id: 'm1' }),
+  createEmail({ id: 'm2', timestamp: now - 400 * DAY_MS }),
+  createEmail({
+    id: 'm3',
+    senderEmail: 'boss@work.com',
+    senderName: 'Boss',
+    sizeEstimate: 8 * MB,
+    timestamp: now - 3000 * DAY_MS,
+    labels: ['INBOX', 'Label_1', 'STARRED'],
+    category: 'primary',
+    hasAttachments: true,
+    isStarred: true,
+  }),
+];
+
+describe('StorageModel', () => {
+  describe('build()', () => {
+    const model = StorageModel.build(emails, { now, quotaBytes: GB });
+
+    it('should total sizeEstimate and compare it to the quota', () => {
+      expect(model.totalSize).toBe(10 * MB);
+      expect(model.quota.percentage).toBeCloseTo((10 / 1024) * 100);
+    });
+
+    it('should rank senders by storage', () => {
+      expect(model.bySender.map((g) => [g.key, g.count, g.totalSize])).toEqual([
+        ['boss@work.com', 1, 8 * MB],
+        ['news@example.com', 2, 2 * MB],
+      ]);
+      expect(model.bySender[0].percentage).toBe(80);
+    });
+
+    it('should count messages under each of their labels except categories', () => {
+      expect(model.byLabel.map((g) => g.key)).toEqual([
+        'INBOX',
+        'Label_1',
+        'STARRED',
+      ]);
+      expect(model.byLabel[0].totalSize).toBe(10 * MB);
+    });
+
+    it('should name labels from the label list', () => {
+      const named = StorageModel.build(emails, {
+        now,
+        quotaBytes: GB,
+        labels: [{ id: 'Label_1', name: 'Work/Reports', type: 'user' }],
+      });
+
+      expect(named.byLabel.map((g) => g.label)).toEqual([
+        'Inbox',
+        'Work/Reports',
+        'Starred',
+      ]);
+    });
+
+    it('should split storage by attachments and category', () => {
+      expect(model.byAttachment).toMatchObject([
+        { key: 'with', totalSize: 8 * MB },
+        { key: 'without', totalSize: 2 * MB },
+      ]);
+      expect(model.byCategory.map((g) => g.label)).toEqual([
+        'Primary',
+        'Promotions',
+      ]);
+    });
+
+    it('should keep every age band in order', () => {
+      expect(model.byAge.map((g) => [g.key, g.count])).toEqual([
+        ['month', 1],
+        ['quarter', 0],
+        ['year', 0],
+        ['two-years', 1],
+        ['five-years', 0],
+        ['older', 1],
+      ]);
+    });
+  });
+
+  describe('estimate()', () => {
+    it('should estimate space freed by sender and age', () => {
+      const estimate = StorageModel.estimate(
+        emails,
+        { sender: '@example.com', olderThanDays: 365 },
+        { now, quotaBytes: GB }
+      );
+
+      expect(estimate.matchedCount).toBe(1);
+      expect(estimate.reclaimableSize).toBe(MB);
+      expect(estimate.percentageOfAnalyzed).toBe(10);
+      expect(estimate.percentageOfQuota).toBeCloseTo((1 / 1024) * 100);
+    });
+
+    it('should filter by label and flag protected emails', () => {
+      const estimate = StorageModel.estimate(
+        emails,
+        { label: 'Label_1' },
+        { now, quotaBytes: GB }
+      );
+
+      expect(estimate.matchedCount).toBe(1);
+      expect(estimate.protectedCount).toBe(1);
+    });
+  });
+
+  describe('quota', () => {
+    beforeEach(() => {
+      const store = {};
+      localStorage.getItem.mockImplementation((key) => store[key] ?? null);
+      localStorage.setItem.mockImplementation((key, value) => {
+        store[key] = value;
+      });
+    });
+
+    it('should default to the free account quota', () => {
+      expect(StorageModel.getQuotaBytes()).toBe(15 * GB);
+    });
+
+    it('should save a custom quota', () => {
+      StorageModel.saveQuotaGb(100);
+
+      expect(StorageModel.getQuotaBytes()).toBe(100 * GB);
+      expect(StorageModel.build(emails, { now }).quota.quotaBytes).toBe(
+        100 * GB
+      );
+    });
+
+    it('should reject invalid quotas', () => {
+      expect(() => StorageModel.saveQuotaGb(0)).toThrow();
+      expect(() => StorageModel.saveQuotaGb(NaN)).toThrow();
+    });
+  });
+});
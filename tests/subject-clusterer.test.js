@@ -0,0 +1,114 @@
+/**
+ * Subject Clusterer Tests
+ * Covers masking of variable words and template clustering
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const { default: SubjectClusterer } = await import(
+  '../js/utils/subject-clusterer'
+);
+
+const createEmails = (subjects, senderEmail = 'shop@example.com') =>
+  subjects.map((subject, i) => ({
+    id: String(i),
+    subject,
+    senderEmail,
+    sizeEstimate: 1000,
+  }));
+
+describe('SubjectClusterer', () => {
+  describe('maskWord()', () => {
+    it('should mask numbers, IDs, amounts, dates and times', () => {
+      expect(SubjectClusterer.maskWord('42')).toBe('{number}');
+      expect(SubjectClusterer.maskWord('1234567')).toBe('{id}');
+      expect(SubjectClusterer.maskWord('#12345')).toBe('{id}');
+      expect(SubjectClusterer.maskWord('INV-20231')).toBe('{id}');
+      expect(SubjectClusterer.maskWord('$45.00')).toBe('{amount}');
+      expect(SubjectClusterer.maskWord('12.50EUR')).toBe('{amount}');
+      expect(SubjectClusterer.maskWord('2024-01-05')).toBe('{date}');
+      expect(SubjectClusterer.maskWord('05/01/2024')).toBe('{date}');
+      expect(SubjectClusterer.maskWord('9:30am')).toBe('{time}');
+      expect(SubjectClusterer.maskWord('me@example.com')).toBe('{email}');
+    });
+
+    it('should only treat month names as dates next to a number', () => {
+      expect(SubjectClusterer.maskWord('May', 'due', '5,')).toBe('{date}');
+      expect(SubjectClusterer.maskWord('5', 'may', '')).toBe('{date}');
+      expect(SubjectClusterer.maskWord('May', '', 'I')).toBeNull();
+    });
+
+    it('should mask capitalized names after a greeting', () => {
+      expect(SubjectClusterer.maskWord('John', 'hi')).toBe('{name}');
+      expect(SubjectClusterer.maskWord('john', 'hi')).toBeNull();
+      expect(SubjectClusterer.maskWord('John', 'meet')).toBeNull();
+    });
+  });
+
+  describe('cluster()', () => {
+    it('should group subjects that only differ in masked words', () => {
+      const [cluster] = new SubjectClusterer().cluster(
+        createEmails([
+          'Your order #12345 has shipped',
+          'Your order #67890 has shipped',
+          'Re: Your order #55555 has shipped',
+        ])
+      );
+
+      expect(cluster).toMatchObject({
+        template: 'your order {id} has shipped',
+        count: 3,
+        variantCount: 3,
+        senderCount: 1,
+        totalSize: 3000,
+        automated: true,
+      });
+      expect(cluster.slots).toEqual([
+        { type: 'id', examples: ['#12345', '#67890', '#55555'] },
+      ]);
+    });
+
+    it('should merge consecutive slots of one type', () => {
+      const [cluster] = new SubjectClusterer().cluster(
+        createEmails([
+          'Invoice INV-20231 for $45.00 due Jan 5, 2024',
+          'Invoice INV-20999 for $12.50 due Feb 10, 2024',
+        ])
+      );
+
+      expect(cluster.template).toBe('invoice {id} for {amount} due {date}');
+      expect(cluster.slots[2]).toEqual({
+        type: 'date',
+        examples: ['Jan 5, 2024', 'Feb 10, 2024'],
+      });
+    });
+
+    it('should turn differing words of similar subjects into text slots', () => {
+      const clusters = new SubjectClusterer().cluster(
+        createEmails([
+          'Hi John, your weekly report is ready',
+          'Hi Mary, your weekly report is ready',
+          'Hi Mary, your monthly report is ready',
+          'Lunch tomorrow?',
+        ])
+      );
+
+      expect(clusters.map((cluster) => cluster.template)).toEqual([
+        'hi {name}, your {text} report is ready',
+        'lunch tomorrow?',
+      ]);
+      expect(clusters[0].slots).toEqual([
+        { type: 'name', examples: ['John', 'Mary'] },
+        { type: 'text', examples: ['weekly', 'monthly'] },
+      ]);
+    });
+
+    it('should not merge short or dissimilar subjects', () => {
+      const clusters = new SubjectClusterer().cluster(
+        createEmails(['Build 123 failed', 'Build 124 passed', 'Hello there'])
+      );
+
+      expect(clusters).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * SVG Charts Tests
+ * Covers chart geometry, tooltips and click-through handlers
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const { default: Formatters } = await import('../js/utils/formatters');
+
+global.Formatters = Formatters;
+
+const { default: SvgCharts } = await import('../js/utils/svg-charts');
+
+describe('SvgCharts', () => {
+  it('should scale bars to the largest value', () => {
+    const svg = SvgCharts.barChart(
+      [
+        { label: 'a', value: 10 },
+        { label: 'b', value: 5 },
+      ],
+      { width: 400, labelWidth: 100, valueWidth: 100 }
+    );
+
+    expect(svg).toContain('width="200.0"');
+    expect(svg).toContain('width="100.0"');
+  });
+
+  it('should escape labels', () => {
+    const svg = SvgCharts.columnChart([{ label: '<b>', value: 1 }]);
+
+    expect(svg).toContain('&lt;b&gt;');
+    expect(svg).not.toContain('<b>');
+  });
+
+  it('should render a placeholder without data', () => {
+    expect(SvgCharts.columnChart([], { title: 'Empty' })).toContain('No data');
+  });
+
+  it('should make marks with a handler clickable', () => {
+    const svg = SvgCharts.barChart([
+      { label: 'a', value: 1, onclick: "dashboard.show('a')" },
+      { label: 'b', value: 2 },
+    ]);
+
+    expect(svg).toContain(
+      'class="chart-link" onclick="dashboard.show(&#39;a&#39;)"'
+    );
+    expect(svg.match(/chart-link/g)).toHaveLength(1);
+  });
+
+  it('should draw a line through every point', () => {
+    const svg = SvgCharts.lineChart(
+      [0, 5, 10].map((value, hour) => ({ label: `${hour}:00`, value })),
+      { width: 200, height: 100 }
+    );
+
+    expect(svg).toContain('<polyline points="48.0,72.0 116.0,44.0 184.0,16.0"');
+    expect(svg.match(/<circle /g)).toHaveLength(3);
+  });
+
+  it('should draw donut slices with their share in the tooltip', () => {
+    const svg = SvgCharts.donutChart([
+      { label: 'Promotions', value: 3, color: '#f9ab00' },
+      { label: 'Social', value: 1, color: '#1e8e3e' },
+      { label: 'Forums', value: 0, color: '#9c27b0' },
+    ]);
+
+    expect(svg.match(/<path /g)).toHaveLength(2);
+    expect(svg).toContain('<title>Promotions: 3 (75.0%)</title>');
+    expect(svg).toContain('Forums (0)');
+  });
+
+  it('should draw a single slice as a full ring', () => {
+    const svg = SvgCharts.donutChart([
+      { label: 'Primary', value: 4, color: '#1a73e8' },
+    ]);
+
+    expect(svg.match(/ A /g)).toHaveLength(4);
+  });
+
+  it('should shade heatmap cells by value', () => {
+    const svg = SvgCharts.heatmap(
+      [
+        {
+          label: 'Sun',
+          cells: [
+            { value: 0, label: 'Sun 0:00' },
+            { value: 4, label: 'Sun 1:00' },
+          ],
+        },
+      ],
+      { columnLabels: ['0:00', '1:00'] }
+    );
+
+    expect(svg).toContain('fill-opacity="0.08"');
+    expect(svg).toContain('fill-opacity="1.00"');
+    expect(svg).toContain('<title>Sun 1:00: 4</title>');
+  });
+});
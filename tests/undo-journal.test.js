@@ -0,0 +1,182 @@
+/**
+ * Undo Journal Tests
+ * Covers reversal planning, the trash undo window and partial undos
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+global.APP_CONFIG = {
+  UNDO_WINDOW_DAYS: 30,
+  STORAGE_KEYS: { FALLBACK_STORE_PREFIX: 'test_store_' },
+  INDEXED_DB: { STORES: { UNDO_JOURNAL: 'undo_journal' } },
+};
+
+const { default: UndoJournal } = await import('../js/components/undo-journal');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createEntry = (overrides = {}) => ({
+  id: 'entry-1',
+  operation: 'archive',
+  messageIds: ['a', 'b', 'c'],
+  changes: { addLabelIds: [], removeLabelIds: ['INBOX'] },
+  labelsBefore: {},
+  timestamp: Date.now(),
+  undone: false,
+  ...overrides,
+});
+
+describe('UndoJournal', () => {
+  describe('buildReversal()', () => {
+    it('should only restore labels that messages had before the change', () => {
+      const entry = createEntry({
+        labelsBefore: { a: ['INBOX', 'UNREAD'], b: ['Label_1'], c: ['INBOX'] },
+      });
+
+      expect(UndoJournal.buildReversal(entry)).toEqual([
+        { messageIds: ['a', 'c'], addLabelIds: ['INBOX'], removeLabelIds: [] },
+      ]);
+    });
+
+    it('should not remove added labels that were already present', () => {
+      const entry = createEntry({
+        operation: 'trash',
+        messageIds: ['a', 'b'],
+        changes: { addLabelIds: ['TRASH'], removeLabelIds: [] },
+        labelsBefore: { a: ['INBOX'], b: ['TRASH'] },
+      });
+
+      expect(UndoJournal.buildReversal(entry)).toEqual([
+        { messageIds: ['a'], addLabelIds: [], removeLabelIds: ['TRASH'] },
+      ]);
+    });
+
+    it('should fully invert changes for messages without a recorded state', () => {
+      const entry = createEntry({ messageIds: ['x'] });
+
+      expect(UndoJournal.buildReversal(entry)).toEqual([
+        { messageIds: ['x'], addLabelIds: ['INBOX'], removeLabelIds: [] },
+      ]);
+    });
+  });
+
+  describe('isUndoable()', () => {
+    it('should reject entries that were already undone', () => {
+      expect(UndoJournal.isUndoable(createEntry({ undone: true }))).toBe(false);
+    });
+
+    it('should expire trash entries after the undo window', () => {
+      const now = Date.now();
+      const trashEntry = createEntry({
+        changes: { addLabelIds: ['TRASH'], removeLabelIds: [] },
+        timestamp: now - 31 * DAY_MS,
+      });
+
+      expect(UndoJournal.isUndoable(trashEntry, now)).toBe(false);
+      expect(
+        UndoJournal.isUndoable({ ...trashEntry, timestamp: now - DAY_MS }, now)
+      ).toBe(true);
+    });
+
+    it('should keep archive entries undoable regardless of age', () => {
+      const entry = createEntry({ timestamp: Date.now() - 365 * DAY_MS });
+
+      expect(UndoJournal.isUndoable(entry)).toBe(true);
+    });
+  });
+
+  describe('record()', () => {
+    beforeEach(() => {
+      global.StorageHelper = { putRecord: vi.fn().mockResolvedValue(true) };
+    });
+
+    it('should persist a journal entry with the labels before the change', async () => {
+      const entry = await UndoJournal.record({
+        operation: 'trash',
+        messageIds: ['a', 'b'],
+        changes: { addLabelIds: ['TRASH'] },
+        labelsBefore: { a: ['INBOX'], z: ['INBOX'] },
+      });
+
+      expect(entry).toMatchObject({
+        operation: 'trash',
+        messageIds: ['a', 'b'],
+        changes: { addLabelIds: ['TRASH'], removeLabelIds: [] },
+        labelsBefore: { a: ['INBOX'] },
+        undone: false,
+      });
+      expect(global.StorageHelper.putRecord).toHaveBeenCalledWith(
+        'undo_journal',
+        entry
+      );
+    });
+
+    it('should return null when the entry cannot be saved', async () => {
+      global.StorageHelper.putRecord.mockResolvedValue(false);
+
+      const entry = await UndoJournal.record({
+        operation: 'trash',
+        messageIds: ['a'],
+      });
+
+      expect(entry).toBeNull();
+    });
+  });
+
+  describe('undo()', () => {
+    beforeEach(() => {
+      global.StorageHelper = {
+        getRecord: vi.fn().mockResolvedValue(createEntry()),
+        putRecord: vi.fn().mockResolvedValue(true),
+      };
+    });
+
+    it('should mark the entry undone when every message is restored', async () => {
+      global.gmailAPI = {
+        batchModifyMessages: vi
+          .fn()
+          .mockResolvedValue({ modified: 3, failed: [] }),
+      };
+
+      const result = await UndoJournal.undo('entry-1');
+
+      expect(result).toEqual({ restored: 3, failed: [] });
+      expect(global.gmailAPI.batchModifyMessages).toHaveBeenCalledWith(
+        ['a', 'b', 'c'],
+        { addLabelIds: ['INBOX'], removeLabelIds: [] },
+        expect.objectContaining({ journal: false })
+      );
+      expect(global.StorageHelper.putRecord).toHaveBeenCalledWith(
+        'undo_journal',
+        expect.objectContaining({ undone: true, messageIds: ['a', 'b', 'c'] })
+      );
+    });
+
+    it('should keep failed messages on the entry for a retry', async () => {
+      global.gmailAPI = {
+        batchModifyMessages: vi
+          .fn()
+          .mockResolvedValue({ modified: 1, failed: ['b', 'c'] }),
+      };
+
+      const result = await UndoJournal.undo('entry-1');
+
+      expect(result).toEqual({ restored: 1, failed: ['b', 'c'] });
+      const saved = global.StorageHelper.putRecord.mock.calls[0][1];
+      expect(saved).toMatchObject({ undone: false, messageIds: ['b', 'c'] });
+      expect(UndoJournal.isUndoable(saved)).toBe(true);
+    });
+
+    it('should leave the entry unchanged when nothing is restored', async () => {
+      global.gmailAPI = {
+        batchModifyMessages: vi
+          .fn()
+          .mockResolvedValue({ modified: 0, failed: ['a', 'b', 'c'] }),
+      };
+
+      await UndoJournal.undo('entry-1');
+
+      expect(global.StorageHelper.putRecord).not.toHaveBeenCalled();
+    });
+  });
+});
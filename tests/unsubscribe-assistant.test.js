@@ -0,0 +1,168 @@
+/**
+ * Unsubscribe Assistant Tests
+ * Covers List-Unsubscribe parsing and unsubscribe actions
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+global.APP_CONFIG = {
+  STORAGE_KEYS: { UNSUBSCRIBE_LOG: 'test_unsubscribe_log' },
+};
+
+const { default: EmailParser } = await import('../js/utils/email-parser');
+const { default: StorageHelper } = await import('../js/utils/storage-helper');
+
+global.StorageHelper = StorageHelper;
+
+const { default: UnsubscribeAssistant } = await import(
+  '../js/components/unsubscribe-assistant'
+);
+
+const oneClickTargets = {
+  mailto: null,
+  http: 'https://lists.example.com/u/123',
+  oneClick: true,
+};
+
+const createSenderAnalysis = () => ({
+  senders: [
+    {
+      id: 'news@example.com',
+      name: 'Example News',
+      email: 'news@example.com',
+      count: 3,
+      totalSize: 3000,
+      emails: [
+        {
+          timestamp: 1,
+          unsubscribe: { ...oneClickTargets, http: 'https://old' },
+        },
+        { timestamp: 2, unsubscribe: oneClickTargets },
+        { timestamp: 3, unsubscribe: null },
+      ],
+    },
+    {
+      id: 'friend@mail.test',
+      name: 'Friend',
+      email: 'friend@mail.test',
+      count: 10,
+      totalSize: 1000,
+      emails: [{ timestamp: 1, unsubscribe: null }],
+    },
+  ],
+});
+
+describe('UnsubscribeAssistant', () => {
+  let store;
+
+  beforeEach(() => {
+    store = {};
+    localStorage.getItem.mockImplementation((key) => store[key] ?? null);
+    localStorage.setItem.mockImplementation((key, value) => {
+      store[key] = value;
+    });
+  });
+
+  describe('EmailParser.parseListUnsubscribe()', () => {
+    it('should extract mailto and https targets', () => {
+      expect(
+        EmailParser.parseListUnsubscribe(
+          '<mailto:unsub@example.com?subject=stop>, <https://example.com/u>',
+          'List-Unsubscribe=One-Click'
+        )
+      ).toEqual({
+        mailto: 'mailto:unsub@example.com?subject=stop',
+        http: 'https://example.com/u',
+        oneClick: true,
+      });
+    });
+
+    it('should only allow one-click for HTTPS targets with the POST header', () => {
+      expect(
+        EmailParser.parseListUnsubscribe('<https://example.com/u>').oneClick
+      ).toBe(false);
+      expect(
+        EmailParser.parseListUnsubscribe(
+          '<http://example.com/u>',
+          'List-Unsubscribe=One-Click'
+        ).oneClick
+      ).toBe(false);
+    });
+
+    it('should return null without usable targets', () => {
+      expect(EmailParser.parseListUnsubscribe(undefined)).toBeNull();
+      expect(EmailParser.parseListUnsubscribe('not a list')).toBeNull();
+    });
+  });
+
+  describe('getMailingListSenders()', () => {
+    it('should list senders with unsubscribe targets from their newest email', () => {
+      const senders = UnsubscribeAssistant.getMailingListSenders(
+        createSenderAnalysis()
+      );
+
+      expect(senders).toHaveLength(1);
+      expect(senders[0].email).toBe('news@example.com');
+      expect(senders[0].unsubscribe).toEqual(oneClickTargets);
+      expect(senders[0].unsubscribedAt).toBeNull();
+    });
+  });
+
+  describe('oneClickUnsubscribe()', () => {
+    it('should POST the one-click body and record the unsubscribe', async () => {
+      global.fetch = vi.fn(() => Promise.resolve({ type: 'opaque' }));
+      const [sender] = UnsubscribeAssistant.getMailingListSenders(
+        createSenderAnalysis()
+      );
+
+      await UnsubscribeAssistant.oneClickUnsubscribe(sender);
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        oneClickTargets.http,
+        expect.objectContaining({
+          method: 'POST',
+          body: 'List-Unsubscribe=One-Click',
+        })
+      );
+      expect(UnsubscribeAssistant.getLog()[0]).toMatchObject({
+        senderEmail: 'news@example.com',
+        method: 'one-click',
+      });
+      expect(
+        UnsubscribeAssistant.getMailingListSenders(createSenderAnalysis())[0]
+          .unsubscribedAt
+      ).toBeTruthy();
+    });
+
+    it('should refuse senders without one-click support', async () => {
+      await expect(
+        UnsubscribeAssistant.oneClickUnsubscribe({
+          email: 'news@example.com',
+          unsubscribe: { mailto: 'mailto:a@b.c', http: null, oneClick: false },
+        })
+      ).rejects.toThrow();
+    });
+  });
+
+  describe('buildComposeUrl()', () => {
+    it('should carry the address and subject into a Gmail draft', () => {
+      const url = new URL(
+        UnsubscribeAssistant.buildComposeUrl(
+          'mailto:leave%2B42@lists.example.com?subject=Unsubscribe%20me'
+        )
+      );
+
+      expect(url.origin).toBe('https://mail.google.com');
+      expect(url.searchParams.get('to')).toBe('leave+42@lists.example.com');
+      expect(url.searchParams.get('su')).toBe('Unsubscribe me');
+    });
+
+    it('should keep a malformed address as it is', () => {
+      const url = new URL(
+        UnsubscribeAssistant.buildComposeUrl('mailto:leave%E0@example.com')
+      );
+
+      expect(url.searchParams.get('to')).toBe('leave%E0@example.com');
+    });
+  });
+});